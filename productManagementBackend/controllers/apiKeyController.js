@@ -0,0 +1,163 @@
+import ApiKey from '../models/ApiKey.js';
+import { API_KEY_SCOPES, getPermissions } from '../utils/permissions.js';
+import { generateRandomToken, hashToken } from '../utils/tokens.js';
+
+// Every key starts with this, so leaked keys are easy to recognise
+const KEY_PREFIX = 'pm_';
+
+// Helper function to build the key data sent to the client (never includes the key itself)
+function formatApiKey(apiKey) {
+  let status = 'active';
+  if (apiKey.revokedAt) {
+    status = 'revoked';
+  } else if (apiKey.expiresAt && apiKey.expiresAt < new Date()) {
+    status = 'expired';
+  }
+
+  return {
+    id: apiKey._id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes,
+    status,
+    lastUsedAt: apiKey.lastUsedAt,
+    lastUsedIp: apiKey.lastUsedIp,
+    expiresAt: apiKey.expiresAt,
+    revokedAt: apiKey.revokedAt,
+    createdAt: apiKey.createdAt,
+  };
+}
+
+// Helper function to get the scopes a user may give to their keys
+// A key can never do more than its owner's role allows
+function getAvailableScopes(user) {
+  const permissions = getPermissions(user.role);
+  return API_KEY_SCOPES.filter((scope) => permissions.includes(scope));
+}
+
+// Get the logged in user's API keys
+// GET /api/api-keys
+export async function getApiKeys(req, res) {
+  try {
+    const apiKeys = await ApiKey.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        apiKeys: apiKeys.map(formatApiKey),
+        availableScopes: getAvailableScopes(req.user),
+      },
+    });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Create API key - the key is returned only in this response
+// POST /api/api-keys
+export async function createApiKey(req, res) {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    // Validation
+    const errors = {};
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      errors.name = 'Key name is required';
+    } else if (name.trim().length > 100) {
+      errors.name = 'Key name cannot exceed 100 characters';
+    }
+
+    const availableScopes = getAvailableScopes(req.user);
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      errors.scopes = 'Select at least one scope';
+    } else {
+      const invalidScopes = scopes.filter((scope) => !availableScopes.includes(scope));
+      if (invalidScopes.length > 0) {
+        errors.scopes = `Not allowed: ${invalidScopes.join(', ')}`;
+      }
+    }
+
+    let expiryDate = null;
+    if (expiresAt) {
+      expiryDate = new Date(expiresAt);
+      if (isNaN(expiryDate.getTime()) || expiryDate <= new Date()) {
+        errors.expiresAt = 'Expiry date must be in the future';
+      }
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors,
+      });
+    }
+
+    const key = `${KEY_PREFIX}${generateRandomToken(32)}`;
+
+    const apiKey = await ApiKey.create({
+      user: req.user._id,
+      name: name.trim(),
+      prefix: key.slice(0, KEY_PREFIX.length + 8),
+      keyHash: hashToken(key),
+      scopes: [...new Set(scopes)],
+      expiresAt: expiryDate,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again',
+      data: {
+        apiKey: formatApiKey(apiKey),
+        key,
+      },
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Revoke API key - it stops working immediately
+// DELETE /api/api-keys/:id
+export async function revokeApiKey(req, res) {
+  try {
+    // Users can only revoke their own keys
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found',
+        error: 'NOT_FOUND',
+      });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: formatApiKey(apiKey),
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
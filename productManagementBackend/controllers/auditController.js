@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+import AuditLog, { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES } from '../models/AuditLog.js';
+
+// Get audit log entries, newest first
+// GET /api/audit
+// Filters: action, entityType, entityId, actor (user id), search (actor or record name), from, to
+export async function getAuditLogs(req, res) {
+  try {
+    const { action, entityType, entityId, actor, search, from, to, page = 1, limit = 20 } = req.query;
+
+    // Validation
+    const errors = {};
+    if (action && !AUDIT_ACTIONS.includes(action)) {
+      errors.action = `Action must be one of: ${AUDIT_ACTIONS.join(', ')}`;
+    }
+    if (entityType && !AUDIT_ENTITY_TYPES.includes(entityType)) {
+      errors.entityType = `Entity type must be one of: ${AUDIT_ENTITY_TYPES.join(', ')}`;
+    }
+    if (entityId && !mongoose.isValidObjectId(entityId)) {
+      errors.entityId = 'Invalid entity id';
+    }
+    if (actor && !mongoose.isValidObjectId(actor)) {
+      errors.actor = 'Invalid user id';
+    }
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if (fromDate && isNaN(fromDate.getTime())) {
+      errors.from = 'Invalid date';
+    }
+    if (toDate && isNaN(toDate.getTime())) {
+      errors.to = 'Invalid date';
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors,
+      });
+    }
+
+    // Build query
+    const query = {};
+    if (action) {
+      query.action = action;
+    }
+    if (entityType) {
+      query.entityType = entityType;
+    }
+    if (entityId) {
+      query.entityId = entityId;
+    }
+    if (actor) {
+      query.actor = actor;
+    }
+    if (search) {
+      query.$or = [
+        { actorName: { $regex: search, $options: 'i' } },
+        { entityName: { $regex: search, $options: 'i' } },
+      ];
+    }
+    if (fromDate || toDate) {
+      query.createdAt = {};
+      if (fromDate) {
+        query.createdAt.$gte = fromDate;
+      }
+      if (toDate) {
+        query.createdAt.$lte = toDate;
+      }
+    }
+
+    // Calculate pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const logs = await AuditLog.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    // Get total count
+    const totalItems = await AuditLog.countDocuments(query);
+    const totalPages = Math.ceil(totalItems / limitNum);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        logs,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalItems,
+          itemsPerPage: limitNum,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
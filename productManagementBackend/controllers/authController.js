@@ -1,16 +1,233 @@
 import User from '../models/User.js';
+import RefreshToken from '../models/RefreshToken.js';
+import RevokedToken from '../models/RevokedToken.js';
+import ApiKey from '../models/ApiKey.js';
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { getPermissions, hasPermission } from '../utils/permissions.js';
+import { generateRandomToken, hashToken } from '../utils/tokens.js';
+import { verifyCode, hashRecoveryCode } from '../utils/twoFactor.js';
+import { sendMail } from '../utils/mailer/index.js';
+import { passwordResetEmail } from '../utils/mailer/templates.js';
+import { recordAudit } from '../utils/audit.js';
 
-// Helper function to generate JWT token
+// Access tokens are short-lived, the client renews them with a refresh token
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 7;
+
+// Brute-force protection - lock the account after this many wrong passwords
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.MAX_FAILED_LOGIN_ATTEMPTS) || 5;
+// First lockout lasts 1 minute, then 2, 4, 8... up to 24 hours
+const BASE_LOCK_MS = 60 * 1000;
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000;
+
+// Time the user has to enter their two-factor code after the password was accepted
+const TWO_FACTOR_CHALLENGE_EXPIRE = '5m';
+
+// Password reset links are valid for 1 hour
+const PASSWORD_RESET_EXPIRE_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+
+// Helper function to get the JWT secret
+function getJwtSecret() {
+  return process.env.JWT_SECRET || 'fallback_secret';
+}
+
+// Helper function to generate JWT access token
+// Every token gets a unique id (jti) so it can be revoked on logout
 function generateToken(userId) {
-  const secret = process.env.JWT_SECRET || 'fallback_secret';
-  const expiresIn = process.env.JWT_EXPIRE || '24h';
-  return jwt.sign({ id: userId }, secret, { expiresIn: expiresIn });
+  const expiresIn = process.env.JWT_EXPIRE || '15m';
+  return jwt.sign({ id: userId }, getJwtSecret(), {
+    expiresIn: expiresIn,
+    jwtid: crypto.randomUUID(),
+  });
+}
+
+// Helper function to generate a short-lived token proving the password step was passed
+// It has a purpose, so protect does not accept it as an access token
+function generateTwoFactorChallenge(userId) {
+  return jwt.sign({ id: userId, purpose: '2fa' }, getJwtSecret(), {
+    expiresIn: TWO_FACTOR_CHALLENGE_EXPIRE,
+  });
+}
+
+// Helper function to create a refresh token and save its hash in the database
+async function generateRefreshToken(userId, ip, family) {
+  const refreshToken = generateRandomToken(40);
+
+  await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(refreshToken),
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: ip,
+  });
+
+  return refreshToken;
+}
+
+// Helper function to build the token data sent to the client after login or refresh
+async function createSession(userId, ip, family) {
+  const token = generateToken(userId);
+  const refreshToken = await generateRefreshToken(userId, ip, family);
+  const { exp } = jwt.decode(token);
+
+  return {
+    token,
+    refreshToken,
+    expiresAt: new Date(exp * 1000).toISOString(),
+  };
+}
+
+// Helper function to log a user out everywhere by revoking all of their refresh tokens
+// Used when a user is deactivated or their password changes
+export async function revokeUserSessions(userId) {
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+}
+
+// Helper function to send the account locked response
+function sendAccountLocked(res, lockUntil) {
+  const retryAfter = Math.ceil((lockUntil.getTime() - Date.now()) / 1000);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(423).json({
+    success: false,
+    message: 'Too many failed login attempts. Account is temporarily locked',
+    error: 'ACCOUNT_LOCKED',
+    retryAfter,
+    retryAt: lockUntil.toISOString(),
+  });
+}
+
+// Helper function to count a failed login and lock the account when there are too many
+// Returns the lock end time if the account is now locked
+async function registerFailedLogin(user) {
+  // Increment atomically so parallel guesses are all counted
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+
+  if (updated.failedLoginAttempts < MAX_FAILED_ATTEMPTS) {
+    return null;
+  }
+
+  // Start the backoff again if the last lockout was more than a day ago
+  const lockoutCount = updated.lockUntil && Date.now() - updated.lockUntil.getTime() > MAX_LOCK_MS
+    ? 0
+    : updated.lockoutCount;
+  const lockMs = Math.min(BASE_LOCK_MS * Math.pow(2, lockoutCount), MAX_LOCK_MS);
+  const lockUntil = new Date(Date.now() + lockMs);
+
+  await User.findByIdAndUpdate(user._id, {
+    failedLoginAttempts: 0,
+    lockUntil,
+    lockoutCount: lockoutCount + 1,
+  });
+
+  return lockUntil;
+}
+
+// Helper function to record a failed login in the audit log
+// user is empty when nobody has the username that was tried
+async function auditFailedLogin(req, user, username, details) {
+  await recordAudit(req, {
+    action: 'login_failed',
+    entityType: 'user',
+    entity: user,
+    entityName: user ? user.username : String(username),
+    actor: null,
+    details,
+  });
+}
+
+// Helper function to finish a login once every check has passed
+async function completeLogin(user, req, res) {
+  // Successful login clears the brute-force counters
+  user.lastLoginAt = new Date();
+  user.failedLoginAttempts = 0;
+  user.lockUntil = undefined;
+  user.lockoutCount = 0;
+  await user.save();
+
+  // Generate access token and refresh token
+  const session = await createSession(user._id, req.ip);
+
+  await recordAudit(req, {
+    action: 'login',
+    entityType: 'user',
+    entity: user,
+    actor: user,
+    details: { twoFactor: user.twoFactorEnabled },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      ...session,
+      user: formatUser(user),
+    },
+  });
+}
+
+// Helper function to get an API key from the request, if one was sent
+// Accepts "X-API-Key: <key>" or "Authorization: ApiKey <key>"
+function getApiKeyFromRequest(req) {
+  if (req.headers['x-api-key']) {
+    return req.headers['x-api-key'];
+  }
+  if (req.headers.authorization && req.headers.authorization.startsWith('ApiKey ')) {
+    return req.headers.authorization.split(' ')[1];
+  }
+  return null;
+}
+
+// Helper function to log in a request with an API key instead of a JWT
+// Sets req.user and req.apiKey, or returns an error message
+async function authenticateApiKey(req, key) {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(key) });
+
+  if (!apiKey || apiKey.revokedAt) {
+    return 'Invalid API key';
+  }
+  if (apiKey.expiresAt && apiKey.expiresAt < new Date()) {
+    return 'API key has expired';
+  }
+
+  const user = await User.findById(apiKey.user).select('-password');
+  if (!user || user.status !== 'active') {
+    return 'Account is not active';
+  }
+
+  // Save when the key was last used - at most once a minute to avoid a write on every request
+  const oneMinuteAgo = new Date(Date.now() - 60 * 1000);
+  if (!apiKey.lastUsedAt || apiKey.lastUsedAt < oneMinuteAgo) {
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: req.ip });
+  }
+
+  req.user = user;
+  req.apiKey = apiKey;
+  return null;
+}
+
+// Helper function to revoke an access token until it would have expired anyway
+async function revokeAccessToken(decoded) {
+  if (!decoded || !decoded.jti) {
+    return;
+  }
+  await RevokedToken.updateOne(
+    { jti: decoded.jti },
+    { jti: decoded.jti, expiresAt: new Date(decoded.exp * 1000) },
+    { upsert: true }
+  );
 }
 
 // Helper function to hash password
-async function hashPassword(password) {
+// Also used by the user administration controller
+export async function hashPassword(password) {
   const salt = await bcrypt.genSalt(10);
   const hashedPassword = await bcrypt.hash(password, salt);
   return hashedPassword;
@@ -21,9 +238,37 @@ async function comparePassword(enteredPassword, storedPassword) {
   return await bcrypt.compare(enteredPassword, storedPassword);
 }
 
+// Helper function to build the user data sent to the client
+function formatUser(user) {
+  return {
+    id: user._id,
+    username: user.username,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    permissions: getPermissions(user.role),
+    twoFactorEnabled: user.twoFactorEnabled,
+  };
+}
+
 // Middleware to protect routes - check if user is logged in
+// Accepts a Bearer JWT, or a personal API key for machine-to-machine access
 export async function protect(req, res, next) {
   try {
+    // API keys are an alternative to the Bearer token
+    const key = getApiKeyFromRequest(req);
+    if (key) {
+      const apiKeyError = await authenticateApiKey(req, key);
+      if (apiKeyError) {
+        return res.status(401).json({
+          success: false,
+          message: apiKeyError,
+          error: 'UNAUTHORIZED',
+        });
+      }
+      return next();
+    }
+
     let token;
 
     // Get token from Authorization header
@@ -41,8 +286,28 @@ export async function protect(req, res, next) {
     }
 
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
+    const decoded = jwt.verify(token, getJwtSecret());
+
+    // Tokens with a purpose (like the two-factor challenge) are not access tokens
+    if (decoded.purpose) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token',
+        error: 'UNAUTHORIZED',
+      });
+    }
+
+    // Check the token was not revoked (for example by logout)
+    const isRevoked = await RevokedToken.exists({ jti: decoded.jti });
+    if (isRevoked) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked',
+        error: 'UNAUTHORIZED',
+      });
+    }
+    req.tokenPayload = decoded;
+
     // Get user from token
     req.user = await User.findById(decoded.id).select('-password');
     
@@ -54,6 +319,15 @@ export async function protect(req, res, next) {
       });
     }
 
+    // Deactivated users lose access immediately, even with a valid token
+    if (req.user.status !== 'active') {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is not active',
+        error: 'ACCOUNT_INACTIVE',
+      });
+    }
+
     // Continue to next function
     next();
   } catch (error) {
@@ -65,6 +339,37 @@ export async function protect(req, res, next) {
   }
 };
 
+// Middleware to check if the logged in user is allowed to do something
+// Must be used after protect, e.g. router.delete('/:id', authorize('products:delete'), deleteProduct)
+export function authorize(...permissions) {
+  return (req, res, next) => {
+    const isAllowed = permissions.every((permission) => hasPermission(req.user, permission, req.apiKey));
+
+    if (!isAllowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action',
+        error: 'FORBIDDEN',
+      });
+    }
+
+    next();
+  };
+}
+
+// Middleware for routes that need a person to be logged in, not a script with an API key
+// For example managing API keys or two-factor settings
+export function rejectApiKey(req, res, next) {
+  if (req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      message: 'This action cannot be performed with an API key',
+      error: 'FORBIDDEN',
+    });
+  }
+  next();
+}
+
 // Login user
 // POST /api/auth/login
 export async function login(req, res) {
@@ -84,6 +389,23 @@ export async function login(req, res) {
     const user = await User.findOne({ username });
 
     if (!user) {
+      await auditFailedLogin(req, null, username, { reason: 'INVALID_CREDENTIALS' });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid username or password',
+        error: 'INVALID_CREDENTIALS',
+      });
+    }
+
+    // Locked accounts are rejected before the password is checked
+    if (user.lockUntil && user.lockUntil > new Date()) {
+      await auditFailedLogin(req, user, username, { reason: 'ACCOUNT_LOCKED' });
+      return sendAccountLocked(res, user.lockUntil);
+    }
+
+    // Invited users have no password yet
+    if (!user.password) {
+      await auditFailedLogin(req, user, username, { reason: 'INVALID_CREDENTIALS' });
       return res.status(401).json({
         success: false,
         message: 'Invalid username or password',
@@ -95,6 +417,11 @@ export async function login(req, res) {
     const isPasswordMatch = await comparePassword(password, user.password);
 
     if (!isPasswordMatch) {
+      const lockUntil = await registerFailedLogin(user);
+      await auditFailedLogin(req, user, username, { reason: 'INVALID_CREDENTIALS', lockedUntil: lockUntil });
+      if (lockUntil) {
+        return sendAccountLocked(res, lockUntil);
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid username or password',
@@ -102,22 +429,30 @@ export async function login(req, res) {
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Only tell the user the account is inactive once the password was correct
+    if (user.status !== 'active') {
+      await auditFailedLogin(req, user, username, { reason: 'ACCOUNT_INACTIVE' });
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been deactivated. Please contact an administrator',
+        error: 'ACCOUNT_INACTIVE',
+      });
+    }
 
-    res.status(200).json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        token,
-        user: {
-          id: user._id,
-          username: user.username,
-          name: user.name,
-          email: user.email,
+    // With two-factor enabled, the password alone is not enough
+    // The client must send a code from the authenticator app to /api/auth/login/2fa
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateTwoFactorChallenge(user._id),
         },
-      },
-    });
+      });
+    }
+
+    await completeLogin(user, req, res);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({
@@ -128,6 +463,103 @@ export async function login(req, res) {
   }
 };
 
+// Second login step - check the code from the authenticator app or a recovery code
+// POST /api/auth/login/2fa
+export async function loginTwoFactor(req, res) {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    // Validation
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the verification code',
+        error: 'VALIDATION_ERROR',
+      });
+    }
+
+    // Check the challenge from the password step
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, getJwtSecret());
+    } catch {
+      decoded = null;
+    }
+    if (!decoded || decoded.purpose !== '2fa') {
+      return res.status(401).json({
+        success: false,
+        message: 'Login session expired, please log in again',
+        error: 'INVALID_CHALLENGE',
+      });
+    }
+
+    const user = await User.findById(decoded.id)
+      .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+    if (!user || !user.twoFactorEnabled || user.status !== 'active') {
+      return res.status(401).json({
+        success: false,
+        message: 'Login session expired, please log in again',
+        error: 'INVALID_CHALLENGE',
+      });
+    }
+
+    // Wrong codes count towards the lockout, just like wrong passwords
+    if (user.lockUntil && user.lockUntil > new Date()) {
+      await auditFailedLogin(req, user, user.username, { reason: 'ACCOUNT_LOCKED' });
+      return sendAccountLocked(res, user.lockUntil);
+    }
+
+    let isValid = false;
+    if (code) {
+      // A code works only once - claim its time step atomically, so two logins with the
+      // same code cannot both pass the check before either one saves
+      const step = verifyCode(user.twoFactorSecret, code, user.twoFactorLastUsedStep);
+      if (step !== null) {
+        const result = await User.updateOne(
+          {
+            _id: user._id,
+            $or: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { $lt: step } }],
+          },
+          { $set: { twoFactorLastUsedStep: step } }
+        );
+        isValid = result.modifiedCount === 1;
+      }
+    } else {
+      // Each recovery code works only once - remove it atomically, so two logins with the
+      // same code cannot both see it before either one saves
+      const codeHash = hashRecoveryCode(recoveryCode);
+      const result = await User.updateOne(
+        { _id: user._id, twoFactorRecoveryCodes: codeHash },
+        { $pull: { twoFactorRecoveryCodes: codeHash } }
+      );
+      isValid = result.modifiedCount === 1;
+    }
+
+    if (!isValid) {
+      const lockUntil = await registerFailedLogin(user);
+      await auditFailedLogin(req, user, user.username, { reason: 'INVALID_2FA_CODE', lockedUntil: lockUntil });
+      if (lockUntil) {
+        return sendAccountLocked(res, lockUntil);
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code',
+        error: 'INVALID_2FA_CODE',
+      });
+    }
+
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
 // Get current user
 // GET /api/auth/me
 export async function getMe(req, res) {
@@ -136,15 +568,264 @@ export async function getMe(req, res) {
 
     res.status(200).json({
       success: true,
+      data: formatUser(user),
+    });
+  } catch (error) {
+    console.error('Get me error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Accept an invite and set a password
+// POST /api/auth/accept-invite
+export async function acceptInvite(req, res) {
+  try {
+    const { token, password } = req.body;
+
+    // Validation
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the invite token and a password',
+        error: 'VALIDATION_ERROR',
+      });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 8 characters',
+        errors: {
+          password: 'Password must be at least 8 characters',
+        },
+      });
+    }
+
+    const user = await User.findOne({
+      inviteTokenHash: hashToken(token),
+      inviteExpiresAt: { $gt: new Date() },
+      status: 'invited',
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invite link is invalid or has expired',
+        error: 'INVALID_TOKEN',
+      });
+    }
+
+    user.password = await hashPassword(password);
+    user.status = 'active';
+    user.inviteTokenHash = undefined;
+    user.inviteExpiresAt = undefined;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Invite accepted, you can now log in',
+    });
+  } catch (error) {
+    console.error('Accept invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Send a password reset link by email
+// Always answers the same way, so it cannot be used to find out which emails exist
+// POST /api/auth/forgot-password
+export async function forgotPassword(req, res) {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your email',
+        error: 'VALIDATION_ERROR',
+      });
+    }
+
+    const user = await User.findOne({ email: email.trim().toLowerCase(), status: 'active' });
+
+    if (user) {
+      // A new request replaces any older link
+      const resetToken = generateRandomToken();
+      user.passwordResetTokenHash = hashToken(resetToken);
+      user.passwordResetExpiresAt = new Date(Date.now() + PASSWORD_RESET_EXPIRE_MINUTES * 60 * 1000);
+      await user.save();
+
+      const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+      const resetUrl = `${frontendUrl}/reset-password?token=${resetToken}`;
+
+      try {
+        await sendMail({
+          to: user.email,
+          ...passwordResetEmail(user, resetUrl, PASSWORD_RESET_EXPIRE_MINUTES),
+        });
+      } catch (error) {
+        // Same answer as usual - details are only in the server log
+        console.error('Password reset email error:', error);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account with that email exists, a password reset link has been sent',
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Set a new password using the token from the reset email
+// POST /api/auth/reset-password
+export async function resetPassword(req, res) {
+  try {
+    const { token, password } = req.body;
+
+    // Validation
+    if (!token || !password || typeof token !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the reset token and a new password',
+        error: 'VALIDATION_ERROR',
+      });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 8 characters',
+        errors: {
+          password: 'Password must be at least 8 characters',
+        },
+      });
+    }
+
+    const user = await User.findOne({
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpiresAt: { $gt: new Date() },
+      status: 'active',
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired',
+        error: 'INVALID_TOKEN',
+      });
+    }
+
+    // The token works only once
+    user.password = await hashPassword(password);
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpiresAt = undefined;
+
+    // A new password also unlocks the account
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
+    user.lockoutCount = 0;
+    await user.save();
+
+    // Log out every session that used the old password
+    await revokeUserSessions(user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset, you can now log in',
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Get a new access token using a refresh token
+// POST /api/auth/refresh
+export async function refresh(req, res) {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a refresh token',
+        error: 'VALIDATION_ERROR',
+      });
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const now = new Date();
+
+    // Rotate - revoke the token in the same step that checks it, so two refreshes with the
+    // same token cannot both pass and the second one counts as reuse
+    const storedToken = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+      { $set: { revokedAt: now } }
+    );
+
+    if (!storedToken) {
+      // A token that was already used is being used again - it was probably stolen
+      // Revoke every token from that login so neither copy keeps working
+      const usedToken = await RefreshToken.findOne({ tokenHash, revokedAt: { $ne: null }, expiresAt: { $gt: now } });
+      if (usedToken) {
+        await RefreshToken.updateMany(
+          { family: usedToken.family, revokedAt: null },
+          { revokedAt: now }
+        );
+        return res.status(401).json({
+          success: false,
+          message: 'Refresh token was already used, please log in again',
+          error: 'INVALID_REFRESH_TOKEN',
+        });
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token',
+        error: 'INVALID_REFRESH_TOKEN',
+      });
+    }
+
+    const user = await User.findById(storedToken.user);
+    if (!user || user.status !== 'active') {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found',
+        error: 'UNAUTHORIZED',
+      });
+    }
+
+    const session = await createSession(user._id, req.ip, storedToken.family);
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed',
       data: {
-        id: user._id,
-        username: user.username,
-        name: user.name,
-        email: user.email,
+        ...session,
+        user: formatUser(user),
       },
     });
   } catch (error) {
-    console.error('Get me error:', error);
+    console.error('Refresh token error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -157,8 +838,30 @@ export async function getMe(req, res) {
 // POST /api/auth/logout
 export async function logout(req, res) {
   try {
-    // In JWT, logout is handled client-side by removing token
-    // But we can add token blacklisting here if needed
+    const { refreshToken } = req.body;
+
+    // Revoke the refresh token and every token rotated from the same login
+    if (refreshToken) {
+      const storedToken = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+      if (storedToken) {
+        await RefreshToken.updateMany(
+          { family: storedToken.family, revokedAt: null },
+          { revokedAt: new Date() }
+        );
+      }
+    }
+
+    // Revoke the access token too, so it stops working before it expires
+    // Logout also works with an expired access token, so it is checked here instead of with protect
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+      try {
+        const decoded = jwt.verify(req.headers.authorization.split(' ')[1], getJwtSecret());
+        await revokeAccessToken(decoded);
+      } catch {
+        // Token is already invalid or expired - nothing to revoke
+      }
+    }
+
     res.status(200).json({
       success: true,
       message: 'Logout successful',
@@ -173,4 +876,3 @@ export async function logout(req, res) {
   }
 };
 
-
@@ -1,15 +1,82 @@
 import Category from '../models/Category.js';
+import Product from '../models/Product.js';
+import mongoose from 'mongoose';
+import { auditSnapshot, recordAudit } from '../utils/audit.js';
+import { findCategory, findSiblingByName, replaceAncestorPrefix, withCategoryPaths } from '../utils/categories.js';
+import { runInTransaction } from '../utils/transaction.js';
+import {
+  TRASH_RETENTION_DAYS,
+  findCategoryPurgeBlocker,
+  findCategoryRestoreBlocker,
+  findInTrash,
+  moveToTrash,
+  purgeCategory,
+  purgeDate,
+  restoreFromTrash,
+} from '../utils/trash.js';
+import { getCategoryAttributes, validateAttributeDefinitions, validateProductAttributes } from '../utils/attributes.js';
+import { validateReorderSettings } from '../utils/lowStock.js';
+import { EXPORT_FORMATS, mapInBatches, streamExport } from '../utils/spreadsheets.js';
+import { CATEGORY_EXPORT_COLUMNS, pickColumns } from '../utils/exportColumns.js';
+
+// Categories that are read from the database at a time while exporting
+const EXPORT_BATCH_SIZE = 500;
+
+// Helper function to find the parent for a new or moved category
+// Returns { parent } when valid (parent is null for a top-level category) or { error }
+async function findParent(parentId) {
+  if (parentId === undefined || parentId === null || parentId === '') {
+    return { parent: null };
+  }
+  if (!mongoose.isValidObjectId(parentId)) {
+    return { error: 'Invalid parent category' };
+  }
+  const parent = await Category.findById(parentId);
+  if (!parent) {
+    return { error: 'Parent category does not exist' };
+  }
+  return { parent };
+}
+
+// Helper function to get the ancestors list for a category placed under parent
+function ancestorsFor(parent) {
+  return parent ? [...parent.ancestors, parent._id] : [];
+}
+
+// Helper function to turn the filters of a category list request into a query
+// Shared by getCategories and exportCategories
+// Returns { query } or { error }
+function buildCategoryListQuery({ search, parent }) {
+  const query = {};
+  if (search) {
+    query.name = { $regex: search, $options: 'i' }; // Case-insensitive search
+  }
+  // parent=root lists top-level categories, parent=<id> lists the children of a category
+  if (parent === 'root') {
+    query.parent = null;
+  } else if (parent) {
+    if (!mongoose.isValidObjectId(parent)) {
+      return { error: 'Invalid parent category' };
+    }
+    query.parent = parent;
+  }
+  return { query };
+}
 
 // Get all categories
 // GET /api/categories
 export async function getCategories(req, res) {
   try {
-    const { search, page = 1, limit = 10 } = req.query;
+    const { page = 1, limit = 10 } = req.query;
     
     // Build query
-    const query = {};
-    if (search) {
-      query.name = { $regex: search, $options: 'i' }; // Case-insensitive search
+    const { query, error: queryError } = buildCategoryListQuery(req.query);
+    if (queryError) {
+      return res.status(400).json({
+        success: false,
+        message: queryError,
+        error: 'VALIDATION_ERROR',
+      });
     }
 
     // Calculate pagination
@@ -30,7 +97,7 @@ export async function getCategories(req, res) {
     res.status(200).json({
       success: true,
       data: {
-        categories,
+        categories: await withCategoryPaths(categories),
         pagination: {
           currentPage: pageNum,
           totalPages,
@@ -49,6 +116,114 @@ export async function getCategories(req, res) {
   }
 };
 
+// Export the categories the category list shows, sorted by name
+// GET /api/categories/export?format=csv|xlsx|json&columns=name,path
+// Takes the filters of GET /api/categories - page and limit are ignored, so every matching
+// category is exported. Categories are streamed, not loaded all at once.
+export async function exportCategories(req, res) {
+  try {
+    const { format = 'csv' } = req.query;
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}`,
+        error: 'VALIDATION_ERROR',
+      });
+    }
+    const { columns, error: columnsError } = pickColumns(CATEGORY_EXPORT_COLUMNS, req.query.columns);
+    if (columnsError) {
+      return res.status(400).json({
+        success: false,
+        message: columnsError,
+        error: 'VALIDATION_ERROR',
+      });
+    }
+    const { query, error: queryError } = buildCategoryListQuery(req.query);
+    if (queryError) {
+      return res.status(400).json({
+        success: false,
+        message: queryError,
+        error: 'VALIDATION_ERROR',
+      });
+    }
+
+    const categories = Category.find(query).sort({ name: 1, _id: 1 }).lean().cursor({ batchSize: EXPORT_BATCH_SIZE });
+    await streamExport(res, {
+      format,
+      fileName: `categories-${new Date().toISOString().slice(0, 10)}`,
+      columns,
+      rows: mapInBatches(categories, EXPORT_BATCH_SIZE, withCategoryPaths),
+    });
+  } catch (error) {
+    console.error('Export categories error:', error);
+    // Once the file has started, the only way to tell the client is to break off the download
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Get all categories as a tree
+// GET /api/categories/tree
+// Each node has its children and product counts - productCount for the category itself,
+// totalProductCount including every category below it
+export async function getCategoryTree(req, res) {
+  try {
+    const categories = await Category.find().sort({ name: 1 });
+    const counts = await Product.aggregate([
+      { $group: { _id: '$category', count: { $sum: 1 } } },
+    ]);
+    const countById = new Map(counts.map((count) => [String(count._id), count.count]));
+
+    // Build the nodes first, then attach each one to its parent
+    const nodes = new Map(categories.map((category) => [String(category._id), {
+      _id: category._id,
+      name: category.name,
+      parent: category.parent,
+      attributes: category.attributes,
+      reorderPoint: category.reorderPoint,
+      reorderQuantity: category.reorderQuantity,
+      productCount: countById.get(String(category._id)) || 0,
+      totalProductCount: 0,
+      children: [],
+    }]));
+
+    const tree = [];
+    for (const node of nodes.values()) {
+      const parentNode = node.parent && nodes.get(String(node.parent));
+      if (parentNode) {
+        parentNode.children.push(node);
+      } else {
+        tree.push(node);
+      }
+    }
+
+    // Add up product counts from the bottom of the tree
+    function addTotals(node) {
+      node.totalProductCount = node.children.reduce((total, child) => total + addTotals(child), node.productCount);
+      return node.totalProductCount;
+    }
+    tree.forEach(addTotals);
+
+    res.status(200).json({
+      success: true,
+      data: { tree },
+    });
+  } catch (error) {
+    console.error('Get category tree error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
 // Get single category
 // GET /api/categories/:id
 export async function getCategory(req, res) {
@@ -63,9 +238,11 @@ export async function getCategory(req, res) {
       });
     }
 
+    const [categoryWithPath] = await withCategoryPaths([category]);
+
     res.status(200).json({
       success: true,
-      data: category,
+      data: categoryWithPath,
     });
   } catch (error) {
     console.error('Get category error:', error);
@@ -77,11 +254,41 @@ export async function getCategory(req, res) {
   }
 };
 
+// Get the attribute fields for products in a category, including those from categories above it
+// GET /api/categories/:id/attributes
+export async function getAttributes(req, res) {
+  try {
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found',
+        error: 'NOT_FOUND',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        attributes: await getCategoryAttributes(category),
+      },
+    });
+  } catch (error) {
+    console.error('Get category attributes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
 // Create category
 // POST /api/categories
 export async function createCategory(req, res) {
   try {
-    const { name } = req.body;
+    const { name, parent: parentId, attributes: attributeDefinitions = [] } = req.body;
 
     // Validation
     if (!name || name.trim().length < 2) {
@@ -94,18 +301,46 @@ export async function createCategory(req, res) {
       });
     }
 
-    // Check if category already exists
-    const existingCategory = await Category.findOne({ name: name.trim() });
+    // Check the parent category (empty for a top-level category)
+    const { parent, error: parentError } = await findParent(parentId);
+    if (parentError) {
+      return res.status(400).json({
+        success: false,
+        message: parentError,
+        errors: {
+          parent: parentError,
+        },
+      });
+    }
+
+    // Check if the parent already has a category with this name
+    const existingCategory = await findSiblingByName(parent?._id, name.trim());
     if (existingCategory) {
-      return res.status(409).json({
+      return sendDuplicateName(res, existingCategory);
+    }
+
+    // Check the attribute fields and the default reorder settings for products
+    const { attributes, errors } = validateAttributeDefinitions(attributeDefinitions);
+    const reorderCheck = validateReorderSettings(req.body);
+    Object.assign(errors, reorderCheck.errors);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
         success: false,
-        message: 'Category with this name already exists',
-        error: 'DUPLICATE_CATEGORY',
+        message: 'Validation error',
+        errors,
       });
     }
 
     // Create category
-    const category = await Category.create({ name: name.trim() });
+    const category = await Category.create({
+      name: name.trim(),
+      parent: parent ? parent._id : null,
+      ancestors: ancestorsFor(parent),
+      attributes,
+      ...reorderCheck.values,
+    });
+
+    await recordAudit(req, { action: 'create', entityType: 'category', entity: category, after: category });
 
     res.status(201).json({
       success: true,
@@ -118,7 +353,7 @@ export async function createCategory(req, res) {
     if (error.code === 11000) {
       return res.status(409).json({
         success: false,
-        message: 'Category with this name already exists',
+        message: 'Category with this name already exists in the same parent category',
         error: 'DUPLICATE_CATEGORY',
       });
     }
@@ -135,7 +370,7 @@ export async function createCategory(req, res) {
 // PUT /api/categories/:id
 export async function updateCategory(req, res) {
   try {
-    const { name } = req.body;
+    const { name, attributes: attributeDefinitions } = req.body;
 
     // Validation
     if (!name || name.trim().length < 2) {
@@ -158,23 +393,47 @@ export async function updateCategory(req, res) {
       });
     }
 
-    // Check if new name already exists (excluding current category)
-    const existingCategory = await Category.findOne({ 
-      name: name.trim(),
-      _id: { $ne: req.params.id }
-    });
+    // Check if new name already exists below the same parent (excluding current category)
+    const existingCategory = await findSiblingByName(category.parent, name.trim(), category._id);
     if (existingCategory) {
-      return res.status(409).json({
+      return sendDuplicateName(res, existingCategory);
+    }
+
+    // Check the attribute fields (left unchanged when not sent)
+    let attributes;
+    if (attributeDefinitions !== undefined) {
+      const result = validateAttributeDefinitions(attributeDefinitions);
+      if (Object.keys(result.errors).length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: result.errors,
+        });
+      }
+      attributes = result.attributes;
+    }
+
+    // Check the default reorder settings (left unchanged when not sent)
+    const reorderCheck = validateReorderSettings(req.body);
+    if (Object.keys(reorderCheck.errors).length > 0) {
+      return res.status(400).json({
         success: false,
-        message: 'Category with this name already exists',
-        error: 'DUPLICATE_CATEGORY',
+        message: 'Validation error',
+        errors: reorderCheck.errors,
       });
     }
 
     // Update category
+    const before = auditSnapshot(category);
     category.name = name.trim();
+    if (attributes) {
+      category.attributes = attributes;
+    }
+    Object.assign(category, reorderCheck.values);
     await category.save();
 
+    await recordAudit(req, { action: 'update', entityType: 'category', entity: category, before, after: category });
+
     res.status(200).json({
       success: true,
       message: 'Category updated successfully',
@@ -190,8 +449,327 @@ export async function updateCategory(req, res) {
   }
 };
 
-// Delete category
+// Move a category, with everything below it, under another parent
+// PATCH /api/categories/:id/move
+// Send { parent: null } to make it a top-level category
+export async function moveCategory(req, res) {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found',
+        error: 'NOT_FOUND',
+      });
+    }
+
+    const { parent, error: parentError } = await findParent(req.body.parent);
+    if (parentError) {
+      return res.status(400).json({
+        success: false,
+        message: parentError,
+        errors: {
+          parent: parentError,
+        },
+      });
+    }
+
+    // A category cannot be moved into itself or anywhere below itself
+    if (parent && (parent._id.equals(category._id) || parent.ancestors.some((id) => id.equals(category._id)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot move a category into itself or one of its subcategories',
+        error: 'INVALID_PARENT',
+      });
+    }
+
+    // The new parent cannot already have a category with this name
+    const existingCategory = await findSiblingByName(parent?._id, category.name, category._id);
+    if (existingCategory) {
+      return sendDuplicateName(res, existingCategory);
+    }
+
+    const before = auditSnapshot(category);
+    const ancestors = ancestorsFor(parent);
+
+    // Every category below keeps its path under the moved category and gets the new path above it
+    await runInTransaction(async (session) => {
+      await replaceAncestorPrefix(category._id, ancestors, true, session);
+
+      category.parent = parent ? parent._id : null;
+      category.ancestors = ancestors;
+      await category.save({ session });
+    });
+
+    await recordAudit(req, { action: 'update', entityType: 'category', entity: category, before, after: category });
+
+    const [categoryWithPath] = await withCategoryPaths([category]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Category moved successfully',
+      data: categoryWithPath,
+    });
+  } catch (error) {
+    console.error('Move category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Helper function to refuse a name that another category below the same parent has
+// Categories in the trash keep their names
+function sendDuplicateName(res, existingCategory) {
+  return res.status(409).json({
+    success: false,
+    message: existingCategory.deletedAt
+      ? 'A category with this name in the same parent category is in the trash. Restore it or purge it first.'
+      : 'Category with this name already exists in the same parent category',
+    error: 'DUPLICATE_CATEGORY',
+  });
+}
+
+// Helper function to find the category that products are moved to when a category is deleted or merged
+// Returns { target } when valid or { error }
+async function findTargetCategory(category, targetIdOrName) {
+  const { category: target, error } = await findCategory(targetIdOrName);
+  if (!target) {
+    return { error: error || 'Target category does not exist' };
+  }
+  if (target._id.equals(category._id)) {
+    return { error: 'Target category must be a different category' };
+  }
+  return { target };
+}
+
+// Products listed when moving them to another category is refused
+const MAX_LISTED_CONFLICTS = 50;
+
+// Helper function to check the products that move to the target when a category is deleted
+// or merged against the attributes they get there, like the bulk "setCategory" action does
+// With includeSubcategories, the products of the subcategories are checked as well - they
+// move below the target and inherit its attributes instead of the category's
+// withDeleted includes products and subcategories in the trash
+// Returns { conflicts, updates } - conflicts lists the products that do not fit, updates the
+// attribute values (cast to the new types) of the ones that do
+async function checkMovedProductAttributes(category, target, { includeSubcategories, withDeleted }) {
+  const moves = [{ categoryId: category._id, definitions: await getCategoryAttributes(target) }];
+
+  if (includeSubcategories) {
+    const descendants = await Category.find({ ancestors: category._id }).setOptions({ withDeleted }).lean();
+    for (const descendant of descendants) {
+      const below = descendant.ancestors.slice(descendant.ancestors.findIndex((id) => id.equals(category._id)) + 1);
+      const moved = { ...descendant, ancestors: [...target.ancestors, target._id, ...below] };
+      moves.push({ categoryId: descendant._id, definitions: await getCategoryAttributes(moved) });
+    }
+  }
+
+  const conflicts = [];
+  const updates = [];
+  for (const move of moves) {
+    const products = await Product.find({ category: move.categoryId })
+      .setOptions({ withDeleted })
+      .select('name sku attributes deletedAt')
+      .lean();
+    for (const product of products) {
+      const check = validateProductAttributes(move.definitions, product.attributes || {});
+      if (Object.keys(check.errors).length > 0) {
+        conflicts.push({
+          _id: product._id,
+          name: product.name,
+          sku: product.sku,
+          inTrash: Boolean(product.deletedAt),
+          errors: Object.values(check.errors),
+        });
+      } else {
+        updates.push({ _id: product._id, attributes: check.attributes });
+      }
+    }
+  }
+  return { conflicts, updates };
+}
+
+// Helper function to send the products that do not fit the target's attributes
+function sendAttributeConflicts(res, target, conflicts) {
+  return res.status(409).json({
+    success: false,
+    message: `${conflicts.length} product(s) do not fit the attributes of ${target.name}. Update them first.`,
+    error: 'ATTRIBUTE_CONFLICT',
+    data: {
+      conflicts: conflicts.slice(0, MAX_LISTED_CONFLICTS),
+      conflictCount: conflicts.length,
+    },
+  });
+}
+
+// Helper function to save the attribute values of moved products, cast to their new types
+// bulkWrite does not run query middleware, so products in the trash are updated as well
+async function saveMovedProductAttributes(updates, session) {
+  if (updates.length === 0) {
+    return;
+  }
+  await Product.bulkWrite(
+    updates.map((update) => ({
+      updateOne: { filter: { _id: update._id }, update: { $set: { attributes: update.attributes } } },
+    })),
+    { session }
+  );
+}
+
+// Get the categories in the trash, most recently deleted first
+// GET /api/categories/trash?search=&page=&limit=
+// Each category gets its path and "purgeAt", when the trash purger deletes it for good
+export async function getCategoryTrash(req, res) {
+  try {
+    const { search, page = 1, limit = 10 } = req.query;
+
+    // Calculate pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const query = { deletedAt: { $ne: null } };
+    if (search) {
+      query.name = { $regex: search, $options: 'i' };
+    }
+
+    const categories = await Category.find(query)
+      .select('name parent ancestors deletedAt deletedBy')
+      .populate('deletedBy', 'username')
+      .sort({ deletedAt: -1, _id: 1 })
+      .skip(skip)
+      .limit(limitNum)
+      .lean();
+
+    const totalItems = await Category.countDocuments(query);
+    const totalPages = Math.ceil(totalItems / limitNum);
+
+    // Parents in the trash are part of the path as well
+    const ancestorIds = [...new Set(categories.flatMap((category) => category.ancestors.map(String)))];
+    const ancestors = await Category.find({ _id: { $in: ancestorIds } }).setOptions({ withDeleted: true }).select('name').lean();
+    const names = new Map(ancestors.map((ancestor) => [String(ancestor._id), ancestor.name]));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        categories: categories.map((category) => ({
+          ...category,
+          path: [...category.ancestors.map((id) => names.get(String(id))), category.name].join(' > '),
+          purgeAt: purgeDate(category.deletedAt),
+        })),
+        retentionDays: TRASH_RETENTION_DAYS,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalItems,
+          itemsPerPage: limitNum,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get category trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Restore a category from the trash
+// POST /api/categories/:id/restore
+export async function restoreCategory(req, res) {
+  try {
+    const category = await findInTrash(Category, req.params.id);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found in the trash',
+        error: 'NOT_FOUND',
+      });
+    }
+
+    const blocker = await findCategoryRestoreBlocker(category);
+    if (blocker) {
+      return res.status(400).json({
+        success: false,
+        message: blocker,
+        error: 'PARENT_IN_TRASH',
+      });
+    }
+
+    await restoreFromTrash(Category, category._id);
+    await recordAudit(req, { action: 'restore', entityType: 'category', entity: category });
+
+    const restored = await Category.findById(category._id);
+    res.status(200).json({
+      success: true,
+      message: 'Category restored successfully',
+      data: restored,
+    });
+  } catch (error) {
+    console.error('Restore category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Delete a category in the trash for good
+// DELETE /api/categories/:id/purge
+export async function purgeTrashedCategory(req, res) {
+  try {
+    const category = await findInTrash(Category, req.params.id);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found in the trash',
+        error: 'NOT_FOUND',
+      });
+    }
+
+    const blocker = await findCategoryPurgeBlocker(category);
+    if (blocker) {
+      return res.status(400).json({
+        success: false,
+        message: blocker,
+        error: 'CATEGORY_IN_USE',
+      });
+    }
+
+    if (!(await purgeCategory(category))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found in the trash',
+        error: 'NOT_FOUND',
+      });
+    }
+    await recordAudit(req, { action: 'purge', entityType: 'category', entity: category });
+
+    res.status(200).json({
+      success: true,
+      message: 'Category deleted for good',
+    });
+  } catch (error) {
+    console.error('Purge category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Delete category - it goes to the trash first (see utils/trash.js)
 // DELETE /api/categories/:id
+// Products in the category can be moved to another category first with ?reassignTo=<id or name>
+// Products are moved and the category deleted in one transaction
+// Refused with ATTRIBUTE_CONFLICT when products do not fit the attributes of the target
 export async function deleteCategory(req, res) {
   try {
     // Check if category exists
@@ -204,24 +782,91 @@ export async function deleteCategory(req, res) {
       });
     }
 
-    // Check if any products use this category
-    const Product = (await import('../models/Product.js')).default;
-    const productsWithCategory = await Product.findOne({ category: category.name });
-    
-    if (productsWithCategory) {
+    // Subcategories must be moved or deleted first
+    const hasChildren = await Category.exists({ parent: category._id });
+    if (hasChildren) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot delete category. Products are associated with this category',
-        error: 'CATEGORY_IN_USE',
+        message: 'Cannot delete category. It has subcategories',
+        error: 'CATEGORY_HAS_CHILDREN',
       });
     }
 
-    // Delete category
-    await Category.findByIdAndDelete(req.params.id);
+    const reassignTo = req.query.reassignTo || req.body?.reassignTo;
+    let target = null;
+    if (reassignTo) {
+      const result = await findTargetCategory(category, reassignTo);
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error,
+          errors: {
+            reassignTo: result.error,
+          },
+        });
+      }
+      target = result.target;
+    }
+
+    // Without a target, the category can only be deleted when no products use it
+    if (!target) {
+      const productCount = await Product.countDocuments({ category: category._id });
+      if (productCount > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot delete category. Products are associated with this category',
+          error: 'CATEGORY_IN_USE',
+          data: { productCount },
+        });
+      }
+    }
+
+    // The products must fit the target's attributes
+    let attributeUpdates = [];
+    if (target) {
+      const { conflicts, updates } = await checkMovedProductAttributes(category, target, {
+        includeSubcategories: false,
+        withDeleted: false,
+      });
+      if (conflicts.length > 0) {
+        return sendAttributeConflicts(res, target, conflicts);
+      }
+      attributeUpdates = updates;
+    }
+
+    // Move the products and delete the category together - either both happen or neither does
+    // Products in the trash stay in the category, so they can be restored into it
+    const reassignedCount = await runInTransaction(async (session) => {
+      let modifiedCount = 0;
+      if (target) {
+        const result = await Product.updateMany(
+          { category: category._id },
+          { category: target._id },
+          { session }
+        );
+        modifiedCount = result.modifiedCount;
+        await saveMovedProductAttributes(attributeUpdates, session);
+      }
+      await moveToTrash(Category, category._id, req.user, session);
+      return modifiedCount;
+    });
+
+    await recordAudit(req, {
+      action: 'delete',
+      entityType: 'category',
+      entity: category,
+      before: category,
+      details: target ? { reassignedTo: target.name, reassignedProducts: reassignedCount } : null,
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Category deleted successfully',
+      message: target
+        ? `Category moved to the trash. ${reassignedCount} products moved to ${target.name}`
+        : 'Category moved to the trash',
+      data: {
+        reassignedProducts: reassignedCount,
+      },
     });
   } catch (error) {
     console.error('Delete category error:', error);
@@ -233,4 +878,109 @@ export async function deleteCategory(req, res) {
   }
 };
 
+// Merge a category into another one
+// POST /api/categories/:id/merge
+// Body: { targetId } (id or name). Products and subcategories move to the target,
+// then the category is moved to the trash - all in one transaction
+// Refused with ATTRIBUTE_CONFLICT when products do not fit the attributes they get below the target
+export async function mergeCategory(req, res) {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found',
+        error: 'NOT_FOUND',
+      });
+    }
+
+    const { target, error: targetError } = await findTargetCategory(category, req.body.targetId);
+    if (targetError) {
+      return res.status(400).json({
+        success: false,
+        message: targetError,
+        errors: {
+          targetId: targetError,
+        },
+      });
+    }
+
+    // Subcategories move under the target, so the target cannot be one of them
+    if (target.ancestors.some((id) => id.equals(category._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot merge a category into one of its own subcategories',
+        error: 'INVALID_TARGET',
+      });
+    }
+
+    // Subcategories move under the target, so their names cannot be taken there already
+    const childNames = await Category.distinct('name', { parent: category._id }).setOptions({ withDeleted: true });
+    const takenNames = await Category.distinct('name', { parent: target._id, name: { $in: childNames } })
+      .setOptions({ withDeleted: true });
+    if (takenNames.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${target.name} already has subcategories named ${takenNames.join(', ')}. Rename or move them first.`,
+        error: 'DUPLICATE_CATEGORY',
+        data: { names: takenNames },
+      });
+    }
+
+    // Products and subcategories in the trash move as well, so the category is left empty
+    // Every product that moves must fit the attributes it gets below the target
+    const { conflicts, updates } = await checkMovedProductAttributes(category, target, {
+      includeSubcategories: true,
+      withDeleted: true,
+    });
+    if (conflicts.length > 0) {
+      return sendAttributeConflicts(res, target, conflicts);
+    }
 
+    const result = await runInTransaction(async (session) => {
+      const products = await Product.updateMany(
+        { category: category._id },
+        { category: target._id },
+        { session, withDeleted: true }
+      );
+
+      // Children get the target as parent, and everything below gets the target's path
+      const children = await Category.updateMany(
+        { parent: category._id },
+        { parent: target._id },
+        { session, withDeleted: true }
+      );
+      await replaceAncestorPrefix(category._id, [...target.ancestors, target._id], false, session);
+      await saveMovedProductAttributes(updates, session);
+
+      // Like a deleted category, the merged one goes to the trash
+      await moveToTrash(Category, category._id, req.user, session);
+
+      return { movedProducts: products.modifiedCount, movedSubcategories: children.modifiedCount };
+    });
+
+    await recordAudit(req, {
+      action: 'delete',
+      entityType: 'category',
+      entity: category,
+      before: category,
+      details: { mergedInto: target.name, ...result },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${category.name} merged into ${target.name} and moved to the trash`,
+      data: {
+        target,
+        ...result,
+      },
+    });
+  } catch (error) {
+    console.error('Merge category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
@@ -0,0 +1,236 @@
+import mongoose from 'mongoose';
+import Customer from '../models/Customer.js';
+import SalesOrder from '../models/SalesOrder.js';
+import { auditSnapshot, recordAudit } from '../utils/audit.js';
+
+// Fields of a customer that are plain text
+const TEXT_FIELDS = ['email', 'phone', 'address', 'notes'];
+
+// Helper function to validate customer fields
+// When isUpdate is true, only the fields that were sent are checked
+function validateCustomer(fields, isUpdate) {
+  const { name, email } = fields;
+  const errors = {};
+
+  if (!isUpdate || name !== undefined) {
+    if (!name || typeof name !== 'string' || name.trim().length < 2) {
+      errors.name = 'Customer name is required and must be at least 2 characters';
+    }
+  }
+  for (const field of TEXT_FIELDS) {
+    if (fields[field] !== undefined && typeof fields[field] !== 'string') {
+      errors[field] = 'Must be text';
+    }
+  }
+  if (!errors.email && email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+    errors.email = 'Please enter a valid email';
+  }
+
+  return errors;
+}
+
+// Helper function to answer a request for a customer that does not exist
+function sendNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    message: 'Customer not found',
+    error: 'NOT_FOUND',
+  });
+}
+
+// Get customers by name, with the number of sales orders of each one
+// GET /api/customers
+export async function getCustomers(req, res) {
+  try {
+    const { search, page = 1, limit = 20 } = req.query;
+
+    // Calculate pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    // Build query
+    const query = {};
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { email: { $regex: search, $options: 'i' } },
+      ];
+    }
+
+    const customers = await Customer.find(query).sort({ name: 1 }).skip(skip).limit(limitNum).lean();
+    const counts = await SalesOrder.aggregate([
+      { $match: { customer: { $in: customers.map((customer) => customer._id) } } },
+      { $group: { _id: '$customer', count: { $sum: 1 } } },
+    ]);
+    const countById = new Map(counts.map((count) => [String(count._id), count.count]));
+
+    const totalItems = await Customer.countDocuments(query);
+    const totalPages = Math.ceil(totalItems / limitNum);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        customers: customers.map((customer) => ({
+          ...customer,
+          orderCount: countById.get(String(customer._id)) || 0,
+        })),
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalItems,
+          itemsPerPage: limitNum,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get customers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Get single customer
+// GET /api/customers/:id
+export async function getCustomer(req, res) {
+  try {
+    const customer = mongoose.isValidObjectId(req.params.id) ? await Customer.findById(req.params.id) : null;
+    if (!customer) {
+      return sendNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: customer,
+    });
+  } catch (error) {
+    console.error('Get customer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Create customer
+// POST /api/customers
+export async function createCustomer(req, res) {
+  try {
+    const errors = validateCustomer(req.body, false);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors,
+      });
+    }
+
+    const data = { name: req.body.name.trim() };
+    for (const field of TEXT_FIELDS) {
+      if (req.body[field] !== undefined) {
+        data[field] = req.body[field].trim();
+      }
+    }
+    const customer = await Customer.create(data);
+
+    await recordAudit(req, { action: 'create', entityType: 'customer', entity: customer, after: customer });
+
+    res.status(201).json({
+      success: true,
+      message: 'Customer created successfully',
+      data: customer,
+    });
+  } catch (error) {
+    console.error('Create customer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Update customer
+// PUT /api/customers/:id
+export async function updateCustomer(req, res) {
+  try {
+    const customer = mongoose.isValidObjectId(req.params.id) ? await Customer.findById(req.params.id) : null;
+    if (!customer) {
+      return sendNotFound(res);
+    }
+
+    const errors = validateCustomer(req.body, true);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors,
+      });
+    }
+
+    const before = auditSnapshot(customer);
+    if (req.body.name !== undefined) customer.name = req.body.name.trim();
+    for (const field of TEXT_FIELDS) {
+      if (req.body[field] !== undefined) {
+        customer[field] = req.body[field].trim();
+      }
+    }
+    await customer.save();
+
+    await recordAudit(req, { action: 'update', entityType: 'customer', entity: customer, before, after: customer });
+
+    res.status(200).json({
+      success: true,
+      message: 'Customer updated successfully',
+      data: customer,
+    });
+  } catch (error) {
+    console.error('Update customer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Delete customer - only when it has no sales orders
+// DELETE /api/customers/:id
+export async function deleteCustomer(req, res) {
+  try {
+    const customer = mongoose.isValidObjectId(req.params.id) ? await Customer.findById(req.params.id) : null;
+    if (!customer) {
+      return sendNotFound(res);
+    }
+
+    const orderCount = await SalesOrder.countDocuments({ customer: customer._id });
+    if (orderCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete customer. It has ${orderCount} sales order(s).`,
+        error: 'CUSTOMER_HAS_ORDERS',
+        data: { orderCount },
+      });
+    }
+
+    await Customer.findByIdAndDelete(customer._id);
+
+    await recordAudit(req, { action: 'delete', entityType: 'customer', entity: customer, before: customer });
+
+    res.status(200).json({
+      success: true,
+      message: 'Customer deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete customer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
@@ -0,0 +1,105 @@
+import Product from '../models/Product.js';
+import Category from '../models/Category.js';
+import { findCategory, getDescendantIds } from '../utils/categories.js';
+import { AVAILABLE_STOCK, lowStockPipeline } from '../utils/lowStock.js';
+
+// Get the products whose available stock is at or below their reorder point, the furthest below first
+// GET /api/inventory/low-stock
+// Filters: category (id or name, with subcategories)
+export async function getLowStock(req, res) {
+  try {
+    const { category, page = 1, limit = 20 } = req.query;
+
+    // Calculate pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    // Build query
+    const query = {};
+    if (category && category !== 'all') {
+      const { category: categoryDoc, error: categoryError } = await findCategory(category);
+      if (categoryError) {
+        return res.status(400).json({
+          success: false,
+          message: categoryError,
+          error: 'VALIDATION_ERROR',
+        });
+      }
+      if (!categoryDoc) {
+        return res.status(404).json({
+          success: false,
+          message: 'Category not found',
+          error: 'NOT_FOUND',
+        });
+      }
+      query.category = { $in: [categoryDoc._id, ...(await getDescendantIds(categoryDoc._id))] };
+    }
+
+    const [result] = await Product.aggregate([
+      ...lowStockPipeline(query),
+      // How far the available stock is below the reorder point
+      { $addFields: { available: AVAILABLE_STOCK } },
+      { $addFields: { shortfall: { $subtract: ['$effectiveReorderPoint', '$available'] } } },
+      {
+        $facet: {
+          products: [
+            { $sort: { shortfall: -1, name: 1, _id: 1 } },
+            { $skip: skip },
+            { $limit: limitNum },
+            {
+              $lookup: {
+                from: Category.collection.name,
+                localField: 'category',
+                foreignField: '_id',
+                pipeline: [{ $project: { name: 1 } }],
+                as: 'category',
+              },
+            },
+            { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } },
+            {
+              $project: {
+                name: 1,
+                sku: 1,
+                category: 1,
+                stock: 1,
+                reserved: 1,
+                available: 1,
+                reorderPoint: 1,
+                reorderQuantity: 1,
+                effectiveReorderPoint: 1,
+                effectiveReorderQuantity: 1,
+                shortfall: 1,
+                lowStockAlertedAt: 1,
+              },
+            },
+          ],
+          total: [{ $count: 'count' }],
+        },
+      },
+    ]);
+
+    const totalItems = result.total[0]?.count || 0;
+    const totalPages = Math.ceil(totalItems / limitNum);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        products: result.products,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalItems,
+          itemsPerPage: limitNum,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get low stock error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
@@ -0,0 +1,111 @@
+import mongoose from 'mongoose';
+import Notification from '../models/Notification.js';
+
+// Get the notifications of the logged in user, newest first, with the number of unread ones
+// GET /api/notifications
+// With ?unread=true, only unread notifications are returned
+export async function getNotifications(req, res) {
+  try {
+    const { unread, page = 1, limit = 20 } = req.query;
+
+    // Calculate pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    // Build query
+    const query = { user: req.user._id };
+    if (unread === 'true') {
+      query.readAt = null;
+    }
+
+    const notifications = await Notification.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const totalItems = await Notification.countDocuments(query);
+    const totalPages = Math.ceil(totalItems / limitNum);
+    const unreadCount = await Notification.countDocuments({ user: req.user._id, readAt: null });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalItems,
+          itemsPerPage: limitNum,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Mark one notification of the logged in user as read
+// PATCH /api/notifications/:id/read
+export async function markNotificationRead(req, res) {
+  try {
+    const notification = mongoose.isValidObjectId(req.params.id)
+      ? await Notification.findOne({ _id: req.params.id, user: req.user._id })
+      : null;
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found',
+        error: 'NOT_FOUND',
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      data: notification,
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Mark every notification of the logged in user as read
+// PATCH /api/notifications/read-all
+export async function markAllNotificationsRead(req, res) {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        updated: result.modifiedCount,
+      },
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
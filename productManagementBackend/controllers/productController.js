@@ -1,7 +1,128 @@
-import Product from '../models/Product.js';
+import fs from 'fs/promises';
+import mongoose from 'mongoose';
+import Product, { PRODUCT_KINDS } from '../models/Product.js';
 import Category from '../models/Category.js';
+import SalesOrder from '../models/SalesOrder.js';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import StockTake from '../models/StockTake.js';
+import Warehouse from '../models/Warehouse.js';
 import { v2 as cloudinary } from 'cloudinary';
 import formidable from 'formidable';
+import { auditSnapshot, recordAudit } from '../utils/audit.js';
+import { findCategory, getDescendantIds, withCategoryPaths } from '../utils/categories.js';
+import { buildAttributeQuery, getCategoryAttributes, validateProductAttributes } from '../utils/attributes.js';
+import { keepProductImages, validateVariants } from '../utils/variants.js';
+import { applyStockMovement, clearStock, refreshBundleStock } from '../utils/inventory.js';
+import { checkBundleComponents, sameComponents } from '../utils/bundles.js';
+import { EXPORT_FORMATS, mapInBatches, readSpreadsheet, spreadsheetType, streamExport } from '../utils/spreadsheets.js';
+import { PRODUCT_EXPORT_COLUMNS, pickColumns } from '../utils/exportColumns.js';
+import { IMPORT_FIELDS, checkMapping, readImportRow, suggestMapping } from '../utils/productImport.js';
+import { runInTransaction } from '../utils/transaction.js';
+import {
+  TRASH_RETENTION_DAYS,
+  findInTrash,
+  findProductRestoreBlocker,
+  moveToTrash,
+  purgeDate,
+  purgeProduct,
+  restoreFromTrash,
+} from '../utils/trash.js';
+import { hasPermission } from '../utils/permissions.js';
+import { LOW_STOCK_CONDITION, REORDER_STAGES, lowStockPipeline, validateReorderSettings } from '../utils/lowStock.js';
+import { checkProductSuppliers } from '../utils/purchasing.js';
+import {
+  checkProductCodes,
+  duplicateCodeMessage,
+  normalizeBarcode,
+  normalizeSku,
+  validateBarcode,
+  validateSku,
+} from '../utils/productCodes.js';
+
+// Fields products can be sorted by - "category" sorts by the category name
+const SORT_FIELDS = {
+  name: 'name',
+  sku: 'sku',
+  price: 'sortPrice',
+  stock: 'stock',
+  category: 'category.name',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+};
+
+// Most rows that are read from one import file
+const MAX_IMPORT_ROWS = 5000;
+
+// Products that are read from the database at a time while exporting
+const EXPORT_BATCH_SIZE = 500;
+
+// Actions of POST /api/products/bulk with the permission each one needs
+const BULK_ACTIONS = {
+  delete: 'products:delete',
+  setCategory: 'products:update',
+  adjustPrice: 'products:update',
+  setStock: 'products:update',
+};
+
+// Most products one bulk action can change
+const MAX_BULK_PRODUCTS = 1000;
+
+// Helper function to build the expression for the stock of a product in one warehouse
+// (all variants together)
+function warehouseStockExpression(warehouseId) {
+  return {
+    $sum: {
+      $map: {
+        input: {
+          $filter: {
+            input: { $ifNull: ['$locations', []] },
+            as: 'location',
+            cond: { $eq: ['$$location.warehouse', warehouseId] },
+          },
+        },
+        as: 'location',
+        in: '$$location.stock',
+      },
+    },
+  };
+}
+
+// Helper function to build the aggregation stage that adds "sortPrice" to each product
+// Products with variants sort by their lowest price going up and by their highest price going down
+function sortPriceStage(direction) {
+  const variantPrices = {
+    $map: {
+      input: '$variants',
+      as: 'variant',
+      in: { $ifNull: ['$$variant.price', '$price'] },
+    },
+  };
+  return {
+    $addFields: {
+      sortPrice: {
+        $cond: [
+          { $gt: [{ $size: { $ifNull: ['$variants', []] } }, 0] },
+          direction === -1 ? { $max: variantPrices } : { $min: variantPrices },
+          '$price',
+        ],
+      },
+    },
+  };
+}
+
+// Aggregation stages that replace the category id with { _id, name }, like populate does
+const CATEGORY_LOOKUP = [
+  {
+    $lookup: {
+      from: Category.collection.name,
+      localField: 'category',
+      foreignField: '_id',
+      pipeline: [{ $project: { name: 1 } }],
+      as: 'category',
+    },
+  },
+  { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } },
+];
 
 // Helper function to parse form data with files
 async function parseFormData(req) {
@@ -21,6 +142,167 @@ async function parseFormData(req) {
   });
 }
 
+// Helper function to read an object or list field (attributes, options, variants) from the request
+// JSON requests send the value itself, form data sends a JSON string
+// Returns undefined when the field was not sent and null when it cannot be read
+function parseJsonField(fields, name) {
+  const value = Array.isArray(fields[name]) ? fields[name][0] : fields[name];
+  if (value === undefined) {
+    return undefined;
+  }
+  if (typeof value === 'string') {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+  return value;
+}
+
+// Helper function to check attribute values against the attributes of a category
+// Returns { attributes, errors }
+async function checkAttributes(category, values) {
+  if (values === null || typeof values !== 'object' || Array.isArray(values)) {
+    return { attributes: {}, errors: { attributes: 'Attributes must be an object' } };
+  }
+  const definitions = category ? await getCategoryAttributes(category) : [];
+  return validateProductAttributes(definitions, values);
+}
+
+// Helper function to check the options and variants sent for a product
+// Returns null when neither was sent, otherwise { options, variants, errors }
+function checkVariants(fields) {
+  const options = parseJsonField(fields, 'options');
+  const variants = parseJsonField(fields, 'variants');
+  if (options === undefined && variants === undefined) {
+    return null;
+  }
+  if (options === null || variants === null) {
+    return { options: [], variants: [], errors: { variants: 'Options and variants must be valid JSON' } };
+  }
+  return validateVariants(options, variants);
+}
+
+// Helper function to bring the stock to the numbers entered in the product form
+// Stock only changes through the ledger, so each difference is recorded as an adjustment
+// wantedStock is used for products without variants, wantedVariantStock[i] for product.variants[i]
+// Stock that is left out (undefined) is not changed
+// Differences are booked in the given warehouse (the default warehouse when empty)
+async function adjustToWantedStock(product, wantedStock, wantedVariantStock, warehouseId, user, reason, session) {
+  const changes = [];
+  if (product.variants.length === 0) {
+    if (wantedStock !== undefined && wantedStock !== product.stock) {
+      changes.push({ variantId: null, quantity: wantedStock - product.stock });
+    }
+  } else if (wantedVariantStock) {
+    product.variants.forEach((variant, index) => {
+      if (wantedVariantStock[index] !== undefined && wantedVariantStock[index] !== variant.stock) {
+        changes.push({ variantId: variant._id, quantity: wantedVariantStock[index] - variant.stock });
+      }
+    });
+  }
+
+  for (const change of changes) {
+    await applyStockMovement({ productId: product._id, ...change, warehouseId, type: 'adjustment', reason, user }, session);
+  }
+}
+
+// Helper function to check if saving the product form moves stock: it removes variants, moves
+// the stock of a product to its new variants, or changes a stock number
+// current is the product as stored, wantedStock the stock entered for a product without variants
+function formMovesStock(current, variantCheck, wantedStock) {
+  if (!variantCheck) {
+    return current.variants.length === 0 && wantedStock !== undefined && wantedStock !== current.stock;
+  }
+  const keptIds = new Set(variantCheck.variants.filter((variant) => variant._id).map((variant) => String(variant._id)));
+  if (current.variants.some((variant) => !keptIds.has(String(variant._id)))) {
+    return true;
+  }
+  if (current.variants.length === 0 && variantCheck.variants.length > 0 && current.stock > 0) {
+    return true;
+  }
+  const currentStock = new Map(current.variants.map((variant) => [String(variant._id), variant.stock]));
+  return variantCheck.variants.some((variant) =>
+    variant.stock !== undefined && variant.stock !== (currentStock.get(String(variant._id)) ?? 0)
+  );
+}
+
+// Helper function to check the fields every new product needs - used by createProduct and the import
+// needsStock is false for products that get their stock from somewhere else (variants, bundles)
+// Returns errors keyed by field
+function checkNewProductFields({ name, price, category, stock, sku, barcode }, needsStock) {
+  const errors = {};
+  if (!name || name.trim().length < 2) {
+    errors.name = 'Product name is required and must be at least 2 characters';
+  }
+  if (!price || price <= 0) {
+    errors.price = 'Price must be greater than 0';
+  }
+  if (!category || category.trim().length === 0) {
+    errors.category = 'Category is required';
+  }
+  const skuError = validateSku(sku);
+  if (skuError) {
+    errors.sku = skuError;
+  }
+  const barcodeError = barcode ? validateBarcode(barcode) : null;
+  if (barcodeError) {
+    errors.barcode = barcodeError;
+  }
+  if (needsStock && (stock === undefined || stock < 0)) {
+    errors.stock = 'Stock must be 0 or greater';
+  }
+  return errors;
+}
+
+// Helper function to check the suppliers sent for a product
+// Returns null when they were not sent, otherwise { suppliers, errors }
+async function checkSuppliers(fields) {
+  const suppliers = parseJsonField(fields, 'suppliers');
+  if (suppliers === undefined) {
+    return null;
+  }
+  if (suppliers === null) {
+    return { suppliers: [], errors: { suppliers: 'Suppliers must be valid JSON' } };
+  }
+  return checkProductSuppliers(suppliers);
+}
+
+// Helper function to check the components sent for a bundle
+// Returns null when they were not sent, otherwise { components, errors }
+async function checkComponents(fields, bundleId) {
+  const components = parseJsonField(fields, 'components');
+  if (components === undefined) {
+    return null;
+  }
+  if (components === null) {
+    return { components: [], errors: { components: 'Components must be valid JSON' } };
+  }
+  return checkBundleComponents(components, bundleId);
+}
+
+// Helper function to find a bundle that confirmed sales orders hold stock for
+// The components of such a bundle cannot change, or the reserved units would no longer match
+function hasConfirmedOrders(bundleId) {
+  return SalesOrder.exists({ status: 'confirmed', 'lines.product': bundleId });
+}
+
+// Helper function to check a warehouse id sent with a product - empty means the default warehouse
+async function isValidWarehouse(warehouseId) {
+  return !warehouseId || (mongoose.isValidObjectId(warehouseId) && Boolean(await Warehouse.exists({ _id: warehouseId })));
+}
+
+// Helper function to answer a request whose SKU or barcode is used by another product
+function sendDuplicateCodes(res, errors) {
+  return res.status(409).json({
+    success: false,
+    message: 'SKU or barcode is already in use',
+    error: 'DUPLICATE_CODE',
+    errors,
+  });
+}
+
 // Helper function to upload file to Cloudinary
 async function uploadFileToCloudinary(filePath) {
   try {
@@ -63,53 +345,183 @@ async function uploadImageFromUrl(imageUrl) {
   }
 }
 
-// Helper function to delete image from Cloudinary
-async function deleteImage(imageUrl) {
-  try {
-    // Extract public_id from URL
-    const urlParts = imageUrl.split('/');
-    const lastTwoParts = urlParts.slice(-2).join('/');
-    const publicId = lastTwoParts.split('.')[0];
-    await cloudinary.uploader.destroy(publicId);
-  } catch (error) {
-    console.error('Error deleting image:', error);
+// Helper function to turn the filters and sorting of a product list request into a query
+// Shared by getProducts and exportProducts, so an export holds exactly the products the list shows
+// Returns { error } for invalid filters and category names that several categories have,
+// { query: null } when the category does not exist,
+// otherwise { query, warehouseStock, sortField, sortDirection, lowStockOnly }
+async function buildProductListQuery({
+  search,
+  category,
+  includeDescendants,
+  attr,
+  warehouse,
+  minStock,
+  maxStock,
+  lowStock,
+  kind,
+  sortBy = 'name',
+  sortOrder = 'asc',
+}) {
+  const query = {};
+
+  // Case-insensitive search by name, SKU or barcode (of the product or one of its variants)
+  if (search) {
+    const pattern = { $regex: search, $options: 'i' };
+    query.$or = [
+      { name: pattern },
+      { sku: pattern },
+      { barcode: pattern },
+      { 'variants.sku': pattern },
+      { 'variants.barcode': pattern },
+    ];
+  }
+
+  // Category can be given by id, by path or by name
+  // With includeDescendants=true, products in every subcategory are included too
+  if (category && category !== 'all') {
+    const { category: categoryDoc, error: categoryError } = await findCategory(category);
+    if (categoryError) {
+      return { error: categoryError };
+    }
+    if (!categoryDoc) {
+      return { query: null };
+    }
+    if (includeDescendants === 'true') {
+      const descendantIds = await getDescendantIds(categoryDoc._id);
+      query.category = { $in: [categoryDoc._id, ...descendantIds] };
+    } else {
+      query.category = categoryDoc._id;
+    }
+  }
+
+  // Only bundles (?kind=bundle) or only standard products
+  if (kind && PRODUCT_KINDS.includes(kind)) {
+    query.kind = kind === 'bundle' ? 'bundle' : { $ne: 'bundle' };
+  }
+
+  // Attribute filters, e.g. ?attr[size]=M&attr[ram]=16
+  const { query: attributeQuery, error: attributeError } = buildAttributeQuery(attr);
+  if (attributeError) {
+    return { error: attributeError };
+  }
+  Object.assign(query, attributeQuery);
+
+  // With ?warehouse=<id>, stock filters and sorting use the stock in that warehouse
+  // and each product gets "warehouseStock", otherwise they use the total stock
+  let warehouseStock = null;
+  if (warehouse && warehouse !== 'all') {
+    if (!mongoose.isValidObjectId(warehouse)) {
+      return { error: 'Invalid warehouse' };
+    }
+    warehouseStock = warehouseStockExpression(new mongoose.Types.ObjectId(warehouse));
+  }
+
+  // Stock range, e.g. ?minStock=1 for products in stock
+  const stockRange = {};
+  if (minStock !== undefined && minStock !== '') stockRange.$gte = Number(minStock);
+  if (maxStock !== undefined && maxStock !== '') stockRange.$lte = Number(maxStock);
+  if (Object.values(stockRange).some((value) => isNaN(value))) {
+    return { error: 'Stock range must be numbers' };
+  }
+  if (Object.keys(stockRange).length > 0) {
+    if (warehouseStock) {
+      query.$expr = {
+        $and: Object.entries(stockRange).map(([operator, value]) => ({ [operator]: [warehouseStock, value] })),
+      };
+    } else {
+      query.stock = stockRange;
+    }
+  }
+
+  let sortField = SORT_FIELDS[sortBy] || SORT_FIELDS.name;
+  if (warehouseStock && sortField === SORT_FIELDS.stock) {
+    sortField = 'warehouseStock';
   }
+
+  return {
+    query,
+    warehouseStock,
+    sortField,
+    sortDirection: sortOrder === 'desc' ? -1 : 1,
+    lowStockOnly: lowStock === 'true',
+  };
+}
+
+// Helper function to build the aggregation pipeline for a product list query
+// afterSortStages (e.g. $skip and $limit) come right after sorting
+// The category is only looked up before sorting when sorting by category name,
+// otherwise it is looked up for the products left after afterSortStages only
+// Each product gets its reorder settings in effect (see utils/lowStock.js) - they are looked up
+// first when only low stock products are wanted (?lowStock=true), or when the category lookup
+// comes first, since they need the category id
+function productListPipeline({ query, warehouseStock, sortField, sortDirection, lowStockOnly }, afterSortStages = []) {
+  const sortByCategory = sortField === SORT_FIELDS.category;
+  const sortByPrice = sortField === SORT_FIELDS.price;
+  const reorderFirst = lowStockOnly || sortByCategory;
+  // _id keeps the order stable between pages
+  const sort = { [sortField]: sortDirection, _id: 1 };
+  return [
+    { $match: query },
+    ...(reorderFirst ? REORDER_STAGES : []),
+    ...(lowStockOnly ? [{ $match: { $expr: LOW_STOCK_CONDITION } }] : []),
+    ...(sortByCategory ? CATEGORY_LOOKUP : []),
+    ...(sortByPrice ? [sortPriceStage(sortDirection)] : []),
+    ...(warehouseStock ? [{ $addFields: { warehouseStock } }] : []),
+    { $sort: sort },
+    ...afterSortStages,
+    ...(reorderFirst ? [] : REORDER_STAGES),
+    ...(sortByCategory ? [] : CATEGORY_LOOKUP),
+    ...(sortByPrice ? [{ $unset: 'sortPrice' }] : []),
+  ];
 }
 
 // Get all products
 // GET /api/products
 export async function getProducts(req, res) {
   try {
-    const { search, category, sortBy = 'name', sortOrder = 'asc', page = 1, limit = 5 } = req.query;
-    
-    // Build query
-    const query = {};
-    
-    if (search) {
-      query.name = { $regex: search, $options: 'i' }; // Case-insensitive search
-    }
-    
-    if (category && category !== 'all') {
-      query.category = category;
-    }
-
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    const { page = 1, limit = 5 } = req.query;
 
     // Calculate pagination
     const pageNum = parseInt(page);
     const limitNum = parseInt(limit);
     const skip = (pageNum - 1) * limitNum;
 
+    // Build query
+    const list = await buildProductListQuery(req.query);
+    if (list.error) {
+      return res.status(400).json({
+        success: false,
+        message: list.error,
+        error: 'VALIDATION_ERROR',
+      });
+    }
+    if (!list.query) {
+      return res.status(200).json({
+        success: true,
+        data: {
+          products: [],
+          pagination: {
+            currentPage: pageNum,
+            totalPages: 0,
+            totalItems: 0,
+            itemsPerPage: limitNum,
+          },
+        },
+      });
+    }
+
     // Get products
-    const products = await Product.find(query)
-      .sort(sort)
-      .skip(skip)
-      .limit(limitNum);
+    const products = await Product.aggregate(productListPipeline(list, [{ $skip: skip }, { $limit: limitNum }]));
 
     // Get total count
-    const totalItems = await Product.countDocuments(query);
+    let totalItems;
+    if (list.lowStockOnly) {
+      const [count] = await Product.aggregate([...lowStockPipeline(list.query), { $count: 'total' }]);
+      totalItems = count ? count.total : 0;
+    } else {
+      totalItems = await Product.countDocuments(list.query);
+    }
     const totalPages = Math.ceil(totalItems / limitNum);
 
     res.status(200).json({
@@ -134,11 +546,143 @@ export async function getProducts(req, res) {
   }
 };
 
+// Helper function to add the full category path to a batch of exported products
+async function withProductCategoryPaths(products) {
+  const categoryIds = [...new Set(products.filter((product) => product.category).map((product) => String(product.category._id)))];
+  const categories = await withCategoryPaths(await Category.find({ _id: { $in: categoryIds } }).select('name ancestors').lean());
+  const paths = new Map(categories.map((category) => [String(category._id), category.path]));
+  return products.map((product) => ({
+    ...product,
+    category: product.category && { ...product.category, path: paths.get(String(product.category._id)) },
+  }));
+}
+
+// Export the products the product list shows
+// GET /api/products/export?format=csv|xlsx|json&columns=sku,name,price
+// Takes every filter and the sorting of GET /api/products - page and limit are ignored, so
+// every matching product is exported. Products are streamed, not loaded all at once.
+export async function exportProducts(req, res) {
+  try {
+    const { format = 'csv' } = req.query;
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}`,
+        error: 'VALIDATION_ERROR',
+      });
+    }
+    const { columns, error: columnsError } = pickColumns(PRODUCT_EXPORT_COLUMNS, req.query.columns);
+    if (columnsError) {
+      return res.status(400).json({
+        success: false,
+        message: columnsError,
+        error: 'VALIDATION_ERROR',
+      });
+    }
+
+    const list = await buildProductListQuery(req.query);
+    if (list.error) {
+      return res.status(400).json({
+        success: false,
+        message: list.error,
+        error: 'VALIDATION_ERROR',
+      });
+    }
+
+    // Stock per warehouse, suppliers and bundle components are not exported
+    const products = list.query
+      ? Product.aggregate(productListPipeline(list, [{ $project: { locations: 0, suppliers: 0, components: 0 } }]))
+        .allowDiskUse(true)
+        .cursor({ batchSize: EXPORT_BATCH_SIZE })
+      : [];
+
+    await streamExport(res, {
+      format,
+      fileName: `products-${new Date().toISOString().slice(0, 10)}`,
+      columns,
+      rows: mapInBatches(products, EXPORT_BATCH_SIZE, withProductCategoryPaths),
+    });
+  } catch (error) {
+    console.error('Export products error:', error);
+    // Once the file has started, the only way to tell the client is to break off the download
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Find a product by SKU or barcode, of the product itself or one of its variants
+// GET /api/products/lookup?code=
+export async function lookupProduct(req, res) {
+  try {
+    const code = typeof req.query.code === 'string' ? req.query.code.trim() : '';
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Code is required',
+        error: 'VALIDATION_ERROR',
+      });
+    }
+
+    // SKUs are stored in upper case, barcodes as digits only
+    const sku = normalizeSku(code);
+    const barcode = normalizeBarcode(code);
+    const product = await Product.findOne({
+      $or: [
+        { sku },
+        { barcode },
+        { 'variants.sku': sku },
+        { 'variants.barcode': barcode },
+      ],
+    }).populate('category', 'name');
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'No product found for this code',
+        error: 'NOT_FOUND',
+      });
+    }
+
+    // Tell which variant (if any) and which kind of code matched
+    let variant = null;
+    let matchedBy = product.sku === sku ? 'sku' : 'barcode';
+    if (product.sku !== sku && product.barcode !== barcode) {
+      variant = product.variants.find((item) => item.sku === sku || item.barcode === barcode);
+      matchedBy = variant.sku === sku ? 'sku' : 'barcode';
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        product,
+        variant,
+        matchedBy,
+      },
+    });
+  } catch (error) {
+    console.error('Lookup product error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
 // Get single product
 // GET /api/products/:id
 export async function getProduct(req, res) {
   try {
-    const product = await Product.findById(req.params.id);
+    // Components of a bundle come with the names, SKUs and variants of their products
+    const product = await Product.findById(req.params.id)
+      .populate('category', 'name')
+      .populate('components.product', 'name sku stock reserved options variants');
 
     if (!product) {
       return res.status(404).json({
@@ -181,20 +725,34 @@ export async function createProduct(req, res) {
     const price = Array.isArray(fields.price) ? fields.price[0] : fields.price;
     const category = Array.isArray(fields.category) ? fields.category[0] : fields.category;
     const stock = Array.isArray(fields.stock) ? fields.stock[0] : fields.stock;
+    const sku = normalizeSku(Array.isArray(fields.sku) ? fields.sku[0] : fields.sku);
+    const barcode = normalizeBarcode(Array.isArray(fields.barcode) ? fields.barcode[0] : fields.barcode);
+    // Warehouse that receives the initial stock - the default warehouse when empty
+    const warehouse = (Array.isArray(fields.warehouse) ? fields.warehouse[0] : fields.warehouse) || null;
+    // Empty reorder settings use the defaults of the category
+    const reorderCheck = validateReorderSettings({
+      reorderPoint: Array.isArray(fields.reorderPoint) ? fields.reorderPoint[0] : fields.reorderPoint,
+      reorderQuantity: Array.isArray(fields.reorderQuantity) ? fields.reorderQuantity[0] : fields.reorderQuantity,
+    });
+    const variantCheck = checkVariants(fields);
+    const hasVariants = Boolean(variantCheck && variantCheck.variants.length > 0);
+    // Bundles are made of other products and get their stock from them
+    const kind = (Array.isArray(fields.kind) ? fields.kind[0] : fields.kind) || 'standard';
+    const isBundle = kind === 'bundle';
 
     // Validation
     const errors = {};
-    if (!name || name.trim().length < 2) {
-      errors.name = 'Product name is required and must be at least 2 characters';
-    }
-    if (!price || price <= 0) {
-      errors.price = 'Price must be greater than 0';
+    if (!PRODUCT_KINDS.includes(kind)) {
+      errors.kind = `Type must be one of: ${PRODUCT_KINDS.join(', ')}`;
     }
-    if (!category || category.trim().length === 0) {
-      errors.category = 'Category is required';
+    // Products with variants get their stock from the variants
+    Object.assign(errors, checkNewProductFields({ name, price, category, stock, sku, barcode }, !isBundle && !hasVariants));
+    if (isBundle && hasVariants) {
+      errors.variants = 'Bundles cannot have variants';
     }
-    if (stock === undefined || stock < 0) {
-      errors.stock = 'Stock must be 0 or greater';
+    Object.assign(errors, reorderCheck.errors);
+    if (variantCheck) {
+      Object.assign(errors, variantCheck.errors);
     }
 
     if (Object.keys(errors).length > 0) {
@@ -205,18 +763,80 @@ export async function createProduct(req, res) {
       });
     }
 
-    // Check if category exists
-    const categoryExists = await Category.findOne({ name: category.trim() });
-    if (!categoryExists) {
+    // SKU and barcodes must not be used by another product
+    const codeErrors = await checkProductCodes({
+      sku,
+      barcode,
+      variants: variantCheck ? variantCheck.variants : [],
+    });
+    if (Object.keys(codeErrors).length > 0) {
+      return sendDuplicateCodes(res, codeErrors);
+    }
+
+    if (!(await isValidWarehouse(warehouse))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Warehouse does not exist',
+        errors: {
+          warehouse: 'Invalid warehouse',
+        },
+      });
+    }
+
+    // Check if category exists (by id, or by path or name for older clients)
+    const { category: categoryDoc, error: categoryError } = await findCategory(category);
+    if (!categoryDoc) {
       return res.status(400).json({
         success: false,
-        message: 'Category does not exist',
+        message: categoryError || 'Category does not exist',
         errors: {
-          category: 'Invalid category',
+          category: categoryError || 'Invalid category',
         },
       });
     }
 
+    // Check attribute values against the category's attribute fields
+    const attributeValues = parseJsonField(fields, 'attributes');
+    const attributeCheck = await checkAttributes(categoryDoc, attributeValues === undefined ? {} : attributeValues);
+    if (Object.keys(attributeCheck.errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: attributeCheck.errors,
+      });
+    }
+
+    // Suppliers the product can be bought from, with their cost and lead time
+    const supplierCheck = await checkSuppliers(fields);
+    if (supplierCheck && Object.keys(supplierCheck.errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: supplierCheck.errors,
+      });
+    }
+
+    // Products in a bundle - bundles need at least one, standard products cannot have any
+    const componentCheck = await checkComponents(fields, null);
+    const componentErrors = {};
+    if (isBundle) {
+      Object.assign(componentErrors, componentCheck
+        ? componentCheck.errors
+        : { components: 'Add at least one product to the bundle' });
+      if (supplierCheck && supplierCheck.suppliers.length > 0) {
+        componentErrors.suppliers = 'Bundles are bought as the products in them';
+      }
+    } else if (componentCheck && componentCheck.components.length > 0) {
+      componentErrors.components = 'Only bundles can contain other products';
+    }
+    if (Object.keys(componentErrors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: componentErrors,
+      });
+    }
+
     // Process uploaded files - upload to Cloudinary
     let processedImages = [];
     
@@ -255,14 +875,50 @@ export async function createProduct(req, res) {
       }
     }
 
-    // Create product
-    const product = await Product.create({
-      name: name.trim(),
-      price: parseFloat(price),
-      category: category.trim(),
-      stock: parseInt(stock),
-      images: processedImages,
-    });
+    // Variants can only show images of the product
+    if (variantCheck) {
+      keepProductImages(variantCheck.variants, processedImages);
+    }
+
+    // Create product - it starts with no stock and the initial stock is recorded as movements
+    // A bundle gets its stock from its components instead
+    const variants = variantCheck ? variantCheck.variants : [];
+    const initialStock = hasVariants ? undefined : parseInt(stock);
+    const initialVariantStock = variants.map((variant) => variant.stock);
+    const createWithStock = async (session) => {
+      const [created] = await Product.create([{
+        name: name.trim(),
+        sku,
+        barcode: barcode || undefined,
+        price: parseFloat(price),
+        category: categoryDoc._id,
+        stock: 0,
+        kind,
+        components: isBundle ? componentCheck.components : [],
+        ...reorderCheck.values,
+        suppliers: supplierCheck ? supplierCheck.suppliers : [],
+        attributes: attributeCheck.attributes,
+        options: variantCheck ? variantCheck.options : [],
+        variants: variants.map((variant) => ({ ...variant, stock: 0 })),
+        images: processedImages,
+      }], { session });
+
+      if (isBundle) {
+        await refreshBundleStock({ _id: created._id }, session);
+        return Product.findById(created._id).session(session);
+      }
+
+      await adjustToWantedStock(created, initialStock, initialVariantStock, warehouse, req.user, 'Initial stock', session);
+      return Product.findById(created._id).session(session);
+    };
+
+    // Only booking initial stock needs a transaction (see utils/transaction.js) - a product
+    // without stock is a single insert
+    const hasInitialStock = !isBundle && [initialStock, ...initialVariantStock].some((quantity) => quantity > 0);
+    const product = hasInitialStock ? await runInTransaction(createWithStock) : await createWithStock(null);
+
+    await recordAudit(req, { action: 'create', entityType: 'product', entity: product, after: product });
+    await product.populate('category', 'name');
 
     res.status(201).json({
       success: true,
@@ -271,6 +927,12 @@ export async function createProduct(req, res) {
     });
   } catch (error) {
     console.error('Create product error:', error);
+
+    // Another product got the same SKU or barcode in the meantime
+    if (error.code === 11000) {
+      return sendDuplicateCodes(res, { sku: duplicateCodeMessage(error) });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -293,6 +955,9 @@ export async function updateProduct(req, res) {
       });
     }
 
+    // Keep the current values for the audit log
+    const before = auditSnapshot(product);
+
     // Parse form data (handles both JSON and multipart/form-data)
     let fields = req.body;
     let files = {};
@@ -308,9 +973,27 @@ export async function updateProduct(req, res) {
     const price = fields.price ? (Array.isArray(fields.price) ? fields.price[0] : fields.price) : undefined;
     const category = fields.category ? (Array.isArray(fields.category) ? fields.category[0] : fields.category) : undefined;
     const stock = fields.stock ? (Array.isArray(fields.stock) ? fields.stock[0] : fields.stock) : undefined;
+    // An empty barcode removes it, an empty SKU is not allowed
+    const sku = fields.sku !== undefined ? normalizeSku(Array.isArray(fields.sku) ? fields.sku[0] : fields.sku) : undefined;
+    const barcode = fields.barcode !== undefined
+      ? normalizeBarcode(Array.isArray(fields.barcode) ? fields.barcode[0] : fields.barcode)
+      : undefined;
+    // Warehouse for stock changes made through "stock" - the default warehouse when empty
+    const warehouse = (Array.isArray(fields.warehouse) ? fields.warehouse[0] : fields.warehouse) || null;
+    // Reorder settings that are not sent stay as they are, empty ones go back to the category defaults
+    const reorderCheck = validateReorderSettings({
+      reorderPoint: Array.isArray(fields.reorderPoint) ? fields.reorderPoint[0] : fields.reorderPoint,
+      reorderQuantity: Array.isArray(fields.reorderQuantity) ? fields.reorderQuantity[0] : fields.reorderQuantity,
+    });
+    const variantCheck = checkVariants(fields);
+    const kind = Array.isArray(fields.kind) ? fields.kind[0] : fields.kind;
+    const isBundle = product.kind === 'bundle';
 
     // Validation
     const errors = {};
+    if (kind !== undefined && kind !== product.kind) {
+      errors.kind = 'The type of a product cannot be changed';
+    }
     if (name !== undefined && name.trim().length < 2) {
       errors.name = 'Product name must be at least 2 characters';
     }
@@ -323,6 +1006,24 @@ export async function updateProduct(req, res) {
     if (stock !== undefined && stock < 0) {
       errors.stock = 'Stock must be 0 or greater';
     }
+    if (isBundle && stock !== undefined) {
+      errors.stock = 'The stock of a bundle comes from the products in it';
+    }
+    if (isBundle && variantCheck && variantCheck.variants.length > 0) {
+      errors.variants = 'Bundles cannot have variants';
+    }
+    const skuError = sku !== undefined ? validateSku(sku) : null;
+    if (skuError) {
+      errors.sku = skuError;
+    }
+    const barcodeError = barcode ? validateBarcode(barcode) : null;
+    if (barcodeError) {
+      errors.barcode = barcodeError;
+    }
+    Object.assign(errors, reorderCheck.errors);
+    if (variantCheck) {
+      Object.assign(errors, variantCheck.errors);
+    }
 
     if (Object.keys(errors).length > 0) {
       return res.status(400).json({
@@ -332,42 +1033,145 @@ export async function updateProduct(req, res) {
       });
     }
 
+    // SKU and barcodes must not be used by another product - unchanged codes are checked too,
+    // so the result is the same as for a new product
+    const codeErrors = await checkProductCodes({
+      sku: sku !== undefined ? sku : product.sku,
+      barcode: barcode !== undefined ? barcode : product.barcode,
+      variants: variantCheck ? variantCheck.variants : product.variants,
+    }, product._id);
+    if (Object.keys(codeErrors).length > 0) {
+      return sendDuplicateCodes(res, codeErrors);
+    }
+
+    if (!(await isValidWarehouse(warehouse))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Warehouse does not exist',
+        errors: {
+          warehouse: 'Invalid warehouse',
+        },
+      });
+    }
+
     // Check if category exists (if category is being updated)
+    let categoryDoc = null;
     if (category) {
-      const categoryExists = await Category.findOne({ name: category.trim() });
-      if (!categoryExists) {
+      const found = await findCategory(category);
+      categoryDoc = found.category;
+      if (!categoryDoc) {
         return res.status(400).json({
           success: false,
-          message: 'Category does not exist',
+          message: found.error || 'Category does not exist',
           errors: {
-            category: 'Invalid category',
+            category: found.error || 'Invalid category',
           },
         });
       }
     }
 
-    // Process images - handle file uploads first, then existing URLs
-    let processedImages = [];
-    
-    // Handle new file uploads
-    if (files.images) {
-      console.log('📤 New files detected:', files.images);
-      const fileArray = Array.isArray(files.images) ? files.images : [files.images];
-      
-      for (const file of fileArray) {
-        try {
-          // Check if it's an image
-          if (file.mimetype && file.mimetype.startsWith('image/')) {
-            console.log('⬆️  Uploading file to Cloudinary:', file.originalFilename);
-            const cloudinaryUrl = await uploadFileToCloudinary(file.filepath);
-            console.log('✅ Uploaded successfully:', cloudinaryUrl);
-            processedImages.push(cloudinaryUrl);
-          }
-        } catch (error) {
-          console.error('❌ Error uploading file:', error);
-          // Continue with other files even if one fails
-        }
-      }
+    // Check attribute values when they are sent or the category changes
+    // Without new values, the current values are checked against the new category
+    const attributeValues = parseJsonField(fields, 'attributes');
+    let attributes;
+    if (attributeValues !== undefined || categoryDoc) {
+      const finalCategory = categoryDoc || await Category.findById(product.category);
+      const attributeCheck = await checkAttributes(
+        finalCategory,
+        attributeValues !== undefined ? attributeValues : product.attributes || {}
+      );
+      if (Object.keys(attributeCheck.errors).length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: attributeCheck.errors,
+        });
+      }
+      attributes = attributeCheck.attributes;
+    }
+
+    // Suppliers are left unchanged when not sent
+    const supplierCheck = await checkSuppliers(fields);
+    if (supplierCheck && Object.keys(supplierCheck.errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: supplierCheck.errors,
+      });
+    }
+
+    // Components are left unchanged when not sent
+    const componentCheck = await checkComponents(fields, product._id);
+    const componentErrors = componentCheck ? { ...componentCheck.errors } : {};
+    if (isBundle && supplierCheck && supplierCheck.suppliers.length > 0) {
+      componentErrors.suppliers = 'Bundles are bought as the products in them';
+    }
+    if (!isBundle && componentCheck && componentCheck.components.length > 0) {
+      componentErrors.components = 'Only bundles can contain other products';
+    }
+    if (Object.keys(componentErrors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: componentErrors,
+      });
+    }
+    const componentsChanged = isBundle && componentCheck && !sameComponents(product.components, componentCheck.components);
+    if (componentsChanged && await hasConfirmedOrders(product._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The products in this bundle cannot change while confirmed sales orders hold stock for it',
+        error: 'PRODUCT_HAS_RESERVATIONS',
+      });
+    }
+
+    // Bundles point at products and variants, so a variant in a bundle cannot be removed,
+    // and a product in a bundle cannot get variants
+    if (variantCheck && !isBundle) {
+      const keptIds = new Set(variantCheck.variants.filter((variant) => variant._id).map((variant) => String(variant._id)));
+      const removedIds = product.variants
+        .filter((variant) => !keptIds.has(variant._id.toString()))
+        .map((variant) => variant._id);
+      const getsVariants = product.variants.length === 0 && variantCheck.variants.length > 0;
+      const bundle = (removedIds.length > 0 || getsVariants) && await Product.findOne(getsVariants
+        ? { 'components.product': product._id }
+        : { 'components.variant': { $in: removedIds } }
+      ).select('name').lean();
+      if (bundle) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: {
+            variants: getsVariants
+              ? `This product is part of the bundle "${bundle.name}" - remove it there before adding variants`
+              : `A removed variant is part of the bundle "${bundle.name}" - remove it there first`,
+          },
+        });
+      }
+    }
+
+    // Process images - handle file uploads first, then existing URLs
+    let processedImages = [];
+    
+    // Handle new file uploads
+    if (files.images) {
+      console.log('📤 New files detected:', files.images);
+      const fileArray = Array.isArray(files.images) ? files.images : [files.images];
+      
+      for (const file of fileArray) {
+        try {
+          // Check if it's an image
+          if (file.mimetype && file.mimetype.startsWith('image/')) {
+            console.log('⬆️  Uploading file to Cloudinary:', file.originalFilename);
+            const cloudinaryUrl = await uploadFileToCloudinary(file.filepath);
+            console.log('✅ Uploaded successfully:', cloudinaryUrl);
+            processedImages.push(cloudinaryUrl);
+          }
+        } catch (error) {
+          console.error('❌ Error uploading file:', error);
+          // Continue with other files even if one fails
+        }
+      }
     }
     
     // Handle existing image URLs (when editing and keeping old images)
@@ -425,9 +1229,14 @@ export async function updateProduct(req, res) {
 
     // Update product
     if (name !== undefined) product.name = name.trim();
+    if (sku !== undefined) product.sku = sku;
+    if (barcode !== undefined) product.barcode = barcode || undefined;
     if (price !== undefined) product.price = parseFloat(price);
-    if (category !== undefined) product.category = category.trim();
-    if (stock !== undefined) product.stock = parseInt(stock);
+    if (categoryDoc) product.category = categoryDoc._id;
+    if (attributes !== undefined) product.attributes = attributes;
+    Object.assign(product, reorderCheck.values);
+    if (supplierCheck) product.suppliers = supplierCheck.suppliers;
+    if (isBundle && componentCheck) product.components = componentCheck.components;
     
     // Update images if:
     // 1. New files were uploaded, OR
@@ -438,15 +1247,119 @@ export async function updateProduct(req, res) {
       product.images = processedImages;
     }
 
-    await product.save();
+    // Drop variant images the product no longer has
+    if (variantCheck) {
+      keepProductImages(variantCheck.variants, product.images);
+    } else {
+      product.variants.forEach((variant) => {
+        variant.images = variant.images.filter((url) => product.images.includes(url));
+      });
+    }
+
+    // Stock only changes through the ledger (see utils/inventory.js)
+    // Variants keep their stock and reserved units from the database when saving, and the stock entered in the form
+    // is recorded as adjustments afterwards. Stock of removed variants, and of a product that
+    // gets variants, is taken out first so the ledger adds up to the balance.
+    const wantedStock = stock !== undefined ? parseInt(stock) : undefined;
+    const saveWithStock = async (session) => {
+      const current = await Product.findById(product._id)
+        .select('stock variants._id variants.stock variants.reserved')
+        .session(session)
+        .lean();
+      const currentVariantStock = new Map(current.variants.map((variant) => [variant._id.toString(), variant.stock]));
+      const currentVariantReserved = new Map(current.variants.map((variant) => [variant._id.toString(), variant.reserved || 0]));
+      let balance = current.stock;
+
+      if (variantCheck) {
+        const keptIds = new Set(variantCheck.variants.filter((variant) => variant._id).map((variant) => String(variant._id)));
+        const removedIds = current.variants
+          .filter((variant) => !keptIds.has(variant._id.toString()))
+          .map((variant) => variant._id);
+        for (const variantId of removedIds) {
+          await clearStock({ productId: product._id, variantId, reason: 'Variant removed', user: req.user }, session);
+          balance -= currentVariantStock.get(variantId.toString());
+        }
+        const getsVariants = current.variants.length === 0 && variantCheck.variants.length > 0;
+        if (getsVariants && balance > 0) {
+          await clearStock({ productId: product._id, reason: 'Stock moved to variants', user: req.user }, session);
+          balance = 0;
+        }
+
+        // Stock levels that were just emptied are not needed any more
+        if (removedIds.length > 0 || getsVariants) {
+          await Product.updateOne(
+            { _id: product._id },
+            { $pull: { locations: getsVariants ? { variant: null } : { variant: { $in: removedIds } } } },
+            { session }
+          );
+        }
+
+        product.options = variantCheck.options;
+        product.variants = variantCheck.variants.map((variant) => ({
+          ...variant,
+          stock: currentVariantStock.get(String(variant._id)) ?? 0,
+          reserved: currentVariantReserved.get(String(variant._id)) ?? 0,
+        }));
+      } else {
+        product.variants.forEach((variant) => {
+          variant.stock = currentVariantStock.get(variant._id.toString()) ?? variant.stock;
+          variant.reserved = currentVariantReserved.get(variant._id.toString()) ?? variant.reserved;
+        });
+      }
+      // Products with variants get the sum of the variants (see the model)
+      product.stock = balance;
+
+      await product.save({ session });
+
+      if (componentsChanged) {
+        await refreshBundleStock({ _id: product._id }, session);
+      }
+
+      await adjustToWantedStock(
+        product,
+        wantedStock,
+        variantCheck ? variantCheck.variants.map((variant) => variant.stock) : null,
+        warehouse,
+        req.user,
+        'Set in product form',
+        session
+      );
+    };
+
+    // Only edits that move stock need a transaction (see utils/transaction.js) - a plain edit is a single save
+    const stored = await Product.findById(product._id).select('stock variants._id variants.stock').lean();
+    if (formMovesStock(stored, variantCheck, wantedStock)) {
+      await runInTransaction(saveWithStock);
+    } else {
+      await saveWithStock(null);
+    }
+
+    const updated = await Product.findById(product._id);
+    await recordAudit(req, { action: 'update', entityType: 'product', entity: updated, before, after: updated });
+    await updated.populate('category', 'name');
 
     res.status(200).json({
       success: true,
       message: 'Product updated successfully',
-      data: product,
+      data: updated,
     });
   } catch (error) {
     console.error('Update product error:', error);
+
+    // Stock was sold while the product was being edited
+    if (error.code === 'INSUFFICIENT_STOCK') {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        error: 'INSUFFICIENT_STOCK',
+      });
+    }
+
+    // Another product got the same SKU or barcode in the meantime
+    if (error.code === 11000) {
+      return sendDuplicateCodes(res, { sku: duplicateCodeMessage(error) });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -455,7 +1368,55 @@ export async function updateProduct(req, res) {
   }
 };
 
-// Delete product
+// Helper function to find why a product cannot be deleted
+// Returns { message, error } or null when it can be deleted
+async function findDeleteBlocker(product, session = null) {
+  // Confirmed sales orders still need the reserved units
+  if (product.reserved > 0) {
+    return {
+      message: `Cannot delete product. ${product.reserved} unit(s) are reserved for confirmed sales orders.`,
+      error: 'PRODUCT_HAS_RESERVATIONS',
+    };
+  }
+
+  // Open orders and stock takes still book stock for the product, which is not found in the trash
+  const salesOrder = await SalesOrder.findOne({ status: { $in: ['pending', 'confirmed'] }, 'lines.product': product._id })
+    .select('number').session(session).lean();
+  if (salesOrder) {
+    return {
+      message: `Cannot delete product. It is on the open sales order ${salesOrder.number}.`,
+      error: 'PRODUCT_ON_OPEN_ORDER',
+    };
+  }
+  const purchaseOrder = await PurchaseOrder.findOne({ status: { $in: ['draft', 'sent', 'partially_received'] }, 'lines.product': product._id })
+    .select('number').session(session).lean();
+  if (purchaseOrder) {
+    return {
+      message: `Cannot delete product. It is on the open purchase order ${purchaseOrder.number}.`,
+      error: 'PRODUCT_ON_OPEN_ORDER',
+    };
+  }
+  const stockTake = await StockTake.findOne({ status: 'counting', 'lines.product': product._id })
+    .select('number').session(session).lean();
+  if (stockTake) {
+    return {
+      message: `Cannot delete product. It is part of the open stock take ${stockTake.number}.`,
+      error: 'PRODUCT_ON_OPEN_STOCK_TAKE',
+    };
+  }
+
+  // Bundles would be left with a product that does not exist
+  const bundle = await Product.findOne({ 'components.product': product._id }).select('name').session(session).lean();
+  if (bundle) {
+    return {
+      message: `Cannot delete product. It is part of the bundle "${bundle.name}".`,
+      error: 'PRODUCT_IN_BUNDLE',
+    };
+  }
+  return null;
+}
+
+// Delete product - it goes to the trash first (see utils/trash.js)
 // DELETE /api/products/:id
 export async function deleteProduct(req, res) {
   try {
@@ -469,21 +1430,22 @@ export async function deleteProduct(req, res) {
       });
     }
 
-    // Delete images from Cloudinary
-    for (const imageUrl of product.images) {
-      try {
-        await deleteImage(imageUrl);
-      } catch (error) {
-        console.error('Error deleting image:', error);
-      }
+    const blocker = await findDeleteBlocker(product);
+    if (blocker) {
+      return res.status(400).json({
+        success: false,
+        ...blocker,
+      });
     }
 
-    // Delete product
-    await Product.findByIdAndDelete(req.params.id);
+    // The product goes to the trash - its images are only deleted when it is purged
+    await moveToTrash(Product, product._id, req.user);
+
+    await recordAudit(req, { action: 'delete', entityType: 'product', entity: product, before: product });
 
     res.status(200).json({
       success: true,
-      message: 'Product deleted successfully',
+      message: `Product moved to the trash. It can be restored for ${TRASH_RETENTION_DAYS} days.`,
     });
   } catch (error) {
     console.error('Delete product error:', error);
@@ -495,4 +1457,768 @@ export async function deleteProduct(req, res) {
   }
 };
 
+// Get the products in the trash, most recently deleted first
+// GET /api/products/trash?search=&page=&limit=
+// Each product gets "purgeAt", when the trash purger deletes it for good
+export async function getProductTrash(req, res) {
+  try {
+    const { search, page = 1, limit = 10 } = req.query;
+
+    // Calculate pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const query = { deletedAt: { $ne: null } };
+    if (search) {
+      const pattern = { $regex: search, $options: 'i' };
+      query.$or = [{ name: pattern }, { sku: pattern }, { barcode: pattern }];
+    }
+
+    // The category may be in the trash as well
+    const products = await Product.find(query)
+      .select('name sku barcode price stock kind images category deletedAt deletedBy')
+      .populate({ path: 'category', select: 'name deletedAt', options: { withDeleted: true } })
+      .populate('deletedBy', 'username')
+      .sort({ deletedAt: -1, _id: 1 })
+      .skip(skip)
+      .limit(limitNum)
+      .lean();
+
+    const totalItems = await Product.countDocuments(query);
+    const totalPages = Math.ceil(totalItems / limitNum);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        products: products.map((product) => ({ ...product, purgeAt: purgeDate(product.deletedAt) })),
+        retentionDays: TRASH_RETENTION_DAYS,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalItems,
+          itemsPerPage: limitNum,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get product trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Restore a product from the trash
+// POST /api/products/:id/restore
+export async function restoreProduct(req, res) {
+  try {
+    const product = await findInTrash(Product, req.params.id);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found in the trash',
+        error: 'NOT_FOUND',
+      });
+    }
+
+    const blocker = await findProductRestoreBlocker(product);
+    if (blocker) {
+      return res.status(400).json({
+        success: false,
+        message: blocker,
+        error: 'CATEGORY_IN_TRASH',
+      });
+    }
+
+    // Stock of the products in a bundle may have changed while it was in the trash
+    await runInTransaction(async (session) => {
+      await restoreFromTrash(Product, product._id, session);
+      if (product.kind === 'bundle') {
+        await refreshBundleStock({ _id: product._id }, session);
+      }
+    });
+
+    await recordAudit(req, { action: 'restore', entityType: 'product', entity: product });
+
+    const restored = await Product.findById(product._id).populate('category', 'name');
+    res.status(200).json({
+      success: true,
+      message: 'Product restored successfully',
+      data: restored,
+    });
+  } catch (error) {
+    console.error('Restore product error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Delete a product in the trash for good, with its images
+// DELETE /api/products/:id/purge
+export async function purgeTrashedProduct(req, res) {
+  try {
+    const product = await findInTrash(Product, req.params.id);
+    if (!product || !(await purgeProduct(product))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found in the trash',
+        error: 'NOT_FOUND',
+      });
+    }
+
+    await recordAudit(req, { action: 'purge', entityType: 'product', entity: product });
+
+    res.status(200).json({
+      success: true,
+      message: 'Product deleted for good',
+    });
+  } catch (error) {
+    console.error('Purge product error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Helper function to check the action sent to POST /api/products/bulk and its values
+// Returns { operation, errors } - operation holds the checked values
+async function checkBulkOperation({ action, category, mode, value, stock, warehouse }) {
+  const errors = {};
+  const operation = { action };
+
+  if (!Object.hasOwn(BULK_ACTIONS, action || '')) {
+    errors.action = `Action must be one of: ${Object.keys(BULK_ACTIONS).join(', ')}`;
+    return { operation, errors };
+  }
+
+  if (action === 'setCategory') {
+    const { category: categoryDoc, error: categoryError } = await findCategory(category);
+    if (!categoryDoc) {
+      errors.category = categoryError || 'Invalid category';
+    } else {
+      operation.category = categoryDoc;
+      operation.attributeDefinitions = await getCategoryAttributes(categoryDoc);
+    }
+  }
+
+  if (action === 'adjustPrice') {
+    const number = Number(value);
+    if (!['percent', 'amount'].includes(mode)) {
+      errors.mode = 'Mode must be percent or amount';
+    }
+    if (value === undefined || value === null || value === '' || isNaN(number) || number === 0) {
+      errors.value = 'Value must be a number other than 0';
+    } else if (mode === 'percent' && number <= -100) {
+      errors.value = 'Prices cannot go down by 100% or more';
+    }
+    operation.mode = mode;
+    operation.value = number;
+  }
 
+  if (action === 'setStock') {
+    const number = Number(stock);
+    if (stock === undefined || stock === null || stock === '' || !Number.isInteger(number) || number < 0) {
+      errors.stock = 'Stock must be a whole number of 0 or more';
+    }
+    if (!(await isValidWarehouse(warehouse))) {
+      errors.warehouse = 'Invalid warehouse';
+    }
+    operation.stock = number;
+    operation.warehouse = warehouse || null;
+  }
+
+  return { operation, errors };
+}
+
+// Helper function to find the products a bulk action is for: a list of ids, or every product
+// matching a filter with the fields of the query of GET /api/products
+// Returns { ids } or { error }
+async function findBulkProductIds({ ids, filter }) {
+  if (Array.isArray(ids)) {
+    if (ids.length === 0) {
+      return { error: 'Select at least one product' };
+    }
+    if (ids.some((id) => !mongoose.isValidObjectId(id))) {
+      return { error: 'Invalid product id' };
+    }
+    const unique = [...new Set(ids.map(String))];
+    if (unique.length > MAX_BULK_PRODUCTS) {
+      return { error: `A bulk action can change at most ${MAX_BULK_PRODUCTS} products` };
+    }
+    return { ids: unique };
+  }
+
+  if (filter && typeof filter === 'object' && !Array.isArray(filter)) {
+    const list = await buildProductListQuery(filter);
+    if (list.error) {
+      return { error: list.error };
+    }
+    if (!list.query) {
+      return { ids: [] };
+    }
+    const matches = await Product.aggregate([
+      ...(list.lowStockOnly ? lowStockPipeline(list.query) : [{ $match: list.query }]),
+      { $project: { _id: 1 } },
+      { $limit: MAX_BULK_PRODUCTS + 1 },
+    ]);
+    if (matches.length > MAX_BULK_PRODUCTS) {
+      return { error: `More than ${MAX_BULK_PRODUCTS} products match the filter. Narrow it down and try again.` };
+    }
+    return { ids: matches.map((match) => String(match._id)) };
+  }
+
+  return { error: 'Send the ids of the products or a filter' };
+}
+
+// Helper function to apply a checked bulk action to one product, inside the bulk transaction
+// Returns { error } with the reason when the action does not fit the product, otherwise {}
+async function applyBulkAction(product, operation, user, session) {
+  if (operation.action === 'delete') {
+    const blocker = await findDeleteBlocker(product, session);
+    if (blocker) {
+      return { error: blocker.message };
+    }
+    await moveToTrash(Product, product._id, user, session);
+    return {};
+  }
+
+  if (operation.action === 'setCategory') {
+    // The current attribute values must fit the new category, like in updateProduct
+    const attributeCheck = validateProductAttributes(operation.attributeDefinitions, product.attributes || {});
+    if (Object.keys(attributeCheck.errors).length > 0) {
+      return { error: `Attributes do not fit the category: ${Object.values(attributeCheck.errors).join(', ')}` };
+    }
+    product.category = operation.category._id;
+    product.attributes = attributeCheck.attributes;
+    await product.save({ session });
+    return {};
+  }
+
+  if (operation.action === 'adjustPrice') {
+    // Variants with a price of their own change by the same percent or amount
+    const adjust = (price) => {
+      const adjusted = operation.mode === 'percent' ? price * (1 + operation.value / 100) : price + operation.value;
+      return Math.round(adjusted * 100) / 100;
+    };
+    const prices = [product.price, ...product.variants.map((variant) => variant.price)]
+      .filter((price) => price !== null && price !== undefined);
+    if (prices.some((price) => adjust(price) <= 0)) {
+      return { error: 'Prices must stay greater than 0' };
+    }
+    product.price = adjust(product.price);
+    product.variants.forEach((variant) => {
+      if (variant.price !== null && variant.price !== undefined) {
+        variant.price = adjust(variant.price);
+      }
+    });
+    await product.save({ session });
+    return {};
+  }
+
+  // setStock
+  if (product.kind === 'bundle') {
+    return { error: 'Bundles get their stock from the products in them' };
+  }
+  if (product.variants.length > 0) {
+    return { error: 'Products with variants get their stock from their variants - set it in the product form' };
+  }
+  await adjustToWantedStock(product, operation.stock, null, operation.warehouse, user, 'Set in bulk', session);
+  return {};
+}
+
+// Apply one action to many products
+// POST /api/products/bulk
+// Body: the products - { ids: [...] } or { filter: { search, category, ... } } with the query of
+// GET /api/products - and the action: { action: 'delete' }, { action: 'setCategory', category },
+// { action: 'adjustPrice', mode: 'percent' or 'amount', value } or { action: 'setStock', stock, warehouse }
+// Everything runs in one transaction. Products the action does not fit (e.g. deleting a product
+// with reservations) are skipped, and the result for each product says why.
+// Deleted products go to the trash, like with DELETE /api/products/:id
+export async function bulkUpdateProducts(req, res) {
+  try {
+    const { operation, errors } = await checkBulkOperation(req.body);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors,
+      });
+    }
+
+    if (!hasPermission(req.user, BULK_ACTIONS[operation.action], req.apiKey)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action',
+        error: 'FORBIDDEN',
+      });
+    }
+
+    const { ids, error: idsError } = await findBulkProductIds(req.body);
+    if (idsError) {
+      return res.status(400).json({
+        success: false,
+        message: idsError,
+        error: 'VALIDATION_ERROR',
+      });
+    }
+
+    // Results are built inside the transaction, so a retried transaction starts over
+    const { results, changed } = await runInTransaction(async (session) => {
+      const results = [];
+      const changed = [];
+      for (const id of ids) {
+        const product = await Product.findById(id).session(session);
+        if (!product) {
+          results.push({ id, name: null, sku: null, success: false, message: 'Product not found' });
+          continue;
+        }
+
+        const before = auditSnapshot(product);
+        let outcome;
+        try {
+          outcome = await applyBulkAction(product, operation, req.user, session);
+        } catch (error) {
+          if (error.code !== 'INSUFFICIENT_STOCK') {
+            throw error;
+          }
+          outcome = { error: error.message };
+        }
+
+        results.push({ id, name: product.name, sku: product.sku, success: !outcome.error, message: outcome.error || null });
+        if (!outcome.error) {
+          changed.push({ product, before });
+        }
+      }
+      return { results, changed };
+    });
+
+    const details = { bulk: operation.action };
+    if (operation.action === 'delete') {
+      for (const { product, before } of changed) {
+        await recordAudit(req, { action: 'delete', entityType: 'product', entity: product, before, details });
+      }
+    } else {
+      const updated = await Product.find({ _id: { $in: changed.map(({ product }) => product._id) } });
+      const updatedById = new Map(updated.map((product) => [product._id.toString(), product]));
+      for (const { product, before } of changed) {
+        const after = updatedById.get(product._id.toString());
+        await recordAudit(req, { action: 'update', entityType: 'product', entity: after, before, after, details });
+      }
+    }
+
+    const succeeded = results.filter((result) => result.success).length;
+    res.status(200).json({
+      success: true,
+      message: `${succeeded} of ${results.length} product(s) changed`,
+      data: {
+        action: operation.action,
+        summary: {
+          total: results.length,
+          succeeded,
+          failed: results.length - succeeded,
+        },
+        results,
+      },
+    });
+  } catch (error) {
+    console.error('Bulk update products error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Helper function to read the spreadsheet uploaded for an import (field "file") with the other form fields
+// Returns { fields, fileName, columns, rows }, or { error } with a message for the client
+async function readImportFile(req) {
+  if (!req.headers['content-type'] || !req.headers['content-type'].includes('multipart/form-data')) {
+    return { error: 'Upload a CSV or XLSX file' };
+  }
+  const { fields, files } = await parseFormData(req);
+  const file = Array.isArray(files.file) ? files.file[0] : files.file;
+  const type = file ? spreadsheetType(file.originalFilename) : null;
+  if (!type) {
+    return { error: 'Upload a CSV or XLSX file' };
+  }
+
+  let sheet;
+  try {
+    sheet = await readSpreadsheet(file.filepath, type);
+  } catch (error) {
+    console.error('Read import file error:', error);
+    return { error: 'The file could not be read. Check that it is a valid CSV or XLSX file.' };
+  } finally {
+    await fs.unlink(file.filepath).catch(() => {});
+  }
+
+  if (sheet.rows.length === 0) {
+    return { error: 'The file has no rows below the column names' };
+  }
+  if (sheet.rows.length > MAX_IMPORT_ROWS) {
+    return { error: `The file has more than ${MAX_IMPORT_ROWS} rows. Split it into smaller files.` };
+  }
+  return { fields, fileName: file.originalFilename, ...sheet };
+}
+
+// Helper function to answer an import request without a readable file
+function sendImportFileError(res, message) {
+  return res.status(400).json({
+    success: false,
+    message: 'Validation error',
+    errors: { file: message },
+  });
+}
+
+// Helper function to find the categories named in an import file
+// A category is given by its full path, e.g. "Electronics > Audio", or by its name when no
+// other category has the same name - upper and lower case do not matter
+// Returns { find(text) -> { category } or { error }, byId }
+async function importCategories() {
+  const categories = await withCategoryPaths(await Category.find().select('name ancestors attributes').lean());
+  const byPath = new Map(categories.map((category) => [category.path.toLowerCase(), category]));
+  const byName = new Map();
+  for (const category of categories) {
+    const key = category.name.toLowerCase();
+    byName.set(key, [...(byName.get(key) || []), category]);
+  }
+
+  function find(text) {
+    const key = text.split('>').map((part) => part.trim()).join(' > ').toLowerCase();
+    if (byPath.has(key)) {
+      return { category: byPath.get(key) };
+    }
+    const named = byName.get(key) || [];
+    if (named.length === 1) {
+      return { category: named[0] };
+    }
+    if (named.length > 1) {
+      return { error: `${named.length} categories are named "${text}" - use the full path, e.g. "${named[0].path}"` };
+    }
+    return { error: `Category "${text}" does not exist` };
+  }
+
+  return { find, byId: new Map(categories.map((category) => [String(category._id), category])) };
+}
+
+// Helper function to check one row of an import file the way createProduct checks a new product
+// A row whose SKU exists updates that product: empty cells keep the current values, and the
+// product as it will be after the update is checked
+// context: { existingBySku, categories, definitionsFor(category), seenCodes }
+// Returns { row, sku, name, action: 'create', 'update' or 'error', errors, values, existing }
+async function planImportRow(number, input, context) {
+  const errors = {};
+  const sku = normalizeSku(input.sku);
+  const existing = context.existingBySku.get(sku) || null;
+  const barcode = input.barcode !== undefined ? normalizeBarcode(input.barcode) : existing?.barcode;
+  const name = input.name ?? existing?.name;
+  const price = input.price ?? existing?.price;
+
+  // Category of the product after the import
+  let category = null;
+  if (input.category !== undefined) {
+    const found = context.categories.find(input.category);
+    category = found.category || null;
+    if (found.error) {
+      errors.category = found.error;
+    }
+  } else if (existing) {
+    category = context.categories.byId.get(String(existing.category)) || null;
+  }
+
+  // Products with variants and bundles get their stock from somewhere else, and new
+  // products without a stock value start with none
+  const getsStockElsewhere = Boolean(existing && (existing.variants.length > 0 || existing.kind === 'bundle'));
+  if (getsStockElsewhere && input.stock !== undefined) {
+    errors.stock = 'Stock of products with variants and of bundles cannot be imported';
+  }
+  const fieldErrors = checkNewProductFields({
+    name,
+    price,
+    category: category ? String(category._id) : input.category,
+    stock: input.stock ?? 0,
+    sku,
+    barcode,
+  }, !getsStockElsewhere);
+
+  const reorderCheck = validateReorderSettings({
+    reorderPoint: input.reorderPoint,
+    reorderQuantity: input.reorderQuantity,
+  });
+
+  // Attribute values are checked for new products, when the category changes and when values are given
+  let attributes;
+  const attributesChange = !existing || input.category !== undefined || Object.keys(input.attributes).length > 0;
+  if (category && attributesChange) {
+    const attributeCheck = validateProductAttributes(
+      await context.definitionsFor(category),
+      { ...(existing?.attributes || {}), ...input.attributes }
+    );
+    Object.assign(errors, attributeCheck.errors);
+    attributes = attributeCheck.attributes;
+  }
+
+  // Values that could not be read explain the problem better than the checks above
+  Object.assign(errors, fieldErrors, reorderCheck.errors, errors, input.errors);
+
+  // SKUs and barcodes must not be used twice in the file, nor by another product
+  for (const [field, code] of [['sku', sku], ['barcode', input.barcode !== undefined ? barcode : null]]) {
+    if (code && context.seenCodes.has(code)) {
+      errors[field] = errors[field] || `${code} is also used on row ${context.seenCodes.get(code)}`;
+    } else if (code) {
+      context.seenCodes.set(code, number);
+    }
+  }
+  if (!errors.sku && !errors.barcode) {
+    const codeErrors = await checkProductCodes({
+      sku,
+      barcode,
+      variants: existing ? existing.variants : [],
+    }, existing ? existing._id : null);
+    Object.assign(errors, codeErrors);
+  }
+
+  const hasErrors = Object.keys(errors).length > 0;
+  return {
+    row: number,
+    sku,
+    name: name || '',
+    action: hasErrors ? 'error' : existing ? 'update' : 'create',
+    errors,
+    values: {
+      name,
+      sku,
+      barcode,
+      price,
+      category,
+      stock: input.stock,
+      reorder: reorderCheck.values,
+      attributes,
+      images: input.images,
+    },
+    existing,
+  };
+}
+
+// Helper function to check every row of an import file - see planImportRow
+async function planImportRows(rows, mapping) {
+  const inputs = rows.map((row) => readImportRow(row.values, mapping));
+  const skus = inputs.map((input) => normalizeSku(input.sku)).filter(Boolean);
+  const existing = await Product.find({ sku: { $in: skus } })
+    .select('name sku barcode price stock category kind attributes variants._id variants.sku variants.barcode')
+    .lean();
+
+  const definitions = new Map();
+  const context = {
+    existingBySku: new Map(existing.map((product) => [product.sku, product])),
+    categories: await importCategories(),
+    seenCodes: new Map(),
+    // The attribute fields of each category are only looked up once
+    definitionsFor: async (category) => {
+      const key = String(category._id);
+      if (!definitions.has(key)) {
+        definitions.set(key, await getCategoryAttributes(category));
+      }
+      return definitions.get(key);
+    },
+  };
+
+  const plans = [];
+  for (const [index, input] of inputs.entries()) {
+    plans.push(await planImportRow(rows[index].number, input, context));
+  }
+  return plans;
+}
+
+// Helper function to save one checked row of an import
+// Image URLs are downloaded to Cloudinary first - images that cannot be downloaded are left out
+// The stock in the file is reached with an adjustment in the given warehouse, like the product form does
+// Returns warnings for the row
+async function saveImportRow(plan, warehouse, req, fileName) {
+  const { values } = plan;
+  const warnings = [];
+
+  let images = [];
+  for (const url of values.images || []) {
+    try {
+      images.push(await uploadImageFromUrl(url));
+    } catch (error) {
+      console.error('Import image error:', error);
+      warnings.push(`Image ${url} could not be downloaded`);
+    }
+  }
+
+  const reason = `Imported from ${fileName}`;
+  const details = { importedFrom: fileName, row: plan.row };
+
+  // Only rows that book stock need a transaction (see utils/transaction.js)
+  if (plan.action === 'create') {
+    const createWithStock = async (session) => {
+      const [created] = await Product.create([{
+        name: values.name.trim(),
+        sku: values.sku,
+        barcode: values.barcode || undefined,
+        price: values.price,
+        category: values.category._id,
+        stock: 0,
+        ...values.reorder,
+        attributes: values.attributes || {},
+        images,
+      }], { session });
+      await adjustToWantedStock(created, values.stock ?? 0, null, warehouse, req.user, reason, session);
+      return Product.findById(created._id).session(session);
+    };
+    const product = (values.stock ?? 0) > 0 ? await runInTransaction(createWithStock) : await createWithStock(null);
+    await recordAudit(req, { action: 'create', entityType: 'product', entity: product, after: product, details });
+    return warnings;
+  }
+
+  let before = null;
+  const saveWithStock = async (session) => {
+    const current = await Product.findById(plan.existing._id).session(session);
+    before = auditSnapshot(current);
+    current.name = values.name.trim();
+    current.barcode = values.barcode || undefined;
+    current.price = values.price;
+    current.category = values.category._id;
+    Object.assign(current, values.reorder);
+    if (values.attributes !== undefined) current.attributes = values.attributes;
+    // Images in the file replace the current ones - unless none of them could be downloaded
+    if (images.length > 0) current.images = images;
+    await current.save({ session });
+
+    await adjustToWantedStock(current, values.stock, null, warehouse, req.user, reason, session);
+    return Product.findById(current._id).session(session);
+  };
+  const movesStock = values.stock !== undefined && values.stock !== plan.existing.stock;
+  const product = movesStock ? await runInTransaction(saveWithStock) : await saveWithStock(null);
+  await recordAudit(req, { action: 'update', entityType: 'product', entity: product, before, after: product, details });
+  return warnings;
+}
+
+// Read the columns of a file to import, with a suggested mapping and the first rows to preview
+// POST /api/products/import/columns (multipart/form-data with "file")
+export async function getImportColumns(req, res) {
+  try {
+    const upload = await readImportFile(req);
+    if (upload.error) {
+      return sendImportFileError(res, upload.error);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        columns: upload.columns,
+        rowCount: upload.rows.length,
+        sampleRows: upload.rows.slice(0, 5).map((row) => row.values),
+        mapping: suggestMapping(upload.columns),
+        fields: IMPORT_FIELDS.map(({ field, label }) => ({ field, label })),
+      },
+    });
+  } catch (error) {
+    console.error('Get import columns error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Import products from a CSV or XLSX file
+// POST /api/products/import (multipart/form-data)
+// Fields: file, mapping (JSON { column: field }, see utils/productImport.js),
+// dryRun ("false" saves, anything else only checks) and warehouse (for stock, the default warehouse when empty)
+// Rows are matched to products by SKU: new SKUs create products, known SKUs update them
+// Every row is checked first - rows with errors are skipped and reported, the others are saved one by one
+export async function importProducts(req, res) {
+  try {
+    const upload = await readImportFile(req);
+    if (upload.error) {
+      return sendImportFileError(res, upload.error);
+    }
+    const { fields, fileName, columns, rows } = upload;
+
+    const mappingInput = parseJsonField(fields, 'mapping');
+    const { mapping, error: mappingError } = checkMapping(mappingInput === undefined ? {} : mappingInput, columns);
+    if (mappingError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: { mapping: mappingError },
+      });
+    }
+
+    const warehouse = (Array.isArray(fields.warehouse) ? fields.warehouse[0] : fields.warehouse) || null;
+    if (!(await isValidWarehouse(warehouse))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Warehouse does not exist',
+        errors: {
+          warehouse: 'Invalid warehouse',
+        },
+      });
+    }
+    const dryRun = (Array.isArray(fields.dryRun) ? fields.dryRun[0] : fields.dryRun) !== 'false';
+
+    const plans = await planImportRows(rows, mapping);
+
+    if (!dryRun) {
+      for (const plan of plans.filter((item) => item.action !== 'error')) {
+        try {
+          plan.warnings = await saveImportRow(plan, warehouse, req, fileName);
+        } catch (error) {
+          console.error('Import row error:', error);
+          plan.action = 'error';
+          if (error.code === 11000) {
+            plan.errors = { sku: duplicateCodeMessage(error) };
+          } else if (error.code === 'INSUFFICIENT_STOCK') {
+            plan.errors = { stock: error.message };
+          } else {
+            plan.errors = { row: 'The row could not be saved' };
+          }
+        }
+      }
+    }
+
+    const summary = { rows: plans.length, create: 0, update: 0, error: 0 };
+    plans.forEach((plan) => {
+      summary[plan.action] += 1;
+    });
+
+    res.status(200).json({
+      success: true,
+      message: dryRun
+        ? `${summary.create} to create, ${summary.update} to update, ${summary.error} with errors`
+        : `${summary.create} created, ${summary.update} updated, ${summary.error} skipped`,
+      data: {
+        dryRun,
+        summary,
+        rows: plans.map(({ row, sku, name, action, errors, warnings }) => ({
+          row,
+          sku,
+          name,
+          action,
+          errors,
+          warnings: warnings || [],
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('Import products error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
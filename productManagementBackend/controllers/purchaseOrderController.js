@@ -0,0 +1,492 @@
+import mongoose from 'mongoose';
+import PurchaseOrder, { PURCHASE_ORDER_STATUSES } from '../models/PurchaseOrder.js';
+import Supplier from '../models/Supplier.js';
+import Warehouse from '../models/Warehouse.js';
+import { auditSnapshot, recordAudit } from '../utils/audit.js';
+import { applyStockMovement } from '../utils/inventory.js';
+import { checkPurchaseOrderLines } from '../utils/purchasing.js';
+import { nextDocumentNumber } from '../utils/documentNumbers.js';
+import { runInTransaction } from '../utils/transaction.js';
+
+// Orders in these states are waiting for goods
+const RECEIVABLE_STATUSES = ['sent', 'partially_received'];
+
+// Helper function to build an error that the handlers below can tell apart by its code
+function purchaseError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Helper function to load an order with its supplier and warehouse names
+function findOrder(id) {
+  return PurchaseOrder.findById(id)
+    .populate('supplier', 'name email')
+    .populate('warehouse', 'name code');
+}
+
+// Helper function to answer a request for an order that does not exist
+function sendNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    message: 'Purchase order not found',
+    error: 'NOT_FOUND',
+  });
+}
+
+// Helper function to answer a request that is not allowed in the order's current state
+function sendInvalidStatus(res, message) {
+  return res.status(409).json({
+    success: false,
+    message,
+    error: 'INVALID_STATUS',
+  });
+}
+
+// Helper function to answer a save that lost against someone else's change to the same order
+function sendConflict(res) {
+  return res.status(409).json({
+    success: false,
+    message: 'This purchase order was changed by someone else. Reload it and try again.',
+    error: 'CONFLICT',
+  });
+}
+
+// Helper function to check the order fields sent by a client
+// When isUpdate is true, only the fields that were sent are checked
+// Returns { values, errors } - values only has the fields that were sent
+async function checkOrderFields(body, isUpdate, currentSupplier = null) {
+  const { supplier, warehouse, expectedAt, notes, lines } = body;
+  const values = {};
+  const errors = {};
+
+  if (!isUpdate || supplier !== undefined) {
+    const exists = mongoose.isValidObjectId(supplier) && await Supplier.exists({ _id: supplier });
+    if (!exists) {
+      errors.supplier = 'Supplier is required';
+    } else {
+      values.supplier = supplier;
+    }
+  }
+
+  if (warehouse !== undefined) {
+    if (!warehouse) {
+      values.warehouse = null;
+    } else if (mongoose.isValidObjectId(warehouse) && await Warehouse.exists({ _id: warehouse })) {
+      values.warehouse = warehouse;
+    } else {
+      errors.warehouse = 'Invalid warehouse';
+    }
+  }
+
+  if (expectedAt !== undefined) {
+    const date = expectedAt ? new Date(expectedAt) : null;
+    if (date && isNaN(date.getTime())) {
+      errors.expectedAt = 'Invalid date';
+    } else {
+      values.expectedAt = date;
+    }
+  }
+
+  if (notes !== undefined) {
+    if (typeof notes !== 'string') {
+      errors.notes = 'Notes must be text';
+    } else {
+      values.notes = notes.trim();
+    }
+  }
+
+  // Lines get their default cost from the supplier of the order
+  if (!isUpdate || lines !== undefined) {
+    const result = await checkPurchaseOrderLines(lines, values.supplier || currentSupplier);
+    Object.assign(errors, result.errors);
+    values.lines = result.lines;
+  }
+
+  return { values, errors };
+}
+
+// Get purchase orders, newest first
+// GET /api/purchase-orders
+// Filters: status, supplier, search (order number)
+export async function getPurchaseOrders(req, res) {
+  try {
+    const { status, supplier, search, page = 1, limit = 20 } = req.query;
+
+    // Calculate pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    // Build query
+    const query = {};
+    if (status && PURCHASE_ORDER_STATUSES.includes(status)) {
+      query.status = status;
+    }
+    if (supplier && mongoose.isValidObjectId(supplier)) {
+      query.supplier = supplier;
+    }
+    if (search) {
+      query.number = { $regex: search, $options: 'i' };
+    }
+
+    const orders = await PurchaseOrder.find(query)
+      .populate('supplier', 'name')
+      .populate('warehouse', 'name code')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const totalItems = await PurchaseOrder.countDocuments(query);
+    const totalPages = Math.ceil(totalItems / limitNum);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        orders,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalItems,
+          itemsPerPage: limitNum,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get purchase orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Get single purchase order
+// GET /api/purchase-orders/:id
+export async function getPurchaseOrder(req, res) {
+  try {
+    const order = mongoose.isValidObjectId(req.params.id) ? await findOrder(req.params.id) : null;
+    if (!order) {
+      return sendNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: order,
+    });
+  } catch (error) {
+    console.error('Get purchase order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Create purchase order - new orders are drafts
+// POST /api/purchase-orders
+export async function createPurchaseOrder(req, res) {
+  try {
+    const { values, errors } = await checkOrderFields(req.body, false);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors,
+      });
+    }
+
+    const order = await PurchaseOrder.create({
+      ...values,
+      number: await nextDocumentNumber('purchase_order', 'PO'),
+      status: 'draft',
+      createdBy: req.user._id,
+      createdByName: req.user.username,
+    });
+
+    await recordAudit(req, {
+      action: 'create',
+      entityType: 'purchase_order',
+      entity: order,
+      entityName: order.number,
+      after: order,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Purchase order created successfully',
+      data: await findOrder(order._id),
+    });
+  } catch (error) {
+    console.error('Create purchase order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Update purchase order - only drafts can be changed
+// PUT /api/purchase-orders/:id
+export async function updatePurchaseOrder(req, res) {
+  try {
+    const order = mongoose.isValidObjectId(req.params.id) ? await PurchaseOrder.findById(req.params.id) : null;
+    if (!order) {
+      return sendNotFound(res);
+    }
+    if (order.status !== 'draft') {
+      return sendInvalidStatus(res, 'Only draft purchase orders can be changed');
+    }
+
+    const { values, errors } = await checkOrderFields(req.body, true, order.supplier);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors,
+      });
+    }
+
+    const before = auditSnapshot(order);
+    Object.assign(order, values);
+    await order.save();
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'purchase_order',
+      entity: order,
+      entityName: order.number,
+      before,
+      after: order,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Purchase order updated successfully',
+      data: await findOrder(order._id),
+    });
+  } catch (error) {
+    console.error('Update purchase order error:', error);
+    if (error.name === 'VersionError') {
+      return sendConflict(res);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Delete purchase order - only drafts can be deleted
+// DELETE /api/purchase-orders/:id
+export async function deletePurchaseOrder(req, res) {
+  try {
+    const order = mongoose.isValidObjectId(req.params.id) ? await PurchaseOrder.findById(req.params.id) : null;
+    if (!order) {
+      return sendNotFound(res);
+    }
+    if (order.status !== 'draft') {
+      return sendInvalidStatus(res, 'Only draft purchase orders can be deleted');
+    }
+
+    // The order could have been sent since it was read
+    const deleted = await PurchaseOrder.findOneAndDelete({ _id: order._id, status: 'draft' });
+    if (!deleted) {
+      return sendInvalidStatus(res, 'Only draft purchase orders can be deleted');
+    }
+
+    await recordAudit(req, {
+      action: 'delete',
+      entityType: 'purchase_order',
+      entity: deleted,
+      entityName: deleted.number,
+      before: deleted,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Purchase order deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete purchase order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Mark a draft purchase order as sent to the supplier - it can no longer be changed
+// POST /api/purchase-orders/:id/send
+export async function sendPurchaseOrder(req, res) {
+  try {
+    const before = mongoose.isValidObjectId(req.params.id) ? await PurchaseOrder.findById(req.params.id) : null;
+    if (!before) {
+      return sendNotFound(res);
+    }
+
+    // Only changes the order while it is still a draft - __v goes up so open edits of the draft fail
+    const order = await PurchaseOrder.findOneAndUpdate(
+      { _id: before._id, status: 'draft' },
+      { $set: { status: 'sent', sentAt: new Date() }, $inc: { __v: 1 } },
+      { new: true }
+    );
+    if (!order) {
+      return sendInvalidStatus(res, 'Only draft purchase orders can be sent');
+    }
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'purchase_order',
+      entity: order,
+      entityName: order.number,
+      before,
+      after: order,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Purchase order sent',
+      data: await findOrder(order._id),
+    });
+  } catch (error) {
+    console.error('Send purchase order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Receive goods on a sent purchase order
+// Body: { lines: [{ line, quantity }] } - line is the id of an order line
+// Each received quantity is added to the stock of the order's warehouse as a receipt
+// booked on the order, so the stock history shows where it came from
+// The order becomes partially received, or received once every line is complete
+// POST /api/purchase-orders/:id/receive
+export async function receivePurchaseOrder(req, res) {
+  try {
+    const receipts = Array.isArray(req.body.lines) ? req.body.lines : null;
+
+    // Validation
+    const errors = {};
+    if (!receipts || receipts.length === 0) {
+      errors.lines = 'Add at least one line to receive';
+    } else {
+      receipts.forEach((receipt, index) => {
+        const quantity = Number(receipt?.quantity);
+        if (!mongoose.isValidObjectId(receipt?.line)) {
+          errors[`lines.${index}`] = 'Invalid line';
+        } else if (!Number.isInteger(quantity) || quantity < 1) {
+          errors[`lines.${index}`] = 'Quantity must be a whole number of 1 or more';
+        }
+      });
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors,
+      });
+    }
+
+    // The stock and the order change together, or not at all
+    let before = null;
+    const order = await runInTransaction(async (session) => {
+      const current = mongoose.isValidObjectId(req.params.id)
+        ? await PurchaseOrder.findById(req.params.id).session(session)
+        : null;
+      if (!current) {
+        throw purchaseError('NOT_FOUND', 'Purchase order not found');
+      }
+      if (!RECEIVABLE_STATUSES.includes(current.status)) {
+        throw purchaseError('INVALID_STATUS', 'Only sent purchase orders can be received');
+      }
+      before = auditSnapshot(current);
+
+      const reference = { kind: 'purchase_order', document: current._id, number: current.number };
+      for (const receipt of receipts) {
+        const line = current.lines.id(receipt.line);
+        if (!line) {
+          throw purchaseError('INVALID_RECEIPT', 'This line is not on the purchase order');
+        }
+        const quantity = Number(receipt.quantity);
+        const remaining = line.quantity - line.receivedQuantity;
+        if (quantity > remaining) {
+          throw purchaseError('INVALID_RECEIPT', `Only ${remaining} of "${line.name}" are still expected`);
+        }
+
+        line.receivedQuantity += quantity;
+        await applyStockMovement({
+          productId: line.product,
+          variantId: line.variant,
+          warehouseId: current.warehouse,
+          type: 'receipt',
+          quantity,
+          reason: `Received on ${current.number}`,
+          reference,
+          user: req.user,
+        }, session);
+      }
+
+      const complete = current.lines.every((line) => line.receivedQuantity >= line.quantity);
+      current.status = complete ? 'received' : 'partially_received';
+      if (complete) {
+        current.receivedAt = new Date();
+      }
+      await current.save({ session });
+      return current;
+    });
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'purchase_order',
+      entity: order,
+      entityName: order.number,
+      before,
+      after: order,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: order.status === 'received' ? 'Purchase order received' : 'Goods received',
+      data: await findOrder(order._id),
+    });
+  } catch (error) {
+    console.error('Receive purchase order error:', error);
+
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+        error: 'NOT_FOUND',
+      });
+    }
+    if (error.code === 'INVALID_STATUS') {
+      return sendInvalidStatus(res, error.message);
+    }
+    if (error.code === 'INVALID_RECEIPT' || error.code === 'VARIANT_REQUIRED') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: { lines: error.message },
+      });
+    }
+    if (error.name === 'VersionError') {
+      return sendConflict(res);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
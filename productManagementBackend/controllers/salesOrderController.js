@@ -0,0 +1,471 @@
+import mongoose from 'mongoose';
+import SalesOrder, { SALES_ORDER_STATUSES } from '../models/SalesOrder.js';
+import Customer from '../models/Customer.js';
+import Warehouse from '../models/Warehouse.js';
+import { auditSnapshot, recordAudit } from '../utils/audit.js';
+import { applyStockMovement, releaseStock, reserveStock } from '../utils/inventory.js';
+import { checkSalesOrderLines } from '../utils/sales.js';
+import { nextDocumentNumber } from '../utils/documentNumbers.js';
+import { runInTransaction } from '../utils/transaction.js';
+
+// Orders in these states can still be cancelled
+const CANCELLABLE_STATUSES = ['pending', 'confirmed'];
+
+// Helper function to build an error that the handlers below can tell apart by its code
+function salesError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Helper function to load an order with its customer and warehouse names
+function findOrder(id) {
+  return SalesOrder.findById(id)
+    .populate('customer', 'name email')
+    .populate('warehouse', 'name code');
+}
+
+// Helper function to answer a request for an order that does not exist
+function sendNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    message: 'Sales order not found',
+    error: 'NOT_FOUND',
+  });
+}
+
+// Helper function to answer a request that is not allowed in the order's current state
+function sendInvalidStatus(res, message) {
+  return res.status(409).json({
+    success: false,
+    message,
+    error: 'INVALID_STATUS',
+  });
+}
+
+// Helper function to answer a save that lost against someone else's change to the same order
+function sendConflict(res) {
+  return res.status(409).json({
+    success: false,
+    message: 'This sales order was changed by someone else. Reload it and try again.',
+    error: 'CONFLICT',
+  });
+}
+
+// Helper function to answer the errors of a status change that runs in a transaction
+function sendStatusChangeError(res, error) {
+  if (error.code === 'NOT_FOUND') {
+    return res.status(404).json({
+      success: false,
+      message: error.message,
+      error: 'NOT_FOUND',
+    });
+  }
+  if (error.code === 'INVALID_STATUS') {
+    return sendInvalidStatus(res, error.message);
+  }
+  // Another order took the stock first
+  if (error.code === 'INSUFFICIENT_STOCK') {
+    return res.status(409).json({
+      success: false,
+      message: error.message,
+      error: 'INSUFFICIENT_STOCK',
+    });
+  }
+  if (error.code === 'VARIANT_REQUIRED') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: { lines: error.message },
+    });
+  }
+  if (error.name === 'VersionError') {
+    return sendConflict(res);
+  }
+  return res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: 'SERVER_ERROR',
+  });
+}
+
+// Helper function to load an order inside a transaction and check that it is in one of the given states
+async function loadOrderForChange(id, statuses, message, session) {
+  const order = mongoose.isValidObjectId(id) ? await SalesOrder.findById(id).session(session) : null;
+  if (!order) {
+    throw salesError('NOT_FOUND', 'Sales order not found');
+  }
+  if (!statuses.includes(order.status)) {
+    throw salesError('INVALID_STATUS', message);
+  }
+  return order;
+}
+
+// Helper function to check the order fields sent by a client
+// When isUpdate is true, only the fields that were sent are checked
+// Returns { values, errors } - values only has the fields that were sent
+async function checkOrderFields(body, isUpdate) {
+  const { customer, warehouse, notes, lines } = body;
+  const values = {};
+  const errors = {};
+
+  if (!isUpdate || customer !== undefined) {
+    const exists = mongoose.isValidObjectId(customer) && await Customer.exists({ _id: customer });
+    if (!exists) {
+      errors.customer = 'Customer is required';
+    } else {
+      values.customer = customer;
+    }
+  }
+
+  if (warehouse !== undefined) {
+    if (!warehouse) {
+      values.warehouse = null;
+    } else if (mongoose.isValidObjectId(warehouse) && await Warehouse.exists({ _id: warehouse })) {
+      values.warehouse = warehouse;
+    } else {
+      errors.warehouse = 'Invalid warehouse';
+    }
+  }
+
+  if (notes !== undefined) {
+    if (typeof notes !== 'string') {
+      errors.notes = 'Notes must be text';
+    } else {
+      values.notes = notes.trim();
+    }
+  }
+
+  if (!isUpdate || lines !== undefined) {
+    const result = await checkSalesOrderLines(lines);
+    Object.assign(errors, result.errors);
+    values.lines = result.lines;
+  }
+
+  return { values, errors };
+}
+
+// Get sales orders, newest first
+// GET /api/sales-orders
+// Filters: status, customer, search (order number)
+export async function getSalesOrders(req, res) {
+  try {
+    const { status, customer, search, page = 1, limit = 20 } = req.query;
+
+    // Calculate pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    // Build query
+    const query = {};
+    if (status && SALES_ORDER_STATUSES.includes(status)) {
+      query.status = status;
+    }
+    if (customer && mongoose.isValidObjectId(customer)) {
+      query.customer = customer;
+    }
+    if (search) {
+      query.number = { $regex: search, $options: 'i' };
+    }
+
+    const orders = await SalesOrder.find(query)
+      .populate('customer', 'name')
+      .populate('warehouse', 'name code')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const totalItems = await SalesOrder.countDocuments(query);
+    const totalPages = Math.ceil(totalItems / limitNum);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        orders,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalItems,
+          itemsPerPage: limitNum,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get sales orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Get single sales order
+// GET /api/sales-orders/:id
+export async function getSalesOrder(req, res) {
+  try {
+    const order = mongoose.isValidObjectId(req.params.id) ? await findOrder(req.params.id) : null;
+    if (!order) {
+      return sendNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: order,
+    });
+  } catch (error) {
+    console.error('Get sales order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Create sales order - new orders are pending and do not hold any stock yet
+// POST /api/sales-orders
+export async function createSalesOrder(req, res) {
+  try {
+    const { values, errors } = await checkOrderFields(req.body, false);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors,
+      });
+    }
+
+    const order = await SalesOrder.create({
+      ...values,
+      number: await nextDocumentNumber('sales_order', 'SO'),
+      status: 'pending',
+      createdBy: req.user._id,
+      createdByName: req.user.username,
+    });
+
+    await recordAudit(req, {
+      action: 'create',
+      entityType: 'sales_order',
+      entity: order,
+      entityName: order.number,
+      after: order,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Sales order created successfully',
+      data: await findOrder(order._id),
+    });
+  } catch (error) {
+    console.error('Create sales order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Update sales order - only pending orders can be changed
+// PUT /api/sales-orders/:id
+export async function updateSalesOrder(req, res) {
+  try {
+    const order = mongoose.isValidObjectId(req.params.id) ? await SalesOrder.findById(req.params.id) : null;
+    if (!order) {
+      return sendNotFound(res);
+    }
+    if (order.status !== 'pending') {
+      return sendInvalidStatus(res, 'Only pending sales orders can be changed');
+    }
+
+    const { values, errors } = await checkOrderFields(req.body, true);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors,
+      });
+    }
+
+    const before = auditSnapshot(order);
+    Object.assign(order, values);
+    await order.save();
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'sales_order',
+      entity: order,
+      entityName: order.number,
+      before,
+      after: order,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Sales order updated successfully',
+      data: await findOrder(order._id),
+    });
+  } catch (error) {
+    console.error('Update sales order error:', error);
+    if (error.name === 'VersionError') {
+      return sendConflict(res);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Confirm a pending sales order and reserve its stock in the order's warehouse
+// Every line is reserved, or none is: when one product is short the whole order stays pending
+// POST /api/sales-orders/:id/confirm
+export async function confirmSalesOrder(req, res) {
+  try {
+    let before = null;
+    const order = await runInTransaction(async (session) => {
+      const current = await loadOrderForChange(
+        req.params.id, ['pending'], 'Only pending sales orders can be confirmed', session
+      );
+      before = auditSnapshot(current);
+
+      for (const line of current.lines) {
+        const warehouse = await reserveStock({
+          productId: line.product,
+          variantId: line.variant,
+          warehouseId: current.warehouse,
+          quantity: line.quantity,
+        }, session);
+        // Keep the warehouse, so the reserved stock is shipped even if the default warehouse changes
+        current.warehouse = warehouse._id;
+      }
+
+      current.status = 'confirmed';
+      current.confirmedAt = new Date();
+      await current.save({ session });
+      return current;
+    });
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'sales_order',
+      entity: order,
+      entityName: order.number,
+      before,
+      after: order,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Sales order confirmed',
+      data: await findOrder(order._id),
+    });
+  } catch (error) {
+    console.error('Confirm sales order error:', error);
+    sendStatusChangeError(res, error);
+  }
+};
+
+// Ship a confirmed sales order - the reserved stock is taken out of stock as sales
+// booked on the order, so the stock history shows where it went
+// POST /api/sales-orders/:id/ship
+export async function shipSalesOrder(req, res) {
+  try {
+    let before = null;
+    const order = await runInTransaction(async (session) => {
+      const current = await loadOrderForChange(
+        req.params.id, ['confirmed'], 'Only confirmed sales orders can be shipped', session
+      );
+      before = auditSnapshot(current);
+
+      const reference = { kind: 'sales_order', document: current._id, number: current.number };
+      for (const line of current.lines) {
+        await applyStockMovement({
+          productId: line.product,
+          variantId: line.variant,
+          warehouseId: current.warehouse,
+          type: 'sale',
+          quantity: line.quantity,
+          reason: `Shipped on ${current.number}`,
+          reference,
+          fromReservation: true,
+          user: req.user,
+        }, session);
+      }
+
+      current.status = 'shipped';
+      current.shippedAt = new Date();
+      await current.save({ session });
+      return current;
+    });
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'sales_order',
+      entity: order,
+      entityName: order.number,
+      before,
+      after: order,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Sales order shipped',
+      data: await findOrder(order._id),
+    });
+  } catch (error) {
+    console.error('Ship sales order error:', error);
+    sendStatusChangeError(res, error);
+  }
+};
+
+// Cancel a pending or confirmed sales order - stock reserved for a confirmed order is given back
+// POST /api/sales-orders/:id/cancel
+export async function cancelSalesOrder(req, res) {
+  try {
+    let before = null;
+    const order = await runInTransaction(async (session) => {
+      const current = await loadOrderForChange(
+        req.params.id, CANCELLABLE_STATUSES, 'Only pending or confirmed sales orders can be cancelled', session
+      );
+      before = auditSnapshot(current);
+
+      if (current.status === 'confirmed') {
+        for (const line of current.lines) {
+          await releaseStock({
+            productId: line.product,
+            variantId: line.variant,
+            warehouseId: current.warehouse,
+            quantity: line.quantity,
+          }, session);
+        }
+      }
+
+      current.status = 'cancelled';
+      current.cancelledAt = new Date();
+      await current.save({ session });
+      return current;
+    });
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'sales_order',
+      entity: order,
+      entityName: order.number,
+      before,
+      after: order,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Sales order cancelled',
+      data: await findOrder(order._id),
+    });
+  } catch (error) {
+    console.error('Cancel sales order error:', error);
+    sendStatusChangeError(res, error);
+  }
+};
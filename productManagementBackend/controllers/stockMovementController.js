@@ -0,0 +1,248 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import StockMovement, { STOCK_MOVEMENT_TYPES } from '../models/StockMovement.js';
+import { MANUAL_MOVEMENT_TYPES, applyStockMovement, transferStock, validateMovement } from '../utils/inventory.js';
+import { runInTransaction } from '../utils/transaction.js';
+
+// Longest reason the StockMovement model accepts
+const MAX_REASON_LENGTH = 500;
+
+// Get the stock history of a product, newest first
+// GET /api/products/:id/stock-movements
+export async function getStockMovements(req, res) {
+  try {
+    const { type, variant, warehouse, page = 1, limit = 20 } = req.query;
+
+    const product = await Product.findById(req.params.id).select('_id');
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found',
+        error: 'NOT_FOUND',
+      });
+    }
+
+    // Calculate pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    // Build query
+    const query = { product: product._id };
+    if (type && STOCK_MOVEMENT_TYPES.includes(type)) {
+      query.type = type;
+    }
+    if (variant && mongoose.isValidObjectId(variant)) {
+      query.variant = variant;
+    }
+    if (warehouse && mongoose.isValidObjectId(warehouse)) {
+      query.warehouse = warehouse;
+    }
+
+    const movements = await StockMovement.find(query)
+      .populate('warehouse', 'name code')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const totalItems = await StockMovement.countDocuments(query);
+    const totalPages = Math.ceil(totalItems / limitNum);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        movements,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalItems,
+          itemsPerPage: limitNum,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get stock movements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Helper function to answer a request that failed with one of the errors thrown by utils/inventory.js
+// Returns false for other errors
+function sendStockError(res, error) {
+  if (error.code === 'NOT_FOUND') {
+    res.status(404).json({
+      success: false,
+      message: error.message,
+      error: 'NOT_FOUND',
+    });
+    return true;
+  }
+  if (error.code === 'VARIANT_REQUIRED') {
+    res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: { variant: error.message },
+    });
+    return true;
+  }
+  if (error.code === 'BUNDLE_STOCK') {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+      error: 'BUNDLE_STOCK',
+    });
+    return true;
+  }
+  if (error.code === 'INVALID_TRANSFER') {
+    res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: { to: error.message },
+    });
+    return true;
+  }
+  if (error.code === 'INSUFFICIENT_STOCK') {
+    res.status(409).json({
+      success: false,
+      message: error.message,
+      error: 'INSUFFICIENT_STOCK',
+    });
+    return true;
+  }
+  return false;
+}
+
+// Record a stock movement - a receipt, sale, adjustment, return or damage
+// Without a warehouse, the default warehouse is used
+// POST /api/products/:id/stock-movements
+export async function createStockMovement(req, res) {
+  try {
+    const { type, variant, warehouse, reason } = req.body;
+    const quantity = Number(req.body.quantity);
+
+    // Validation
+    const errors = {};
+    const movementError = validateMovement(type, quantity);
+    if (movementError) {
+      errors[MANUAL_MOVEMENT_TYPES.includes(type) ? 'quantity' : 'type'] = movementError;
+    }
+    if (!reason || typeof reason !== 'string' || reason.trim().length === 0) {
+      errors.reason = 'Reason is required';
+    } else if (reason.trim().length > MAX_REASON_LENGTH) {
+      errors.reason = `Reason cannot exceed ${MAX_REASON_LENGTH} characters`;
+    }
+    if (variant && !mongoose.isValidObjectId(variant)) {
+      errors.variant = 'Invalid variant';
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors,
+      });
+    }
+
+    const movement = await runInTransaction((session) => applyStockMovement({
+      productId: req.params.id,
+      variantId: variant || null,
+      warehouseId: warehouse || null,
+      type,
+      quantity,
+      reason: reason.trim(),
+      user: req.user,
+    }, session));
+
+    const product = await Product.findById(req.params.id).populate('category', 'name');
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock movement recorded successfully',
+      data: {
+        movement,
+        product,
+      },
+    });
+  } catch (error) {
+    console.error('Create stock movement error:', error);
+    if (sendStockError(res, error)) {
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Move stock of a product (or variant) from one warehouse to another
+// POST /api/products/:id/transfers
+export async function createTransfer(req, res) {
+  try {
+    const { variant, from, to, reason } = req.body;
+    const quantity = Number(req.body.quantity);
+
+    // Validation
+    const errors = {};
+    if (!from || !mongoose.isValidObjectId(from)) {
+      errors.from = 'Source warehouse is required';
+    }
+    if (!to || !mongoose.isValidObjectId(to)) {
+      errors.to = 'Destination warehouse is required';
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      errors.quantity = 'Quantity must be a whole number greater than 0';
+    }
+    if (typeof reason === 'string' && reason.trim().length > MAX_REASON_LENGTH) {
+      errors.reason = `Reason cannot exceed ${MAX_REASON_LENGTH} characters`;
+    }
+    if (variant && !mongoose.isValidObjectId(variant)) {
+      errors.variant = 'Invalid variant';
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors,
+      });
+    }
+
+    const result = await runInTransaction((session) => transferStock({
+      productId: req.params.id,
+      variantId: variant || null,
+      fromWarehouseId: from,
+      toWarehouseId: to,
+      quantity,
+      reason: typeof reason === 'string' ? reason.trim() : '',
+      user: req.user,
+    }, session));
+
+    const product = await Product.findById(req.params.id).populate('category', 'name');
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock transferred successfully',
+      data: {
+        transfer: result.transfer,
+        movements: result.movements,
+        product,
+      },
+    });
+  } catch (error) {
+    console.error('Create transfer error:', error);
+    if (sendStockError(res, error)) {
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
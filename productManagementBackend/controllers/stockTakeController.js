@@ -0,0 +1,575 @@
+import mongoose from 'mongoose';
+import StockTake, { STOCK_TAKE_STATUSES } from '../models/StockTake.js';
+import Product from '../models/Product.js';
+import Warehouse from '../models/Warehouse.js';
+import { auditSnapshot, recordAudit } from '../utils/audit.js';
+import { findCategory, getDescendantIds } from '../utils/categories.js';
+import { applyStockMovement, getDefaultWarehouse } from '../utils/inventory.js';
+import { normalizeBarcode, normalizeSku } from '../utils/productCodes.js';
+import { variantLabel } from '../utils/variants.js';
+import { nextDocumentNumber } from '../utils/documentNumbers.js';
+import { runInTransaction } from '../utils/transaction.js';
+
+// Helper function to build an error that the handlers below can tell apart by its code
+function stockTakeError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Helper function to load a stock take with its warehouse and category names
+function findStockTake(id) {
+  return StockTake.findById(id)
+    .populate('warehouse', 'name code')
+    .populate('category', 'name');
+}
+
+// Helper function to answer a request for a stock take that does not exist
+function sendNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    message: 'Stock take not found',
+    error: 'NOT_FOUND',
+  });
+}
+
+// Helper function to answer a change to a stock take that is no longer being counted
+function sendNotCounting(res) {
+  return res.status(409).json({
+    success: false,
+    message: 'This stock take is no longer being counted',
+    error: 'INVALID_STATUS',
+  });
+}
+
+// Helper function to list what to count in a warehouse: one line per product, or per variant
+// for products with variants, with the stock in the warehouse right now as the expected quantity
+async function snapshotLines(warehouseId, query) {
+  const products = await Product.find(query)
+    .select('name sku barcode options variants locations')
+    .sort({ name: 1 })
+    .lean();
+
+  const lines = [];
+  for (const product of products) {
+    const stockIn = (variantId) => {
+      const location = product.locations.find((item) =>
+        item.warehouse.equals(warehouseId) && String(item.variant || '') === String(variantId || '')
+      );
+      return location ? location.stock : 0;
+    };
+
+    if (product.variants.length === 0) {
+      lines.push({
+        product: product._id,
+        variant: null,
+        name: product.name,
+        sku: product.sku || '',
+        barcode: product.barcode || '',
+        expected: stockIn(null),
+      });
+      continue;
+    }
+    for (const variant of product.variants) {
+      lines.push({
+        product: product._id,
+        variant: variant._id,
+        name: `${product.name} (${variantLabel(variant, product.options)})`,
+        sku: variant.sku || '',
+        barcode: variant.barcode || '',
+        expected: stockIn(variant._id),
+      });
+    }
+  }
+  return lines;
+}
+
+// Get stock takes, newest first, with how far counting got
+// GET /api/stock-takes
+// Filters: status, warehouse
+export async function getStockTakes(req, res) {
+  try {
+    const { status, warehouse, page = 1, limit = 20 } = req.query;
+
+    // Calculate pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    // Build query
+    const query = {};
+    if (status && STOCK_TAKE_STATUSES.includes(status)) {
+      query.status = status;
+    }
+    if (warehouse && mongoose.isValidObjectId(warehouse)) {
+      query.warehouse = new mongoose.Types.ObjectId(warehouse);
+    }
+
+    // Lines are left out - lists only need the totals
+    const counted = { $ne: ['$$this.counted', null] };
+    const stockTakes = await StockTake.aggregate([
+      { $match: query },
+      { $sort: { createdAt: -1, _id: -1 } },
+      { $skip: skip },
+      { $limit: limitNum },
+      {
+        $addFields: {
+          lineCount: { $size: '$lines' },
+          countedCount: { $size: { $filter: { input: '$lines', cond: counted } } },
+          varianceCount: {
+            $size: {
+              $filter: {
+                input: '$lines',
+                cond: { $and: [counted, { $ne: ['$$this.counted', '$$this.expected'] }] },
+              },
+            },
+          },
+        },
+      },
+      { $project: { lines: 0 } },
+    ]);
+    await StockTake.populate(stockTakes, [
+      { path: 'warehouse', select: 'name code' },
+      { path: 'category', select: 'name' },
+    ]);
+
+    const totalItems = await StockTake.countDocuments(query);
+    const totalPages = Math.ceil(totalItems / limitNum);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        stockTakes,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalItems,
+          itemsPerPage: limitNum,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get stock takes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Get single stock take with all its lines
+// GET /api/stock-takes/:id
+export async function getStockTake(req, res) {
+  try {
+    const stockTake = mongoose.isValidObjectId(req.params.id) ? await findStockTake(req.params.id) : null;
+    if (!stockTake) {
+      return sendNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: stockTake,
+    });
+  } catch (error) {
+    console.error('Get stock take error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Start a stock take of a warehouse (the default warehouse when none is given),
+// optionally only for one category and its subcategories
+// The stock of each product (or variant) in the warehouse is kept as the expected quantity
+// POST /api/stock-takes
+export async function createStockTake(req, res) {
+  try {
+    const { warehouse, category, notes } = req.body;
+    const errors = {};
+
+    let warehouseDoc = null;
+    if (warehouse) {
+      warehouseDoc = mongoose.isValidObjectId(warehouse) ? await Warehouse.findById(warehouse) : null;
+      if (!warehouseDoc) {
+        errors.warehouse = 'Invalid warehouse';
+      }
+    } else {
+      warehouseDoc = await getDefaultWarehouse();
+    }
+
+    // Bundles have no stock of their own - the products in them are counted
+    const query = { kind: { $ne: 'bundle' } };
+    let categoryDoc = null;
+    if (category) {
+      const found = await findCategory(category);
+      categoryDoc = found.category;
+      if (!categoryDoc) {
+        errors.category = found.error || 'Invalid category';
+      } else {
+        query.category = { $in: [categoryDoc._id, ...await getDescendantIds(categoryDoc._id)] };
+      }
+    }
+
+    if (notes !== undefined && typeof notes !== 'string') {
+      errors.notes = 'Notes must be text';
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors,
+      });
+    }
+
+    const lines = await snapshotLines(warehouseDoc._id, query);
+    if (lines.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: { category: 'There are no products to count' },
+      });
+    }
+
+    const stockTake = await StockTake.create({
+      number: await nextDocumentNumber('stock_take', 'ST'),
+      warehouse: warehouseDoc._id,
+      category: categoryDoc ? categoryDoc._id : null,
+      notes: notes ? notes.trim() : '',
+      lines,
+      createdBy: req.user._id,
+      createdByName: req.user.username,
+    });
+
+    await recordAudit(req, {
+      action: 'create',
+      entityType: 'stock_take',
+      entity: stockTake,
+      entityName: stockTake.number,
+      details: { warehouse: warehouseDoc.name, category: categoryDoc ? categoryDoc.name : null, lines: lines.length },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock take started',
+      data: await findStockTake(stockTake._id),
+    });
+  } catch (error) {
+    console.error('Create stock take error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Enter counted quantities
+// Body: { counts: [{ line, counted }] } - line is the id of a stock take line, and an empty
+// counted clears the count
+// Each line is updated on its own, so several people can count the same stock take at once
+// PATCH /api/stock-takes/:id/counts
+export async function recordCounts(req, res) {
+  try {
+    const stockTake = mongoose.isValidObjectId(req.params.id)
+      ? await StockTake.findById(req.params.id).select('status lines._id').lean()
+      : null;
+    if (!stockTake) {
+      return sendNotFound(res);
+    }
+    if (stockTake.status !== 'counting') {
+      return sendNotCounting(res);
+    }
+
+    // Validation
+    const counts = Array.isArray(req.body.counts) ? req.body.counts : null;
+    const lineIds = new Set(stockTake.lines.map((line) => line._id.toString()));
+    const errors = {};
+    if (!counts || counts.length === 0) {
+      errors.counts = 'Add at least one count';
+    } else {
+      counts.forEach((count, index) => {
+        const counted = count?.counted;
+        if (!lineIds.has(String(count?.line))) {
+          errors[`counts.${index}`] = 'This line is not on the stock take';
+        } else if (counted !== null && counted !== '' && (!Number.isInteger(Number(counted)) || Number(counted) < 0)) {
+          errors[`counts.${index}`] = 'Counted quantity must be a whole number of 0 or more';
+        }
+      });
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors,
+      });
+    }
+
+    const countedAt = new Date();
+    const result = await StockTake.bulkWrite(counts.map((count) => {
+      const counted = count.counted === null || count.counted === '' ? null : Number(count.counted);
+      return {
+        updateOne: {
+          filter: { _id: stockTake._id, status: 'counting', 'lines._id': count.line },
+          update: { $set: { 'lines.$.counted': counted, 'lines.$.countedAt': counted === null ? null : countedAt } },
+        },
+      };
+    }));
+    // The stock take was approved or cancelled in the meantime
+    if (result.matchedCount < counts.length) {
+      return sendNotCounting(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Counts saved',
+      data: await findStockTake(stockTake._id),
+    });
+  } catch (error) {
+    console.error('Record counts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Count by scanning or typing a barcode or SKU - adds quantity (default 1) to the count of the matching line
+// A negative quantity takes units off again, e.g. after a double scan
+// Body: { code, quantity }
+// POST /api/stock-takes/:id/scan
+export async function scanCode(req, res) {
+  try {
+    const stockTake = mongoose.isValidObjectId(req.params.id)
+      ? await StockTake.findById(req.params.id).select('status lines._id lines.sku lines.barcode').lean()
+      : null;
+    if (!stockTake) {
+      return sendNotFound(res);
+    }
+    if (stockTake.status !== 'counting') {
+      return sendNotCounting(res);
+    }
+
+    // Validation
+    const code = typeof req.body.code === 'string' ? req.body.code.trim() : '';
+    const quantity = req.body.quantity === undefined ? 1 : Number(req.body.quantity);
+    const errors = {};
+    if (!code) {
+      errors.code = 'Code is required';
+    }
+    if (!Number.isInteger(quantity) || quantity === 0) {
+      errors.quantity = 'Quantity must be a whole number other than 0';
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors,
+      });
+    }
+
+    // SKUs are stored in upper case, barcodes as digits only
+    const sku = normalizeSku(code);
+    const barcode = normalizeBarcode(code);
+    const line = stockTake.lines.find((item) =>
+      (item.barcode && item.barcode === barcode) || (item.sku && item.sku === sku)
+    );
+    if (!line) {
+      return res.status(404).json({
+        success: false,
+        message: `Nothing on this stock take has the code "${code}"`,
+        error: 'NOT_FOUND',
+      });
+    }
+
+    // A line that was not counted yet starts at 0
+    await StockTake.updateOne(
+      { _id: stockTake._id, status: 'counting', lines: { $elemMatch: { _id: line._id, counted: null } } },
+      { $set: { 'lines.$.counted': 0 } }
+    );
+    const updated = await StockTake.findOneAndUpdate(
+      {
+        _id: stockTake._id,
+        status: 'counting',
+        lines: { $elemMatch: { _id: line._id, counted: { $gte: Math.max(-quantity, 0) } } },
+      },
+      { $inc: { 'lines.$.counted': quantity }, $set: { 'lines.$.countedAt': new Date() } },
+      { new: true, projection: { lines: { $elemMatch: { _id: line._id } } } }
+    );
+    if (!updated) {
+      const current = await StockTake.findById(stockTake._id).select('status').lean();
+      if (current.status !== 'counting') {
+        return sendNotCounting(res);
+      }
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: { quantity: 'The count cannot go below 0' },
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: updated.lines[0],
+    });
+  } catch (error) {
+    console.error('Scan code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Approve a stock take - the difference between the counted and the expected quantity of each
+// counted line is posted as an adjustment, all in one transaction
+// Movements recorded while counting are kept, because only the difference found by the count is posted
+// Lines that were not counted, and products deleted since the stock take started, are left out
+// POST /api/stock-takes/:id/approve
+export async function approveStockTake(req, res) {
+  try {
+    let before = null;
+    let adjusted = 0;
+    const stockTake = await runInTransaction(async (session) => {
+      adjusted = 0;
+      const current = mongoose.isValidObjectId(req.params.id)
+        ? await StockTake.findById(req.params.id).session(session)
+        : null;
+      if (!current) {
+        throw stockTakeError('NOT_FOUND', 'Stock take not found');
+      }
+      if (current.status !== 'counting') {
+        throw stockTakeError('INVALID_STATUS', 'This stock take is no longer being counted');
+      }
+      if (!await Warehouse.exists({ _id: current.warehouse }).session(session)) {
+        throw stockTakeError('NOT_FOUND', 'The warehouse of this stock take no longer exists');
+      }
+      before = auditSnapshot(current);
+
+      const reference = { kind: 'stock_take', document: current._id, number: current.number };
+      for (const line of current.lines) {
+        if (line.counted === null || line.counted === line.expected) {
+          continue;
+        }
+        try {
+          await applyStockMovement({
+            productId: line.product,
+            variantId: line.variant,
+            warehouseId: current.warehouse,
+            type: 'adjustment',
+            quantity: line.counted - line.expected,
+            reason: `Counted on ${current.number}`,
+            reference,
+            user: req.user,
+          }, session);
+          adjusted += 1;
+        } catch (error) {
+          // The product or variant was deleted while counting
+          if (error.code !== 'NOT_FOUND') {
+            throw error;
+          }
+        }
+      }
+
+      current.status = 'approved';
+      current.approvedAt = new Date();
+      current.approvedByName = req.user.username;
+      await current.save({ session });
+      return current;
+    });
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'stock_take',
+      entity: stockTake,
+      entityName: stockTake.number,
+      before,
+      after: stockTake,
+      details: { adjustments: adjusted },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Stock take approved with ${adjusted} adjustment(s)`,
+      data: await findStockTake(stockTake._id),
+    });
+  } catch (error) {
+    console.error('Approve stock take error:', error);
+
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+        error: 'NOT_FOUND',
+      });
+    }
+    if (error.code === 'INVALID_STATUS') {
+      return sendNotCounting(res);
+    }
+    // Stock reserved for sales orders cannot be adjusted away
+    if (error.code === 'INSUFFICIENT_STOCK') {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        error: 'INSUFFICIENT_STOCK',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Cancel a stock take that is being counted - no stock changes
+// POST /api/stock-takes/:id/cancel
+export async function cancelStockTake(req, res) {
+  try {
+    const before = mongoose.isValidObjectId(req.params.id)
+      ? await StockTake.findById(req.params.id).select('-lines')
+      : null;
+    if (!before) {
+      return sendNotFound(res);
+    }
+
+    const stockTake = await StockTake.findOneAndUpdate(
+      { _id: before._id, status: 'counting' },
+      { $set: { status: 'cancelled', cancelledAt: new Date() } },
+      { new: true, projection: { lines: 0 } }
+    );
+    if (!stockTake) {
+      return sendNotCounting(res);
+    }
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'stock_take',
+      entity: stockTake,
+      entityName: stockTake.number,
+      before,
+      after: stockTake,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Stock take cancelled',
+      data: await findStockTake(stockTake._id),
+    });
+  } catch (error) {
+    console.error('Cancel stock take error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
@@ -0,0 +1,267 @@
+import Supplier from '../models/Supplier.js';
+import Product from '../models/Product.js';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import { auditSnapshot, recordAudit } from '../utils/audit.js';
+import { runInTransaction } from '../utils/transaction.js';
+
+// Fields of a supplier that are plain text
+const TEXT_FIELDS = ['contactName', 'email', 'phone', 'address', 'notes'];
+
+// Helper function to validate supplier fields
+// When isUpdate is true, only the fields that were sent are checked
+function validateSupplier(fields, isUpdate) {
+  const { name, email } = fields;
+  const errors = {};
+
+  if (!isUpdate || name !== undefined) {
+    if (!name || typeof name !== 'string' || name.trim().length < 2) {
+      errors.name = 'Supplier name is required and must be at least 2 characters';
+    }
+  }
+  for (const field of TEXT_FIELDS) {
+    if (fields[field] !== undefined && typeof fields[field] !== 'string') {
+      errors[field] = 'Must be text';
+    }
+  }
+  if (!errors.email && email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+    errors.email = 'Please enter a valid email';
+  }
+
+  return errors;
+}
+
+// Get all suppliers, with the number of products each one supplies
+// GET /api/suppliers
+export async function getSuppliers(req, res) {
+  try {
+    const { search } = req.query;
+
+    const query = {};
+    if (search) {
+      query.name = { $regex: search, $options: 'i' };
+    }
+
+    const suppliers = await Supplier.find(query).sort({ name: 1 }).lean();
+    const counts = await Product.aggregate([
+      { $unwind: '$suppliers' },
+      { $group: { _id: '$suppliers.supplier', count: { $sum: 1 } } },
+    ]);
+    const countById = new Map(counts.map((count) => [String(count._id), count.count]));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        suppliers: suppliers.map((supplier) => ({
+          ...supplier,
+          productCount: countById.get(String(supplier._id)) || 0,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('Get suppliers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Get single supplier, with the products it supplies and their cost and lead time there
+// GET /api/suppliers/:id
+export async function getSupplier(req, res) {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found',
+        error: 'NOT_FOUND',
+      });
+    }
+
+    const products = await Product.find({ 'suppliers.supplier': supplier._id })
+      .select('name sku suppliers')
+      .sort({ name: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        supplier,
+        products: products.map((product) => {
+          const entry = product.suppliers.find((item) => item.supplier.equals(supplier._id));
+          return {
+            _id: product._id,
+            name: product.name,
+            sku: product.sku,
+            cost: entry.cost,
+            leadTimeDays: entry.leadTimeDays,
+            supplierSku: entry.supplierSku,
+          };
+        }),
+      },
+    });
+  } catch (error) {
+    console.error('Get supplier error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Create supplier
+// POST /api/suppliers
+export async function createSupplier(req, res) {
+  try {
+    const errors = validateSupplier(req.body, false);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors,
+      });
+    }
+
+    const data = { name: req.body.name.trim() };
+    for (const field of TEXT_FIELDS) {
+      if (req.body[field] !== undefined) {
+        data[field] = req.body[field].trim();
+      }
+    }
+    const supplier = await Supplier.create(data);
+
+    await recordAudit(req, { action: 'create', entityType: 'supplier', entity: supplier, after: supplier });
+
+    res.status(201).json({
+      success: true,
+      message: 'Supplier created successfully',
+      data: supplier,
+    });
+  } catch (error) {
+    console.error('Create supplier error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A supplier with this name already exists',
+        error: 'DUPLICATE_SUPPLIER',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Update supplier
+// PUT /api/suppliers/:id
+export async function updateSupplier(req, res) {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found',
+        error: 'NOT_FOUND',
+      });
+    }
+
+    const errors = validateSupplier(req.body, true);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors,
+      });
+    }
+
+    const before = auditSnapshot(supplier);
+    if (req.body.name !== undefined) supplier.name = req.body.name.trim();
+    for (const field of TEXT_FIELDS) {
+      if (req.body[field] !== undefined) {
+        supplier[field] = req.body[field].trim();
+      }
+    }
+    await supplier.save();
+
+    await recordAudit(req, { action: 'update', entityType: 'supplier', entity: supplier, before, after: supplier });
+
+    res.status(200).json({
+      success: true,
+      message: 'Supplier updated successfully',
+      data: supplier,
+    });
+  } catch (error) {
+    console.error('Update supplier error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A supplier with this name already exists',
+        error: 'DUPLICATE_SUPPLIER',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Delete supplier - only when it has no purchase orders
+// The supplier is removed from the products it supplied
+// DELETE /api/suppliers/:id
+export async function deleteSupplier(req, res) {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found',
+        error: 'NOT_FOUND',
+      });
+    }
+
+    const orderCount = await PurchaseOrder.countDocuments({ supplier: supplier._id });
+    if (orderCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete supplier. It has ${orderCount} purchase order(s).`,
+        error: 'SUPPLIER_HAS_ORDERS',
+        data: { orderCount },
+      });
+    }
+
+    // Products in the trash drop the supplier as well, so they come back without it
+    await runInTransaction(async (session) => {
+      await Product.updateMany(
+        { 'suppliers.supplier': supplier._id },
+        { $pull: { suppliers: { supplier: supplier._id } } },
+        { session, withDeleted: true }
+      );
+      await Supplier.findByIdAndDelete(supplier._id, { session });
+    });
+
+    await recordAudit(req, { action: 'delete', entityType: 'supplier', entity: supplier, before: supplier });
+
+    res.status(200).json({
+      success: true,
+      message: 'Supplier deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete supplier error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
@@ -0,0 +1,272 @@
+import User from '../models/User.js';
+import bcrypt from 'bcryptjs';
+import {
+  generateSecret,
+  buildSetupData,
+  verifyCode,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} from '../utils/twoFactor.js';
+
+// Helper function to load the logged in user with the two-factor fields
+async function findUserWithTwoFactor(userId) {
+  return await User.findById(userId)
+    .select('+password +twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+}
+
+// Helper function to check a code from the authenticator app or a recovery code
+// A used recovery code is removed, the caller must save the user afterwards
+function checkCodeOrRecoveryCode(user, code, recoveryCode) {
+  if (code) {
+    const step = verifyCode(user.twoFactorSecret, code, user.twoFactorLastUsedStep);
+    if (step === null) {
+      return false;
+    }
+    user.twoFactorLastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const codeHash = hashRecoveryCode(recoveryCode);
+    if (!user.twoFactorRecoveryCodes.includes(codeHash)) {
+      return false;
+    }
+    user.twoFactorRecoveryCodes = user.twoFactorRecoveryCodes.filter((hash) => hash !== codeHash);
+    return true;
+  }
+
+  return false;
+}
+
+// Get two-factor status for the logged in user
+// GET /api/auth/2fa
+export async function getTwoFactorStatus(req, res) {
+  try {
+    const user = await findUserWithTwoFactor(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: user.twoFactorEnabled,
+        recoveryCodesRemaining: user.twoFactorEnabled ? user.twoFactorRecoveryCodes.length : 0,
+      },
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Start two-factor setup - creates a secret and a QR code to scan
+// POST /api/auth/2fa/setup
+export async function setupTwoFactor(req, res) {
+  try {
+    const user = await findUserWithTwoFactor(req.user._id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+        error: 'TWO_FACTOR_ALREADY_ENABLED',
+      });
+    }
+
+    // Secret is only used after the user confirms it with a code
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    const setupData = await buildSetupData(user.username, secret);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app',
+      data: setupData,
+    });
+  } catch (error) {
+    console.error('Setup two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Confirm setup with a code from the app and turn two-factor on
+// POST /api/auth/2fa/enable
+export async function enableTwoFactor(req, res) {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the code from your authenticator app',
+        error: 'VALIDATION_ERROR',
+      });
+    }
+
+    const user = await findUserWithTwoFactor(req.user._id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+        error: 'TWO_FACTOR_ALREADY_ENABLED',
+      });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please start two-factor setup first',
+        error: 'TWO_FACTOR_NOT_SET_UP',
+      });
+    }
+
+    const step = verifyCode(user.twoFactorPendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code',
+        error: 'INVALID_2FA_CODE',
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    user.twoFactorEnabled = true;
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = recoveryCodes.hashes;
+    user.twoFactorLastUsedStep = step;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: {
+        // Shown only once - the user must store them somewhere safe
+        recoveryCodes: recoveryCodes.codes,
+      },
+    });
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Turn two-factor off - needs the password and a current code
+// POST /api/auth/2fa/disable
+export async function disableTwoFactor(req, res) {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your password and a verification code',
+        error: 'VALIDATION_ERROR',
+      });
+    }
+
+    const user = await findUserWithTwoFactor(req.user._id);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+        error: 'TWO_FACTOR_NOT_ENABLED',
+      });
+    }
+
+    const isPasswordMatch = await bcrypt.compare(password, user.password);
+    if (!isPasswordMatch) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password',
+        error: 'INVALID_CREDENTIALS',
+      });
+    }
+
+    if (!checkCodeOrRecoveryCode(user, code, recoveryCode)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code',
+        error: 'INVALID_2FA_CODE',
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorRecoveryCodes = [];
+    user.twoFactorLastUsedStep = undefined;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Replace all recovery codes with new ones
+// POST /api/auth/2fa/recovery-codes
+export async function regenerateRecoveryCodes(req, res) {
+  try {
+    const { code } = req.body;
+
+    const user = await findUserWithTwoFactor(req.user._id);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+        error: 'TWO_FACTOR_NOT_ENABLED',
+      });
+    }
+
+    if (!checkCodeOrRecoveryCode(user, code)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code',
+        error: 'INVALID_2FA_CODE',
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactorRecoveryCodes = recoveryCodes.hashes;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes created',
+      data: {
+        recoveryCodes: recoveryCodes.codes,
+      },
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
@@ -0,0 +1,654 @@
+import User from '../models/User.js';
+import { hashPassword, revokeUserSessions } from './authController.js';
+import { ROLES } from '../utils/permissions.js';
+import { generateRandomToken, hashToken } from '../utils/tokens.js';
+import { sendMail } from '../utils/mailer/index.js';
+import { inviteEmail } from '../utils/mailer/templates.js';
+
+// Invite links are valid for 7 days
+const INVITE_EXPIRE_DAYS = 7;
+
+// Helper function to build the user data sent to the client
+function formatUser(user) {
+  return {
+    id: user._id,
+    username: user.username,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    status: user.status,
+    lastLoginAt: user.lastLoginAt,
+    inviteExpiresAt: user.status === 'invited' ? user.inviteExpiresAt : undefined,
+    lockUntil: user.lockUntil && user.lockUntil > new Date() ? user.lockUntil : undefined,
+    twoFactorEnabled: user.twoFactorEnabled,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt,
+  };
+}
+
+// Helper function to validate user fields
+// When isUpdate is true, only the fields that were sent are checked
+function validateUser(fields, isUpdate) {
+  const { username, name, email, role } = fields;
+  const errors = {};
+
+  if (!isUpdate || username !== undefined) {
+    if (!username || username.trim().length < 3) {
+      errors.username = 'Username is required and must be at least 3 characters';
+    }
+  }
+  if (!isUpdate || name !== undefined) {
+    if (!name || name.trim().length === 0) {
+      errors.name = 'Name is required';
+    }
+  }
+  if (!isUpdate || email !== undefined) {
+    if (!email || !/^\S+@\S+\.\S+$/.test(email.trim())) {
+      errors.email = 'A valid email is required';
+    }
+  }
+  if (role !== undefined && !ROLES.includes(role)) {
+    errors.role = `Role must be one of: ${ROLES.join(', ')}`;
+  }
+
+  return errors;
+}
+
+// Helper function to check that a password is strong enough
+function validatePassword(password) {
+  if (!password || password.length < 8) {
+    return 'Password must be at least 8 characters';
+  }
+  return null;
+}
+
+// Helper function to check if username or email is already used by another user
+async function findDuplicate(username, email, excludeId) {
+  const conditions = [];
+  if (username) conditions.push({ username: username.trim() });
+  if (email) conditions.push({ email: email.trim().toLowerCase() });
+  if (conditions.length === 0) return null;
+
+  const query = { $or: conditions };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+  return await User.findOne(query);
+}
+
+// Helper function to check if a change would leave no active admin
+async function isLastActiveAdmin(user) {
+  if (user.role !== 'admin' || user.status !== 'active') {
+    return false;
+  }
+  const otherAdmins = await User.countDocuments({
+    role: 'admin',
+    status: 'active',
+    _id: { $ne: user._id },
+  });
+  return otherAdmins === 0;
+}
+
+// Helper function to create a new invite token for a user
+// Returns the link that the invited user opens to set a password
+function createInvite(user) {
+  const token = generateRandomToken();
+  user.inviteTokenHash = hashToken(token);
+  user.inviteExpiresAt = new Date(Date.now() + INVITE_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  return `${frontendUrl}/accept-invite?token=${token}`;
+}
+
+// Helper function to email an invite link
+// Returns false if sending failed - the admin can still copy the link from the response
+async function sendInviteEmail(user, inviteUrl) {
+  try {
+    await sendMail({ to: user.email, ...inviteEmail(user, inviteUrl) });
+    return true;
+  } catch (error) {
+    console.error('Invite email error:', error);
+    return false;
+  }
+}
+
+// Get all users
+// GET /api/users
+export async function getUsers(req, res) {
+  try {
+    const { search, role, status, page = 1, limit = 10 } = req.query;
+
+    // Build query
+    const query = {};
+    if (search) {
+      query.$or = [
+        { username: { $regex: search, $options: 'i' } },
+        { name: { $regex: search, $options: 'i' } },
+        { email: { $regex: search, $options: 'i' } },
+      ];
+    }
+    if (role && role !== 'all') {
+      query.role = role;
+    }
+    if (status && status !== 'all') {
+      query.status = status;
+    }
+
+    // Calculate pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const users = await User.find(query)
+      .sort({ username: 1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    // Get total count
+    const totalItems = await User.countDocuments(query);
+    const totalPages = Math.ceil(totalItems / limitNum);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        users: users.map(formatUser),
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalItems,
+          itemsPerPage: limitNum,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Get single user
+// GET /api/users/:id
+export async function getUser(req, res) {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        error: 'NOT_FOUND',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatUser(user),
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Create user with a password
+// POST /api/users
+export async function createUser(req, res) {
+  try {
+    const { username, name, email, role = 'viewer', password } = req.body;
+
+    // Validation
+    const errors = validateUser({ username, name, email, role }, false);
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      errors.password = passwordError;
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors,
+      });
+    }
+
+    // Check if username or email is already taken
+    const existingUser = await findDuplicate(username, email);
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'A user with this username or email already exists',
+        error: 'DUPLICATE_USER',
+      });
+    }
+
+    const user = await User.create({
+      username: username.trim(),
+      name: name.trim(),
+      email: email.trim(),
+      role,
+      password: await hashPassword(password),
+      status: 'active',
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'User created successfully',
+      data: formatUser(user),
+    });
+  } catch (error) {
+    console.error('Create user error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A user with this username or email already exists',
+        error: 'DUPLICATE_USER',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Invite user - they choose their own password using the invite link
+// POST /api/users/invite
+export async function inviteUser(req, res) {
+  try {
+    const { username, name, email, role = 'viewer' } = req.body;
+
+    // Validation
+    const errors = validateUser({ username, name, email, role }, false);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors,
+      });
+    }
+
+    // Check if username or email is already taken
+    const existingUser = await findDuplicate(username, email);
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'A user with this username or email already exists',
+        error: 'DUPLICATE_USER',
+      });
+    }
+
+    const user = new User({
+      username: username.trim(),
+      name: name.trim(),
+      email: email.trim(),
+      role,
+      status: 'invited',
+    });
+    const inviteUrl = createInvite(user);
+    await user.save();
+    const emailSent = await sendInviteEmail(user, inviteUrl);
+
+    res.status(201).json({
+      success: true,
+      message: 'User invited successfully',
+      data: {
+        user: formatUser(user),
+        inviteUrl,
+        emailSent,
+      },
+    });
+  } catch (error) {
+    console.error('Invite user error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A user with this username or email already exists',
+        error: 'DUPLICATE_USER',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Create a new invite link for a user who has not accepted yet
+// POST /api/users/:id/resend-invite
+export async function resendInvite(req, res) {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        error: 'NOT_FOUND',
+      });
+    }
+
+    if (user.status !== 'invited') {
+      return res.status(400).json({
+        success: false,
+        message: 'User has already accepted the invite',
+        error: 'INVALID_STATUS',
+      });
+    }
+
+    const inviteUrl = createInvite(user);
+    await user.save();
+    const emailSent = await sendInviteEmail(user, inviteUrl);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invite link created',
+      data: {
+        user: formatUser(user),
+        inviteUrl,
+        emailSent,
+      },
+    });
+  } catch (error) {
+    console.error('Resend invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Update user
+// PUT /api/users/:id
+export async function updateUser(req, res) {
+  try {
+    const { username, name, email, role } = req.body;
+
+    // Validation
+    const errors = validateUser({ username, name, email, role }, true);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors,
+      });
+    }
+
+    // Check if user exists
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        error: 'NOT_FOUND',
+      });
+    }
+
+    // Check if username or email is already taken by someone else
+    const existingUser = await findDuplicate(username, email, user._id);
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'A user with this username or email already exists',
+        error: 'DUPLICATE_USER',
+      });
+    }
+
+    // Make sure there is always at least one admin left
+    if (role !== undefined && role !== 'admin' && await isLastActiveAdmin(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change the role of the last active admin',
+        error: 'LAST_ADMIN',
+      });
+    }
+
+    // Update user
+    if (username !== undefined) user.username = username.trim();
+    if (name !== undefined) user.name = name.trim();
+    if (email !== undefined) user.email = email.trim();
+    if (role !== undefined) user.role = role;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'User updated successfully',
+      data: formatUser(user),
+    });
+  } catch (error) {
+    console.error('Update user error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A user with this username or email already exists',
+        error: 'DUPLICATE_USER',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Deactivate user - they are logged out and cannot log in again
+// POST /api/users/:id/deactivate
+export async function deactivateUser(req, res) {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        error: 'NOT_FOUND',
+      });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate your own account',
+        error: 'INVALID_OPERATION',
+      });
+    }
+
+    if (await isLastActiveAdmin(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot deactivate the last active admin',
+        error: 'LAST_ADMIN',
+      });
+    }
+
+    user.status = 'deactivated';
+    user.inviteTokenHash = undefined;
+    user.inviteExpiresAt = undefined;
+    await user.save();
+    await revokeUserSessions(user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'User deactivated successfully',
+      data: formatUser(user),
+    });
+  } catch (error) {
+    console.error('Deactivate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Activate a deactivated user again
+// POST /api/users/:id/activate
+export async function activateUser(req, res) {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        error: 'NOT_FOUND',
+      });
+    }
+
+    if (user.status !== 'deactivated') {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not deactivated',
+        error: 'INVALID_STATUS',
+      });
+    }
+
+    // A user who never accepted their invite has no password yet
+    if (!user.password) {
+      return res.status(400).json({
+        success: false,
+        message: 'User has no password yet. Reset their password first',
+        error: 'INVALID_STATUS',
+      });
+    }
+
+    user.status = 'active';
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'User activated successfully',
+      data: formatUser(user),
+    });
+  } catch (error) {
+    console.error('Activate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Reset a user's password
+// If no password is sent, a temporary one is generated and returned once
+// POST /api/users/:id/reset-password
+export async function resetUserPassword(req, res) {
+  try {
+    let { password } = req.body;
+    let isTemporary = false;
+
+    if (!password) {
+      password = generateRandomToken(6);
+      isTemporary = true;
+    }
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError,
+        errors: {
+          password: passwordError,
+        },
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        error: 'NOT_FOUND',
+      });
+    }
+
+    user.password = await hashPassword(password);
+
+    // A new password also unlocks the account
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
+    user.lockoutCount = 0;
+
+    // An invited user with a password set by an admin no longer needs the invite
+    if (user.status === 'invited') {
+      user.status = 'active';
+      user.inviteTokenHash = undefined;
+      user.inviteExpiresAt = undefined;
+    }
+    await user.save();
+
+    // Log the user out everywhere so the old password's sessions stop working
+    await revokeUserSessions(user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully',
+      data: {
+        user: formatUser(user),
+        temporaryPassword: isTemporary ? password : undefined,
+      },
+    });
+  } catch (error) {
+    console.error('Reset user password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Turn off two-factor authentication for a user who lost their device
+// POST /api/users/:id/reset-2fa
+export async function resetUserTwoFactor(req, res) {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        error: 'NOT_FOUND',
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = [];
+    user.twoFactorLastUsedStep = undefined;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication reset successfully',
+      data: formatUser(user),
+    });
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
@@ -0,0 +1,247 @@
+import Warehouse from '../models/Warehouse.js';
+import Product from '../models/Product.js';
+import { auditSnapshot, recordAudit } from '../utils/audit.js';
+import { getDefaultWarehouse } from '../utils/inventory.js';
+import { runInTransaction } from '../utils/transaction.js';
+
+// Helper function to validate warehouse fields
+// When isUpdate is true, only the fields that were sent are checked
+function validateWarehouse(fields, isUpdate) {
+  const { name, code, address } = fields;
+  const errors = {};
+
+  if (!isUpdate || name !== undefined) {
+    if (!name || typeof name !== 'string' || name.trim().length < 2) {
+      errors.name = 'Warehouse name is required and must be at least 2 characters';
+    }
+  }
+  if (!isUpdate || code !== undefined) {
+    if (!code || typeof code !== 'string' || !/^[A-Za-z0-9-]{1,10}$/.test(code.trim())) {
+      errors.code = 'Code is required: up to 10 letters, numbers or "-"';
+    }
+  }
+  if (address !== undefined && typeof address !== 'string') {
+    errors.address = 'Address must be text';
+  }
+
+  return errors;
+}
+
+// Helper function to add up the stock held in each warehouse
+// Returns a Map of warehouse id => { units, products }
+async function getWarehouseTotals() {
+  const totals = await Product.aggregate([
+    { $unwind: '$locations' },
+    { $match: { 'locations.stock': { $gt: 0 } } },
+    {
+      $group: {
+        _id: '$locations.warehouse',
+        units: { $sum: '$locations.stock' },
+        products: { $addToSet: '$_id' },
+      },
+    },
+    { $project: { units: 1, products: { $size: '$products' } } },
+  ]);
+  return new Map(totals.map((total) => [total._id.toString(), total]));
+}
+
+// Get all warehouses, with the units and products in stock in each
+// GET /api/warehouses
+export async function getWarehouses(req, res) {
+  try {
+    // Make sure there is always a default warehouse to pick
+    await getDefaultWarehouse();
+
+    const warehouses = await Warehouse.find().sort({ isDefault: -1, name: 1 }).lean();
+    const totals = await getWarehouseTotals();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        warehouses: warehouses.map((warehouse) => ({
+          ...warehouse,
+          units: totals.get(warehouse._id.toString())?.units || 0,
+          products: totals.get(warehouse._id.toString())?.products || 0,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('Get warehouses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Create warehouse
+// POST /api/warehouses
+export async function createWarehouse(req, res) {
+  try {
+    const errors = validateWarehouse(req.body, false);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors,
+      });
+    }
+
+    const { name, code, address } = req.body;
+    const warehouse = await Warehouse.create({
+      name: name.trim(),
+      code: code.trim(),
+      address: address ? address.trim() : '',
+    });
+
+    await recordAudit(req, { action: 'create', entityType: 'warehouse', entity: warehouse, after: warehouse });
+
+    res.status(201).json({
+      success: true,
+      message: 'Warehouse created successfully',
+      data: warehouse,
+    });
+  } catch (error) {
+    console.error('Create warehouse error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A warehouse with this name or code already exists',
+        error: 'DUPLICATE_WAREHOUSE',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Update warehouse - isDefault: true makes it the default warehouse
+// PUT /api/warehouses/:id
+export async function updateWarehouse(req, res) {
+  try {
+    const warehouse = await Warehouse.findById(req.params.id);
+    if (!warehouse) {
+      return res.status(404).json({
+        success: false,
+        message: 'Warehouse not found',
+        error: 'NOT_FOUND',
+      });
+    }
+
+    const errors = validateWarehouse(req.body, true);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors,
+      });
+    }
+
+    const before = auditSnapshot(warehouse);
+    const { name, code, address, isDefault } = req.body;
+    if (name !== undefined) warehouse.name = name.trim();
+    if (code !== undefined) warehouse.code = code.trim();
+    if (address !== undefined) warehouse.address = address.trim();
+
+    // There is always one default warehouse - pick another one to change it
+    if (isDefault === true && !warehouse.isDefault) {
+      await runInTransaction(async (session) => {
+        await Warehouse.updateMany({ isDefault: true }, { $set: { isDefault: false } }, { session });
+        warehouse.isDefault = true;
+        await warehouse.save({ session });
+      });
+    } else {
+      await warehouse.save();
+    }
+
+    await recordAudit(req, { action: 'update', entityType: 'warehouse', entity: warehouse, before, after: warehouse });
+
+    res.status(200).json({
+      success: true,
+      message: 'Warehouse updated successfully',
+      data: warehouse,
+    });
+  } catch (error) {
+    console.error('Update warehouse error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A warehouse with this name or code already exists',
+        error: 'DUPLICATE_WAREHOUSE',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
+
+// Delete warehouse - only when it holds no stock and is not the default
+// DELETE /api/warehouses/:id
+export async function deleteWarehouse(req, res) {
+  try {
+    const warehouse = await Warehouse.findById(req.params.id);
+    if (!warehouse) {
+      return res.status(404).json({
+        success: false,
+        message: 'Warehouse not found',
+        error: 'NOT_FOUND',
+      });
+    }
+
+    if (warehouse.isDefault) {
+      return res.status(400).json({
+        success: false,
+        message: 'The default warehouse cannot be deleted. Make another warehouse the default first.',
+        error: 'WAREHOUSE_IS_DEFAULT',
+      });
+    }
+
+    // Products in the trash count as well - their stock comes back when they are restored
+    const productCount = await Product.countDocuments({
+      locations: { $elemMatch: { warehouse: warehouse._id, stock: { $gt: 0 } } },
+    }).setOptions({ withDeleted: true });
+    if (productCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete warehouse. ${productCount} product(s) still have stock in it. Transfer the stock first (restore products in the trash to move theirs, or purge them).`,
+        error: 'WAREHOUSE_HAS_STOCK',
+        data: { productCount },
+      });
+    }
+
+    // Empty stock levels in this warehouse go with it
+    await runInTransaction(async (session) => {
+      await Product.updateMany(
+        { 'locations.warehouse': warehouse._id },
+        { $pull: { locations: { warehouse: warehouse._id } } },
+        { session, withDeleted: true }
+      );
+      await Warehouse.findByIdAndDelete(warehouse._id, { session });
+    });
+
+    await recordAudit(req, { action: 'delete', entityType: 'warehouse', entity: warehouse, before: warehouse });
+
+    res.status(200).json({
+      success: true,
+      message: 'Warehouse deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete warehouse error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: 'SERVER_ERROR',
+    });
+  }
+};
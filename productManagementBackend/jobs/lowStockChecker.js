@@ -0,0 +1,97 @@
+import Product from '../models/Product.js';
+import { AVAILABLE_STOCK, LOW_STOCK_CONDITION, REORDER_STAGES, lowStockPipeline } from '../utils/lowStock.js';
+import { notify } from '../utils/notifications/index.js';
+
+// How often the checker runs - LOW_STOCK_CHECK_MINUTES in .env (default: every 15 minutes)
+const CHECK_INTERVAL_MINUTES = parseInt(process.env.LOW_STOCK_CHECK_MINUTES) || 15;
+
+// Helper function to build the notification for products that just went low on stock
+function lowStockNotification(products) {
+  const lines = products.map((product) => {
+    const reorder = product.effectiveReorderQuantity ? `, reorder ${product.effectiveReorderQuantity}` : '';
+    return `- ${product.name} (${product.sku}): ${product.available} available (${product.stock} in stock), reorder point ${product.effectiveReorderPoint}${reorder}`;
+  });
+  return {
+    type: 'low_stock',
+    title: products.length === 1
+      ? `"${products[0].name}" is low on stock`
+      : `${products.length} products are low on stock`,
+    message: ['The available stock of these products is at or below their reorder point:', ...lines].join('\n'),
+    data: {
+      products: products.map((product) => ({
+        _id: product._id,
+        name: product.name,
+        sku: product.sku,
+        stock: product.stock,
+        available: product.available,
+        reorderPoint: product.effectiveReorderPoint,
+        reorderQuantity: product.effectiveReorderQuantity,
+      })),
+    },
+  };
+}
+
+// Look for products that went low on stock since the last check and notify the users who manage products
+// Each product is reported once per drop - it can be reported again after its available stock is back above
+// the reorder point
+// Returns { alerted, recovered } - the number of products reported and of products back in stock
+export async function checkLowStock() {
+  const lowProducts = await Product.aggregate([
+    ...lowStockPipeline({ lowStockAlertedAt: null }),
+    { $project: { name: 1, sku: 1, stock: 1, available: AVAILABLE_STOCK, effectiveReorderPoint: 1, effectiveReorderQuantity: 1 } },
+  ]);
+
+  // Mark each product before notifying, so a product is never reported twice
+  // when more than one server runs the checker
+  const alerted = [];
+  for (const product of lowProducts) {
+    const result = await Product.updateOne(
+      { _id: product._id, lowStockAlertedAt: null },
+      { $set: { lowStockAlertedAt: new Date() } }
+    );
+    if (result.modifiedCount === 1) {
+      alerted.push(product);
+    }
+  }
+
+  // Products whose available stock is back above their reorder point (or without one now) can be reported again
+  const recovered = await Product.aggregate([
+    { $match: { lowStockAlertedAt: { $ne: null } } },
+    ...REORDER_STAGES,
+    { $match: { $expr: { $not: [LOW_STOCK_CONDITION] } } },
+    { $project: { _id: 1 } },
+  ]);
+  if (recovered.length > 0) {
+    await Product.updateMany(
+      { _id: { $in: recovered.map((product) => product._id) } },
+      { $set: { lowStockAlertedAt: null } }
+    );
+  }
+
+  if (alerted.length > 0) {
+    await notify(lowStockNotification(alerted), { permission: 'products:update' });
+  }
+
+  return { alerted: alerted.length, recovered: recovered.length };
+}
+
+// Run the low stock check now and then every CHECK_INTERVAL_MINUTES
+// Errors are logged, and the next run tries again
+export function startLowStockChecker() {
+  async function run() {
+    try {
+      const { alerted } = await checkLowStock();
+      if (alerted > 0) {
+        console.log(`📉 Low stock: notified about ${alerted} product(s)`);
+      }
+    } catch (error) {
+      console.error('Low stock check error:', error);
+    }
+  }
+
+  run();
+  const timer = setInterval(run, CHECK_INTERVAL_MINUTES * 60 * 1000);
+  // Do not keep the process alive just for the checker
+  timer.unref();
+  console.log(`⏰ Low stock checker running every ${CHECK_INTERVAL_MINUTES} minute(s)`);
+}
@@ -0,0 +1,67 @@
+import Product from '../models/Product.js';
+import Category from '../models/Category.js';
+import { recordAudit } from '../utils/audit.js';
+import {
+  TRASH_RETENTION_DAYS,
+  findCategoryPurgeBlocker,
+  purgeCategory,
+  purgeProduct,
+} from '../utils/trash.js';
+
+// How often the purger runs - TRASH_PURGE_MINUTES in .env (default: every hour)
+const CHECK_INTERVAL_MINUTES = parseInt(process.env.TRASH_PURGE_MINUTES) || 60;
+
+// Stands in for the request in audit entries - purges by the job have no user, IP or user agent
+const JOB_REQUEST = { headers: {} };
+
+// Purge the products and categories that have been in the trash for TRASH_RETENTION_DAYS
+// Products go first, so their categories can be purged in the same run; categories go from
+// the deepest up, so subcategories are gone before their parents
+// Categories that still have products or subcategories in the trash are left for a later run
+// Returns { products, categories } - the number of each that were purged
+export async function purgeExpiredTrash() {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const details = { retentionDays: TRASH_RETENTION_DAYS };
+
+  let products = 0;
+  const expiredProducts = Product.find({ deletedAt: { $lte: cutoff } }).select('name sku images variants.images').cursor();
+  for await (const product of expiredProducts) {
+    if (await purgeProduct(product)) {
+      products += 1;
+      await recordAudit(JOB_REQUEST, { action: 'purge', entityType: 'product', entity: product, actor: null, details });
+    }
+  }
+
+  let categories = 0;
+  const expiredCategories = await Category.find({ deletedAt: { $lte: cutoff } }).select('name parent ancestors').lean();
+  expiredCategories.sort((a, b) => b.ancestors.length - a.ancestors.length);
+  for (const category of expiredCategories) {
+    if (!(await findCategoryPurgeBlocker(category)) && await purgeCategory(category)) {
+      categories += 1;
+      await recordAudit(JOB_REQUEST, { action: 'purge', entityType: 'category', entity: category, actor: null, details });
+    }
+  }
+
+  return { products, categories };
+}
+
+// Purge expired trash now and then every CHECK_INTERVAL_MINUTES
+// Errors are logged, and the next run tries again
+export function startTrashPurger() {
+  async function run() {
+    try {
+      const { products, categories } = await purgeExpiredTrash();
+      if (products + categories > 0) {
+        console.log(`🗑️  Trash: purged ${products} product(s) and ${categories} categor${categories === 1 ? 'y' : 'ies'}`);
+      }
+    } catch (error) {
+      console.error('Trash purge error:', error);
+    }
+  }
+
+  run();
+  const timer = setInterval(run, CHECK_INTERVAL_MINUTES * 60 * 1000);
+  // Do not keep the process alive just for the purger
+  timer.unref();
+  console.log(`⏰ Trash purger running every ${CHECK_INTERVAL_MINUTES} minute(s), keeping items for ${TRASH_RETENTION_DAYS} day(s)`);
+}
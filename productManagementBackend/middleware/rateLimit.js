@@ -0,0 +1,74 @@
+import RateLimit from '../models/RateLimit.js';
+
+// Helper function to count one request for a key and return its counter
+// Every step is a single atomic update, so parallel requests are all counted
+async function countRequest(key, now, windowMs) {
+  // Count this request in the current window
+  const entry = await RateLimit.findOneAndUpdate(
+    { key, expiresAt: { $gt: now } },
+    { $inc: { count: 1 } },
+    { new: true }
+  );
+  if (entry) {
+    return entry;
+  }
+
+  // The old window ended - start a new one (only one request can match the old end time)
+  const expiresAt = new Date(now.getTime() + windowMs);
+  const restarted = await RateLimit.findOneAndUpdate(
+    { key, expiresAt: { $lte: now } },
+    { $set: { count: 1, expiresAt } },
+    { new: true }
+  );
+  if (restarted) {
+    return restarted;
+  }
+
+  // No window yet - create it, or count this request in the one another request just started
+  return await RateLimit.findOneAndUpdate(
+    { key },
+    { $inc: { count: 1 }, $setOnInsert: { expiresAt } },
+    { upsert: true, new: true }
+  );
+}
+
+// Middleware factory to limit how many requests one IP can make in a time window
+// Example: router.post('/login', rateLimit({ name: 'login', max: 20, windowMs: 15 * 60 * 1000 }), login)
+export function rateLimit({ name, max, windowMs, message }) {
+  return async (req, res, next) => {
+    try {
+      const key = `${name}:${req.ip}`;
+      const now = new Date();
+
+      // Two requests that both start the window race to insert it - the loser retries once
+      // and is then counted in the window the winner created
+      let entry;
+      try {
+        entry = await countRequest(key, now, windowMs);
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+        entry = await countRequest(key, now, windowMs);
+      }
+
+      if (entry.count > max) {
+        const retryAfter = Math.ceil((entry.expiresAt.getTime() - now.getTime()) / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: message || 'Too many requests, please try again later',
+          error: 'RATE_LIMITED',
+          retryAfter,
+          retryAt: entry.expiresAt.toISOString(),
+        });
+      }
+
+      next();
+    } catch (error) {
+      // Do not block requests because the limiter itself failed
+      console.error('Rate limit error:', error);
+      next();
+    }
+  };
+}
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// Personal API key for scripts and other systems that call the API without a person logging in
+// The key itself is shown once when created - only its hash is stored
+const apiKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  name: {
+    type: String,
+    required: [true, 'Key name is required'],
+    trim: true,
+    maxlength: [100, 'Key name cannot exceed 100 characters'],
+  },
+  // First characters of the key, so the user can tell their keys apart
+  prefix: {
+    type: String,
+    required: true,
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Permissions this key may use (see API_KEY_SCOPES in utils/permissions.js)
+  scopes: {
+    type: [String],
+    default: [],
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null,
+  },
+  lastUsedIp: {
+    type: String,
+  },
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
+
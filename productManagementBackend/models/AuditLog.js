@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+// Actions recorded in the audit log
+// "delete" moves products and categories to the trash, "restore" takes them out and "purge" deletes them for good
+export const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge', 'login', 'login_failed'];
+
+// Kinds of records an audit entry can be about
+export const AUDIT_ENTITY_TYPES = ['product', 'category', 'user', 'warehouse', 'supplier', 'purchase_order', 'customer', 'sales_order', 'stock_take'];
+
+// One entry in the audit log - who did what, to which record, and what changed
+// Entries are only ever added, never updated
+const auditLogSchema = new mongoose.Schema({
+  // User who made the change (empty for failed logins with an unknown username)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true,
+  },
+  // Username at the time of the action, so entries still read well if the user is renamed
+  actorName: {
+    type: String,
+    default: null,
+  },
+  // Set when the request was made with an API key
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null,
+  },
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true,
+    index: true,
+  },
+  entityType: {
+    type: String,
+    enum: AUDIT_ENTITY_TYPES,
+    required: true,
+    index: true,
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+    index: true,
+  },
+  // Name of the record at the time of the action (the record may be deleted later)
+  entityName: {
+    type: String,
+    default: null,
+  },
+  // Changed fields as { field: { before, after } }
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  // Extra information, e.g. why a login failed
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  ip: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+// Newest entries are read first
+auditLogSchema.index({ createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
@@ -1,18 +1,95 @@
 import mongoose from 'mongoose';
+import { softDelete } from '../utils/softDelete.js';
+
+// Types an attribute field can have
+export const ATTRIBUTE_TYPES = ['text', 'number', 'enum', 'boolean'];
+
+// A typed field that products in the category fill in, e.g. "Size" or "RAM"
+const attributeSchema = new mongoose.Schema({
+  // Name the value is stored under in Product.attributes, e.g. "ram"
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Name shown to users, e.g. "RAM"
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  type: {
+    type: String,
+    enum: ATTRIBUTE_TYPES,
+    required: true,
+  },
+  // Only for numbers, e.g. "GB"
+  unit: {
+    type: String,
+    trim: true,
+  },
+  // Only for enums - the allowed values
+  options: {
+    type: [String],
+    default: undefined,
+  },
+  required: {
+    type: Boolean,
+    default: false,
+  },
+}, { _id: false });
 
 const categorySchema = new mongoose.Schema({
   name: {
     type: String,
     required: [true, 'Category name is required'],
-    unique: true,
     trim: true,
     minlength: [2, 'Category name must be at least 2 characters'],
     maxlength: [100, 'Category name cannot exceed 100 characters'],
   },
+  // Parent category - empty for top-level categories
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null,
+    index: true,
+  },
+  // Every category above this one, from the top level down to the parent
+  // Lets a whole subtree be found with one query: { ancestors: categoryId }
+  ancestors: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: [],
+    index: true,
+  },
+  // Attribute fields for products in this category
+  // Subcategories also use the attributes of every category above them
+  attributes: {
+    type: [attributeSchema],
+    default: [],
+  },
+  // Default reorder point and reorder quantity for products in this category
+  // that have none of their own (see utils/lowStock.js)
+  reorderPoint: {
+    type: Number,
+    min: [0, 'Reorder point cannot be negative'],
+    default: null,
+  },
+  reorderQuantity: {
+    type: Number,
+    min: [1, 'Reorder quantity must be at least 1'],
+    default: null,
+  },
 }, {
   timestamps: true,
 });
 
+// Names are unique below one parent, so "Accessories" can be under both "Audio" and "Phones"
+// Databases created with unique names need scripts/migrateCategoryNameIndex.js
+categorySchema.index({ parent: 1, name: 1 }, { unique: true });
+
+// Deleted categories go to the trash first (see utils/trash.js)
+categorySchema.plugin(softDelete);
+
 const Category = mongoose.model('Category', categorySchema);
 
 export default Category;
@@ -0,0 +1,17 @@
+import mongoose from 'mongoose';
+
+// A named sequence, e.g. for purchase order numbers
+// Only changed with an atomic $inc (see utils/documentNumbers.js)
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
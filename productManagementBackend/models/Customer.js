@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+// A person or company products are sold to
+const customerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Customer name is required'],
+    trim: true,
+    minlength: [2, 'Customer name must be at least 2 characters'],
+    maxlength: [100, 'Customer name cannot exceed 100 characters'],
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: '',
+  },
+  phone: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  // Where orders are shipped to
+  address: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [300, 'Address cannot exceed 300 characters'],
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+  },
+}, {
+  timestamps: true,
+});
+
+customerSchema.index({ name: 1 });
+
+const Customer = mongoose.model('Customer', customerSchema);
+
+export default Customer;
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// Kinds of notifications - the client can show each kind differently
+export const NOTIFICATION_TYPES = ['low_stock'];
+
+// A message in the in-app inbox of one user (see utils/notifications)
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true,
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  message: {
+    type: String,
+    default: '',
+  },
+  // Details for the client, e.g. the products that are low on stock
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  // When the user read it - empty while unread
+  readAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+// The inbox is read newest first, and unread notifications are counted
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
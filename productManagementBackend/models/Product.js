@@ -1,4 +1,132 @@
 import mongoose from 'mongoose';
+import { softDelete } from '../utils/softDelete.js';
+
+// An option axis, e.g. { name: 'Size', values: ['S', 'M', 'L'] }
+const optionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  values: {
+    type: [String],
+    default: [],
+  },
+}, { _id: false });
+
+// One sellable combination of option values, e.g. Size M / Color Red
+const variantSchema = new mongoose.Schema({
+  // Value for each option axis, e.g. { Size: 'M', Color: 'Red' }
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true,
+  },
+  barcode: {
+    type: String,
+    trim: true,
+  },
+  // Overrides the product price when set
+  price: {
+    type: Number,
+    default: null,
+    min: [0.01, 'Price must be greater than 0'],
+  },
+  stock: {
+    type: Number,
+    default: 0,
+    min: [0, 'Stock cannot be negative'],
+  },
+  // Units held for confirmed sales orders - part of "stock" until they are shipped
+  reserved: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reserved stock cannot be negative'],
+  },
+  // Subset of the product images that show this variant
+  images: {
+    type: [String],
+    default: [],
+  },
+});
+
+// Stock of the product (or one of its variants) in one warehouse
+const locationSchema = new mongoose.Schema({
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: true,
+  },
+  // Set for products with variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  stock: {
+    type: Number,
+    default: 0,
+    min: [0, 'Stock cannot be negative'],
+  },
+  // Units of this stock held for confirmed sales orders
+  reserved: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reserved stock cannot be negative'],
+  },
+}, { _id: false });
+
+// A supplier the product can be bought from, with its price and delivery time there
+const productSupplierSchema = new mongoose.Schema({
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true,
+  },
+  // Price per unit at this supplier - used as the default cost on purchase orders
+  cost: {
+    type: Number,
+    required: true,
+    min: [0, 'Cost cannot be negative'],
+  },
+  // Days between ordering and delivery
+  leadTimeDays: {
+    type: Number,
+    default: null,
+    min: [0, 'Lead time cannot be negative'],
+  },
+  // The supplier's own code for the product
+  supplierSku: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+}, { _id: false });
+
+// Product types - a bundle is sold as a set of other products and has no stock of its own
+export const PRODUCT_KINDS = ['standard', 'bundle'];
+
+// A product (or variant) in a bundle, and how many of it go into one bundle
+const componentSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  // Set for products with variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1'],
+  },
+}, { _id: false });
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -8,15 +136,32 @@ const productSchema = new mongoose.Schema({
     minlength: [2, 'Product name must be at least 2 characters'],
     maxlength: [200, 'Product name cannot exceed 200 characters'],
   },
+  // Business identifier - unique across all products and variants (see utils/productCodes.js)
+  // Sparse so products created before SKUs existed can be saved until they get one
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    unique: true,
+    sparse: true,
+  },
+  // Optional GTIN/EAN/UPC barcode, stored as digits only
+  barcode: {
+    type: String,
+    trim: true,
+    unique: true,
+    sparse: true,
+  },
   price: {
     type: Number,
     required: [true, 'Price is required'],
     min: [0.01, 'Price must be greater than 0'],
   },
   category: {
-    type: String,
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
     required: [true, 'Category is required'],
-    trim: true,
+    index: true,
   },
   stock: {
     type: Number,
@@ -24,6 +169,73 @@ const productSchema = new mongoose.Schema({
     min: [0, 'Stock cannot be negative'],
     default: 0,
   },
+  // Units held for confirmed sales orders, in all warehouses - available stock is stock - reserved
+  reserved: {
+    type: Number,
+    min: [0, 'Reserved stock cannot be negative'],
+    default: 0,
+  },
+  // Stock at or below the reorder point counts as low stock, and reorderQuantity is
+  // how much to order then - empty (null) uses the defaults of the category
+  reorderPoint: {
+    type: Number,
+    min: [0, 'Reorder point cannot be negative'],
+    default: null,
+  },
+  reorderQuantity: {
+    type: Number,
+    min: [1, 'Reorder quantity must be at least 1'],
+    default: null,
+  },
+  // When the low stock checker sent a notification for this product - cleared when the
+  // stock is back above the reorder point, so each drop is only reported once
+  lowStockAlertedAt: {
+    type: Date,
+    default: null,
+  },
+  // Values for the attribute fields of the product's category, e.g. { size: 'M', ram: 16 }
+  // Checked against the category in utils/attributes.js
+  attributes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  kind: {
+    type: String,
+    enum: PRODUCT_KINDS,
+    default: 'standard',
+  },
+  // Products in a bundle - empty for standard products
+  // The stock and stock levels of a bundle are the number of bundles that can be put together
+  // from the available stock of its components, kept up to date by utils/inventory.js
+  components: {
+    type: [componentSchema],
+    default: [],
+  },
+  // Option axes and variants - products without variants leave both empty
+  options: {
+    type: [optionSchema],
+    default: [],
+  },
+  variants: {
+    type: [variantSchema],
+    default: [],
+  },
+  // Stock per warehouse (and variant) - "stock" and each variant's stock are the totals
+  // Only changed through utils/inventory.js, together with the totals
+  locations: {
+    type: [locationSchema],
+    default: [],
+  },
+  suppliers: {
+    type: [productSupplierSchema],
+    default: [],
+  },
+  // Every SKU and barcode of the product and its variants, filled in before each save
+  // The unique index below keeps them unique even when products are saved at the same time
+  codes: {
+    type: [String],
+    default: [],
+  },
   images: {
     type: [String],
     default: [],
@@ -38,6 +250,46 @@ const productSchema = new mongoose.Schema({
   timestamps: true,
 });
 
+// Variant codes are looked up by /api/products/lookup and checked for uniqueness
+productSchema.index({ 'variants.sku': 1 });
+productSchema.index({ 'variants.barcode': 1 });
+
+// SKUs and barcodes share one namespace across products and variants, which indexes on
+// "sku", "barcode" and "variants.*" cannot enforce - one index on all codes of a product can
+// checkProductCodes (utils/productCodes.js) reports duplicates first with readable errors,
+// this index catches the ones saved in the meantime
+// Partial, so products without any code (and ones that are not backfilled yet) are left out
+productSchema.index({ codes: 1 }, { unique: true, partialFilterExpression: { codes: { $type: 'string' } } });
+
+// Products are filtered and sorted by the stock in one warehouse
+productSchema.index({ 'locations.warehouse': 1 });
+
+// Bundles are looked up when the stock of one of their components changes
+productSchema.index({ 'components.product': 1 });
+
+// Products of a supplier are looked up when the supplier is deleted
+productSchema.index({ 'suppliers.supplier': 1 });
+
+// Products with variants keep the total of the variant stock in "stock" (and of the
+// reserved units in "reserved"), so lists, filters and sorting work the same for
+// products with and without variants
+productSchema.pre('validate', function () {
+  if (this.variants.length > 0) {
+    this.stock = this.variants.reduce((total, variant) => total + (variant.stock || 0), 0);
+    this.reserved = this.variants.reduce((total, variant) => total + (variant.reserved || 0), 0);
+  }
+});
+
+// Keep "codes" in step with the SKUs and barcodes - products are always saved with save(),
+// never with an update query that changes their codes
+productSchema.pre('validate', function () {
+  const codes = [this.sku, this.barcode, ...this.variants.flatMap((variant) => [variant.sku, variant.barcode])];
+  this.codes = [...new Set(codes.filter(Boolean))];
+});
+
+// Deleted products go to the trash first (see utils/trash.js)
+productSchema.plugin(softDelete);
+
 const Product = mongoose.model('Product', productSchema);
 
 export default Product;
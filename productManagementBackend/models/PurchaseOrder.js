@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+
+// States of a purchase order, in order
+// Drafts can be edited and deleted, sent orders wait for the goods, and receiving
+// moves them to partially received and finally received
+export const PURCHASE_ORDER_STATUSES = ['draft', 'sent', 'partially_received', 'received'];
+
+// One product (or variant) on a purchase order
+const purchaseOrderLineSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  // Set for products with variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  // Name and SKU when the line was added, so the order still reads the same after the product changes
+  name: {
+    type: String,
+    required: true,
+  },
+  sku: {
+    type: String,
+    default: '',
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1'],
+  },
+  // Units received so far - stock is added as receipts when they arrive
+  receivedQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Received quantity cannot be negative'],
+  },
+  // Price per unit agreed with the supplier
+  unitCost: {
+    type: Number,
+    required: true,
+    min: [0, 'Unit cost cannot be negative'],
+  },
+});
+
+const purchaseOrderSchema = new mongoose.Schema({
+  // Order number shown to users and suppliers, e.g. "PO-000042"
+  number: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: [true, 'Supplier is required'],
+    index: true,
+  },
+  status: {
+    type: String,
+    enum: PURCHASE_ORDER_STATUSES,
+    default: 'draft',
+    index: true,
+  },
+  // Warehouse the goods are delivered to - the default warehouse when empty
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    default: null,
+  },
+  expectedAt: {
+    type: Date,
+    default: null,
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+  },
+  lines: {
+    type: [purchaseOrderLineSchema],
+    default: [],
+  },
+  sentAt: {
+    type: Date,
+    default: null,
+  },
+  receivedAt: {
+    type: Date,
+    default: null,
+  },
+  // User who created the order, and the username at that time
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  createdByName: {
+    type: String,
+    default: null,
+  },
+}, {
+  timestamps: true,
+  // Saving an order that someone else changed in the meantime fails instead of overwriting it
+  optimisticConcurrency: true,
+});
+
+const PurchaseOrder = mongoose.model('PurchaseOrder', purchaseOrderSchema);
+
+export default PurchaseOrder;
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+// Request counter for one rate limit key (for example login attempts from one IP)
+// Stored in MongoDB so limits survive a server restart
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  // End of the current window - the counter starts again after this
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// MongoDB removes old counters automatically
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimit = mongoose.model('RateLimit', rateLimitSchema);
+
+export default RateLimit;
+
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// A refresh token is used to get a new access token without logging in again
+// Every refresh rotates the token, so each document is used only once
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  // SHA-256 hash of the token - the token itself is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // All tokens created from the same login share a family
+  // If a used token shows up again, the whole family is revoked
+  family: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  createdByIp: {
+    type: String,
+  },
+}, {
+  timestamps: true,
+});
+
+// MongoDB removes expired tokens automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+export default RefreshToken;
+
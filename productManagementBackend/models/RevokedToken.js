@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+// Access tokens that were revoked (for example on logout) before they expired
+// protect rejects any token whose id (jti) is in this collection
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Same as the token's own expiry - after that the token is invalid anyway
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// MongoDB removes the entry once the token would have expired anyway
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RevokedToken = mongoose.model('RevokedToken', revokedTokenSchema);
+
+export default RevokedToken;
+
@@ -0,0 +1,108 @@
+import mongoose from 'mongoose';
+
+// States of a sales order
+// Pending orders can be edited, confirming reserves the stock, shipping takes it out of stock,
+// and pending or confirmed orders can be cancelled, which gives reserved stock back
+export const SALES_ORDER_STATUSES = ['pending', 'confirmed', 'shipped', 'cancelled'];
+
+// One product (or variant) on a sales order
+const salesOrderLineSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  // Set for products with variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  // Name and SKU when the line was added, so the order still reads the same after the product changes
+  name: {
+    type: String,
+    required: true,
+  },
+  sku: {
+    type: String,
+    default: '',
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1'],
+  },
+  // Price per unit charged to the customer
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: [0, 'Unit price cannot be negative'],
+  },
+});
+
+const salesOrderSchema = new mongoose.Schema({
+  // Order number shown to users and customers, e.g. "SO-000042"
+  number: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Customer is required'],
+    index: true,
+  },
+  status: {
+    type: String,
+    enum: SALES_ORDER_STATUSES,
+    default: 'pending',
+    index: true,
+  },
+  // Warehouse the order ships from - the default warehouse when empty
+  // Set when the order is confirmed, so shipping takes the stock that was reserved
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    default: null,
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+  },
+  lines: {
+    type: [salesOrderLineSchema],
+    default: [],
+  },
+  confirmedAt: {
+    type: Date,
+    default: null,
+  },
+  shippedAt: {
+    type: Date,
+    default: null,
+  },
+  cancelledAt: {
+    type: Date,
+    default: null,
+  },
+  // User who created the order, and the username at that time
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  createdByName: {
+    type: String,
+    default: null,
+  },
+}, {
+  timestamps: true,
+  // Saving an order that someone else changed in the meantime fails instead of overwriting it
+  optimisticConcurrency: true,
+});
+
+const SalesOrder = mongoose.model('SalesOrder', salesOrderSchema);
+
+export default SalesOrder;
@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+
+// Kinds of stock movements
+// Receipts and returns add stock, sales and damages remove it, adjustments can go either way
+// A transfer between warehouses is recorded as two movements, out of one and into the other
+export const STOCK_MOVEMENT_TYPES = ['receipt', 'sale', 'adjustment', 'return', 'damage', 'transfer'];
+
+// Kinds of documents a movement can be booked on
+export const STOCK_REFERENCE_KINDS = ['purchase_order', 'sales_order', 'stock_take'];
+
+// One change to the stock of a product (or one of its variants)
+// Movements are only ever added, never updated - Product.stock is the running balance
+const stockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  // Set for products with variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  // Empty for movements recorded before warehouses existed
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    default: null,
+  },
+  type: {
+    type: String,
+    enum: STOCK_MOVEMENT_TYPES,
+    required: true,
+  },
+  // Change in stock: positive adds stock, negative removes it
+  quantity: {
+    type: Number,
+    required: true,
+  },
+  // Stock of the product (or variant) right after this movement, in all warehouses
+  balanceAfter: {
+    type: Number,
+    required: true,
+  },
+  // Stock of the product (or variant) in the warehouse right after this movement
+  warehouseBalanceAfter: {
+    type: Number,
+    default: null,
+  },
+  // Both movements of a transfer share the same id
+  transfer: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+  },
+  // Document the movement was booked on, e.g. the purchase order of a receipt or the sales order of a sale
+  // Empty for movements recorded by hand
+  reference: {
+    kind: {
+      type: String,
+      enum: STOCK_REFERENCE_KINDS,
+      default: null,
+    },
+    document: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    number: {
+      type: String,
+      default: null,
+    },
+  },
+  // User who made the change, and the username at that time
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  userName: {
+    type: String,
+    default: null,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+// History of a product is read newest first
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+
+// Movements booked on a document are looked up from that document
+stockMovementSchema.index({ 'reference.document': 1 }, { partialFilterExpression: { 'reference.document': { $type: 'objectId' } } });
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+
+export default StockMovement;
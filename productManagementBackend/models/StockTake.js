@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+
+// States of a stock take
+// Counts are entered while counting, approving posts the differences as adjustments,
+// and a cancelled stock take changes nothing
+export const STOCK_TAKE_STATUSES = ['counting', 'approved', 'cancelled'];
+
+// One product (or variant) to count
+const stockTakeLineSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  // Set for products with variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  // Name and codes when the stock take started - barcode entry matches on these
+  name: {
+    type: String,
+    required: true,
+  },
+  sku: {
+    type: String,
+    default: '',
+  },
+  barcode: {
+    type: String,
+    default: '',
+  },
+  // Stock in the warehouse when the stock take started
+  expected: {
+    type: Number,
+    required: true,
+  },
+  // Units counted - empty until the line is counted, and lines that are never counted are left as they are
+  counted: {
+    type: Number,
+    default: null,
+    min: [0, 'Counted quantity cannot be negative'],
+  },
+  countedAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+const stockTakeSchema = new mongoose.Schema({
+  // Number shown to users, e.g. "ST-000042"
+  number: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: true,
+    index: true,
+  },
+  // Only products of this category (and its subcategories) are counted - every product when empty
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null,
+  },
+  status: {
+    type: String,
+    enum: STOCK_TAKE_STATUSES,
+    default: 'counting',
+    index: true,
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+  },
+  lines: {
+    type: [stockTakeLineSchema],
+    default: [],
+  },
+  approvedAt: {
+    type: Date,
+    default: null,
+  },
+  approvedByName: {
+    type: String,
+    default: null,
+  },
+  cancelledAt: {
+    type: Date,
+    default: null,
+  },
+  // User who started the stock take, and the username at that time
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  createdByName: {
+    type: String,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+const StockTake = mongoose.model('StockTake', stockTakeSchema);
+
+export default StockTake;
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// A company products are bought from
+// What each product costs at a supplier is kept on the product (Product.suppliers)
+const supplierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Supplier name is required'],
+    unique: true,
+    trim: true,
+    minlength: [2, 'Supplier name must be at least 2 characters'],
+    maxlength: [100, 'Supplier name cannot exceed 100 characters'],
+  },
+  contactName: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: '',
+  },
+  phone: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  address: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [300, 'Address cannot exceed 300 characters'],
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+  },
+}, {
+  timestamps: true,
+});
+
+const Supplier = mongoose.model('Supplier', supplierSchema);
+
+export default Supplier;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { ROLES } from '../utils/permissions.js';
 
 // Define User schema - this is like a blueprint for user data
 const userSchema = new mongoose.Schema({
@@ -8,9 +9,12 @@ const userSchema = new mongoose.Schema({
     unique: true,
     trim: true,
   },
+  // Invited users have no password until they accept the invite
   password: {
     type: String,
-    required: true,
+    required: function () {
+      return this.status !== 'invited';
+    },
   },
   name: {
     type: String,
@@ -24,6 +28,75 @@ const userSchema = new mongoose.Schema({
     trim: true,
     lowercase: true,
   },
+  // Role decides what the user is allowed to do (see utils/permissions.js)
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'viewer',
+  },
+  // Only active users can log in
+  status: {
+    type: String,
+    enum: ['active', 'invited', 'deactivated'],
+    default: 'active',
+  },
+  // Hash of the invite token sent to an invited user
+  inviteTokenHash: {
+    type: String,
+    select: false,
+  },
+  inviteExpiresAt: {
+    type: Date,
+  },
+  // Hash of the single-use token sent by the forgot password email
+  passwordResetTokenHash: {
+    type: String,
+    select: false,
+  },
+  passwordResetExpiresAt: {
+    type: Date,
+  },
+  lastLoginAt: {
+    type: Date,
+  },
+  // Brute-force protection - failed logins since the last success or lockout
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+  },
+  // Account cannot log in until this time
+  lockUntil: {
+    type: Date,
+  },
+  // How many times in a row the account was locked - each lockout lasts twice as long
+  lockoutCount: {
+    type: Number,
+    default: 0,
+  },
+  // Two-factor authentication (TOTP) - secrets are never sent to the client
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false,
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false,
+  },
+  // Secret waiting for the user to confirm it with a code from their app
+  twoFactorPendingSecret: {
+    type: String,
+    select: false,
+  },
+  // Hashes of the one-time recovery codes that are still unused
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false,
+  },
+  // Time step of the last accepted code, so the same code cannot be used twice
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false,
+  },
 }, {
   timestamps: true, // This adds createdAt and updatedAt automatically
 });
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// A location that holds stock
+// Stock levels per warehouse are kept on each product (Product.locations)
+const warehouseSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Warehouse name is required'],
+    unique: true,
+    trim: true,
+    minlength: [2, 'Warehouse name must be at least 2 characters'],
+    maxlength: [100, 'Warehouse name cannot exceed 100 characters'],
+  },
+  // Short code shown in tables, e.g. "MAIN"
+  code: {
+    type: String,
+    required: [true, 'Warehouse code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    maxlength: [10, 'Warehouse code cannot exceed 10 characters'],
+  },
+  address: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [300, 'Address cannot exceed 300 characters'],
+  },
+  // Stock changes that do not name a warehouse use the default warehouse
+  isDefault: {
+    type: Boolean,
+    default: false,
+  },
+}, {
+  timestamps: true,
+});
+
+// Only one warehouse can be the default
+warehouseSchema.index({ isDefault: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+
+const Warehouse = mongoose.model('Warehouse', warehouseSchema);
+
+export default Warehouse;
@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
+} from '../controllers/apiKeyController.js';
+import { protect, rejectApiKey } from '../controllers/authController.js';
+
+const router = express.Router();
+
+// All routes are protected - keys can only be managed by a logged in person
+router.use(protect);
+router.use(rejectApiKey);
+
+router.get('/', getApiKeys);
+router.post('/', createApiKey);
+router.delete('/:id', revokeApiKey);
+
+export default router;
+
@@ -0,0 +1,12 @@
+import express from 'express';
+import { getAuditLogs } from '../controllers/auditController.js';
+import { protect, authorize } from '../controllers/authController.js';
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+router.get('/', authorize('audit:read'), getAuditLogs);
+
+export default router;
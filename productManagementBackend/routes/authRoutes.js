@@ -1,14 +1,62 @@
 import express from 'express';
-import { login, logout, getMe, protect } from '../controllers/authController.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import {
+  login,
+  loginTwoFactor,
+  logout,
+  refresh,
+  acceptInvite,
+  forgotPassword,
+  resetPassword,
+  getMe,
+  protect,
+  rejectApiKey,
+} from '../controllers/authController.js';
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} from '../controllers/twoFactorController.js';
 
 const router = express.Router();
 
+// Limit login attempts per IP (on top of the per-account lockout)
+const loginLimiter = rateLimit({
+  name: 'login',
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX) || 20,
+  windowMs: 15 * 60 * 1000,
+  message: 'Too many login attempts from this IP, please try again later',
+});
+
+// Limit password reset emails per IP
+const forgotPasswordLimiter = rateLimit({
+  name: 'forgot-password',
+  max: 5,
+  windowMs: 15 * 60 * 1000,
+  message: 'Too many password reset requests, please try again later',
+});
+
 // Public routes
-router.post('/login', login);
+router.post('/login', loginLimiter, login);
+router.post('/login/2fa', loginLimiter, loginTwoFactor);
+router.post('/refresh', refresh);
+router.post('/accept-invite', acceptInvite);
+router.post('/forgot-password', forgotPasswordLimiter, forgotPassword);
+router.post('/reset-password', resetPassword);
+// Logout checks the access token itself, so it still works after the token expired
+router.post('/logout', logout);
 
 // Protected routes
 router.get('/me', protect, getMe);
-router.post('/logout', protect, logout);
+
+// Two-factor authentication setup for the logged in user
+router.get('/2fa', protect, rejectApiKey, getTwoFactorStatus);
+router.post('/2fa/setup', protect, rejectApiKey, setupTwoFactor);
+router.post('/2fa/enable', protect, rejectApiKey, enableTwoFactor);
+router.post('/2fa/disable', protect, rejectApiKey, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, rejectApiKey, regenerateRecoveryCodes);
 
 export default router;
 
@@ -1,24 +1,40 @@
 import express from 'express';
 import {
   getCategories,
+  getCategoryTree,
+  exportCategories,
   getCategory,
+  getAttributes,
   createCategory,
   updateCategory,
+  moveCategory,
   deleteCategory,
+  getCategoryTrash,
+  restoreCategory,
+  purgeTrashedCategory,
+  mergeCategory,
 } from '../controllers/categoryController.js';
-import { protect } from '../controllers/authController.js';
+import { protect, authorize } from '../controllers/authController.js';
 
 const router = express.Router();
 
 // All routes are protected
 router.use(protect);
 
-router.get('/', getCategories);
-router.get('/:id', getCategory);
-router.post('/', createCategory);
-router.put('/:id', updateCategory);
-router.delete('/:id', deleteCategory);
+router.get('/', authorize('categories:read'), getCategories);
+router.get('/tree', authorize('categories:read'), getCategoryTree);
+router.get('/export', authorize('categories:read'), exportCategories);
+router.get('/trash', authorize('categories:delete'), getCategoryTrash);
+router.get('/:id', authorize('categories:read'), getCategory);
+router.get('/:id/attributes', authorize('categories:read'), getAttributes);
+router.post('/', authorize('categories:create'), createCategory);
+router.put('/:id', authorize('categories:update'), updateCategory);
+router.patch('/:id/move', authorize('categories:update'), moveCategory);
+// Deleted categories go to the trash, where they can be restored or purged
+router.delete('/:id', authorize('categories:delete'), deleteCategory);
+router.post('/:id/restore', authorize('categories:delete'), restoreCategory);
+router.delete('/:id/purge', authorize('categories:delete'), purgeTrashedCategory);
+router.post('/:id/merge', authorize('categories:delete'), mergeCategory);
 
 export default router;
 
-
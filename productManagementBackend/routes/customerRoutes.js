@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+  getCustomers,
+  getCustomer,
+  createCustomer,
+  updateCustomer,
+  deleteCustomer,
+} from '../controllers/customerController.js';
+import { protect, authorize } from '../controllers/authController.js';
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// Customers are managed by the people who manage sales orders
+router.get('/', authorize('sales-orders:read'), getCustomers);
+router.get('/:id', authorize('sales-orders:read'), getCustomer);
+router.post('/', authorize('sales-orders:manage'), createCustomer);
+router.put('/:id', authorize('sales-orders:manage'), updateCustomer);
+router.delete('/:id', authorize('sales-orders:manage'), deleteCustomer);
+
+export default router;
@@ -0,0 +1,12 @@
+import express from 'express';
+import { getLowStock } from '../controllers/inventoryController.js';
+import { protect, authorize } from '../controllers/authController.js';
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+router.get('/low-stock', authorize('products:read'), getLowStock);
+
+export default router;
@@ -0,0 +1,18 @@
+import express from 'express';
+import {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+} from '../controllers/notificationController.js';
+import { protect } from '../controllers/authController.js';
+
+const router = express.Router();
+
+// All routes are protected - every user can read their own notifications
+router.use(protect);
+
+router.get('/', getNotifications);
+router.patch('/read-all', markAllNotificationsRead);
+router.patch('/:id/read', markNotificationRead);
+
+export default router;
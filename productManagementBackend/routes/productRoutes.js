@@ -1,24 +1,46 @@
 import express from 'express';
 import {
   getProducts,
+  lookupProduct,
+  exportProducts,
   getProduct,
   createProduct,
   updateProduct,
   deleteProduct,
+  getProductTrash,
+  restoreProduct,
+  purgeTrashedProduct,
+  getImportColumns,
+  importProducts,
+  bulkUpdateProducts,
 } from '../controllers/productController.js';
-import { protect } from '../controllers/authController.js';
+import { getStockMovements, createStockMovement, createTransfer } from '../controllers/stockMovementController.js';
+import { protect, authorize } from '../controllers/authController.js';
 
 const router = express.Router();
 
 // All routes are protected
 router.use(protect);
 
-router.get('/', getProducts);
-router.get('/:id', getProduct);
-router.post('/', createProduct);
-router.put('/:id', updateProduct);
-router.delete('/:id', deleteProduct);
+router.get('/', authorize('products:read'), getProducts);
+router.get('/lookup', authorize('products:read'), lookupProduct);
+router.get('/export', authorize('products:read'), exportProducts);
+router.get('/trash', authorize('products:delete'), getProductTrash);
+router.get('/:id', authorize('products:read'), getProduct);
+router.post('/', authorize('products:create'), createProduct);
+// Imports create new products and update existing ones
+router.post('/import/columns', authorize('products:create', 'products:update'), getImportColumns);
+router.post('/import', authorize('products:create', 'products:update'), importProducts);
+// Each bulk action checks its own permission (products:update, or products:delete to delete)
+router.post('/bulk', bulkUpdateProducts);
+router.put('/:id', authorize('products:update'), updateProduct);
+// Deleted products go to the trash, where they can be restored or purged
+router.delete('/:id', authorize('products:delete'), deleteProduct);
+router.post('/:id/restore', authorize('products:delete'), restoreProduct);
+router.delete('/:id/purge', authorize('products:delete'), purgeTrashedProduct);
+router.get('/:id/stock-movements', authorize('products:read'), getStockMovements);
+router.post('/:id/stock-movements', authorize('products:update'), createStockMovement);
+router.post('/:id/transfers', authorize('products:update'), createTransfer);
 
 export default router;
 
-
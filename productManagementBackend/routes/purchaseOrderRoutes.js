@@ -0,0 +1,26 @@
+import express from 'express';
+import {
+  getPurchaseOrders,
+  getPurchaseOrder,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  deletePurchaseOrder,
+  sendPurchaseOrder,
+  receivePurchaseOrder,
+} from '../controllers/purchaseOrderController.js';
+import { protect, authorize } from '../controllers/authController.js';
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+router.get('/', authorize('purchase-orders:read'), getPurchaseOrders);
+router.get('/:id', authorize('purchase-orders:read'), getPurchaseOrder);
+router.post('/', authorize('purchase-orders:manage'), createPurchaseOrder);
+router.put('/:id', authorize('purchase-orders:manage'), updatePurchaseOrder);
+router.delete('/:id', authorize('purchase-orders:manage'), deletePurchaseOrder);
+router.post('/:id/send', authorize('purchase-orders:manage'), sendPurchaseOrder);
+router.post('/:id/receive', authorize('purchase-orders:manage'), receivePurchaseOrder);
+
+export default router;
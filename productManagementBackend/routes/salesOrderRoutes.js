@@ -0,0 +1,26 @@
+import express from 'express';
+import {
+  getSalesOrders,
+  getSalesOrder,
+  createSalesOrder,
+  updateSalesOrder,
+  confirmSalesOrder,
+  shipSalesOrder,
+  cancelSalesOrder,
+} from '../controllers/salesOrderController.js';
+import { protect, authorize } from '../controllers/authController.js';
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+router.get('/', authorize('sales-orders:read'), getSalesOrders);
+router.get('/:id', authorize('sales-orders:read'), getSalesOrder);
+router.post('/', authorize('sales-orders:manage'), createSalesOrder);
+router.put('/:id', authorize('sales-orders:manage'), updateSalesOrder);
+router.post('/:id/confirm', authorize('sales-orders:manage'), confirmSalesOrder);
+router.post('/:id/ship', authorize('sales-orders:manage'), shipSalesOrder);
+router.post('/:id/cancel', authorize('sales-orders:manage'), cancelSalesOrder);
+
+export default router;
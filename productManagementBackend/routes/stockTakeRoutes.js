@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  getStockTakes,
+  getStockTake,
+  createStockTake,
+  recordCounts,
+  scanCode,
+  approveStockTake,
+  cancelStockTake,
+} from '../controllers/stockTakeController.js';
+import { protect, authorize } from '../controllers/authController.js';
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+router.get('/', authorize('stock-takes:read'), getStockTakes);
+router.get('/:id', authorize('stock-takes:read'), getStockTake);
+router.post('/', authorize('stock-takes:count'), createStockTake);
+router.patch('/:id/counts', authorize('stock-takes:count'), recordCounts);
+router.post('/:id/scan', authorize('stock-takes:count'), scanCode);
+router.post('/:id/cancel', authorize('stock-takes:count'), cancelStockTake);
+// Posting the adjustments needs its own permission
+router.post('/:id/approve', authorize('stock-takes:approve'), approveStockTake);
+
+export default router;
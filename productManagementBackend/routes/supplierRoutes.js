@@ -0,0 +1,22 @@
+import express from 'express';
+import {
+  getSuppliers,
+  getSupplier,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier,
+} from '../controllers/supplierController.js';
+import { protect, authorize } from '../controllers/authController.js';
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+router.get('/', authorize('suppliers:read'), getSuppliers);
+router.get('/:id', authorize('suppliers:read'), getSupplier);
+router.post('/', authorize('suppliers:manage'), createSupplier);
+router.put('/:id', authorize('suppliers:manage'), updateSupplier);
+router.delete('/:id', authorize('suppliers:manage'), deleteSupplier);
+
+export default router;
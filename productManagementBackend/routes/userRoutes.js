@@ -0,0 +1,34 @@
+import express from 'express';
+import {
+  getUsers,
+  getUser,
+  createUser,
+  inviteUser,
+  resendInvite,
+  updateUser,
+  deactivateUser,
+  activateUser,
+  resetUserPassword,
+  resetUserTwoFactor,
+} from '../controllers/userController.js';
+import { protect, authorize } from '../controllers/authController.js';
+
+const router = express.Router();
+
+// All routes are protected and only for admins
+router.use(protect);
+router.use(authorize('users:manage'));
+
+router.get('/', getUsers);
+router.get('/:id', getUser);
+router.post('/', createUser);
+router.post('/invite', inviteUser);
+router.put('/:id', updateUser);
+router.post('/:id/resend-invite', resendInvite);
+router.post('/:id/deactivate', deactivateUser);
+router.post('/:id/activate', activateUser);
+router.post('/:id/reset-password', resetUserPassword);
+router.post('/:id/reset-2fa', resetUserTwoFactor);
+
+export default router;
+
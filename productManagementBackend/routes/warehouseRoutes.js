@@ -0,0 +1,21 @@
+import express from 'express';
+import {
+  getWarehouses,
+  createWarehouse,
+  updateWarehouse,
+  deleteWarehouse,
+} from '../controllers/warehouseController.js';
+import { protect, authorize } from '../controllers/authController.js';
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+router.get('/', authorize('warehouses:read'), getWarehouses);
+router.post('/', authorize('warehouses:manage'), createWarehouse);
+router.put('/:id', authorize('warehouses:manage'), updateWarehouse);
+router.delete('/:id', authorize('warehouses:manage'), deleteWarehouse);
+
+export default router;
+
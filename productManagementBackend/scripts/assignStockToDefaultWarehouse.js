@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import Product from '../models/Product.js';
+import { getDefaultWarehouse } from '../utils/inventory.js';
+
+// Stock is now kept per warehouse - this script puts the stock of products that have
+// no stock levels yet into the default warehouse (created when there is none).
+// It is safe to run more than once.
+// Usage: node scripts/assignStockToDefaultWarehouse.js
+
+// Get the directory of the current file
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables from parent directory (.env file should be in productManagementBackend folder)
+dotenv.config({ path: join(__dirname, '..', '.env') });
+
+async function assignStockToDefaultWarehouse() {
+  try {
+    // Connect to MongoDB
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/productmanagement';
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    const warehouse = await getDefaultWarehouse();
+    console.log(`🏬 Default warehouse: ${warehouse.name} (${warehouse.code})`);
+
+    const products = await Product.find({ 'locations.0': { $exists: false }, stock: { $gt: 0 } })
+      .select('name stock variants._id variants.stock')
+      .lean();
+
+    if (products.length === 0) {
+      console.log('✅ Nothing to do, all stock is already in a warehouse');
+      process.exit(0);
+    }
+
+    for (const product of products) {
+      // Products with variants get one stock level per variant
+      const locations = product.variants.length > 0
+        ? product.variants
+          .filter((variant) => variant.stock > 0)
+          .map((variant) => ({ warehouse: warehouse._id, variant: variant._id, stock: variant.stock }))
+        : [{ warehouse: warehouse._id, variant: null, stock: product.stock }];
+
+      await Product.collection.updateOne({ _id: product._id }, { $set: { locations } });
+      console.log(`📦 "${product.name}": ${product.stock} units`);
+    }
+
+    console.log('✅ Stock assigned');
+    console.log(`   Products updated: ${products.length}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Failed to assign stock:', error.message);
+    process.exit(1);
+  }
+}
+
+assignStockToDefaultWarehouse();
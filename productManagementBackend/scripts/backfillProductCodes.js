@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import Product from '../models/Product.js';
+
+// Products saved before "codes" existed are not covered by its unique index - this script
+// fills in their codes. Products whose codes are already used by another product are listed,
+// so they can be fixed by hand. It is safe to run more than once.
+// Usage: node scripts/backfillProductCodes.js
+
+// Get the directory of the current file
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables from parent directory (.env file should be in productManagementBackend folder)
+dotenv.config({ path: join(__dirname, '..', '.env') });
+
+async function backfillProductCodes() {
+  try {
+    // Connect to MongoDB
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/productmanagement';
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    // Make sure the unique codes index exists before writing
+    await Product.syncIndexes();
+
+    // Products in the trash keep their codes as well
+    const products = await Product.find({ codes: { $exists: false } })
+      .setOptions({ withDeleted: true })
+      .select('_id name sku barcode variants.sku variants.barcode')
+      .lean();
+
+    if (products.length === 0) {
+      console.log('✅ Nothing to do, all products have their codes');
+      process.exit(0);
+    }
+
+    let updated = 0;
+    let duplicates = 0;
+    for (const product of products) {
+      const codes = [
+        product.sku,
+        product.barcode,
+        ...(product.variants || []).flatMap((variant) => [variant.sku, variant.barcode]),
+      ];
+
+      try {
+        // Write directly, so products are not validated against rules added after they were created
+        await Product.collection.updateOne({ _id: product._id }, { $set: { codes: [...new Set(codes.filter(Boolean))] } });
+        updated += 1;
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+        duplicates += 1;
+        console.log(`⚠️  "${product.name}": ${error.keyValue?.codes} is already used by another product`);
+      }
+    }
+
+    console.log('✅ Backfill finished');
+    console.log(`   Products updated: ${updated}`);
+    if (duplicates > 0) {
+      console.log(`   Products with duplicate codes: ${duplicates} - change their codes and run this script again`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Backfill failed:', error.message);
+    process.exit(1);
+  }
+}
+
+backfillProductCodes();
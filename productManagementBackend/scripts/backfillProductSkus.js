@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import Product from '../models/Product.js';
+
+// Products created before SKUs existed have none - this script gives each of them
+// a SKU based on its id, e.g. "SKU-5F3A9C1E". It is safe to run more than once.
+// Usage: node scripts/backfillProductSkus.js
+
+// Get the directory of the current file
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables from parent directory (.env file should be in productManagementBackend folder)
+dotenv.config({ path: join(__dirname, '..', '.env') });
+
+// Helper function to check if a code is already used by a product or variant
+async function isCodeUsed(code) {
+  const product = await Product.exists({
+    $or: [{ sku: code }, { barcode: code }, { 'variants.sku': code }, { 'variants.barcode': code }],
+  });
+  return Boolean(product);
+}
+
+async function backfillProductSkus() {
+  try {
+    // Connect to MongoDB
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/productmanagement';
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    // Make sure the unique SKU and barcode indexes exist before writing
+    await Product.syncIndexes();
+
+    const products = await Product.find({ sku: { $exists: false } }).select('_id name').lean();
+
+    if (products.length === 0) {
+      console.log('✅ Nothing to do, all products have a SKU');
+      process.exit(0);
+    }
+
+    for (const product of products) {
+      // The last 8 characters of the id are usually unique, the full id always is
+      const id = product._id.toString().toUpperCase();
+      let sku = `SKU-${id.slice(-8)}`;
+      if (await isCodeUsed(sku)) {
+        sku = `SKU-${id}`;
+      }
+
+      // Write directly, so products are not validated against rules added after they were created
+      await Product.collection.updateOne({ _id: product._id }, { $set: { sku } });
+      console.log(`🏷️  "${product.name}": ${sku}`);
+    }
+
+    console.log('✅ Backfill finished');
+    console.log(`   Products updated: ${products.length}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Backfill failed:', error.message);
+    process.exit(1);
+  }
+}
+
+backfillProductSkus();
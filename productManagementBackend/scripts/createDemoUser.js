@@ -41,7 +41,14 @@ async function createDemoUser() {
     // Check if admin user already exists
     const existingUser = await User.findOne({ username: 'admin' });
     if (existingUser) {
-      console.log('⚠️  Admin user already exists!');
+      // Users created before roles existed have no role saved - make sure admin keeps full access
+      if (existingUser.role !== 'admin') {
+        existingUser.role = 'admin';
+        await existingUser.save();
+        console.log('✅ Admin user already exists, role updated to admin');
+      } else {
+        console.log('⚠️  Admin user already exists!');
+      }
       process.exit(0);
     }
 
@@ -54,12 +61,14 @@ async function createDemoUser() {
       password: hashedPassword, // Save hashed password
       name: 'Admin User',
       email: 'admin@example.com',
+      role: 'admin',
     });
 
     console.log('✅ Demo user created successfully!');
     console.log('📝 Credentials:');
     console.log('   Username: admin');
     console.log('   Password: admin123');
+    console.log('   Role: admin');
     console.log('   User ID:', user._id);
 
     process.exit(0);
@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import Product from '../models/Product.js';
+import StockMovement from '../models/StockMovement.js';
+
+// Stock used to be a plain number - it is now the balance of the stock movements
+// This script records the current stock of products that have no movements yet as
+// "Opening balance" adjustments, so their history adds up. It is safe to run more than once.
+// Usage: node scripts/createOpeningStockMovements.js
+
+// Get the directory of the current file
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables from parent directory (.env file should be in productManagementBackend folder)
+dotenv.config({ path: join(__dirname, '..', '.env') });
+
+async function createOpeningStockMovements() {
+  try {
+    // Connect to MongoDB
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/productmanagement';
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    const withMovements = await StockMovement.distinct('product');
+    const products = await Product.find({ _id: { $nin: withMovements } })
+      .select('name stock variants._id variants.stock')
+      .lean();
+
+    let created = 0;
+    for (const product of products) {
+      // Products with variants get one movement per variant
+      const balances = product.variants.length > 0
+        ? product.variants.map((variant) => ({ variant: variant._id, stock: variant.stock }))
+        : [{ variant: null, stock: product.stock }];
+
+      const movements = balances
+        .filter((balance) => balance.stock > 0)
+        .map((balance) => ({
+          product: product._id,
+          variant: balance.variant,
+          type: 'adjustment',
+          quantity: balance.stock,
+          balanceAfter: balance.stock,
+          reason: 'Opening balance',
+        }));
+
+      if (movements.length > 0) {
+        await StockMovement.insertMany(movements);
+        created += movements.length;
+        console.log(`📦 "${product.name}": ${movements.length} movements`);
+      }
+    }
+
+    console.log('✅ Opening balances recorded');
+    console.log(`   Movements created: ${created}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Failed to record opening balances:', error.message);
+    process.exit(1);
+  }
+}
+
+createOpeningStockMovements();
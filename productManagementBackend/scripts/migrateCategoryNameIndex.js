@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import Category from '../models/Category.js';
+
+// Category names used to be unique across all categories - now they only have to be unique
+// below one parent. This script drops the old unique index on the name and creates the
+// { parent, name } one. It is safe to run more than once.
+// Usage: node scripts/migrateCategoryNameIndex.js
+
+// Get the directory of the current file
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables from parent directory (.env file should be in productManagementBackend folder)
+dotenv.config({ path: join(__dirname, '..', '.env') });
+
+// Name of the index created by the old "unique: true" on the name
+const OLD_INDEX = 'name_1';
+
+async function migrateCategoryNameIndex() {
+  try {
+    // Connect to MongoDB
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/productmanagement';
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    const indexes = await Category.collection.indexes();
+    if (indexes.some((index) => index.name === OLD_INDEX)) {
+      await Category.collection.dropIndex(OLD_INDEX);
+      console.log(`🗑️  Dropped index ${OLD_INDEX}`);
+    } else {
+      console.log(`✅ Index ${OLD_INDEX} is already gone`);
+    }
+
+    // Create the { parent, name } index - the old names were unique, so they still are below each parent
+    await Category.syncIndexes();
+
+    console.log('✅ Migration finished');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  }
+}
+
+migrateCategoryNameIndex();
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import Product from '../models/Product.js';
+import Category from '../models/Category.js';
+
+// Products used to store the category name as a string - they now store the category id
+// This script converts existing products. It is safe to run more than once.
+// Usage: node scripts/migrateProductCategories.js
+
+// Get the directory of the current file
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables from parent directory (.env file should be in productManagementBackend folder)
+dotenv.config({ path: join(__dirname, '..', '.env') });
+
+async function migrateProductCategories() {
+  try {
+    // Connect to MongoDB
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/productmanagement';
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    // Read the raw documents - the Product schema would try to cast the old string values
+    const names = await Product.collection.distinct('category', { category: { $type: 'string' } });
+
+    if (names.length === 0) {
+      console.log('✅ Nothing to migrate, all products already reference categories by id');
+      process.exit(0);
+    }
+
+    let updatedProducts = 0;
+    let createdCategories = 0;
+
+    for (const name of names) {
+      // Products whose category was renamed or deleted get a category with the old name,
+      // so no product is left without a category
+      let category = await Category.findOne({ name: name.trim() });
+      if (!category) {
+        category = await Category.create({ name: name.trim() });
+        createdCategories++;
+        console.log(`➕ Created missing category "${category.name}"`);
+      }
+
+      const result = await Product.collection.updateMany(
+        { category: name },
+        { $set: { category: category._id } }
+      );
+      updatedProducts += result.modifiedCount;
+      console.log(`🔗 "${name}": ${result.modifiedCount} products updated`);
+    }
+
+    console.log('✅ Migration finished');
+    console.log(`   Products updated: ${updatedProducts}`);
+    console.log(`   Categories created: ${createdCategories}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  }
+}
+
+migrateProductCategories();
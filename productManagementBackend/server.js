@@ -1,22 +1,49 @@
+// Load environment variables first - imported modules read them when they load
+import 'dotenv/config';
 import express from 'express';
 import mongoose from 'mongoose';
 import cors from 'cors';
-import dotenv from 'dotenv';
 import { v2 as cloudinary } from 'cloudinary';
 import authRoutes from './routes/authRoutes.js';
 import categoryRoutes from './routes/categoryRoutes.js';
 import productRoutes from './routes/productRoutes.js';
-
-// Load environment variables
-dotenv.config();
+import userRoutes from './routes/userRoutes.js';
+import apiKeyRoutes from './routes/apiKeyRoutes.js';
+import auditRoutes from './routes/auditRoutes.js';
+import warehouseRoutes from './routes/warehouseRoutes.js';
+import inventoryRoutes from './routes/inventoryRoutes.js';
+import supplierRoutes from './routes/supplierRoutes.js';
+import purchaseOrderRoutes from './routes/purchaseOrderRoutes.js';
+import customerRoutes from './routes/customerRoutes.js';
+import salesOrderRoutes from './routes/salesOrderRoutes.js';
+import stockTakeRoutes from './routes/stockTakeRoutes.js';
+import notificationRoutes from './routes/notificationRoutes.js';
+import { startLowStockChecker } from './jobs/lowStockChecker.js';
+import { startTrashPurger } from './jobs/trashPurger.js';
 
 // Create Express app
 const app = express();
 
+// Use the client IP from X-Forwarded-For when running behind a proxy (needed for rate limiting)
+// TRUST_PROXY can be 'true', a number of proxy hops, or a list of proxy IPs
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  if (trustProxy === 'true') {
+    app.set('trust proxy', true);
+  } else if (/^\d+$/.test(trustProxy)) {
+    app.set('trust proxy', parseInt(trustProxy));
+  } else {
+    app.set('trust proxy', trustProxy);
+  }
+}
+
 // Middleware
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:5173',
-  credentials: true
+  credentials: true,
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
+  // Lets the frontend read the file name of exports
+  exposedHeaders: ['Content-Disposition'],
 }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -47,19 +74,41 @@ async function connectDB() {
     const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/productmanagement';
     await mongoose.connect(mongoUri);
     console.log('✅ MongoDB Connected Successfully');
+
+    // Changes that touch several documents, like stock movements, run in transactions
+    // (see utils/transaction.js), which need a replica set - plain saves work without one
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    if (!hello.setName && hello.msg !== 'isdbgrid') {
+      console.warn('⚠️  MongoDB is not running as a replica set - stock changes, orders, stock takes and');
+      console.warn('   category merges will fail. See "MongoDB setup" in README.md.');
+    }
   } catch (error) {
     console.error('❌ MongoDB Connection Error:', error.message);
     process.exit(1);
   }
 }
 
-// Start database connection
-connectDB();
+// Start database connection, then the background jobs that need it
+connectDB().then(() => {
+  startLowStockChecker();
+  startTrashPurger();
+});
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/products', productRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/warehouses', warehouseRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/sales-orders', salesOrderRoutes);
+app.use('/api/stock-takes', stockTakeRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Health Check Route
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,184 @@
+import Category, { ATTRIBUTE_TYPES } from '../models/Category.js';
+
+// Attribute keys are stored as field names in Product.attributes, so only simple names are allowed
+const KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+// Helper function to make a key from a label, e.g. "Screen Size" -> "screen_size"
+function keyFromLabel(label) {
+  return label
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^[^a-z]+|_+$/g, '');
+}
+
+// Check attribute definitions sent for a category
+// Returns { attributes, errors } - attributes are cleaned up and ready to save
+export function validateAttributeDefinitions(definitions) {
+  const errors = {};
+  const attributes = [];
+
+  if (!Array.isArray(definitions)) {
+    return { attributes, errors: { attributes: 'Attributes must be a list' } };
+  }
+
+  const keys = new Set();
+  definitions.forEach((definition, index) => {
+    const field = `attributes.${index}`;
+    const label = typeof definition?.label === 'string' ? definition.label.trim() : '';
+    const key = typeof definition?.key === 'string' && definition.key.trim()
+      ? definition.key.trim()
+      : keyFromLabel(label);
+    const type = definition?.type;
+
+    if (!label) {
+      errors[field] = 'Attribute label is required';
+      return;
+    }
+    if (!KEY_PATTERN.test(key)) {
+      errors[field] = `${label}: key must start with a letter and use only lowercase letters, numbers and _`;
+      return;
+    }
+    if (keys.has(key)) {
+      errors[field] = `${label}: another attribute already uses the key "${key}"`;
+      return;
+    }
+    if (!ATTRIBUTE_TYPES.includes(type)) {
+      errors[field] = `${label}: type must be one of: ${ATTRIBUTE_TYPES.join(', ')}`;
+      return;
+    }
+
+    const attribute = { key, label, type, required: Boolean(definition.required) };
+
+    if (type === 'number' && typeof definition.unit === 'string' && definition.unit.trim()) {
+      attribute.unit = definition.unit.trim();
+    }
+    if (type === 'enum') {
+      const options = Array.isArray(definition.options)
+        ? [...new Set(definition.options.map((option) => String(option).trim()).filter(Boolean))]
+        : [];
+      if (options.length === 0) {
+        errors[field] = `${label}: add at least one option`;
+        return;
+      }
+      attribute.options = options;
+    }
+
+    keys.add(key);
+    attributes.push(attribute);
+  });
+
+  return { attributes, errors };
+}
+
+// Get every attribute a product in the category must use:
+// the attributes of all categories above it, then its own
+// A subcategory attribute with the same key replaces the one from above
+// Each attribute gets "category" - the name of the category that defines it
+export async function getCategoryAttributes(category) {
+  const ancestors = await Category.find({ _id: { $in: category.ancestors || [] } });
+  const byId = new Map(ancestors.map((ancestor) => [String(ancestor._id), ancestor]));
+  const chain = [...(category.ancestors || []).map((id) => byId.get(String(id))).filter(Boolean), category];
+
+  const attributes = new Map();
+  for (const level of chain) {
+    for (const attribute of level.attributes || []) {
+      const data = typeof attribute.toObject === 'function' ? attribute.toObject() : attribute;
+      attributes.set(data.key, { ...data, category: level.name });
+    }
+  }
+  return [...attributes.values()];
+}
+
+// Helper function to turn a value sent by the client into the attribute's type
+// Form data sends everything as strings, so "16" and "true" are accepted
+// Returns { value } or { error }
+function castValue(attribute, value) {
+  switch (attribute.type) {
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (String(value).trim() === '' || !Number.isFinite(number)) {
+        return { error: `${attribute.label} must be a number` };
+      }
+      return { value: number };
+    }
+    case 'boolean':
+      if (value === true || value === 'true') {
+        return { value: true };
+      }
+      if (value === false || value === 'false') {
+        return { value: false };
+      }
+      return { error: `${attribute.label} must be true or false` };
+    case 'enum':
+      if (!attribute.options.includes(String(value))) {
+        return { error: `${attribute.label} must be one of: ${attribute.options.join(', ')}` };
+      }
+      return { value: String(value) };
+    default:
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        return { error: `${attribute.label} must be text` };
+      }
+      return { value: String(value).trim() };
+  }
+}
+
+// Check a product's attribute values against the attributes of its category
+// Values for keys the category does not define are dropped
+// Returns { attributes, errors } - errors use "attributes.<key>" as field names
+export function validateProductAttributes(definitions, values) {
+  const errors = {};
+  const attributes = {};
+  const input = values && typeof values === 'object' && !Array.isArray(values) ? values : {};
+
+  for (const attribute of definitions) {
+    const value = input[attribute.key];
+    const isEmpty = value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+    if (isEmpty) {
+      if (attribute.required) {
+        errors[`attributes.${attribute.key}`] = `${attribute.label} is required`;
+      }
+      continue;
+    }
+
+    const result = castValue(attribute, value);
+    if (result.error) {
+      errors[`attributes.${attribute.key}`] = result.error;
+    } else {
+      attributes[attribute.key] = result.value;
+    }
+  }
+
+  return { attributes, errors };
+}
+
+// Build a product query for attribute filters, e.g. { size: 'M', ram: '16' }
+// Values come from the query string as text, so numbers and booleans are matched too
+// Returns { query } or { error }
+export function buildAttributeQuery(filters) {
+  const query = {};
+  if (!filters || typeof filters !== 'object') {
+    return { query };
+  }
+
+  for (const [key, rawValue] of Object.entries(filters)) {
+    if (!KEY_PATTERN.test(key)) {
+      return { error: `Invalid attribute: ${key}` };
+    }
+    const value = String(rawValue);
+    if (value === '') {
+      continue;
+    }
+
+    const candidates = [value];
+    if (value.trim() !== '' && Number.isFinite(Number(value))) {
+      candidates.push(Number(value));
+    }
+    if (value === 'true' || value === 'false') {
+      candidates.push(value === 'true');
+    }
+    query[`attributes.${key}`] = { $in: candidates };
+  }
+
+  return { query };
+}
@@ -0,0 +1,67 @@
+import AuditLog from '../models/AuditLog.js';
+
+// Fields that are never compared or copied into the audit log
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Turn a document into a plain object with only the fields worth auditing
+// Take one before changing a document and pass it as "before" to recordAudit
+export function auditSnapshot(doc) {
+  if (!doc) {
+    return {};
+  }
+  const data = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : { ...doc };
+  for (const field of IGNORED_FIELDS) {
+    delete data[field];
+  }
+  // Round-trip through JSON so ObjectIds and dates compare (and store) as plain values
+  return JSON.parse(JSON.stringify(data));
+}
+
+// Helper function to list the fields that differ between two snapshots
+// Returns { field: { before, after } } - missing values are stored as null
+export function diffSnapshots(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  for (const field of fields) {
+    const beforeValue = before[field] === undefined ? null : before[field];
+    const afterValue = after[field] === undefined ? null : after[field];
+    if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+      changes[field] = { before: beforeValue, after: afterValue };
+    }
+  }
+
+  return changes;
+}
+
+// Record an entry in the audit log
+// - req: the request, used for the actor (req.user unless actor is given), IP and user agent
+// - before / after: documents or snapshots; leave out "before" for creates and "after" for deletes
+// Updates that change nothing are not recorded
+// Never throws - a failed audit write must not fail the request that caused it
+export async function recordAudit(req, { action, entityType, entity, entityName, before, after, actor, details }) {
+  try {
+    const changes = diffSnapshots(auditSnapshot(before), auditSnapshot(after));
+    if (action === 'update' && Object.keys(changes).length === 0) {
+      return;
+    }
+
+    const actingUser = actor !== undefined ? actor : req.user;
+
+    await AuditLog.create({
+      actor: actingUser ? actingUser._id : null,
+      actorName: actingUser ? actingUser.username : null,
+      apiKey: req.apiKey ? req.apiKey._id : null,
+      action,
+      entityType,
+      entityId: entity ? entity._id : null,
+      entityName: entityName || (entity ? entity.name || entity.username : null),
+      changes,
+      details: details || null,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+}
@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+
+// Check the components sent for a bundle: [{ product, variant, quantity }]
+// Components must be standard products (bundles cannot contain bundles), products with variants
+// need a variant, and a product (or variant) can only be listed once
+// bundleId is the bundle being changed, so it cannot contain itself
+// Returns { components, errors } - errors are keyed "components" or "components.<index>"
+export async function checkBundleComponents(input, bundleId = null) {
+  const components = [];
+  const errors = {};
+
+  if (!Array.isArray(input) || input.length === 0) {
+    errors.components = 'Add at least one product to the bundle';
+    return { components, errors };
+  }
+
+  const ids = input.map((item) => item?.product).filter((id) => mongoose.isValidObjectId(id));
+  const products = await Product.find({ _id: { $in: ids } }).select('name kind variants._id').lean();
+  const productById = new Map(products.map((product) => [product._id.toString(), product]));
+  const seen = new Set();
+
+  input.forEach((item, index) => {
+    const field = `components.${index}`;
+    const product = productById.get(String(item?.product));
+    if (!product) {
+      errors[field] = 'Product does not exist';
+      return;
+    }
+    if (bundleId && product._id.equals(bundleId)) {
+      errors[field] = 'A bundle cannot contain itself';
+      return;
+    }
+    if (product.kind === 'bundle') {
+      errors[field] = `"${product.name}" is a bundle - bundles cannot contain other bundles`;
+      return;
+    }
+
+    let variant = null;
+    if (product.variants.length > 0) {
+      variant = product.variants.find((entry) => entry._id.toString() === String(item.variant));
+      if (!variant) {
+        errors[field] = `Pick a variant of "${product.name}"`;
+        return;
+      }
+    }
+
+    const key = `${product._id}:${variant ? variant._id : ''}`;
+    if (seen.has(key)) {
+      errors[field] = `"${product.name}" is listed twice`;
+      return;
+    }
+
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      errors[field] = 'Quantity must be a whole number of 1 or more';
+      return;
+    }
+
+    seen.add(key);
+    components.push({ product: product._id, variant: variant ? variant._id : null, quantity });
+  });
+
+  return { components, errors };
+}
+
+// Check whether two lists of components are the same, ignoring their order
+export function sameComponents(a, b) {
+  const key = (component) => `${component.product}:${component.variant || ''}:${component.quantity}`;
+  const keys = new Set(a.map(key));
+  return a.length === b.length && b.every((component) => keys.has(key(component)));
+}
+
+// Work out the stock levels of a bundle from the stock levels of its components
+// productById maps the id of each component product to the product with its "locations"
+// In each warehouse, a bundle can be put together as often as its scarcest component allows:
+// the smallest (available stock / quantity) over the components, where available stock is
+// stock that is not reserved for sales orders
+// Returns { stock, locations } - locations only has the warehouses where at least one bundle can be put together
+export function bundleStockLevels(components, productById) {
+  const available = (component, warehouseId) => {
+    const product = productById.get(String(component.product));
+    const location = product && product.locations.find((item) =>
+      item.warehouse.equals(warehouseId) && String(item.variant || '') === String(component.variant || '')
+    );
+    return location ? location.stock - (location.reserved || 0) : 0;
+  };
+
+  // Only warehouses that have stock of the first component can have bundles
+  const first = productById.get(String(components[0]?.product));
+  const warehouseIds = first ? first.locations.map((location) => location.warehouse) : [];
+
+  const locations = [];
+  for (const warehouseId of warehouseIds) {
+    if (locations.some((location) => location.warehouse.equals(warehouseId))) {
+      continue;
+    }
+    const stock = Math.min(...components.map((component) =>
+      Math.floor(available(component, warehouseId) / component.quantity)
+    ));
+    if (stock > 0) {
+      locations.push({ warehouse: warehouseId, variant: null, stock, reserved: 0 });
+    }
+  }
+
+  return { stock: locations.reduce((total, location) => total + location.stock, 0), locations };
+}
@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+import Category from '../models/Category.js';
+
+// Helper function to find a category by id, by its full path, e.g. "Electronics > Audio", or by name
+// Names are still accepted so clients that send the category name keep working
+// Names are only unique below one parent, so a name that several categories have is reported
+// Returns { category } - category is null when nothing matches - or { category: null, error }
+export async function findCategory(value) {
+  if (!value || typeof value !== 'string' || value.trim().length === 0) {
+    return { category: null };
+  }
+
+  const idOrName = value.trim();
+  if (mongoose.isValidObjectId(idOrName)) {
+    const category = await Category.findById(idOrName);
+    if (category) {
+      return { category };
+    }
+  }
+
+  const named = await Category.find({ name: idOrName });
+  if (named.length === 1) {
+    return { category: named[0] };
+  }
+  if (named.length > 1) {
+    const [example] = await withCategoryPaths(named.slice(0, 1));
+    return {
+      category: null,
+      error: `${named.length} categories are named "${idOrName}" - use the full path, e.g. "${example.path}"`,
+    };
+  }
+
+  // Walk down the path one name at a time, starting at the top level
+  const names = idOrName.split('>').map((name) => name.trim());
+  if (names.length < 2) {
+    return { category: null };
+  }
+  let category = null;
+  for (const name of names) {
+    category = await Category.findOne({ parent: category ? category._id : null, name });
+    if (!category) {
+      return { category: null };
+    }
+  }
+  return { category };
+}
+
+// Helper function to find the category with a name below a parent (null for the top level)
+// Names only have to be unique below one parent - categories in the trash keep their names
+export async function findSiblingByName(parentId, name, exceptId = null) {
+  const filter = { parent: parentId || null, name };
+  if (exceptId) {
+    filter._id = { $ne: exceptId };
+  }
+  return await Category.findOne(filter).setOptions({ withDeleted: true });
+}
+
+// Helper function to get the ids of every category below a category (children, grandchildren...)
+export async function getDescendantIds(categoryId) {
+  return await Category.distinct('_id', { ancestors: categoryId });
+}
+
+// Helper function to add the full path, e.g. "Electronics > Audio > Headphones", to categories
+// Returns plain objects
+export async function withCategoryPaths(categories) {
+  const ancestorIds = [...new Set(categories.flatMap((category) => (category.ancestors || []).map(String)))];
+  const ancestors = await Category.find({ _id: { $in: ancestorIds } }).select('name');
+  const names = new Map(ancestors.map((ancestor) => [String(ancestor._id), ancestor.name]));
+
+  return categories.map((category) => {
+    const data = typeof category.toObject === 'function' ? category.toObject() : category;
+    const path = [...(category.ancestors || []).map((id) => names.get(String(id))), category.name];
+    return { ...data, path: path.join(' > ') };
+  });
+}
+
+// Helper function to give every category below a category a new path above it
+// prefix replaces the ancestors down to the category - the category itself is kept in the path
+// when keepCategory is true (moving it), and dropped when false (it is being removed)
+export async function replaceAncestorPrefix(categoryId, prefix, keepCategory, session) {
+  await Category.updateMany({ ancestors: categoryId }, [
+    {
+      $set: {
+        ancestors: {
+          $concatArrays: [
+            prefix,
+            {
+              $slice: [
+                '$ancestors',
+                { $add: [{ $indexOfArray: ['$ancestors', categoryId] }, keepCategory ? 0 : 1] },
+                { $size: '$ancestors' },
+              ],
+            },
+          ],
+        },
+      },
+    },
+    // Categories in the trash move along, so they have the right path when restored
+  ], { session, withDeleted: true });
+}
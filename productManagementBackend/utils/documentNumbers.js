@@ -0,0 +1,13 @@
+import Counter from '../models/Counter.js';
+
+// Get the next number of a sequence, formatted with a prefix, e.g. "PO-000042"
+// Numbers come from an atomic $inc, so two requests never get the same number
+// Pass a session to take the number inside a transaction (see utils/transaction.js)
+export async function nextDocumentNumber(sequence, prefix, session = null) {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: sequence },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return `${prefix}-${String(counter.seq).padStart(6, '0')}`;
+}
@@ -0,0 +1,72 @@
+// Columns that can be exported, in their default order: { key, label, value(row) }
+// Product columns that can be imported again use the field names and labels of the import
+// (see utils/productImport.js), so an exported file maps itself when it is imported
+
+// Helper function to write a date as an ISO string
+function isoDate(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+// Product rows come from the product list pipeline, with "category" as { name, path }
+export const PRODUCT_EXPORT_COLUMNS = [
+  { key: 'sku', label: 'SKU', value: (product) => product.sku },
+  { key: 'name', label: 'Name', value: (product) => product.name },
+  { key: 'kind', label: 'Type', value: (product) => product.kind || 'standard' },
+  { key: 'category', label: 'Category', value: (product) => product.category?.path || null },
+  { key: 'price', label: 'Price', value: (product) => product.price },
+  { key: 'stock', label: 'Stock', value: (product) => product.stock },
+  { key: 'warehouseStock', label: 'Warehouse Stock', value: (product) => product.warehouseStock ?? null },
+  { key: 'reserved', label: 'Reserved', value: (product) => product.reserved || 0 },
+  { key: 'available', label: 'Available', value: (product) => product.stock - (product.reserved || 0) },
+  { key: 'barcode', label: 'Barcode', value: (product) => product.barcode || null },
+  { key: 'reorderPoint', label: 'Reorder Point', value: (product) => product.reorderPoint ?? null },
+  { key: 'reorderQuantity', label: 'Reorder Quantity', value: (product) => product.reorderQuantity ?? null },
+  { key: 'variants', label: 'Variants', value: (product) => (product.variants || []).length },
+  {
+    key: 'attributes',
+    label: 'Attributes',
+    value: (product) => Object.entries(product.attributes || {}).map(([key, value]) => `${key}: ${value}`).join('; ') || null,
+  },
+  { key: 'images', label: 'Image URLs', value: (product) => (product.images || []).join(' ') || null },
+  { key: 'createdAt', label: 'Created', value: (product) => isoDate(product.createdAt) },
+  { key: 'updatedAt', label: 'Updated', value: (product) => isoDate(product.updatedAt) },
+];
+
+// Category rows are categories with their "path" (see withCategoryPaths)
+export const CATEGORY_EXPORT_COLUMNS = [
+  { key: 'name', label: 'Name', value: (category) => category.name },
+  { key: 'path', label: 'Path', value: (category) => category.path },
+  {
+    key: 'parent',
+    label: 'Parent',
+    // The path without " > <name>" at the end
+    value: (category) => (category.parent ? category.path.slice(0, -(category.name.length + 3)) : null),
+  },
+  {
+    key: 'attributes',
+    label: 'Attributes',
+    value: (category) => (category.attributes || []).map((attribute) => attribute.label).join('; ') || null,
+  },
+  { key: 'reorderPoint', label: 'Reorder Point', value: (category) => category.reorderPoint ?? null },
+  { key: 'reorderQuantity', label: 'Reorder Quantity', value: (category) => category.reorderQuantity ?? null },
+  { key: 'createdAt', label: 'Created', value: (category) => isoDate(category.createdAt) },
+  { key: 'updatedAt', label: 'Updated', value: (category) => isoDate(category.updatedAt) },
+];
+
+// Pick the columns asked for with ?columns=sku,name,price - every column when none are asked for
+// Returns { columns, error } - error is a message or null
+export function pickColumns(available, input) {
+  if (input === undefined || input === '') {
+    return { columns: available, error: null };
+  }
+  if (typeof input !== 'string') {
+    return { columns: [], error: 'Columns must be a comma separated list' };
+  }
+
+  const keys = [...new Set(input.split(',').map((key) => key.trim()).filter(Boolean))];
+  const unknown = keys.filter((key) => !available.some((column) => column.key === key));
+  if (unknown.length > 0) {
+    return { columns: [], error: `Unknown column${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}` };
+  }
+  return { columns: keys.map((key) => available.find((column) => column.key === key)), error: null };
+}
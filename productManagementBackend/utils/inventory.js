@@ -0,0 +1,423 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import StockMovement, { STOCK_MOVEMENT_TYPES } from '../models/StockMovement.js';
+import Warehouse from '../models/Warehouse.js';
+import { bundleStockLevels } from './bundles.js';
+
+// Direction of each movement type - adjustments and transfers keep the sign they are given
+const DIRECTIONS = {
+  receipt: 1,
+  return: 1,
+  sale: -1,
+  damage: -1,
+  adjustment: 0,
+  transfer: 0,
+};
+
+// Movement types a user can record directly - transfers have their own operation
+export const MANUAL_MOVEMENT_TYPES = STOCK_MOVEMENT_TYPES.filter((type) => type !== 'transfer');
+
+// Movement types that can be recorded for a bundle - they are booked on its components
+const BUNDLE_MOVEMENT_TYPES = ['sale', 'return'];
+
+// Helper function to build an error that callers can tell apart by its code
+function stockError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Check the type and quantity of a movement sent by a client
+// Quantities are whole numbers: positive for receipts, sales, returns and damages,
+// positive or negative (but not 0) for adjustments
+// Returns an error message, or null when valid
+export function validateMovement(type, quantity) {
+  if (!MANUAL_MOVEMENT_TYPES.includes(type)) {
+    return `Type must be one of: ${MANUAL_MOVEMENT_TYPES.join(', ')}`;
+  }
+  if (!Number.isInteger(quantity) || quantity === 0) {
+    return 'Quantity must be a whole number other than 0';
+  }
+  if (DIRECTIONS[type] !== 0 && quantity < 0) {
+    return 'Quantity must be greater than 0';
+  }
+  return null;
+}
+
+// Change in stock of a movement, e.g. a sale of 3 is -3
+export function movementChange(type, quantity) {
+  return DIRECTIONS[type] === 0 ? quantity : DIRECTIONS[type] * Math.abs(quantity);
+}
+
+// Get the default warehouse, creating it when there are no warehouses yet
+export async function getDefaultWarehouse(session = null) {
+  const warehouse = await Warehouse.findOne({ isDefault: true }).session(session);
+  if (warehouse) {
+    return warehouse;
+  }
+  try {
+    const [created] = await Warehouse.create([{ name: 'Main warehouse', code: 'MAIN', isDefault: true }], { session });
+    return created;
+  } catch (error) {
+    // Another request created it at the same time
+    if (error.code === 11000) {
+      return Warehouse.findOne({ isDefault: true }).session(session);
+    }
+    throw error;
+  }
+}
+
+// Helper function to find the warehouse of a movement - the default warehouse when none is given
+async function resolveWarehouse(warehouseId, session) {
+  if (!warehouseId) {
+    return getDefaultWarehouse(session);
+  }
+  const warehouse = mongoose.isValidObjectId(warehouseId)
+    ? await Warehouse.findById(warehouseId).session(session)
+    : null;
+  if (!warehouse) {
+    throw stockError('NOT_FOUND', 'Warehouse not found');
+  }
+  return warehouse;
+}
+
+// Helper function to check that a product (and variant) exists and a variant is given when needed
+// Returns the product and the variant id as an ObjectId (or null), ready for queries
+async function checkProduct(productId, variantId, session) {
+  const product = await Product.findById(productId).select('name kind components variants._id').session(session).lean();
+  if (!product) {
+    throw stockError('NOT_FOUND', 'Product not found');
+  }
+  if (product.variants.length > 0 && !variantId) {
+    throw stockError('VARIANT_REQUIRED', `Pick a variant of "${product.name}"`);
+  }
+  const variant = variantId && mongoose.isValidObjectId(variantId)
+    ? product.variants.find((item) => item._id.equals(variantId))
+    : null;
+  if (variantId && !variant) {
+    throw stockError('NOT_FOUND', 'Variant not found');
+  }
+  return { current: product, variantObjectId: variant ? variant._id : null };
+}
+
+// Helper function to add an empty stock level for a warehouse (and variant) when the product has none yet
+// The $push only happens when the level is missing, so this is safe to run at the same time as other changes
+async function ensureLocation(productId, warehouseId, variantId, session) {
+  await Product.updateOne(
+    { _id: productId, locations: { $not: { $elemMatch: { warehouse: warehouseId, variant: variantId } } } },
+    { $push: { locations: { warehouse: warehouseId, variant: variantId, stock: 0 } } },
+    { session }
+  );
+}
+
+// Helper function to build a filter expression that only matches while the stock level of a warehouse
+// (and variant) has at least `quantity` units that are not reserved for sales orders
+// Stock levels from before reservations existed have nothing reserved
+function availableAtLeast(warehouseId, variantId, quantity) {
+  return {
+    $anyElementTrue: [{
+      $map: {
+        input: '$locations',
+        as: 'location',
+        in: {
+          $and: [
+            { $eq: ['$$location.warehouse', warehouseId] },
+            { $eq: [{ $ifNull: ['$$location.variant', null] }, variantId] },
+            { $gte: [{ $subtract: ['$$location.stock', { $ifNull: ['$$location.reserved', 0] }] }, quantity] },
+          ],
+        },
+      },
+    }],
+  };
+}
+
+// Helper function to refuse a stock change that cannot be made for a bundle
+function bundleStockError(product) {
+  return stockError('BUNDLE_STOCK', `"${product.name}" is a bundle - its stock comes from the products in it`);
+}
+
+// Work out the stock of the bundles matching a filter again, e.g. { 'components.product': id }
+// after the stock of a product changed - see bundleStockLevels in utils/bundles.js
+// The stock of a bundle is only there to show, filter and sort by: selling a bundle checks
+// and takes the stock of its components, so a bundle can never be oversold
+export async function refreshBundleStock(filter, session = null) {
+  const bundles = await Product.find({ ...filter, kind: 'bundle' }).select('components').session(session).lean();
+  if (bundles.length === 0) {
+    return;
+  }
+
+  const ids = bundles.flatMap((bundle) => bundle.components.map((component) => component.product));
+  const products = await Product.find({ _id: { $in: ids } }).select('locations').session(session).lean();
+  const productById = new Map(products.map((product) => [product._id.toString(), product]));
+
+  for (const bundle of bundles) {
+    const { stock, locations } = bundleStockLevels(bundle.components, productById);
+    await Product.updateOne({ _id: bundle._id }, { $set: { stock, locations } }, { session });
+  }
+}
+
+// Helper function to read the stock levels after an update
+function balances(product, warehouseId, variantId) {
+  const location = product.locations.find((item) =>
+    item.warehouse.equals(warehouseId) && String(item.variant || '') === String(variantId || '')
+  );
+  return {
+    balanceAfter: variantId ? product.variants.id(variantId).stock : product.stock,
+    warehouseBalanceAfter: location ? location.stock : 0,
+  };
+}
+
+// Apply one stock movement and record it in the ledger
+// The stock in the warehouse, the variant total and the product total are changed together
+// with a single atomic $inc, and a movement that would take more than the available stock
+// (stock that is not reserved for sales orders) out of the warehouse is refused,
+// so concurrent movements can never oversell
+// With fromReservation, the units come out of the reserved stock instead - used when
+// a confirmed sales order is shipped
+// Products with variants keep stock per variant - variantId is required for them
+// Bundles have no stock of their own: a sale or return of a bundle is recorded as sales or
+// returns of its components in the same warehouse
+// Without warehouseId the default warehouse is used
+// reference is the document the movement is booked on: { kind, document, number }
+// Pass a session to make the movement part of a transaction (see utils/transaction.js) - needed
+// for bundles, so either every component changes or none does
+// Throws an error with code NOT_FOUND, VARIANT_REQUIRED, BUNDLE_STOCK or INSUFFICIENT_STOCK
+// Returns the recorded movement - for a bundle, the list of movements of its components
+export async function applyStockMovement({
+  productId,
+  variantId: variantInput = null,
+  warehouseId = null,
+  type,
+  quantity,
+  reason = '',
+  reference = null,
+  fromReservation = false,
+  user = null,
+}, session = null) {
+  const change = movementChange(type, quantity);
+  const { current, variantObjectId: variantId } = await checkProduct(productId, variantInput, session);
+  const warehouse = await resolveWarehouse(warehouseId, session);
+
+  if (current.kind === 'bundle') {
+    if (!BUNDLE_MOVEMENT_TYPES.includes(type)) {
+      throw bundleStockError(current);
+    }
+    const movements = [];
+    for (const component of current.components) {
+      movements.push(await applyStockMovement({
+        productId: component.product,
+        variantId: component.variant,
+        warehouseId: warehouse._id,
+        type,
+        quantity: Math.abs(quantity) * component.quantity,
+        reason: [reason, `${Math.abs(quantity)} × ${current.name}`].filter(Boolean).join(' - '),
+        reference,
+        fromReservation,
+        user,
+      }, session));
+    }
+    return movements;
+  }
+
+  await ensureLocation(productId, warehouse._id, variantId, session);
+
+  // The filter only matches while there is enough stock in the warehouse for the change
+  const filter = {
+    _id: productId,
+    locations: {
+      $elemMatch: {
+        warehouse: warehouse._id,
+        variant: variantId,
+        ...(fromReservation && { reserved: { $gte: -change } }),
+      },
+    },
+    ...(change < 0 && !fromReservation && { $expr: availableAtLeast(warehouse._id, variantId, -change) }),
+  };
+  const update = { $inc: { stock: change, 'locations.$[location].stock': change } };
+  if (fromReservation) {
+    update.$inc.reserved = change;
+    update.$inc['locations.$[location].reserved'] = change;
+  }
+  const arrayFilters = [{ 'location.warehouse': warehouse._id, 'location.variant': variantId }];
+  if (variantId) {
+    update.$inc['variants.$[variant].stock'] = change;
+    if (fromReservation) {
+      update.$inc['variants.$[variant].reserved'] = change;
+    }
+    arrayFilters.push({ 'variant._id': variantId });
+  } else {
+    filter.variants = { $size: 0 };
+  }
+
+  const product = await Product.findOneAndUpdate(filter, update, { new: true, arrayFilters, session });
+  if (!product) {
+    const what = fromReservation ? 'reserved stock' : 'available stock';
+    throw stockError('INSUFFICIENT_STOCK', `Not enough ${what} of "${current.name}" in ${warehouse.name} for this change`);
+  }
+  await refreshBundleStock({ 'components.product': productId }, session);
+
+  const [movement] = await StockMovement.create([{
+    product: productId,
+    variant: variantId,
+    warehouse: warehouse._id,
+    type,
+    quantity: change,
+    ...balances(product, warehouse._id, variantId),
+    reason,
+    ...(reference && { reference }),
+    user: user ? user._id : null,
+    userName: user ? user.username : null,
+  }], { session });
+
+  return movement;
+}
+
+// Move stock of a product (or variant) from one warehouse to another
+// Both stock levels change in one atomic update, and the transfer is refused
+// when the source warehouse does not have enough available stock
+// It is recorded as two "transfer" movements that share a transfer id
+// Bundles cannot be transferred - their components are
+// Throws like applyStockMovement, and with code INVALID_TRANSFER for a transfer to the same warehouse
+// Returns { transfer, movements }
+export async function transferStock({
+  productId,
+  variantId: variantInput = null,
+  fromWarehouseId,
+  toWarehouseId,
+  quantity,
+  reason = '',
+  user = null,
+}, session = null) {
+  const { current, variantObjectId: variantId } = await checkProduct(productId, variantInput, session);
+  if (current.kind === 'bundle') {
+    throw bundleStockError(current);
+  }
+  const from = await resolveWarehouse(fromWarehouseId, session);
+  const to = await resolveWarehouse(toWarehouseId, session);
+  if (from._id.equals(to._id)) {
+    throw stockError('INVALID_TRANSFER', 'Pick two different warehouses');
+  }
+
+  await ensureLocation(productId, to._id, variantId, session);
+
+  const product = await Product.findOneAndUpdate(
+    { _id: productId, $expr: availableAtLeast(from._id, variantId, quantity) },
+    { $inc: { 'locations.$[from].stock': -quantity, 'locations.$[to].stock': quantity } },
+    {
+      new: true,
+      arrayFilters: [
+        { 'from.warehouse': from._id, 'from.variant': variantId },
+        { 'to.warehouse': to._id, 'to.variant': variantId },
+      ],
+      session,
+    }
+  );
+  if (!product) {
+    throw stockError('INSUFFICIENT_STOCK', `Not enough available stock of "${current.name}" in ${from.name} for this transfer`);
+  }
+  await refreshBundleStock({ 'components.product': productId }, session);
+
+  const transfer = new mongoose.Types.ObjectId();
+  const common = {
+    product: productId,
+    variant: variantId,
+    type: 'transfer',
+    transfer,
+    reason,
+    user: user ? user._id : null,
+    userName: user ? user.username : null,
+  };
+  const movements = await StockMovement.create([
+    { ...common, warehouse: from._id, quantity: -quantity, ...balances(product, from._id, variantId) },
+    { ...common, warehouse: to._id, quantity, ...balances(product, to._id, variantId) },
+  ], { session, ordered: true });
+
+  return { transfer, movements };
+}
+
+// Helper function to change the units of a product (or variant) reserved in a warehouse
+// A positive change reserves units and only succeeds while that many are available,
+// a negative change releases units and only succeeds while that many are reserved
+// For a bundle, the units of its components are reserved or released
+// Returns the warehouse
+async function changeReservation({ productId, variantId: variantInput, warehouseId, change }, session) {
+  const { current, variantObjectId: variantId } = await checkProduct(productId, variantInput, session);
+  const warehouse = await resolveWarehouse(warehouseId, session);
+
+  if (current.kind === 'bundle') {
+    for (const component of current.components) {
+      await changeReservation({
+        productId: component.product,
+        variantId: component.variant,
+        warehouseId: warehouse._id,
+        change: change * component.quantity,
+      }, session);
+    }
+    return warehouse;
+  }
+
+  let filter;
+  if (change > 0) {
+    await ensureLocation(productId, warehouse._id, variantId, session);
+    filter = { _id: productId, $expr: availableAtLeast(warehouse._id, variantId, change) };
+  } else {
+    filter = {
+      _id: productId,
+      locations: { $elemMatch: { warehouse: warehouse._id, variant: variantId, reserved: { $gte: -change } } },
+    };
+  }
+  const update = { $inc: { reserved: change, 'locations.$[location].reserved': change } };
+  const arrayFilters = [{ 'location.warehouse': warehouse._id, 'location.variant': variantId }];
+  if (variantId) {
+    update.$inc['variants.$[variant].reserved'] = change;
+    arrayFilters.push({ 'variant._id': variantId });
+  } else {
+    filter.variants = { $size: 0 };
+  }
+
+  const product = await Product.findOneAndUpdate(filter, update, { arrayFilters, session });
+  if (!product) {
+    throw stockError('INSUFFICIENT_STOCK', change > 0
+      ? `Not enough available stock of "${current.name}" in ${warehouse.name} to reserve ${change}`
+      : `Less than ${-change} of "${current.name}" is reserved in ${warehouse.name}`);
+  }
+  await refreshBundleStock({ 'components.product': productId }, session);
+  return warehouse;
+}
+
+// Reserve units of a product (or variant) in a warehouse for a sales order
+// Reserved units stay in stock but can no longer be sold, moved or adjusted away, and the
+// check and the reservation are one atomic update, so two orders can never reserve the same unit
+// Reserving a bundle reserves its components - pass a session, so either all of them are reserved or none is
+// Without warehouseId the default warehouse is used
+// Throws an error with code NOT_FOUND, VARIANT_REQUIRED or INSUFFICIENT_STOCK
+// Returns the warehouse the units were reserved in
+export async function reserveStock({ productId, variantId = null, warehouseId = null, quantity }, session = null) {
+  return changeReservation({ productId, variantId, warehouseId, change: quantity }, session);
+}
+
+// Give back units reserved with reserveStock, e.g. when a sales order is cancelled
+// Throws like reserveStock
+export async function releaseStock({ productId, variantId = null, warehouseId = null, quantity }, session = null) {
+  return changeReservation({ productId, variantId, warehouseId, change: -quantity }, session);
+}
+
+// Take all stock of a product (or one variant) out of every warehouse with adjustments,
+// e.g. before a variant is removed
+export async function clearStock({ productId, variantId = null, reason = '', user = null }, session = null) {
+  const product = await Product.findById(productId).select('locations').session(session).lean();
+  const locations = product.locations.filter((location) =>
+    String(location.variant || '') === String(variantId || '') && location.stock > 0
+  );
+  for (const location of locations) {
+    await applyStockMovement({
+      productId,
+      variantId,
+      warehouseId: location.warehouse,
+      type: 'adjustment',
+      quantity: -location.stock,
+      reason,
+      user,
+    }, session);
+  }
+}
@@ -0,0 +1,90 @@
+import Category from '../models/Category.js';
+
+// Helper function to read one reorder setting sent by a client
+// Returns undefined when it was not sent, null when it was sent empty (use the category default)
+// and NaN when it is not a whole number of at least min
+function parseReorderValue(value, min) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min ? number : NaN;
+}
+
+// Check the reorder point and reorder quantity sent for a product or a category
+// Returns { values, errors } - values only has the settings that were sent
+export function validateReorderSettings({ reorderPoint, reorderQuantity }) {
+  const values = {};
+  const errors = {};
+
+  const point = parseReorderValue(reorderPoint, 0);
+  if (Number.isNaN(point)) {
+    errors.reorderPoint = 'Reorder point must be a whole number of 0 or more';
+  } else if (point !== undefined) {
+    values.reorderPoint = point;
+  }
+
+  const quantity = parseReorderValue(reorderQuantity, 1);
+  if (Number.isNaN(quantity)) {
+    errors.reorderQuantity = 'Reorder quantity must be a whole number of 1 or more';
+  } else if (quantity !== undefined) {
+    values.reorderQuantity = quantity;
+  }
+
+  return { values, errors };
+}
+
+// Aggregation stages that add the reorder settings in effect to each product:
+// "effectiveReorderPoint" and "effectiveReorderQuantity" are the product's own settings,
+// or the defaults of its category when the product has none (null when neither has one)
+// Must run while "category" is still an id
+export const REORDER_STAGES = [
+  {
+    $lookup: {
+      from: Category.collection.name,
+      localField: 'category',
+      foreignField: '_id',
+      pipeline: [{ $project: { reorderPoint: 1, reorderQuantity: 1 } }],
+      as: 'reorderDefaults',
+    },
+  },
+  {
+    $addFields: {
+      effectiveReorderPoint: {
+        $ifNull: ['$reorderPoint', { $ifNull: [{ $first: '$reorderDefaults.reorderPoint' }, null] }],
+      },
+      effectiveReorderQuantity: {
+        $ifNull: ['$reorderQuantity', { $ifNull: [{ $first: '$reorderDefaults.reorderQuantity' }, null] }],
+      },
+    },
+  },
+  { $unset: 'reorderDefaults' },
+];
+
+// Expression for the available stock of a product - stock that is not reserved for sales orders
+// "reserved" is the total of the units reserved in all warehouses (see the model)
+export const AVAILABLE_STOCK = { $subtract: ['$stock', { $ifNull: ['$reserved', 0] }] };
+
+// Expression that is true for a product whose available stock is at or below its reorder point
+// Reserved units are already sold, so they do not count
+// Products without a reorder point are never low on stock, and neither are bundles,
+// since the products in them are what gets reordered
+export const LOW_STOCK_CONDITION = {
+  $and: [
+    { $ne: ['$kind', 'bundle'] },
+    { $ne: ['$effectiveReorderPoint', null] },
+    { $lte: [AVAILABLE_STOCK, '$effectiveReorderPoint'] },
+  ],
+};
+
+// Aggregation stages that find the products matching a query that are low on stock
+export function lowStockPipeline(query = {}) {
+  return [
+    { $match: query },
+    ...REORDER_STAGES,
+    { $match: { $expr: LOW_STOCK_CONDITION } },
+  ];
+}
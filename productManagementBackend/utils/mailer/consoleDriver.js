@@ -0,0 +1,13 @@
+// Console driver - prints each email to the terminal instead of sending it
+// This is the default, so development works without any mail setup
+export default function createConsoleDriver() {
+  return {
+    async send(message) {
+      console.log('📧 Email (not sent, MAIL_DRIVER=console)');
+      console.log('   From:', message.from);
+      console.log('   To:', message.to);
+      console.log('   Subject:', message.subject);
+      console.log(message.text);
+    },
+  };
+}
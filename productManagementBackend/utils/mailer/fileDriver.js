@@ -0,0 +1,18 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// File driver - saves each email as a JSON file instead of sending it
+// Useful for testing offline. Folder is MAIL_FILE_DIR (default: mail-outbox)
+export default function createFileDriver() {
+  const directory = path.resolve(process.env.MAIL_FILE_DIR || 'mail-outbox');
+
+  return {
+    async send(message) {
+      await fs.mkdir(directory, { recursive: true });
+      const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${Math.random().toString(36).slice(2, 8)}.json`;
+      const filePath = path.join(directory, fileName);
+      await fs.writeFile(filePath, JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2));
+      console.log('📧 Email saved to', filePath);
+    },
+  };
+}
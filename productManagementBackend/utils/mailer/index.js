@@ -0,0 +1,33 @@
+import createSmtpDriver from './smtpDriver.js';
+import createFileDriver from './fileDriver.js';
+import createConsoleDriver from './consoleDriver.js';
+
+// Available mail drivers - choose one with MAIL_DRIVER in .env
+// smtp: sends real emails, file: saves emails to disk, console: prints emails to the terminal
+const drivers = {
+  smtp: createSmtpDriver,
+  file: createFileDriver,
+  console: createConsoleDriver,
+};
+
+let driver = null;
+
+// Helper function to create the mail driver the first time it is needed
+function getDriver() {
+  if (!driver) {
+    const driverName = process.env.MAIL_DRIVER || 'console';
+    const createDriver = drivers[driverName];
+    if (!createDriver) {
+      throw new Error(`Unknown MAIL_DRIVER "${driverName}". Use one of: ${Object.keys(drivers).join(', ')}`);
+    }
+    driver = createDriver();
+  }
+  return driver;
+}
+
+// Send an email using the configured driver
+// message: { to, subject, text, html }
+export async function sendMail(message) {
+  const from = process.env.MAIL_FROM || 'Product Management <no-reply@example.com>';
+  await getDriver().send({ from, ...message });
+}
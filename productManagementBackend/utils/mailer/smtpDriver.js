@@ -0,0 +1,25 @@
+import nodemailer from 'nodemailer';
+
+// SMTP driver - sends real emails
+// Needs SMTP_HOST, SMTP_PORT, SMTP_USER and SMTP_PASSWORD in .env
+export default function createSmtpDriver() {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is required when MAIL_DRIVER=smtp');
+  }
+
+  const port = parseInt(process.env.SMTP_PORT) || 587;
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined,
+  });
+
+  return {
+    async send(message) {
+      await transporter.sendMail(message);
+    },
+  };
+}
@@ -0,0 +1,61 @@
+// Email contents - each function returns { subject, text, html }
+
+// Helper function to escape text before putting it in HTML
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Email with a link to choose a new password
+export function passwordResetEmail(user, resetUrl, expiresInMinutes) {
+  return {
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Someone asked to reset the password for your Product Management account.',
+      `Open this link to choose a new password (valid for ${expiresInMinutes} minutes):`,
+      resetUrl,
+      '',
+      'If you did not ask for this, you can ignore this email.',
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>Someone asked to reset the password for your Product Management account.</p>
+<p><a href="${escapeHtml(resetUrl)}">Choose a new password</a> (valid for ${expiresInMinutes} minutes).</p>
+<p>If you did not ask for this, you can ignore this email.</p>`,
+  };
+}
+
+// Email inviting a new user to set up their account
+export function inviteEmail(user, inviteUrl) {
+  return {
+    subject: 'You have been invited to Product Management',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      `An account with the username "${user.username}" was created for you.`,
+      'Open this link to choose your password:',
+      inviteUrl,
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>An account with the username <strong>${escapeHtml(user.username)}</strong> was created for you.</p>
+<p><a href="${escapeHtml(inviteUrl)}">Choose your password</a></p>`,
+  };
+}
+
+// Email with a notification from the app, e.g. products that are low on stock
+export function notificationEmail(user, notification) {
+  return {
+    subject: notification.title,
+    text: [
+      `Hi ${user.name},`,
+      '',
+      notification.message,
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>${escapeHtml(notification.message).replace(/\n/g, '<br>')}</p>`,
+  };
+}
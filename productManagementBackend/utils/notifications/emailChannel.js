@@ -0,0 +1,13 @@
+import { sendMail } from '../mailer/index.js';
+import { notificationEmail } from '../mailer/templates.js';
+
+// Email channel - emails the notification to each user with the configured mail driver
+export default function createEmailChannel() {
+  return {
+    async send(notification, recipients) {
+      for (const user of recipients) {
+        await sendMail({ to: user.email, ...notificationEmail(user, notification) });
+      }
+    },
+  };
+}
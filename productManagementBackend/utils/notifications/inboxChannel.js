@@ -0,0 +1,19 @@
+import Notification from '../../models/Notification.js';
+
+// Inbox channel - saves a copy of the notification for each user, shown in the app
+export default function createInboxChannel() {
+  return {
+    async send(notification, recipients) {
+      if (recipients.length === 0) {
+        return;
+      }
+      await Notification.insertMany(recipients.map((user) => ({
+        user: user._id,
+        type: notification.type,
+        title: notification.title,
+        message: notification.message,
+        data: notification.data,
+      })));
+    },
+  };
+}
@@ -0,0 +1,58 @@
+import User from '../../models/User.js';
+import { ROLES, getPermissions } from '../permissions.js';
+import createInboxChannel from './inboxChannel.js';
+import createEmailChannel from './emailChannel.js';
+import createWebhookChannel from './webhookChannel.js';
+
+// Available notification channels - choose extra channels with NOTIFICATION_CHANNELS in .env,
+// e.g. NOTIFICATION_CHANNELS=email,webhook
+// inbox: the in-app inbox of each user (always used), email: emails each user,
+// webhook: posts each notification to NOTIFICATION_WEBHOOK_URL
+const channelFactories = {
+  inbox: createInboxChannel,
+  email: createEmailChannel,
+  webhook: createWebhookChannel,
+};
+
+let channels = null;
+
+// Helper function to create the channels the first time they are needed
+function getChannels() {
+  if (!channels) {
+    const names = new Set(['inbox']);
+    (process.env.NOTIFICATION_CHANNELS || '')
+      .split(',')
+      .map((name) => name.trim())
+      .filter(Boolean)
+      .forEach((name) => names.add(name));
+
+    channels = [...names].map((name) => {
+      const createChannel = channelFactories[name];
+      if (!createChannel) {
+        throw new Error(`Unknown notification channel "${name}". Use any of: ${Object.keys(channelFactories).join(', ')}`);
+      }
+      return { name, ...createChannel() };
+    });
+  }
+  return channels;
+}
+
+// Helper function to find the active users who have a permission
+async function findRecipients(permission) {
+  const roles = ROLES.filter((role) => getPermissions(role).includes(permission));
+  return User.find({ status: 'active', role: { $in: roles } }).select('name username email');
+}
+
+// Send a notification through every channel to the active users who have the given permission
+// notification: { type, title, message, data }
+// A channel that fails is logged and does not stop the others
+export async function notify(notification, { permission }) {
+  const recipients = await findRecipients(permission);
+  for (const channel of getChannels()) {
+    try {
+      await channel.send(notification, recipients);
+    } catch (error) {
+      console.error(`Notification channel "${channel.name}" failed:`, error.message);
+    }
+  }
+}
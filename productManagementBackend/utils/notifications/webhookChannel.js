@@ -0,0 +1,32 @@
+import crypto from 'crypto';
+
+// Webhook channel - posts each notification as JSON to NOTIFICATION_WEBHOOK_URL, once for all users
+// With NOTIFICATION_WEBHOOK_SECRET set, the body is signed with HMAC-SHA256 in the X-Signature header
+// so the receiver can check that it came from us
+export default function createWebhookChannel() {
+  const url = process.env.NOTIFICATION_WEBHOOK_URL;
+  if (!url) {
+    throw new Error('NOTIFICATION_WEBHOOK_URL is required when NOTIFICATION_CHANNELS includes webhook');
+  }
+  const secret = process.env.NOTIFICATION_WEBHOOK_SECRET;
+
+  return {
+    async send(notification) {
+      const body = JSON.stringify({ ...notification, sentAt: new Date().toISOString() });
+      const headers = { 'Content-Type': 'application/json' };
+      if (secret) {
+        headers['X-Signature'] = crypto.createHmac('sha256', secret).update(body).digest('hex');
+      }
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(10000),
+      });
+      if (!response.ok) {
+        throw new Error(`Webhook answered with status ${response.status}`);
+      }
+    },
+  };
+}
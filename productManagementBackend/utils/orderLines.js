@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import { variantLabel } from './variants.js';
+
+// Check the lines sent for an order: [{ product, variant, quantity, ... }]
+// Products with variants need a variant on each line, and a product (or variant) can only be listed once
+// priceLine(item, product, variant) checks the price of a line: it returns the price fields
+// to add to the line, e.g. { unitCost: 4.5 }, or an error message
+// Returns { lines, errors } - lines get the name and SKU of the product (and variant)
+// and errors are keyed "lines" or "lines.<index>"
+export async function checkOrderLines(input, priceLine) {
+  const lines = [];
+  const errors = {};
+
+  if (!Array.isArray(input) || input.length === 0) {
+    errors.lines = 'Add at least one product';
+    return { lines, errors };
+  }
+
+  const ids = input.map((item) => item?.product).filter((id) => mongoose.isValidObjectId(id));
+  const products = await Product.find({ _id: { $in: ids } })
+    .select('name sku price kind options variants._id variants.options variants.sku variants.price suppliers')
+    .lean();
+  const productById = new Map(products.map((product) => [product._id.toString(), product]));
+  const seen = new Set();
+
+  input.forEach((item, index) => {
+    const field = `lines.${index}`;
+    const product = productById.get(String(item?.product));
+    if (!product) {
+      errors[field] = 'Product does not exist';
+      return;
+    }
+
+    let variant = null;
+    if (product.variants.length > 0) {
+      variant = product.variants.find((entry) => entry._id.toString() === String(item.variant));
+      if (!variant) {
+        errors[field] = `Pick a variant of "${product.name}"`;
+        return;
+      }
+    }
+
+    const key = `${product._id}:${variant ? variant._id : ''}`;
+    if (seen.has(key)) {
+      errors[field] = `"${product.name}" is listed twice`;
+      return;
+    }
+
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      errors[field] = 'Quantity must be a whole number of 1 or more';
+      return;
+    }
+
+    const price = priceLine(item, product, variant);
+    if (typeof price === 'string') {
+      errors[field] = price;
+      return;
+    }
+
+    seen.add(key);
+    lines.push({
+      product: product._id,
+      variant: variant ? variant._id : null,
+      name: variant ? `${product.name} (${variantLabel(variant, product.options)})` : product.name,
+      sku: (variant && variant.sku) || product.sku || '',
+      quantity,
+      ...price,
+    });
+  });
+
+  return { lines, errors };
+}
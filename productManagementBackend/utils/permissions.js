@@ -0,0 +1,98 @@
+// Roles a user can have, from most to least privileged
+export const ROLES = ['admin', 'editor', 'viewer'];
+
+// Permissions for each role
+// Viewers can only read, editors can also create and update, admins can do everything
+export const ROLE_PERMISSIONS = {
+  admin: [
+    'products:read',
+    'products:create',
+    'products:update',
+    'products:delete',
+    'categories:read',
+    'categories:create',
+    'categories:update',
+    'categories:delete',
+    'warehouses:read',
+    'warehouses:manage',
+    'suppliers:read',
+    'suppliers:manage',
+    'purchase-orders:read',
+    'purchase-orders:manage',
+    'sales-orders:read',
+    'sales-orders:manage',
+    'stock-takes:read',
+    'stock-takes:count',
+    'stock-takes:approve',
+    'users:manage',
+    'audit:read',
+  ],
+  editor: [
+    'products:read',
+    'products:create',
+    'products:update',
+    'categories:read',
+    'categories:create',
+    'categories:update',
+    'warehouses:read',
+    'suppliers:read',
+    'suppliers:manage',
+    'purchase-orders:read',
+    'purchase-orders:manage',
+    'sales-orders:read',
+    'sales-orders:manage',
+    'stock-takes:read',
+    'stock-takes:count',
+  ],
+  viewer: [
+    'products:read',
+    'categories:read',
+    'warehouses:read',
+    'suppliers:read',
+    'purchase-orders:read',
+    'sales-orders:read',
+    'stock-takes:read',
+  ],
+};
+
+// Permissions that can be given to an API key
+// User administration is left out on purpose - it always needs a person to log in
+export const API_KEY_SCOPES = [
+  'products:read',
+  'products:create',
+  'products:update',
+  'products:delete',
+  'categories:read',
+  'categories:create',
+  'categories:update',
+  'categories:delete',
+  'warehouses:read',
+  'warehouses:manage',
+  'suppliers:read',
+  'suppliers:manage',
+  'purchase-orders:read',
+  'purchase-orders:manage',
+  'sales-orders:read',
+  'sales-orders:manage',
+  'stock-takes:read',
+  'stock-takes:count',
+  'stock-takes:approve',
+  'audit:read',
+];
+
+// Helper function to get the list of permissions for a role
+export function getPermissions(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+// Helper function to check if a user is allowed to do something
+// When the request uses an API key, the key must also have the permission in its scopes
+export function hasPermission(user, permission, apiKey) {
+  if (!user) {
+    return false;
+  }
+  if (apiKey && !apiKey.scopes.includes(permission)) {
+    return false;
+  }
+  return getPermissions(user.role).includes(permission);
+}
@@ -0,0 +1,116 @@
+import Product from '../models/Product.js';
+
+// SKUs are stored in upper case: letters, digits, ".", "_" and "-"
+const SKU_PATTERN = /^[A-Z0-9][A-Z0-9._-]{0,63}$/;
+
+// GTIN-8 (EAN-8), GTIN-12 (UPC-A), GTIN-13 (EAN-13) and GTIN-14
+const GTIN_PATTERN = /^(\d{8}|\d{12}|\d{13}|\d{14})$/;
+
+export function normalizeSku(value) {
+  return typeof value === 'string' ? value.trim().toUpperCase() : '';
+}
+
+// Spaces and dashes are often used to group the digits of a barcode
+export function normalizeBarcode(value) {
+  return typeof value === 'string' ? value.replace(/[\s-]/g, '') : '';
+}
+
+// Returns an error message, or null when the SKU is valid
+export function validateSku(sku) {
+  if (!sku) {
+    return 'SKU is required';
+  }
+  if (!SKU_PATTERN.test(sku)) {
+    return 'SKU can only contain letters, numbers, ".", "_" and "-" (max 64 characters)';
+  }
+  return null;
+}
+
+// Check digit of a GTIN: digits are weighted 3, 1, 3, ... from the right, excluding the check digit
+function hasValidCheckDigit(code) {
+  const digits = code.split('').map(Number);
+  const checkDigit = digits.pop();
+  const sum = digits
+    .reverse()
+    .reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === checkDigit;
+}
+
+// Returns an error message, or null when the barcode is valid
+export function validateBarcode(barcode) {
+  if (!GTIN_PATTERN.test(barcode)) {
+    return 'Barcode must be an EAN-8, UPC-A (12 digits), EAN-13 or GTIN-14 number';
+  }
+  if (!hasValidCheckDigit(barcode)) {
+    return 'Barcode check digit is not valid';
+  }
+  return null;
+}
+
+// Check that the SKUs and barcodes of a product and its variants are not used twice,
+// neither within the product nor by any other product or variant
+// SKUs and barcodes share one namespace, so a lookup by code always finds one match
+// Returns errors keyed by field ('sku', 'barcode' or 'variants.<index>')
+export async function checkProductCodes({ sku, barcode, variants = [] }, productId = null) {
+  const fields = [];
+  if (sku) fields.push({ field: 'sku', label: 'SKU', code: sku });
+  if (barcode) fields.push({ field: 'barcode', label: 'Barcode', code: barcode });
+  variants.forEach((variant, index) => {
+    if (variant.sku) fields.push({ field: `variants.${index}`, label: 'SKU', code: variant.sku });
+    if (variant.barcode) fields.push({ field: `variants.${index}`, label: 'Barcode', code: variant.barcode });
+  });
+
+  const errors = {};
+  const seen = new Set();
+  for (const { field, label, code } of fields) {
+    if (seen.has(code)) {
+      errors[field] = errors[field] || `${label} ${code} is used twice in this product`;
+    }
+    seen.add(code);
+  }
+  if (Object.keys(errors).length > 0 || seen.size === 0) {
+    return errors;
+  }
+
+  const codes = [...seen];
+  const query = {
+    $or: [
+      { sku: { $in: codes } },
+      { barcode: { $in: codes } },
+      { 'variants.sku': { $in: codes } },
+      { 'variants.barcode': { $in: codes } },
+    ],
+  };
+  if (productId) {
+    query._id = { $ne: productId };
+  }
+  // Products in the trash keep their codes, since they can be restored
+  const others = await Product.find(query)
+    .setOptions({ withDeleted: true })
+    .select('name sku barcode variants.sku variants.barcode deletedAt')
+    .lean();
+
+  for (const other of others) {
+    const used = new Set([
+      other.sku,
+      other.barcode,
+      ...(other.variants || []).flatMap((variant) => [variant.sku, variant.barcode]),
+    ]);
+    for (const { field, label, code } of fields) {
+      if (used.has(code)) {
+        errors[field] = errors[field] || `${label} ${code} is already used by "${other.name}"${other.deletedAt ? ' (in the trash)' : ''}`;
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Message for a duplicate key error from saving a product - another product got one of its
+// codes after checkProductCodes ran
+export function duplicateCodeMessage(error) {
+  const code = error.keyValue?.codes || error.keyValue?.sku || error.keyValue?.barcode;
+  return code
+    ? `SKU or barcode ${code} is already used by another product`
+    : 'SKU or barcode is already used by another product';
+}
@@ -0,0 +1,117 @@
+// Product fields a column of an import file can be mapped to, with the column names
+// (lower case, letters and digits only) that are mapped to them automatically
+// A column can also be mapped to an attribute of the category with "attributes.<key>"
+export const IMPORT_FIELDS = [
+  { field: 'sku', label: 'SKU', aliases: ['sku', 'code', 'productcode', 'itemcode', 'articlenumber'] },
+  { field: 'name', label: 'Name', aliases: ['name', 'productname', 'title'] },
+  { field: 'price', label: 'Price', aliases: ['price', 'unitprice', 'retailprice', 'salesprice'] },
+  { field: 'category', label: 'Category', aliases: ['category', 'categoryname', 'categorypath'] },
+  { field: 'stock', label: 'Stock', aliases: ['stock', 'qty', 'quantity', 'onhand', 'instock'] },
+  { field: 'barcode', label: 'Barcode', aliases: ['barcode', 'ean', 'ean13', 'upc', 'gtin'] },
+  { field: 'reorderPoint', label: 'Reorder Point', aliases: ['reorderpoint', 'minstock'] },
+  { field: 'reorderQuantity', label: 'Reorder Quantity', aliases: ['reorderquantity', 'reorderqty'] },
+  { field: 'images', label: 'Image URLs', aliases: ['images', 'image', 'imageurl', 'imageurls', 'pictures', 'photos'] },
+];
+
+// Most images a product can have (see the Product model)
+const MAX_IMAGES = 10;
+
+// Helper function to simplify a column name for matching, e.g. "Unit Price" -> "unitprice"
+function simplify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Suggest a mapping for the columns of a file: { column: field } for the columns whose
+// name is one of the known names of a field - each field is suggested once at most
+export function suggestMapping(columns) {
+  const mapping = {};
+  const used = new Set();
+  for (const column of columns) {
+    const match = IMPORT_FIELDS.find((entry) => !used.has(entry.field) && entry.aliases.includes(simplify(column)));
+    if (match) {
+      mapping[column] = match.field;
+      used.add(match.field);
+    }
+  }
+  return mapping;
+}
+
+// Check a mapping sent by a client against the columns of the file
+// Columns that are not mapped (or mapped to '') are ignored
+// Returns { mapping, error } - mapping only has the mapped columns, error is a message or null
+export function checkMapping(input, columns) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { mapping: {}, error: 'Column mapping must be an object' };
+  }
+
+  const mapping = {};
+  const used = new Set();
+  for (const [column, field] of Object.entries(input)) {
+    if (!field) {
+      continue;
+    }
+    if (!columns.includes(column)) {
+      return { mapping, error: `The file has no column "${column}"` };
+    }
+    const isAttribute = typeof field === 'string' && /^attributes\.[A-Za-z0-9_]+$/.test(field);
+    if (!isAttribute && !IMPORT_FIELDS.some((entry) => entry.field === field)) {
+      return { mapping, error: `Column "${column}" is mapped to an unknown field` };
+    }
+    if (used.has(field)) {
+      return { mapping, error: `More than one column is mapped to ${field}` };
+    }
+    used.add(field);
+    mapping[column] = field;
+  }
+
+  if (!used.has('sku')) {
+    return { mapping, error: 'Map a column to SKU - it is used to find products that already exist' };
+  }
+  return { mapping, error: null };
+}
+
+// Read the values of one row of an import file with a checked mapping
+// Empty cells are left out (undefined), so they do not change existing products
+// Returns the fields ({ sku, name, price, ... }), "attributes" and "images" (lists of URLs),
+// and "errors" for values that cannot be read
+export function readImportRow(values, mapping) {
+  const row = { attributes: {}, errors: {} };
+  for (const [column, field] of Object.entries(mapping)) {
+    const value = values[column];
+    if (value === undefined || value === '') {
+      continue;
+    }
+    if (field.startsWith('attributes.')) {
+      row.attributes[field.slice('attributes.'.length)] = value;
+    } else {
+      row[field] = value;
+    }
+  }
+
+  // Several image URLs can share a cell, separated by spaces, commas, ";" or "|"
+  if (row.images !== undefined) {
+    const urls = row.images.split(/[\s,;|]+/).filter(Boolean);
+    if (urls.some((url) => !/^https?:\/\//i.test(url))) {
+      row.errors.images = 'Image URLs must start with http:// or https://';
+    } else if (urls.length > MAX_IMAGES) {
+      row.errors.images = `Maximum ${MAX_IMAGES} images allowed per product`;
+    }
+    row.images = urls;
+  }
+
+  // Numbers are read as they are written - "12.50" but not "12,50" or "$12.50"
+  for (const field of ['price', 'stock', 'reorderPoint', 'reorderQuantity']) {
+    if (row[field] !== undefined) {
+      const number = Number(row[field]);
+      if (isNaN(number)) {
+        row.errors[field] = `${IMPORT_FIELDS.find((entry) => entry.field === field).label} must be a number`;
+      }
+      row[field] = number;
+    }
+  }
+  if (row.stock !== undefined && !row.errors.stock && !Number.isInteger(row.stock)) {
+    row.errors.stock = 'Stock must be a whole number';
+  }
+
+  return row;
+}
@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+import Supplier from '../models/Supplier.js';
+import { checkOrderLines } from './orderLines.js';
+
+// Helper function to read an optional whole number of 0 or more - empty values are null
+// Returns NaN when the value is not valid
+function parseOptionalCount(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 0 ? number : NaN;
+}
+
+// Check the suppliers sent for a product: [{ supplier, cost, leadTimeDays, supplierSku }]
+// Each supplier must exist and can only be listed once
+// Returns { suppliers, errors } - errors are keyed "suppliers" or "suppliers.<index>"
+export async function checkProductSuppliers(input) {
+  const suppliers = [];
+  const errors = {};
+
+  if (!Array.isArray(input)) {
+    errors.suppliers = 'Suppliers must be a list';
+    return { suppliers, errors };
+  }
+
+  const ids = input.map((item) => item?.supplier).filter((id) => mongoose.isValidObjectId(id));
+  const existing = await Supplier.find({ _id: { $in: ids } }).select('_id').lean();
+  const existingIds = new Set(existing.map((supplier) => supplier._id.toString()));
+  const seen = new Set();
+
+  input.forEach((item, index) => {
+    const field = `suppliers.${index}`;
+    const supplierId = item?.supplier ? String(item.supplier) : '';
+    if (!existingIds.has(supplierId)) {
+      errors[field] = 'Supplier does not exist';
+      return;
+    }
+    if (seen.has(supplierId)) {
+      errors[field] = 'Supplier is listed twice';
+      return;
+    }
+    const cost = Number(item.cost);
+    if (item.cost === '' || item.cost === null || isNaN(cost) || cost < 0) {
+      errors[field] = 'Cost must be 0 or more';
+      return;
+    }
+    const leadTimeDays = parseOptionalCount(item.leadTimeDays);
+    if (Number.isNaN(leadTimeDays)) {
+      errors[field] = 'Lead time must be a whole number of days';
+      return;
+    }
+
+    seen.add(supplierId);
+    suppliers.push({
+      supplier: supplierId,
+      cost,
+      leadTimeDays,
+      supplierSku: typeof item.supplierSku === 'string' ? item.supplierSku.trim() : '',
+    });
+  });
+
+  return { suppliers, errors };
+}
+
+// Check the lines sent for a purchase order: [{ product, variant, quantity, unitCost }]
+// Without a unit cost, the product's cost at the supplier is used
+// Returns { lines, errors } like checkOrderLines
+export async function checkPurchaseOrderLines(input, supplierId) {
+  return checkOrderLines(input, (item, product) => {
+    if (product.kind === 'bundle') {
+      return `"${product.name}" is a bundle - order the products in it instead`;
+    }
+    let unitCost = item.unitCost === undefined || item.unitCost === null || item.unitCost === ''
+      ? null
+      : Number(item.unitCost);
+    if (unitCost === null) {
+      const supplierCost = product.suppliers.find((entry) => String(entry.supplier) === String(supplierId));
+      unitCost = supplierCost ? supplierCost.cost : NaN;
+    }
+    if (isNaN(unitCost) || unitCost < 0) {
+      return 'Unit cost must be 0 or more';
+    }
+    return { unitCost };
+  });
+}
@@ -0,0 +1,19 @@
+import { checkOrderLines } from './orderLines.js';
+
+// Check the lines sent for a sales order: [{ product, variant, quantity, unitPrice }]
+// Without a unit price, the price of the variant (or else the product) is used
+// Returns { lines, errors } like checkOrderLines
+export async function checkSalesOrderLines(input) {
+  return checkOrderLines(input, (item, product, variant) => {
+    let unitPrice = item.unitPrice === undefined || item.unitPrice === null || item.unitPrice === ''
+      ? null
+      : Number(item.unitPrice);
+    if (unitPrice === null) {
+      unitPrice = variant && variant.price !== null && variant.price !== undefined ? variant.price : product.price;
+    }
+    if (isNaN(unitPrice) || unitPrice < 0) {
+      return 'Unit price must be 0 or more';
+    }
+    return { unitPrice };
+  });
+}
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// Query operations that leave out documents in the trash
+const HIDING_OPERATIONS = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct', 'updateOne', 'updateMany'];
+
+// Mongoose plugin for documents that go to the trash before they are deleted for good
+// Adds "deletedAt" (set while the document is in the trash) and "deletedBy"
+// Queries and aggregations leave documents in the trash out, unless the filter (or the first
+// $match of the pipeline) mentions deletedAt, or the query has the option { withDeleted: true }
+// deleteOne and deleteMany are not changed, so documents in the trash can be purged
+export function softDelete(schema) {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  });
+
+  schema.pre(HIDING_OPERATIONS, function () {
+    if (this.getOptions().withDeleted || Object.hasOwn(this.getFilter(), 'deletedAt')) {
+      return;
+    }
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function () {
+    const [first] = this.pipeline();
+    if (first?.$match && Object.hasOwn(first.$match, 'deletedAt')) {
+      return;
+    }
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+}
@@ -0,0 +1,174 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+import { parse } from 'csv-parse/sync';
+
+// Spreadsheet file types, by file extension
+export const SPREADSHEET_TYPES = ['csv', 'xlsx'];
+
+// Formats data can be exported in
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json; charset=utf-8',
+};
+
+// Get the spreadsheet type of a file from its name, or null for other files
+export function spreadsheetType(fileName) {
+  const extension = path.extname(fileName || '').slice(1).toLowerCase();
+  return SPREADSHEET_TYPES.includes(extension) ? extension : null;
+}
+
+// Helper function to guess the delimiter of a CSV file from its first line
+// Spreadsheet programs in many countries save CSV files with ";" instead of ","
+function detectDelimiter(text) {
+  const firstLine = text.slice(0, text.indexOf('\n') === -1 ? text.length : text.indexOf('\n'));
+  const counts = [',', ';', '\t'].map((delimiter) => ({ delimiter, count: firstLine.split(delimiter).length }));
+  return counts.reduce((best, entry) => (entry.count > best.count ? entry : best)).delimiter;
+}
+
+// Helper function to name blank column headers and tell repeated ones apart, e.g. "Price (2)"
+function uniqueHeaders(headers) {
+  const seen = new Map();
+  return headers.map((header, index) => {
+    const name = String(header || '').trim() || `Column ${index + 1}`;
+    const count = (seen.get(name) || 0) + 1;
+    seen.set(name, count);
+    return count === 1 ? name : `${name} (${count})`;
+  });
+}
+
+// Helper function to read the rows of a CSV file as lists of strings, with their line numbers
+async function readCsvRows(filePath) {
+  const text = await fs.readFile(filePath, 'utf8');
+  const records = parse(text, {
+    bom: true,
+    delimiter: detectDelimiter(text),
+    relax_column_count: true,
+    skip_empty_lines: true,
+    info: true,
+  });
+  return records.map(({ record, info }) => ({ number: info.lines, cells: record }));
+}
+
+// Helper function to read the rows of the first sheet of an XLSX file as lists of strings
+// Cells are read as they are shown, so numbers, dates and formula results come out as text
+async function readXlsxRows(filePath) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    return [];
+  }
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (row, number) => {
+    const cells = [];
+    for (let column = 1; column <= sheet.columnCount; column += 1) {
+      cells.push(row.getCell(column).text);
+    }
+    rows.push({ number, cells });
+  });
+  return rows;
+}
+
+// Read a CSV or XLSX file - the first row holds the column names
+// Returns { columns, rows }: rows are { number, values } with number the row (line) number
+// in the file and values keyed by column name, all strings with spaces trimmed
+// Rows with only empty cells are left out
+export async function readSpreadsheet(filePath, type) {
+  const rawRows = type === 'xlsx' ? await readXlsxRows(filePath) : await readCsvRows(filePath);
+  if (rawRows.length === 0) {
+    return { columns: [], rows: [] };
+  }
+
+  const columns = uniqueHeaders(rawRows[0].cells);
+  const rows = [];
+  for (const { number, cells } of rawRows.slice(1)) {
+    const values = {};
+    columns.forEach((column, index) => {
+      values[column] = String(cells[index] ?? '').trim();
+    });
+    if (Object.values(values).some((value) => value !== '')) {
+      rows.push({ number, values });
+    }
+  }
+  return { columns, rows };
+}
+
+// Helper function to write to a stream, waiting when its buffer is full
+// Throws when the stream is closed first, e.g. when the client cancels a download
+async function write(stream, chunk) {
+  if (!stream.write(chunk)) {
+    await Promise.race([once(stream, 'drain'), once(stream, 'close')]);
+  }
+  if (stream.destroyed) {
+    throw new Error('The download was cancelled');
+  }
+}
+
+// Helper function to write one CSV value - values with a delimiter, quote or line break are quoted
+function csvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Go through rows in batches of size, passing each batch through mapBatch, e.g. to look up
+// related documents for many rows at once - yields the mapped rows one by one
+export async function* mapInBatches(rows, size, mapBatch) {
+  let batch = [];
+  for await (const row of rows) {
+    batch.push(row);
+    if (batch.length === size) {
+      yield* await mapBatch(batch);
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    yield* await mapBatch(batch);
+  }
+}
+
+// Stream rows to a response as a CSV, XLSX or JSON file download
+// columns: [{ key, label, value(row) }] - value gives a string, number or null
+// rows: an async iterable (e.g. a query cursor), so only one row at a time is kept in memory
+// JSON files are a list of objects keyed by column key, CSV and XLSX files have a header row of labels
+export async function streamExport(res, { format, fileName, columns, rows }) {
+  res.status(200);
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}.${format}"`);
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+    const sheet = workbook.addWorksheet(fileName);
+    sheet.columns = columns.map((column) => ({ header: column.label, key: column.key, width: 20 }));
+    for await (const row of rows) {
+      sheet.addRow(columns.map((column) => column.value(row) ?? null)).commit();
+    }
+    sheet.commit();
+    await workbook.commit();
+    return;
+  }
+
+  if (format === 'json') {
+    let first = true;
+    await write(res, '[');
+    for await (const row of rows) {
+      const item = Object.fromEntries(columns.map((column) => [column.key, column.value(row) ?? null]));
+      await write(res, `${first ? '' : ','}\n${JSON.stringify(item)}`);
+      first = false;
+    }
+    res.end('\n]\n');
+    return;
+  }
+
+  // The byte order mark makes spreadsheet programs read the file as UTF-8
+  await write(res, `\ufeff${columns.map((column) => csvValue(column.label)).join(',')}\r\n`);
+  for await (const row of rows) {
+    await write(res, `${columns.map((column) => csvValue(column.value(row))).join(',')}\r\n`);
+  }
+  res.end();
+}
@@ -0,0 +1,12 @@
+import crypto from 'crypto';
+
+// Helper function to create a random token that is safe to put in a URL
+export function generateRandomToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+// Helper function to hash a token before saving it in the database
+// We only store the hash, so a leaked database cannot be used to log in
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
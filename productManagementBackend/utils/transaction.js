@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+// Run fn(session) in a MongoDB transaction and return its result
+// Every read and write inside fn must pass { session } to take part in the transaction
+// The transaction is retried on temporary errors and rolled back if fn throws
+// Note: transactions need MongoDB running as a replica set (a single-node replica set is enough,
+// see "MongoDB setup" in README.md) - keep single-document saves, like a product edit that
+// does not change stock, out of transactions so they also work on a standalone server
+export async function runInTransaction(fn) {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
@@ -0,0 +1,127 @@
+import mongoose from 'mongoose';
+import { v2 as cloudinary } from 'cloudinary';
+import Product from '../models/Product.js';
+import Category from '../models/Category.js';
+
+// Deleted products and categories go to the trash first (see utils/softDelete.js): they are left
+// out of normal queries, can be restored, and are purged (deleted for good) by hand or by the
+// trash purger once they have been in the trash for TRASH_RETENTION_DAYS
+
+// Days products and categories stay in the trash - TRASH_RETENTION_DAYS in .env (default: 30)
+export const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Helper function to delete image from Cloudinary
+async function deleteImage(imageUrl) {
+  try {
+    // Extract public_id from URL
+    const urlParts = imageUrl.split('/');
+    const lastTwoParts = urlParts.slice(-2).join('/');
+    const publicId = lastTwoParts.split('.')[0];
+    await cloudinary.uploader.destroy(publicId);
+  } catch (error) {
+    console.error('Error deleting image:', error);
+  }
+}
+
+// Get the date a document in the trash is purged
+export function purgeDate(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Move a product or category to the trash
+export async function moveToTrash(Model, id, user, session = null) {
+  await Model.updateOne(
+    { _id: id, deletedAt: null },
+    { $set: { deletedAt: new Date(), deletedBy: user ? user._id : null } },
+    { session }
+  );
+}
+
+// Take a product or category out of the trash
+// Returns false when it is not in the trash (any more)
+export async function restoreFromTrash(Model, id, session = null) {
+  const result = await Model.updateOne(
+    { _id: id, deletedAt: { $ne: null } },
+    { $set: { deletedAt: null, deletedBy: null } },
+    { session }
+  );
+  return result.modifiedCount === 1;
+}
+
+// Find a product or category in the trash by id
+export async function findInTrash(Model, id) {
+  if (!mongoose.isValidObjectId(id)) {
+    return null;
+  }
+  return await Model.findOne({ _id: id, deletedAt: { $ne: null } });
+}
+
+// Find why a product in the trash cannot be restored - its category must not be in the trash,
+// and neither may the products in a bundle
+// Returns a message or null
+export async function findProductRestoreBlocker(product) {
+  const category = await Category.findById(product.category).setOptions({ withDeleted: true }).select('name deletedAt').lean();
+  if (category && category.deletedAt) {
+    return `Its category "${category.name}" is in the trash. Restore the category first.`;
+  }
+
+  if (product.kind === 'bundle') {
+    const componentIds = [...new Set(product.components.map((component) => String(component.product)))];
+    const activeCount = await Product.countDocuments({ _id: { $in: componentIds } });
+    if (activeCount < componentIds.length) {
+      return 'Products in this bundle are in the trash or were deleted for good. Restore them first.';
+    }
+  }
+  return null;
+}
+
+// Find why a category in the trash cannot be restored - its parent must not be in the trash
+// Returns a message or null
+export async function findCategoryRestoreBlocker(category) {
+  if (!category.parent) {
+    return null;
+  }
+  const parent = await Category.findById(category.parent).setOptions({ withDeleted: true }).select('name deletedAt').lean();
+  if (parent && parent.deletedAt) {
+    return `Its parent category "${parent.name}" is in the trash. Restore the parent first.`;
+  }
+  return null;
+}
+
+// Find why a category in the trash cannot be purged - products and subcategories in the trash
+// can still be restored into it, so they must be purged first
+// Returns a message or null
+export async function findCategoryPurgeBlocker(category) {
+  const productCount = await Product.countDocuments({ category: category._id }).setOptions({ withDeleted: true });
+  if (productCount > 0) {
+    return `${productCount} product(s) in the trash belong to this category. Purge them first.`;
+  }
+  const hasChildren = await Category.exists({ parent: category._id }).setOptions({ withDeleted: true });
+  if (hasChildren) {
+    return 'Subcategories in the trash are below this category. Purge them first.';
+  }
+  return null;
+}
+
+// Delete a product in the trash for good, and only then its images
+// Returns false when it was not in the trash (any more), e.g. restored in the meantime
+export async function purgeProduct(product) {
+  const result = await Product.deleteOne({ _id: product._id, deletedAt: { $ne: null } });
+  if (result.deletedCount === 0) {
+    return false;
+  }
+
+  // Variant images are images of the product as well
+  const images = new Set([...product.images, ...product.variants.flatMap((variant) => variant.images || [])]);
+  for (const imageUrl of images) {
+    await deleteImage(imageUrl);
+  }
+  return true;
+}
+
+// Delete a category in the trash for good - check findCategoryPurgeBlocker first
+// Returns false when it was not in the trash (any more)
+export async function purgeCategory(category) {
+  const result = await Category.deleteOne({ _id: category._id, deletedAt: { $ne: null } });
+  return result.deletedCount === 1;
+}
@@ -0,0 +1,64 @@
+import { authenticator } from 'otplib';
+import QRCode from 'qrcode';
+import { generateRandomToken, hashToken } from './tokens.js';
+
+// Accept codes from one 30 second step before or after, to allow for clock drift
+authenticator.options = { window: 1 };
+
+// Name shown in the authenticator app next to the username
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Product Management';
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Helper function to create a new TOTP secret
+export function generateSecret() {
+  return authenticator.generateSecret();
+}
+
+// Helper function to build the otpauth:// link and a QR code image for it
+// The QR code is a data URL that can be used directly as an <img> src
+export async function buildSetupData(username, secret) {
+  const otpauthUrl = authenticator.keyuri(username, ISSUER, secret);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+  return { secret, otpauthUrl, qrCode };
+}
+
+// Helper function to check a 6 digit code from the authenticator app
+// Returns the time step the code belongs to, or null if the code is wrong
+// Pass the last used step to reject a code that was already used (replay)
+export function verifyCode(secret, code, lastUsedStep) {
+  if (!secret || !code) {
+    return null;
+  }
+
+  const cleanCode = String(code).replace(/\s/g, '');
+  const delta = authenticator.checkDelta(cleanCode, secret);
+  if (delta === null) {
+    return null;
+  }
+
+  const step = Math.floor(Date.now() / 1000 / authenticator.allOptions().step) + delta;
+  if (lastUsedStep !== undefined && lastUsedStep !== null && step <= lastUsedStep) {
+    return null;
+  }
+  return step;
+}
+
+// Helper function to create one-time recovery codes
+// Returns the plain codes (shown to the user once) and their hashes (saved in the database)
+export function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = generateRandomToken(5);
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return {
+    codes,
+    hashes: codes.map(hashRecoveryCode),
+  };
+}
+
+// Helper function to hash a recovery code - dashes, spaces and case are ignored
+export function hashRecoveryCode(code) {
+  return hashToken(String(code).replace(/[\s-]/g, '').toLowerCase());
+}
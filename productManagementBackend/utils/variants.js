@@ -0,0 +1,164 @@
+import mongoose from 'mongoose';
+import { normalizeBarcode, normalizeSku, validateBarcode, validateSku } from './productCodes.js';
+
+// Upper limit so one product cannot grow into thousands of combinations
+const MAX_VARIANTS = 200;
+
+// Helper function to build a key for a combination of option values, used to find duplicates
+function combinationKey(options, values) {
+  return options.map((option) => values[option.name]).join('\u0000');
+}
+
+// Helper function to check the option axes of a product
+// Returns { options, errors }
+function validateOptions(input) {
+  const errors = {};
+  const options = [];
+
+  if (!Array.isArray(input)) {
+    return { options, errors: { options: 'Options must be a list' } };
+  }
+
+  const names = new Set();
+  input.forEach((option, index) => {
+    const name = typeof option?.name === 'string' ? option.name.trim() : '';
+    const values = Array.isArray(option?.values)
+      ? [...new Set(option.values.map((value) => String(value).trim()).filter(Boolean))]
+      : [];
+
+    // Names are used as field names in each variant
+    if (!name || name.includes('.') || name.startsWith('$')) {
+      errors[`options.${index}`] = 'Option name is required and cannot contain "." or start with "$"';
+    } else if (names.has(name)) {
+      errors[`options.${index}`] = `Option "${name}" is listed twice`;
+    } else if (values.length === 0) {
+      errors[`options.${index}`] = `Option "${name}" needs at least one value`;
+    } else {
+      names.add(name);
+      options.push({ name, values });
+    }
+  });
+
+  return { options, errors };
+}
+
+// Check the option axes and variants sent for a product
+// Variant images are not checked here - see keepProductImages
+// Returns { options, variants, errors }
+export function validateVariants(optionsInput, variantsInput) {
+  const { options, errors } = validateOptions(optionsInput || []);
+  const variants = [];
+
+  if (!Array.isArray(variantsInput || [])) {
+    errors.variants = 'Variants must be a list';
+    return { options, variants, errors };
+  }
+  const input = variantsInput || [];
+
+  if (options.length === 0) {
+    if (input.length > 0) {
+      errors.variants = 'Add at least one option before adding variants';
+    }
+    return { options, variants, errors };
+  }
+  if (input.length === 0) {
+    errors.variants = 'Products with options need at least one variant';
+    return { options, variants, errors };
+  }
+  if (input.length > MAX_VARIANTS) {
+    errors.variants = `A product can have at most ${MAX_VARIANTS} variants`;
+    return { options, variants, errors };
+  }
+
+  const combinations = new Set();
+  const skus = new Set();
+
+  input.forEach((variant, index) => {
+    const field = `variants.${index}`;
+    const values = variant?.options && typeof variant.options === 'object' ? variant.options : {};
+
+    // Every option needs one of its values
+    const variantOptions = {};
+    for (const option of options) {
+      const value = values[option.name] === undefined ? '' : String(values[option.name]).trim();
+      if (!option.values.includes(value)) {
+        errors[field] = `${option.name} must be one of: ${option.values.join(', ')}`;
+        return;
+      }
+      variantOptions[option.name] = value;
+    }
+    const label = options.map((option) => variantOptions[option.name]).join(' / ');
+
+    const key = combinationKey(options, variantOptions);
+    if (combinations.has(key)) {
+      errors[field] = `${label} is listed twice`;
+      return;
+    }
+
+    // SKU and barcode are optional for variants - uniqueness across products
+    // is checked by checkProductCodes in utils/productCodes.js
+    const sku = normalizeSku(variant.sku);
+    const skuError = sku ? validateSku(sku) : null;
+    if (skuError) {
+      errors[field] = `${label}: ${skuError}`;
+      return;
+    }
+    if (sku && skus.has(sku)) {
+      errors[field] = `${label}: SKU ${sku} is used by another variant`;
+      return;
+    }
+
+    const barcode = normalizeBarcode(variant.barcode);
+    const barcodeError = barcode ? validateBarcode(barcode) : null;
+    if (barcodeError) {
+      errors[field] = `${label}: ${barcodeError}`;
+      return;
+    }
+
+    let price = null;
+    if (variant.price !== undefined && variant.price !== null && variant.price !== '') {
+      price = parseFloat(variant.price);
+      if (isNaN(price) || price <= 0) {
+        errors[field] = `${label}: price must be greater than 0`;
+        return;
+      }
+    }
+
+    // Stock is left out when it should not change (see adjustToWantedStock in the product controller)
+    const stock = variant.stock === undefined || variant.stock === null || variant.stock === '' ? undefined : Number(variant.stock);
+    if (stock !== undefined && (!Number.isInteger(stock) || stock < 0)) {
+      errors[field] = `${label}: stock must be a whole number, 0 or greater`;
+      return;
+    }
+
+    const images = Array.isArray(variant.images)
+      ? variant.images.filter((image) => typeof image === 'string')
+      : [];
+
+    combinations.add(key);
+    if (sku) {
+      skus.add(sku);
+    }
+
+    // Keep the id of existing variants so references to them stay valid
+    const data = { options: variantOptions, sku: sku || undefined, barcode: barcode || undefined, price, stock, images };
+    if (variant._id && mongoose.isValidObjectId(variant._id)) {
+      data._id = variant._id;
+    }
+    variants.push(data);
+  });
+
+  return { options, variants, errors };
+}
+
+// Drop variant images that are not (or no longer) images of the product
+export function keepProductImages(variants, productImages) {
+  for (const variant of variants) {
+    variant.images = variant.images.filter((image) => productImages.includes(image));
+  }
+}
+
+// Show the option values of a variant, e.g. "M / Red"
+export function variantLabel(variant, options) {
+  return options.map((option) => variant.options[option.name]).join(' / ');
+}
@@ -0,0 +1,326 @@
+import { useState, useEffect, useContext } from 'react'
+import axios from 'axios'
+import { AuthContext } from '../context/AuthContext'
+
+// Backend API URL
+const API_URL = 'http://localhost:8000/api'
+
+// Helper function to get headers with token
+function getHeaders() {
+  const token = localStorage.getItem('token')
+  return {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${token}`,
+  }
+}
+
+const AccountSettings = () => {
+  const { user, reloadUser } = useContext(AuthContext)
+  const [twoFactor, setTwoFactor] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+
+  // Setup flow - QR code from the server, then the confirmation code
+  const [setupData, setSetupData] = useState(null)
+  const [code, setCode] = useState('')
+
+  // Disable flow
+  const [isDisabling, setIsDisabling] = useState(false)
+  const [password, setPassword] = useState('')
+
+  // Recovery codes are shown only once, right after they are created
+  const [recoveryCodes, setRecoveryCodes] = useState(null)
+
+  // Load two-factor status when component loads
+  useEffect(() => {
+    loadTwoFactorStatus()
+  }, [])
+
+  // Function to load two-factor status from API
+  async function loadTwoFactorStatus() {
+    try {
+      setIsLoading(true)
+      const response = await axios.get(`${API_URL}/auth/2fa`, { headers: getHeaders() })
+      if (response.data.success) {
+        setTwoFactor(response.data.data)
+      }
+    } catch (error) {
+      console.error('Error loading two-factor status:', error)
+      alert('Failed to load two-factor status')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // Start setup - the server creates a secret and QR code
+  async function handleStartSetup() {
+    try {
+      const response = await axios.post(`${API_URL}/auth/2fa/setup`, {}, { headers: getHeaders() })
+      if (response.data.success) {
+        setSetupData(response.data.data)
+        setCode('')
+      }
+    } catch (error) {
+      console.error('Error starting two-factor setup:', error)
+      alert(error.response?.data?.message || 'Failed to start two-factor setup')
+    }
+  }
+
+  // Confirm setup with the first code from the app
+  async function handleEnable(e) {
+    e.preventDefault()
+    try {
+      const response = await axios.post(`${API_URL}/auth/2fa/enable`, { code }, { headers: getHeaders() })
+      if (response.data.success) {
+        setRecoveryCodes(response.data.data.recoveryCodes)
+        setSetupData(null)
+        setCode('')
+        loadTwoFactorStatus()
+        reloadUser()
+      }
+    } catch (error) {
+      console.error('Error enabling two-factor:', error)
+      alert(error.response?.data?.message || 'Failed to enable two-factor authentication')
+    }
+  }
+
+  // Turn two-factor off
+  async function handleDisable(e) {
+    e.preventDefault()
+    try {
+      const response = await axios.post(
+        `${API_URL}/auth/2fa/disable`,
+        { password, code },
+        { headers: getHeaders() }
+      )
+      if (response.data.success) {
+        setIsDisabling(false)
+        setPassword('')
+        setCode('')
+        loadTwoFactorStatus()
+        reloadUser()
+      }
+    } catch (error) {
+      console.error('Error disabling two-factor:', error)
+      alert(error.response?.data?.message || 'Failed to disable two-factor authentication')
+    }
+  }
+
+  // Replace recovery codes - asks for a current code first
+  async function handleRegenerateCodes() {
+    const currentCode = window.prompt('Enter the 6-digit code from your authenticator app')
+    if (!currentCode) {
+      return
+    }
+
+    try {
+      const response = await axios.post(
+        `${API_URL}/auth/2fa/recovery-codes`,
+        { code: currentCode },
+        { headers: getHeaders() }
+      )
+      if (response.data.success) {
+        setRecoveryCodes(response.data.data.recoveryCodes)
+        loadTwoFactorStatus()
+      }
+    } catch (error) {
+      console.error('Error creating recovery codes:', error)
+      alert(error.response?.data?.message || 'Failed to create new recovery codes')
+    }
+  }
+
+  return (
+    <div className="space-y-6 max-w-3xl">
+      {/* Profile */}
+      <div className="bg-white rounded-lg shadow p-4 sm:p-6">
+        <h2 className="text-lg font-bold text-gray-800 mb-4">Profile</h2>
+        <dl className="grid grid-cols-1 sm:grid-cols-2 gap-4 text-sm">
+          <div>
+            <dt className="text-gray-500">Username</dt>
+            <dd className="text-gray-900 font-medium">{user?.username}</dd>
+          </div>
+          <div>
+            <dt className="text-gray-500">Name</dt>
+            <dd className="text-gray-900 font-medium">{user?.name}</dd>
+          </div>
+          <div>
+            <dt className="text-gray-500">Email</dt>
+            <dd className="text-gray-900 font-medium">{user?.email}</dd>
+          </div>
+          <div>
+            <dt className="text-gray-500">Role</dt>
+            <dd className="text-gray-900 font-medium capitalize">{user?.role}</dd>
+          </div>
+        </dl>
+      </div>
+
+      {/* Two-factor authentication */}
+      <div className="bg-white rounded-lg shadow p-4 sm:p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-bold text-gray-800">Two-Factor Authentication</h2>
+          {twoFactor && (
+            <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+              twoFactor.enabled ? 'bg-green-100 text-green-800' : 'bg-gray-200 text-gray-700'
+            }`}>
+              {twoFactor.enabled ? 'Enabled' : 'Disabled'}
+            </span>
+          )}
+        </div>
+
+        {isLoading ? (
+          <p className="text-gray-500">Loading...</p>
+        ) : twoFactor?.enabled ? (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600">
+              You will be asked for a code from your authenticator app each time you log in.
+              You have {twoFactor.recoveryCodesRemaining} unused recovery codes.
+            </p>
+
+            {isDisabling ? (
+              <form onSubmit={handleDisable} className="space-y-3">
+                <input
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  placeholder="Your password"
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  required
+                />
+                <input
+                  type="text"
+                  inputMode="numeric"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  placeholder="6-digit code"
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  required
+                />
+                <div className="flex gap-3">
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setIsDisabling(false)
+                      setPassword('')
+                      setCode('')
+                    }}
+                    className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700"
+                  >
+                    Disable Two-Factor
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <div className="flex flex-wrap gap-3">
+                <button
+                  onClick={handleRegenerateCodes}
+                  className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+                >
+                  New Recovery Codes
+                </button>
+                <button
+                  onClick={() => setIsDisabling(true)}
+                  className="px-4 py-2 border border-red-300 text-red-600 rounded-lg hover:bg-red-50"
+                >
+                  Disable
+                </button>
+              </div>
+            )}
+          </div>
+        ) : setupData ? (
+          <form onSubmit={handleEnable} className="space-y-4">
+            <p className="text-sm text-gray-600">
+              Scan this QR code with an authenticator app (Google Authenticator, Authy, 1Password...),
+              then enter the 6-digit code it shows.
+            </p>
+            <img
+              src={setupData.qrCode}
+              alt="Two-factor QR code"
+              className="w-48 h-48 border border-gray-200 rounded"
+            />
+            <p className="text-xs text-gray-500">
+              Can&apos;t scan? Enter this key manually:{' '}
+              <span className="font-mono font-semibold break-all">{setupData.secret}</span>
+            </p>
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="6-digit code"
+              className="w-full sm:w-64 px-4 py-2 border border-gray-300 rounded-lg font-mono tracking-widest focus:outline-none focus:ring-2 focus:ring-blue-500"
+              required
+              autoFocus
+            />
+            <div className="flex gap-3">
+              <button
+                type="button"
+                onClick={() => setSetupData(null)}
+                className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+              >
+                Confirm and Enable
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600">
+              Protect your account with a second step at login using an authenticator app.
+            </p>
+            <button
+              onClick={handleStartSetup}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+            >
+              Set Up Two-Factor
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Recovery codes - only shown once */}
+      {recoveryCodes && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg p-4 sm:p-6 w-full max-w-md">
+            <h2 className="text-xl font-bold mb-2">Recovery Codes</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              Save these codes somewhere safe. Each one can be used once to log in if you lose your
+              device. They will not be shown again.
+            </p>
+            <div className="grid grid-cols-2 gap-2 bg-gray-50 border border-gray-200 rounded-lg p-4 font-mono text-sm">
+              {recoveryCodes.map((recoveryCode) => (
+                <span key={recoveryCode}>{recoveryCode}</span>
+              ))}
+            </div>
+            <div className="flex justify-end space-x-3 mt-6">
+              <button
+                onClick={() => navigator.clipboard?.writeText(recoveryCodes.join('\n'))}
+                className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+              >
+                Copy
+              </button>
+              <button
+                onClick={() => setRecoveryCodes(null)}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+              >
+                I Saved Them
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AccountSettings
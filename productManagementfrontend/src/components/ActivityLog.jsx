@@ -0,0 +1,327 @@
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+
+// Backend API URL
+const API_URL = 'http://localhost:8000/api'
+
+// Helper function to get headers with token
+function getHeaders() {
+  const token = localStorage.getItem('token')
+  return {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${token}`,
+  }
+}
+
+// Label and badge colors for each action
+const actionStyles = {
+  create: { label: 'Created', className: 'bg-green-100 text-green-800' },
+  update: { label: 'Updated', className: 'bg-blue-100 text-blue-800' },
+  delete: { label: 'Deleted', className: 'bg-red-100 text-red-800' },
+  restore: { label: 'Restored', className: 'bg-teal-100 text-teal-800' },
+  purge: { label: 'Deleted for good', className: 'bg-red-200 text-red-900' },
+  login: { label: 'Logged in', className: 'bg-gray-100 text-gray-800' },
+  login_failed: { label: 'Failed login', className: 'bg-yellow-100 text-yellow-800' },
+}
+
+// Helper function to show a changed value in a short, readable way
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') {
+    return '—'
+  }
+  if (Array.isArray(value)) {
+    return value.length === 0 ? '—' : `${value.length} item${value.length === 1 ? '' : 's'}`
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value)
+  }
+  return String(value)
+}
+
+// Helper function to describe the extra details of an entry, e.g. why a login failed
+function formatDetails(log) {
+  if (!log.details) {
+    return null
+  }
+  if (log.action === 'login_failed') {
+    const reasons = {
+      INVALID_CREDENTIALS: 'Wrong username or password',
+      INVALID_2FA_CODE: 'Wrong two-factor code',
+      ACCOUNT_LOCKED: 'Account locked',
+      ACCOUNT_INACTIVE: 'Account not active',
+    }
+    let text = reasons[log.details.reason] || log.details.reason
+    if (log.details.lockedUntil) {
+      text += ` (locked until ${new Date(log.details.lockedUntil).toLocaleString()})`
+    }
+    return text
+  }
+  if (log.action === 'login' && log.details.twoFactor) {
+    return 'With two-factor code'
+  }
+  if (log.details.mergedInto) {
+    return `Merged into ${log.details.mergedInto} (${log.details.movedProducts} products, ${log.details.movedSubcategories} subcategories moved)`
+  }
+  if (log.action === 'purge' && log.details.retentionDays) {
+    return `Automatically, after ${log.details.retentionDays} days in the trash`
+  }
+  if (log.details.reassignedTo) {
+    return `${log.details.reassignedProducts} products moved to ${log.details.reassignedTo}`
+  }
+  return null
+}
+
+const ActivityLog = () => {
+  const [logs, setLogs] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+
+  // Filter states
+  const [searchTerm, setSearchTerm] = useState('')
+  const [selectedAction, setSelectedAction] = useState('all')
+  const [selectedEntityType, setSelectedEntityType] = useState('all')
+  const [dateFrom, setDateFrom] = useState('')
+  const [dateTo, setDateTo] = useState('')
+
+  // Pagination states
+  const [currentPage, setCurrentPage] = useState(1)
+  const [totalPages, setTotalPages] = useState(1)
+  const [totalItems, setTotalItems] = useState(0)
+  const itemsPerPage = 20
+
+  // Load entries from API when filters change
+  useEffect(() => {
+    loadLogs()
+  }, [searchTerm, selectedAction, selectedEntityType, dateFrom, dateTo, currentPage])
+
+  // Reset to page 1 when filters change
+  useEffect(() => {
+    setCurrentPage(1)
+  }, [searchTerm, selectedAction, selectedEntityType, dateFrom, dateTo])
+
+  // Function to load audit entries from API
+  async function loadLogs() {
+    try {
+      setIsLoading(true)
+
+      const params = { page: currentPage, limit: itemsPerPage }
+      if (searchTerm) {
+        params.search = searchTerm
+      }
+      if (selectedAction !== 'all') {
+        params.action = selectedAction
+      }
+      if (selectedEntityType !== 'all') {
+        params.entityType = selectedEntityType
+      }
+      // Dates are picked in local time - the "to" date includes the whole day
+      if (dateFrom) {
+        params.from = new Date(`${dateFrom}T00:00:00`).toISOString()
+      }
+      if (dateTo) {
+        params.to = new Date(`${dateTo}T23:59:59.999`).toISOString()
+      }
+
+      const response = await axios.get(`${API_URL}/audit`, { headers: getHeaders(), params })
+
+      if (response.data.success) {
+        setLogs(response.data.data.logs)
+        setTotalPages(response.data.data.pagination.totalPages)
+        setTotalItems(response.data.data.pagination.totalItems)
+      }
+    } catch (error) {
+      console.error('Error loading activity:', error)
+      alert('Failed to load activity')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Filters */}
+      <div className="flex flex-col md:flex-row gap-4">
+        <input
+          type="text"
+          placeholder="Search by user or record name..."
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <select
+          value={selectedAction}
+          onChange={(e) => setSelectedAction(e.target.value)}
+          className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="all">All Actions</option>
+          {Object.entries(actionStyles).map(([action, style]) => (
+            <option key={action} value={action}>
+              {style.label}
+            </option>
+          ))}
+        </select>
+        <select
+          value={selectedEntityType}
+          onChange={(e) => setSelectedEntityType(e.target.value)}
+          className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="all">All Records</option>
+          <option value="product">Products</option>
+          <option value="category">Categories</option>
+          <option value="user">Users</option>
+          <option value="warehouse">Warehouses</option>
+          <option value="supplier">Suppliers</option>
+          <option value="purchase_order">Purchase Orders</option>
+          <option value="sales_order">Sales Orders</option>
+          <option value="customer">Customers</option>
+          <option value="stock_take">Stock Takes</option>
+        </select>
+        <input
+          type="date"
+          value={dateFrom}
+          onChange={(e) => setDateFrom(e.target.value)}
+          title="From"
+          className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <input
+          type="date"
+          value={dateTo}
+          onChange={(e) => setDateTo(e.target.value)}
+          title="To"
+          className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+      </div>
+
+      {/* Activity Table */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="overflow-x-auto -mx-4 sm:mx-0">
+          <div className="inline-block min-w-full align-middle">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    When
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Who
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Action
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Record
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Changes
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    IP
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {isLoading ? (
+                  <tr>
+                    <td colSpan="6" className="px-6 py-4 text-center text-gray-500">
+                      Loading activity...
+                    </td>
+                  </tr>
+                ) : logs.length === 0 ? (
+                  <tr>
+                    <td colSpan="6" className="px-6 py-4 text-center text-gray-500">
+                      No activity found
+                    </td>
+                  </tr>
+                ) : (
+                  logs.map((log) => {
+                    const style = actionStyles[log.action] || { label: log.action, className: 'bg-gray-100 text-gray-800' }
+                    const changes = Object.entries(log.changes || {})
+                    const details = formatDetails(log)
+                    return (
+                      <tr key={log._id} className="hover:bg-gray-50 align-top">
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {new Date(log.createdAt).toLocaleString()}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {log.actorName || <span className="text-gray-400">Unknown</span>}
+                          {log.apiKey && <div className="text-xs text-gray-500">via API key</div>}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm">
+                          <span className={`px-2 py-1 rounded-full text-xs font-medium ${style.className}`}>
+                            {style.label}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          <span className="text-xs text-gray-500 capitalize">{log.entityType.replace('_', ' ')}</span>
+                          <div className="font-medium">{log.entityName || '—'}</div>
+                        </td>
+                        <td className="px-6 py-4 text-sm text-gray-700">
+                          {details && <div className="text-gray-600">{details}</div>}
+                          {log.action === 'update' ? (
+                            <ul className="space-y-1">
+                              {changes.map(([field, change]) => (
+                                <li key={field}>
+                                  <span className="font-medium">{field}:</span>{' '}
+                                  <span className="text-red-600 line-through">{formatValue(change.before)}</span>{' '}
+                                  → <span className="text-green-700">{formatValue(change.after)}</span>
+                                </li>
+                              ))}
+                            </ul>
+                          ) : (
+                            changes.length > 0 && (
+                              <ul className="space-y-1">
+                                {changes.map(([field, change]) => (
+                                  <li key={field}>
+                                    <span className="font-medium">{field}:</span>{' '}
+                                    {formatValue(['delete', 'purge'].includes(log.action) ? change.before : change.after)}
+                                  </li>
+                                ))}
+                              </ul>
+                            )
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 font-mono">
+                          {log.ip || '—'}
+                        </td>
+                      </tr>
+                    )
+                  })
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      {/* Pagination */}
+      {totalPages > 1 && (
+        <div className="flex flex-col sm:flex-row items-center justify-between gap-4 bg-white px-4 py-3 rounded-lg shadow">
+          <div className="text-xs sm:text-sm text-gray-700 text-center sm:text-left">
+            Showing {((currentPage - 1) * itemsPerPage) + 1} to {Math.min(currentPage * itemsPerPage, totalItems)} of{' '}
+            {totalItems} entries
+          </div>
+          <div className="flex gap-2 flex-wrap justify-center">
+            <button
+              onClick={() => setCurrentPage((prev) => Math.max(prev - 1, 1))}
+              disabled={currentPage === 1}
+              className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Previous
+            </button>
+            <span className="px-4 py-2 text-sm text-gray-700">
+              Page {currentPage} of {totalPages}
+            </span>
+            <button
+              onClick={() => setCurrentPage((prev) => Math.min(prev + 1, totalPages))}
+              disabled={currentPage === totalPages}
+              className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ActivityLog
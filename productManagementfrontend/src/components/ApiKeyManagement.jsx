@@ -0,0 +1,329 @@
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+
+// Backend API URL
+const API_URL = 'http://localhost:8000/api'
+
+// Helper function to get headers with token
+function getHeaders() {
+  const token = localStorage.getItem('token')
+  return {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${token}`,
+  }
+}
+
+const emptyForm = { name: '', scopes: [], expiresAt: '' }
+
+// Colors for the status badge
+const statusStyles = {
+  active: 'bg-green-100 text-green-800',
+  expired: 'bg-yellow-100 text-yellow-800',
+  revoked: 'bg-gray-200 text-gray-700',
+}
+
+const ApiKeyManagement = () => {
+  const [apiKeys, setApiKeys] = useState([])
+  const [availableScopes, setAvailableScopes] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [isModalOpen, setIsModalOpen] = useState(false)
+  const [formData, setFormData] = useState(emptyForm)
+
+  // The new key is shown only once, right after it is created
+  const [newKey, setNewKey] = useState(null)
+
+  // Load API keys when component loads
+  useEffect(() => {
+    loadApiKeys()
+  }, [])
+
+  // Function to load API keys from API
+  async function loadApiKeys() {
+    try {
+      setIsLoading(true)
+      const response = await axios.get(`${API_URL}/api-keys`, { headers: getHeaders() })
+
+      if (response.data.success) {
+        setApiKeys(response.data.data.apiKeys)
+        setAvailableScopes(response.data.data.availableScopes)
+      }
+    } catch (error) {
+      console.error('Error loading API keys:', error)
+      alert('Failed to load API keys')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const handleAdd = () => {
+    setFormData({ ...emptyForm, scopes: availableScopes.filter((scope) => scope.endsWith(':read')) })
+    setIsModalOpen(true)
+  }
+
+  function toggleScope(scope) {
+    setFormData((prev) => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter((s) => s !== scope)
+        : [...prev.scopes, scope],
+    }))
+  }
+
+  // Create API key - call API
+  async function handleSave() {
+    if (!formData.name.trim()) {
+      alert('Please enter a name for the key')
+      return
+    }
+    if (formData.scopes.length === 0) {
+      alert('Please select at least one scope')
+      return
+    }
+
+    try {
+      const response = await axios.post(
+        `${API_URL}/api-keys`,
+        {
+          name: formData.name,
+          scopes: formData.scopes,
+          expiresAt: formData.expiresAt || undefined,
+        },
+        { headers: getHeaders() }
+      )
+
+      if (response.data.success) {
+        setNewKey(response.data.data.key)
+        setIsModalOpen(false)
+        setFormData(emptyForm)
+        loadApiKeys()
+      }
+    } catch (error) {
+      console.error('Error creating API key:', error)
+      const data = error.response?.data
+      alert(data?.errors ? Object.values(data.errors).join('\n') : data?.message || 'Failed to create API key')
+    }
+  }
+
+  // Revoke API key - call API
+  async function handleRevoke(apiKey) {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Anything using this key will stop working immediately.`)) {
+      return
+    }
+
+    try {
+      await axios.delete(`${API_URL}/api-keys/${apiKey.id}`, { headers: getHeaders() })
+      loadApiKeys()
+    } catch (error) {
+      console.error('Error revoking API key:', error)
+      alert(error.response?.data?.message || 'Failed to revoke API key')
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header with Add Button */}
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+        <p className="text-sm text-gray-600 max-w-2xl">
+          API keys let scripts and other systems call the API without your password.
+          Send the key in the <span className="font-mono">X-API-Key</span> header.
+          A key can only do what its scopes and your role allow.
+        </p>
+        <button
+          onClick={handleAdd}
+          className="w-full sm:w-auto px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors whitespace-nowrap"
+        >
+          + Create API Key
+        </button>
+      </div>
+
+      {/* API Keys Table */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="overflow-x-auto -mx-4 sm:mx-0">
+          <div className="inline-block min-w-full align-middle">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Name
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Key
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Scopes
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Status
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Last Used
+                  </th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {isLoading ? (
+                  <tr>
+                    <td colSpan="6" className="px-6 py-4 text-center text-gray-500">
+                      Loading API keys...
+                    </td>
+                  </tr>
+                ) : apiKeys.length === 0 ? (
+                  <tr>
+                    <td colSpan="6" className="px-6 py-4 text-center text-gray-500">
+                      No API keys yet
+                    </td>
+                  </tr>
+                ) : (
+                  apiKeys.map((apiKey) => (
+                    <tr key={apiKey.id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                        {apiKey.name}
+                        <div className="text-xs text-gray-500">
+                          Created {new Date(apiKey.createdAt).toLocaleDateString()}
+                          {apiKey.expiresAt && `, expires ${new Date(apiKey.expiresAt).toLocaleDateString()}`}
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-700">
+                        {apiKey.prefix}…
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-700">
+                        <div className="flex flex-wrap gap-1">
+                          {apiKey.scopes.map((scope) => (
+                            <span key={scope} className="px-2 py-0.5 bg-gray-100 rounded text-xs font-mono">
+                              {scope}
+                            </span>
+                          ))}
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${statusStyles[apiKey.status]}`}>
+                          {apiKey.status}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).toLocaleString() : 'Never'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                        {apiKey.status !== 'revoked' && (
+                          <button
+                            onClick={() => handleRevoke(apiKey)}
+                            className="text-red-600 hover:text-red-900"
+                          >
+                            Revoke
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      {/* Modal for creating a key */}
+      {isModalOpen && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg p-4 sm:p-6 w-full max-w-md">
+            <h2 className="text-xl font-bold mb-4">Create API Key</h2>
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                <input
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                  placeholder="e.g. ERP sync"
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  autoFocus
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Scopes</label>
+                <div className="grid grid-cols-2 gap-2">
+                  {availableScopes.map((scope) => (
+                    <label key={scope} className="flex items-center gap-2 text-sm font-mono">
+                      <input
+                        type="checkbox"
+                        checked={formData.scopes.includes(scope)}
+                        onChange={() => toggleScope(scope)}
+                      />
+                      {scope}
+                    </label>
+                  ))}
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Expires (optional)
+                </label>
+                <input
+                  type="date"
+                  value={formData.expiresAt}
+                  onChange={(e) => setFormData({ ...formData, expiresAt: e.target.value })}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+            </div>
+            <div className="flex justify-end space-x-3 mt-6">
+              <button
+                onClick={() => {
+                  setIsModalOpen(false)
+                  setFormData(emptyForm)
+                }}
+                className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSave}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+              >
+                Create
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* New key - only shown once */}
+      {newKey && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg p-4 sm:p-6 w-full max-w-lg">
+            <h2 className="text-xl font-bold mb-2">Your New API Key</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              Copy this key now and store it somewhere safe. It will not be shown again.
+            </p>
+            <input
+              type="text"
+              readOnly
+              value={newKey}
+              onFocus={(e) => e.target.select()}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg font-mono text-sm bg-gray-50"
+            />
+            <div className="flex justify-end space-x-3 mt-6">
+              <button
+                onClick={() => navigator.clipboard?.writeText(newKey)}
+                className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+              >
+                Copy
+              </button>
+              <button
+                onClick={() => setNewKey(null)}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+              >
+                Done
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ApiKeyManagement
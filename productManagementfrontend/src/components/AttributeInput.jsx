@@ -0,0 +1,57 @@
+// Input for one category attribute - text, number with unit, enum or boolean
+// Values are kept as strings, the backend turns them into numbers and booleans
+// emptyLabel is the text of the "no value" choice for enum and boolean fields
+const AttributeInput = ({ attribute, value, onChange, emptyLabel = 'Not set', className = '' }) => {
+  const inputClass = `w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 ${className}`
+
+  if (attribute.type === 'enum') {
+    return (
+      <select value={value} onChange={(e) => onChange(e.target.value)} className={inputClass}>
+        <option value="">{emptyLabel}</option>
+        {attribute.options.map((option) => (
+          <option key={option} value={option}>
+            {option}
+          </option>
+        ))}
+      </select>
+    )
+  }
+
+  if (attribute.type === 'boolean') {
+    return (
+      <select value={value} onChange={(e) => onChange(e.target.value)} className={inputClass}>
+        <option value="">{emptyLabel}</option>
+        <option value="true">Yes</option>
+        <option value="false">No</option>
+      </select>
+    )
+  }
+
+  if (attribute.type === 'number') {
+    return (
+      <div className="flex items-center gap-2">
+        <input
+          type="number"
+          step="any"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder={attribute.label}
+          className={inputClass}
+        />
+        {attribute.unit && <span className="text-sm text-gray-500">{attribute.unit}</span>}
+      </div>
+    )
+  }
+
+  return (
+    <input
+      type="text"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      placeholder={attribute.label}
+      className={inputClass}
+    />
+  )
+}
+
+export default AttributeInput
@@ -0,0 +1,200 @@
+import { useState } from 'react'
+import axios from 'axios'
+
+// Backend API URL
+const API_URL = 'http://localhost:8000/api'
+
+// Helper function to get headers with token
+function getHeaders() {
+  const token = localStorage.getItem('token')
+  return {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${token}`,
+  }
+}
+
+// Helper function to turn an error response into a readable message
+function getErrorMessage(error, fallback) {
+  const data = error.response?.data
+  return data?.errors ? Object.values(data.errors).join('\n') : data?.message || fallback
+}
+
+const emptyValues = { category: '', mode: 'percent', value: '', stock: '', warehouse: '' }
+
+// Toolbar to apply one action to the selected products
+// selection is { ids } for picked products or { filter } for every product matching the filters,
+// count is the number of selected products
+// onDone is called after the action ran, onClear to drop the selection
+const BulkActions = ({ selection, count, categories, warehouses, canUpdate, canDelete, onDone, onClear }) => {
+  const [action, setAction] = useState(canUpdate ? 'setCategory' : 'delete')
+  const [values, setValues] = useState(emptyValues)
+  // Result of the last action: { summary, results }
+  const [result, setResult] = useState(null)
+  const [isApplying, setIsApplying] = useState(false)
+
+  const actions = [
+    canUpdate && { value: 'setCategory', label: 'Set category' },
+    canUpdate && { value: 'adjustPrice', label: 'Adjust price' },
+    canUpdate && { value: 'setStock', label: 'Set stock' },
+    canDelete && { value: 'delete', label: 'Move to trash' },
+  ].filter(Boolean)
+
+  async function handleApply() {
+    const label = `${count} product${count === 1 ? '' : 's'}`
+    if (action === 'delete' && !window.confirm(`Move ${label} to the trash?`)) {
+      return
+    }
+
+    const body = { ...selection, action }
+    if (action === 'setCategory') {
+      body.category = values.category
+    } else if (action === 'adjustPrice') {
+      body.mode = values.mode
+      body.value = values.value
+    } else if (action === 'setStock') {
+      body.stock = values.stock
+      body.warehouse = values.warehouse
+    }
+
+    setIsApplying(true)
+    try {
+      const response = await axios.post(`${API_URL}/products/bulk`, body, { headers: getHeaders() })
+      if (response.data.success) {
+        setResult(response.data.data)
+        setValues(emptyValues)
+        onDone()
+      }
+    } catch (error) {
+      console.error('Error applying bulk action:', error)
+      alert(getErrorMessage(error, 'Failed to apply the action'))
+    } finally {
+      setIsApplying(false)
+    }
+  }
+
+  const failures = result ? result.results.filter((item) => !item.success) : []
+
+  if (count === 0 && !result) {
+    return null
+  }
+
+  return (
+    <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 space-y-3">
+      {count > 0 && (
+        <div className="flex flex-wrap items-end gap-3">
+          <div className="text-sm font-medium text-blue-900 self-center">
+            {count} selected
+          </div>
+          <select
+            value={action}
+            onChange={(e) => setAction(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg bg-white"
+          >
+            {actions.map((item) => (
+              <option key={item.value} value={item.value}>{item.label}</option>
+            ))}
+          </select>
+
+          {action === 'setCategory' && (
+            <select
+              value={values.category}
+              onChange={(e) => setValues({ ...values, category: e.target.value })}
+              className="px-3 py-2 border border-gray-300 rounded-lg bg-white"
+            >
+              <option value="">Select a category</option>
+              {categories.map((cat) => (
+                <option key={cat._id} value={cat._id}>
+                  {cat.path || cat.name}
+                </option>
+              ))}
+            </select>
+          )}
+
+          {action === 'adjustPrice' && (
+            <>
+              <input
+                type="number"
+                step="0.01"
+                value={values.value}
+                onChange={(e) => setValues({ ...values, value: e.target.value })}
+                placeholder="e.g. 10 or -5"
+                className="w-32 px-3 py-2 border border-gray-300 rounded-lg"
+              />
+              <select
+                value={values.mode}
+                onChange={(e) => setValues({ ...values, mode: e.target.value })}
+                className="px-3 py-2 border border-gray-300 rounded-lg bg-white"
+              >
+                <option value="percent">%</option>
+                <option value="amount">$</option>
+              </select>
+            </>
+          )}
+
+          {action === 'setStock' && (
+            <>
+              <input
+                type="number"
+                min="0"
+                value={values.stock}
+                onChange={(e) => setValues({ ...values, stock: e.target.value })}
+                placeholder="Stock"
+                className="w-28 px-3 py-2 border border-gray-300 rounded-lg"
+              />
+              <select
+                value={values.warehouse}
+                onChange={(e) => setValues({ ...values, warehouse: e.target.value })}
+                title="Differences are booked in this warehouse"
+                className="px-3 py-2 border border-gray-300 rounded-lg bg-white"
+              >
+                <option value="">Default warehouse</option>
+                {warehouses.map((warehouse) => (
+                  <option key={warehouse._id} value={warehouse._id}>{warehouse.name}</option>
+                ))}
+              </select>
+            </>
+          )}
+
+          <button
+            onClick={handleApply}
+            disabled={isApplying}
+            className={`px-4 py-2 text-white rounded-lg disabled:opacity-50 ${
+              action === 'delete' ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'
+            }`}
+          >
+            {isApplying ? 'Applying...' : 'Apply'}
+          </button>
+          <button onClick={onClear} className="px-4 py-2 text-sm text-gray-600 hover:text-gray-900">
+            Clear selection
+          </button>
+        </div>
+      )}
+
+      {result && (
+        <div className="text-sm">
+          <div className="flex items-center justify-between">
+            <span className={failures.length > 0 ? 'text-amber-800' : 'text-green-800'}>
+              {result.summary.succeeded} of {result.summary.total} product{result.summary.total === 1 ? '' : 's'} changed
+              {failures.length > 0 && `, ${failures.length} skipped`}
+            </span>
+            <button onClick={() => setResult(null)} className="text-gray-500 hover:text-gray-800">
+              Dismiss
+            </button>
+          </div>
+          {failures.length > 0 && (
+            <ul className="mt-2 space-y-1 max-h-40 overflow-y-auto">
+              {failures.map((item) => (
+                <li key={item.id} className="text-red-700">
+                  <span className="font-medium">{item.name || item.id}</span>
+                  {item.sku && <span className="font-mono text-xs ml-1">({item.sku})</span>}: {item.message}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default BulkActions
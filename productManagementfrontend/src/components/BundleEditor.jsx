@@ -0,0 +1,172 @@
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+import { variantLabel } from '../utils/variants'
+
+// Editor for the products in a bundle
+// components are { product, variant, quantity } rows: product is the product with its options
+// and variants, variant is a variant id ('' for products without variants), quantity is a string input
+
+// Backend API URL
+const API_URL = 'http://localhost:8000/api'
+
+// Helper function to get headers with token
+function getHeaders() {
+  const token = localStorage.getItem('token')
+  return {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${token}`,
+  }
+}
+
+// Helper function to get the stock of a component that is not reserved for sales orders
+function availableStock(component) {
+  const source = component.variant
+    ? component.product.variants.find((variant) => variant._id === component.variant)
+    : component.product
+  return source ? source.stock - (source.reserved || 0) : 0
+}
+
+const BundleEditor = ({ components, onChange }) => {
+  const [productSearch, setProductSearch] = useState('')
+  const [productResults, setProductResults] = useState([])
+
+  // Look up products to add while typing - bundles cannot contain other bundles
+  // Results are only shown for searches of 2 or more characters
+  const term = productSearch.trim()
+  useEffect(() => {
+    if (term.length < 2) {
+      return
+    }
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.get(`${API_URL}/products`, {
+          headers: getHeaders(),
+          params: { search: term, kind: 'standard', limit: 8 },
+        })
+        if (response.data.success) {
+          setProductResults(response.data.data.products)
+        }
+      } catch (error) {
+        console.error('Error searching products:', error)
+      }
+    }, 300)
+    return () => clearTimeout(timer)
+  }, [term])
+
+  function addComponent(product) {
+    onChange([...components, { product, variant: '', quantity: '1' }])
+    setProductSearch('')
+    setProductResults([])
+  }
+
+  function updateComponent(index, changes) {
+    onChange(components.map((component, i) => (i === index ? { ...component, ...changes } : component)))
+  }
+
+  function removeComponent(index) {
+    onChange(components.filter((_, i) => i !== index))
+  }
+
+  // Bundles that can be put together from the available stock, in all warehouses together
+  const complete = components.length > 0 && components.every((component) =>
+    parseInt(component.quantity) > 0 && (component.product.variants.length === 0 || component.variant)
+  )
+  const possible = complete
+    ? Math.min(...components.map((component) => Math.floor(availableStock(component) / parseInt(component.quantity))))
+    : null
+
+  return (
+    <div>
+      <div className="relative mb-2">
+        <input
+          type="text"
+          value={productSearch}
+          onChange={(e) => setProductSearch(e.target.value)}
+          placeholder="Search products by name, SKU or barcode to add them..."
+          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        {term.length >= 2 && productResults.length > 0 && (
+          <div className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg max-h-60 overflow-y-auto">
+            {productResults.map((product) => (
+              <button
+                key={product._id}
+                type="button"
+                onClick={() => addComponent(product)}
+                className="w-full text-left px-4 py-2 text-sm hover:bg-gray-50"
+              >
+                {product.name}
+                <span className="font-mono text-xs text-gray-500 ml-2">{product.sku}</span>
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+      {components.length === 0 ? (
+        <p className="text-sm text-gray-500">No products in this bundle yet.</p>
+      ) : (
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Per Bundle</th>
+              <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Available</th>
+              <th className="px-3 py-2" />
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {components.map((component, index) => (
+              <tr key={`${component.product._id}-${index}`}>
+                <td className="px-3 py-2">
+                  <div>{component.product.name}</div>
+                  {component.product.variants.length > 0 && (
+                    <select
+                      value={component.variant}
+                      onChange={(e) => updateComponent(index, { variant: e.target.value })}
+                      className="mt-1 px-2 py-1 border border-gray-300 rounded text-sm"
+                    >
+                      <option value="">Select a variant</option>
+                      {component.product.variants.map((variant) => (
+                        <option key={variant._id} value={variant._id}>
+                          {variantLabel(variant, component.product.options)}
+                        </option>
+                      ))}
+                    </select>
+                  )}
+                </td>
+                <td className="px-3 py-2">
+                  <input
+                    type="number"
+                    min="1"
+                    value={component.quantity}
+                    onChange={(e) => updateComponent(index, { quantity: e.target.value })}
+                    className="w-20 px-2 py-1 border border-gray-300 rounded"
+                  />
+                </td>
+                <td className="px-3 py-2 text-right text-gray-700">
+                  {component.product.variants.length > 0 && !component.variant ? '—' : availableStock(component)}
+                </td>
+                <td className="px-3 py-2 text-right">
+                  <button
+                    type="button"
+                    onClick={() => removeComponent(index)}
+                    className="text-red-600 hover:text-red-900"
+                  >
+                    Remove
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {possible !== null && (
+        <p className="text-xs text-gray-500 mt-2">
+          About {possible} bundle{possible === 1 ? '' : 's'} can be put together from the available stock.
+          Each warehouse only uses its own stock, so the saved number can be lower.
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default BundleEditor
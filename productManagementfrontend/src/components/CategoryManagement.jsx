@@ -1,5 +1,7 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useContext } from 'react'
 import axios from 'axios'
+import { AuthContext } from '../context/AuthContext'
+import { can } from '../utils/permissions'
 
 // Backend API URL
 const API_URL = 'http://localhost:8000/api'
@@ -13,34 +15,100 @@ function getHeaders() {
   }
 }
 
+// Products listed in the alert when a delete or merge is refused because of their attributes
+const MAX_ALERT_CONFLICTS = 10
+
+// Helper function to read the error of a delete or merge, with the products that do not fit
+// the target category's attributes
+function getRemovalErrorMessage(error, fallback) {
+  const data = error.response?.data
+  if (!data?.message) {
+    return fallback
+  }
+  if (data.error !== 'ATTRIBUTE_CONFLICT') {
+    return data.message
+  }
+  const lines = data.data.conflicts.slice(0, MAX_ALERT_CONFLICTS).map((product) =>
+    `- ${product.name} (${product.sku})${product.inTrash ? ' [in trash]' : ''}: ${product.errors.join(', ')}`
+  )
+  if (data.data.conflictCount > lines.length) {
+    lines.push(`...and ${data.data.conflictCount - lines.length} more`)
+  }
+  return [data.message, ...lines].join('\n')
+}
+
+// Attribute types a category can define for its products
+const attributeTypes = [
+  { value: 'text', label: 'Text' },
+  { value: 'number', label: 'Number' },
+  { value: 'enum', label: 'List of options' },
+  { value: 'boolean', label: 'Yes / No' },
+]
+
+const emptyAttribute = { key: '', label: '', type: 'text', unit: '', optionsText: '', required: false }
+
+// Helper function to turn the tree into a flat list with the depth of each category
+function flattenTree(nodes, depth = 0) {
+  return nodes.flatMap((node) => [{ ...node, depth }, ...flattenTree(node.children, depth + 1)])
+}
+
+// Helper function to keep only categories whose name matches, plus the categories above them
+function filterTree(nodes, term) {
+  return nodes.reduce((result, node) => {
+    const children = filterTree(node.children, term)
+    if (node.name.toLowerCase().includes(term) || children.length > 0) {
+      result.push({ ...node, children })
+    }
+    return result
+  }, [])
+}
+
+// Helper function to collect the ids of a category and everything below it
+function collectIds(node) {
+  return [node._id, ...node.children.flatMap(collectIds)]
+}
+
 const CategoryManagement = () => {
-  const [categories, setCategories] = useState([])
+  const { user } = useContext(AuthContext)
+  const canCreate = can(user, 'categories:create')
+  const canUpdate = can(user, 'categories:update')
+  const canDelete = can(user, 'categories:delete')
+
+  const [tree, setTree] = useState([])
   const [isLoading, setIsLoading] = useState(true)
   const [isModalOpen, setIsModalOpen] = useState(false)
   const [editingCategory, setEditingCategory] = useState(null)
   const [categoryName, setCategoryName] = useState('')
+  const [parentId, setParentId] = useState('')
+  // Attribute fields being edited - enum options are edited as comma-separated text
+  const [attributes, setAttributes] = useState([])
+  // Default reorder settings for products in the category - empty for none
+  const [reorderPoint, setReorderPoint] = useState('')
+  const [reorderQuantity, setReorderQuantity] = useState('')
   const [searchTerm, setSearchTerm] = useState('')
+  const [expandedIds, setExpandedIds] = useState(new Set())
+
+  // Delete-with-reassignment and merge dialog - mode is 'delete' or 'merge'
+  const [removal, setRemoval] = useState(null)
+  const [targetId, setTargetId] = useState('')
+
+  // Drag and drop states - the category being dragged and the one it is over ('root' for the top level)
+  const [draggedNode, setDraggedNode] = useState(null)
+  const [dropTargetId, setDropTargetId] = useState(null)
 
   // Load categories from API when component loads
   useEffect(() => {
     loadCategories()
-  }, [searchTerm])
+  }, [])
 
-  // Function to load categories from API
+  // Function to load the category tree from API
   async function loadCategories() {
     try {
       setIsLoading(true)
-      
-      // Build URL with search parameter
-      let url = `${API_URL}/categories?page=1&limit=100`
-      if (searchTerm) {
-        url += `&search=${searchTerm}`
-      }
-      
-      const response = await axios.get(url, { headers: getHeaders() })
-      
+      const response = await axios.get(`${API_URL}/categories/tree`, { headers: getHeaders() })
+
       if (response.data.success) {
-        setCategories(response.data.data.categories)
+        setTree(response.data.data.tree)
       }
     } catch (error) {
       console.error('Error loading categories:', error)
@@ -50,18 +118,79 @@ const CategoryManagement = () => {
     }
   }
 
-  const handleAdd = () => {
+  // While searching, every matching branch is shown open
+  const term = searchTerm.trim().toLowerCase()
+  const visibleTree = term ? filterTree(tree, term) : tree
+  const allCategories = flattenTree(tree)
+
+  function isExpanded(id) {
+    return term !== '' || expandedIds.has(id)
+  }
+
+  function toggleExpanded(id) {
+    setExpandedIds((prev) => {
+      const next = new Set(prev)
+      if (next.has(id)) {
+        next.delete(id)
+      } else {
+        next.add(id)
+      }
+      return next
+    })
+  }
+
+  const handleAdd = (parent) => {
     setEditingCategory(null)
     setCategoryName('')
+    setParentId(parent ? parent._id : '')
+    setAttributes([])
+    setReorderPoint('')
+    setReorderQuantity('')
     setIsModalOpen(true)
   }
 
   const handleEdit = (category) => {
     setEditingCategory(category)
     setCategoryName(category.name)
+    setAttributes((category.attributes || []).map((attribute) => ({
+      ...emptyAttribute,
+      ...attribute,
+      unit: attribute.unit || '',
+      optionsText: (attribute.options || []).join(', '),
+    })))
+    setReorderPoint(category.reorderPoint == null ? '' : category.reorderPoint.toString())
+    setReorderQuantity(category.reorderQuantity == null ? '' : category.reorderQuantity.toString())
     setIsModalOpen(true)
   }
 
+  function closeModal() {
+    setIsModalOpen(false)
+    setCategoryName('')
+    setParentId('')
+    setAttributes([])
+    setReorderPoint('')
+    setReorderQuantity('')
+    setEditingCategory(null)
+  }
+
+  function updateAttribute(index, changes) {
+    setAttributes((prev) => prev.map((attribute, i) => (i === index ? { ...attribute, ...changes } : attribute)))
+  }
+
+  // Attribute fields in the shape the API expects
+  function attributesToSend() {
+    return attributes.map((attribute) => ({
+      key: attribute.key || undefined,
+      label: attribute.label,
+      type: attribute.type,
+      unit: attribute.type === 'number' ? attribute.unit : undefined,
+      options: attribute.type === 'enum'
+        ? attribute.optionsText.split(',').map((option) => option.trim()).filter(Boolean)
+        : undefined,
+      required: attribute.required,
+    }))
+  }
+
   // Save category - create or update
   async function handleSave() {
     if (!categoryName.trim()) {
@@ -74,16 +203,14 @@ const CategoryManagement = () => {
         // Update existing category - call API
         const response = await axios.put(
           `${API_URL}/categories/${editingCategory._id}`,
-          { name: categoryName },
+          { name: categoryName, attributes: attributesToSend(), reorderPoint, reorderQuantity },
           { headers: getHeaders() }
         )
-        
+
         if (response.data.success) {
           // Reload categories from API
           loadCategories()
-          setIsModalOpen(false)
-          setCategoryName('')
-          setEditingCategory(null)
+          closeModal()
         } else {
           alert(response.data.message || 'Failed to update category')
         }
@@ -91,50 +218,240 @@ const CategoryManagement = () => {
         // Create new category - call API
         const response = await axios.post(
           `${API_URL}/categories`,
-          { name: categoryName },
+          { name: categoryName, parent: parentId || null, attributes: attributesToSend(), reorderPoint, reorderQuantity },
           { headers: getHeaders() }
         )
-        
+
         if (response.data.success) {
-          // Reload categories from API
+          // Open the parent so the new category is visible
+          if (parentId) {
+            setExpandedIds((prev) => new Set(prev).add(parentId))
+          }
           loadCategories()
-          setIsModalOpen(false)
-          setCategoryName('')
+          closeModal()
         } else {
           alert(response.data.message || 'Failed to create category')
         }
       }
     } catch (error) {
       console.error('Error saving category:', error)
-      const message = error.response?.data?.message || 'Failed to save category'
-      alert(message)
+      const data = error.response?.data
+      alert(data?.errors ? Object.values(data.errors).join('\n') : data?.message || 'Failed to save category')
     }
   }
 
-  // Delete category - call API
-  async function handleDelete(id) {
-    if (!window.confirm('Are you sure you want to delete this category?')) {
+  // Delete category - empty categories are deleted right away,
+  // categories with products open the dialog to pick where the products go
+  function handleDelete(node) {
+    if (node.productCount > 0) {
+      openRemoval('delete', node)
       return
     }
+    if (!window.confirm('Move this category to the trash?')) {
+      return
+    }
+    deleteCategory(node._id)
+  }
 
+  function openRemoval(mode, node) {
+    setRemoval({ mode, node })
+    setTargetId('')
+  }
+
+  function closeRemoval() {
+    setRemoval(null)
+    setTargetId('')
+  }
+
+  // Delete category - call API, optionally moving its products to another category first
+  async function deleteCategory(id, reassignTo) {
     try {
       const response = await axios.delete(`${API_URL}/categories/${id}`, {
         headers: getHeaders(),
+        params: reassignTo ? { reassignTo } : undefined,
       })
-      
+
       if (response.data.success) {
         // Reload categories from API
         loadCategories()
+        closeRemoval()
       } else {
         alert(response.data.message || 'Failed to delete category')
       }
     } catch (error) {
       console.error('Error deleting category:', error)
-      const message = error.response?.data?.message || 'Failed to delete category'
-      alert(message)
+      alert(getRemovalErrorMessage(error, 'Failed to delete category'))
+    }
+  }
+
+  // Merge category into the selected one - call API
+  async function mergeCategory(id, target) {
+    try {
+      const response = await axios.post(
+        `${API_URL}/categories/${id}/merge`,
+        { targetId: target },
+        { headers: getHeaders() }
+      )
+
+      if (response.data.success) {
+        setExpandedIds((prev) => new Set(prev).add(target))
+        loadCategories()
+        closeRemoval()
+      }
+    } catch (error) {
+      console.error('Error merging category:', error)
+      alert(getRemovalErrorMessage(error, 'Failed to merge category'))
+    }
+  }
+
+  function handleConfirmRemoval() {
+    if (!targetId) {
+      alert('Please select a target category')
+      return
+    }
+    if (removal.mode === 'merge') {
+      mergeCategory(removal.node._id, targetId)
+    } else {
+      deleteCategory(removal.node._id, targetId)
+    }
+  }
+
+  // A category cannot be dropped on itself, anything below it, or its current parent
+  function canDropOn(targetId) {
+    if (!draggedNode) {
+      return false
+    }
+    if (targetId === 'root') {
+      return draggedNode.parent !== null
+    }
+    return !collectIds(draggedNode).includes(targetId) && draggedNode.parent !== targetId
+  }
+
+  function handleDragOver(e, targetId) {
+    if (canDropOn(targetId)) {
+      e.preventDefault()
+      setDropTargetId(targetId)
     }
   }
 
+  function handleDragEnd() {
+    setDraggedNode(null)
+    setDropTargetId(null)
+  }
+
+  // Move the dragged category under the category it was dropped on - call API
+  async function handleDrop(e, targetId) {
+    e.preventDefault()
+    const node = draggedNode
+    handleDragEnd()
+    if (!node || !canDropOn(targetId)) {
+      return
+    }
+
+    try {
+      const response = await axios.patch(
+        `${API_URL}/categories/${node._id}/move`,
+        { parent: targetId === 'root' ? null : targetId },
+        { headers: getHeaders() }
+      )
+
+      if (response.data.success) {
+        if (targetId !== 'root') {
+          setExpandedIds((prev) => new Set(prev).add(targetId))
+        }
+        loadCategories()
+      }
+    } catch (error) {
+      console.error('Error moving category:', error)
+      alert(error.response?.data?.message || 'Failed to move category')
+    }
+  }
+
+  // Render one category and, when open, the categories below it
+  function renderNode(node, depth) {
+    const hasChildren = node.children.length > 0
+    const expanded = isExpanded(node._id)
+
+    return (
+      <li key={node._id}>
+        <div
+          draggable={canUpdate}
+          onDragStart={(e) => {
+            e.dataTransfer.effectAllowed = 'move'
+            setDraggedNode(node)
+          }}
+          onDragEnd={handleDragEnd}
+          onDragOver={(e) => handleDragOver(e, node._id)}
+          onDragLeave={() => setDropTargetId(null)}
+          onDrop={(e) => handleDrop(e, node._id)}
+          className={`flex items-center justify-between gap-4 px-4 py-3 border-b border-gray-100 hover:bg-gray-50 ${
+            dropTargetId === node._id ? 'bg-blue-50 ring-2 ring-inset ring-blue-400' : ''
+          } ${draggedNode?._id === node._id ? 'opacity-50' : ''} ${canUpdate ? 'cursor-move' : ''}`}
+          style={{ paddingLeft: `${1 + depth * 1.5}rem` }}
+        >
+          <div className="flex items-center gap-2 min-w-0">
+            <button
+              type="button"
+              onClick={() => toggleExpanded(node._id)}
+              className={`w-5 text-gray-500 ${hasChildren ? '' : 'invisible'}`}
+              aria-label={expanded ? 'Collapse' : 'Expand'}
+            >
+              {expanded ? '▾' : '▸'}
+            </button>
+            <span className="text-sm font-medium text-gray-900 truncate">{node.name}</span>
+            <span className="text-xs text-gray-500 whitespace-nowrap">
+              {node.productCount} products
+              {hasChildren && node.totalProductCount !== node.productCount && ` (${node.totalProductCount} with subcategories)`}
+            </span>
+          </div>
+          <div className="flex items-center gap-4 text-sm font-medium whitespace-nowrap">
+            {canCreate && (
+              <button
+                onClick={() => handleAdd(node)}
+                className="text-gray-600 hover:text-gray-900"
+              >
+                + Subcategory
+              </button>
+            )}
+            {canUpdate && (
+              <button
+                onClick={() => handleEdit(node)}
+                className="text-blue-600 hover:text-blue-900"
+              >
+                Edit
+              </button>
+            )}
+            {canDelete && (
+              <button
+                onClick={() => openRemoval('merge', node)}
+                className="text-gray-600 hover:text-gray-900"
+              >
+                Merge
+              </button>
+            )}
+            {canDelete && (
+              <button
+                onClick={() => handleDelete(node)}
+                className="text-red-600 hover:text-red-900"
+              >
+                Delete
+              </button>
+            )}
+          </div>
+        </div>
+        {hasChildren && expanded && (
+          <ul>{node.children.map((child) => renderNode(child, depth + 1))}</ul>
+        )}
+      </li>
+    )
+  }
+
+  // Categories products can be moved to - a merge cannot go into the category's own subtree
+  const excludedIds = removal
+    ? (removal.mode === 'merge' ? collectIds(removal.node) : [removal.node._id])
+    : []
+  const targetOptions = allCategories.filter((category) => !excludedIds.includes(category._id))
+
   return (
     <div className="space-y-6">
       {/* Header with Add Button */}
@@ -148,81 +465,112 @@ const CategoryManagement = () => {
             className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
           />
         </div>
-        <button
-          onClick={handleAdd}
-          className="w-full sm:w-auto px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors whitespace-nowrap"
-        >
-          + Add Category
-        </button>
+        <div className="flex gap-3 w-full sm:w-auto">
+          <button
+            onClick={() => setExpandedIds(new Set(allCategories.map((category) => category._id)))}
+            className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 whitespace-nowrap"
+          >
+            Expand All
+          </button>
+          <button
+            onClick={() => setExpandedIds(new Set())}
+            className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 whitespace-nowrap"
+          >
+            Collapse All
+          </button>
+          {canCreate && (
+            <button
+              onClick={() => handleAdd(null)}
+              className="flex-1 sm:flex-none px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors whitespace-nowrap"
+            >
+              + Add Category
+            </button>
+          )}
+        </div>
       </div>
 
-      {/* Categories Table */}
+      {/* Category Tree */}
       <div className="bg-white rounded-lg shadow overflow-hidden">
-        <div className="overflow-x-auto -mx-4 sm:mx-0">
-          <div className="inline-block min-w-full align-middle">
-            <table className="min-w-full divide-y divide-gray-200">
-          <thead className="bg-gray-50">
-            <tr>
-              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                ID
-              </th>
-              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                Category Name
-              </th>
-              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-                Actions
-              </th>
-            </tr>
-          </thead>
-          <tbody className="bg-white divide-y divide-gray-200">
-            {isLoading ? (
-              <tr>
-                <td colSpan="3" className="px-6 py-4 text-center text-gray-500">
-                  Loading categories...
-                </td>
-              </tr>
-            ) : categories.length === 0 ? (
-              <tr>
-                <td colSpan="3" className="px-6 py-4 text-center text-gray-500">
-                  No categories found
-                </td>
-              </tr>
-            ) : (
-              categories.map((category) => (
-                <tr key={category._id} className="hover:bg-gray-50">
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                    {category._id}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                    {category.name}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                    <button
-                      onClick={() => handleEdit(category)}
-                      className="text-blue-600 hover:text-blue-900 mr-4"
-                    >
-                      Edit
-                    </button>
-                    <button
-                      onClick={() => handleDelete(category._id)}
-                      className="text-red-600 hover:text-red-900"
-                    >
-                      Delete
-                    </button>
-                  </td>
-                </tr>
-              ))
-            )}
-          </tbody>
-        </table>
+        {canUpdate && (
+          <div
+            onDragOver={(e) => handleDragOver(e, 'root')}
+            onDragLeave={() => setDropTargetId(null)}
+            onDrop={(e) => handleDrop(e, 'root')}
+            className={`px-4 py-2 text-xs border-b border-gray-200 ${
+              dropTargetId === 'root' ? 'bg-blue-50 text-blue-700' : 'bg-gray-50 text-gray-500'
+            }`}
+          >
+            {draggedNode
+              ? 'Drop here to make it a top-level category'
+              : 'Drag a category onto another one to move it there'}
           </div>
-        </div>
+        )}
+        {isLoading ? (
+          <p className="px-6 py-4 text-center text-gray-500">Loading categories...</p>
+        ) : visibleTree.length === 0 ? (
+          <p className="px-6 py-4 text-center text-gray-500">No categories found</p>
+        ) : (
+          <ul>{visibleTree.map((node) => renderNode(node, 0))}</ul>
+        )}
       </div>
 
+      {/* Dialog for delete with reassignment, and merge */}
+      {removal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg p-4 sm:p-6 w-full max-w-md">
+            <h2 className="text-xl font-bold mb-2">
+              {removal.mode === 'merge' ? `Merge "${removal.node.name}"` : `Delete "${removal.node.name}"`}
+            </h2>
+            <p className="text-sm text-gray-600 mb-4">
+              <span className="font-semibold">{removal.node.productCount}</span>{' '}
+              {removal.node.productCount === 1 ? 'product uses' : 'products use'} this category
+              {removal.mode === 'merge' && removal.node.children.length > 0 && (
+                <>
+                  {' '}and it has <span className="font-semibold">{removal.node.children.length}</span>{' '}
+                  {removal.node.children.length === 1 ? 'subcategory' : 'subcategories'}
+                </>
+              )}
+              . {removal.mode === 'merge'
+                ? 'They will be moved to the category below, then this category is moved to the trash.'
+                : 'Choose the category to move them to before this category is deleted.'}
+            </p>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {removal.mode === 'merge' ? 'Merge into' : 'Move products to'}
+            </label>
+            <select
+              value={targetId}
+              onChange={(e) => setTargetId(e.target.value)}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 mb-6"
+            >
+              <option value="">Select a category</option>
+              {targetOptions.map((category) => (
+                <option key={category._id} value={category._id}>
+                  {'\u00A0\u00A0\u00A0'.repeat(category.depth)}{category.name}
+                </option>
+              ))}
+            </select>
+            <div className="flex justify-end space-x-3">
+              <button
+                onClick={closeRemoval}
+                className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleConfirmRemoval}
+                className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700"
+              >
+                {removal.mode === 'merge' ? 'Merge' : 'Move Products and Delete'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Modal for Add/Edit */}
       {isModalOpen && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-          <div className="bg-white rounded-lg p-4 sm:p-6 w-full max-w-md">
+          <div className="bg-white rounded-lg p-4 sm:p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
             <h2 className="text-xl font-bold mb-4">
               {editingCategory ? 'Edit Category' : 'Add New Category'}
             </h2>
@@ -234,13 +582,136 @@ const CategoryManagement = () => {
               className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 mb-4"
               autoFocus
             />
+            {!editingCategory && (
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Parent Category</label>
+                <select
+                  value={parentId}
+                  onChange={(e) => setParentId(e.target.value)}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">None (top level)</option>
+                  {allCategories.map((category) => (
+                    <option key={category._id} value={category._id}>
+                      {'\u00A0\u00A0\u00A0'.repeat(category.depth)}{category.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+            {/* Default reorder settings for products in this category */}
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Default Reorder Point</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={reorderPoint}
+                  onChange={(e) => setReorderPoint(e.target.value)}
+                  placeholder="None"
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Default Reorder Quantity</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={reorderQuantity}
+                  onChange={(e) => setReorderQuantity(e.target.value)}
+                  placeholder="None"
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <p className="sm:col-span-2 text-xs text-gray-500 -mt-2">
+                Used by products in this category that have no reorder settings of their own.
+              </p>
+            </div>
+            {/* Attribute fields for products in this category */}
+            <div className="mb-4">
+              <div className="flex items-center justify-between mb-2">
+                <label className="block text-sm font-medium text-gray-700">Product Attributes</label>
+                <button
+                  type="button"
+                  onClick={() => setAttributes((prev) => [...prev, { ...emptyAttribute }])}
+                  className="text-sm text-blue-600 hover:text-blue-900"
+                >
+                  + Add Attribute
+                </button>
+              </div>
+              {attributes.length === 0 ? (
+                <p className="text-xs text-gray-500">
+                  No attributes. Products in subcategories also get the attributes of the categories above them.
+                </p>
+              ) : (
+                <div className="space-y-3">
+                  {attributes.map((attribute, index) => (
+                    <div key={index} className="border border-gray-200 rounded-lg p-3 space-y-2">
+                      <div className="flex gap-2">
+                        <input
+                          type="text"
+                          value={attribute.label}
+                          onChange={(e) => updateAttribute(index, { label: e.target.value })}
+                          placeholder="Label, e.g. Size"
+                          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                        <select
+                          value={attribute.type}
+                          onChange={(e) => updateAttribute(index, { type: e.target.value })}
+                          className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          {attributeTypes.map((type) => (
+                            <option key={type.value} value={type.value}>
+                              {type.label}
+                            </option>
+                          ))}
+                        </select>
+                        <button
+                          type="button"
+                          onClick={() => setAttributes((prev) => prev.filter((_, i) => i !== index))}
+                          className="px-2 text-red-600 hover:text-red-900"
+                          aria-label="Remove attribute"
+                        >
+                          ×
+                        </button>
+                      </div>
+                      {attribute.type === 'number' && (
+                        <input
+                          type="text"
+                          value={attribute.unit}
+                          onChange={(e) => updateAttribute(index, { unit: e.target.value })}
+                          placeholder="Unit (optional), e.g. GB"
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                      )}
+                      {attribute.type === 'enum' && (
+                        <input
+                          type="text"
+                          value={attribute.optionsText}
+                          onChange={(e) => updateAttribute(index, { optionsText: e.target.value })}
+                          placeholder="Options, separated by commas, e.g. S, M, L"
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                      )}
+                      <div className="flex items-center justify-between text-xs text-gray-500">
+                        <label className="flex items-center gap-2 text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={attribute.required}
+                            onChange={(e) => updateAttribute(index, { required: e.target.checked })}
+                          />
+                          Required
+                        </label>
+                        {attribute.key && <span className="font-mono">{attribute.key}</span>}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
             <div className="flex justify-end space-x-3">
               <button
-                onClick={() => {
-                  setIsModalOpen(false)
-                  setCategoryName('')
-                  setEditingCategory(null)
-                }}
+                onClick={closeModal}
                 className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
               >
                 Cancel
@@ -260,5 +731,3 @@ const CategoryManagement = () => {
 }
 
 export default CategoryManagement
-
-
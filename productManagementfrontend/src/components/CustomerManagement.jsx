@@ -0,0 +1,312 @@
+import { useState, useEffect, useContext } from 'react'
+import axios from 'axios'
+import { AuthContext } from '../context/AuthContext'
+import { can } from '../utils/permissions'
+
+// Backend API URL
+const API_URL = 'http://localhost:8000/api'
+
+// Helper function to get headers with token
+function getHeaders() {
+  const token = localStorage.getItem('token')
+  return {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${token}`,
+  }
+}
+
+const emptyForm = { name: '', email: '', phone: '', address: '', notes: '' }
+
+const CustomerManagement = () => {
+  const { user } = useContext(AuthContext)
+  const canManage = can(user, 'sales-orders:manage')
+
+  const [customers, setCustomers] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [searchTerm, setSearchTerm] = useState('')
+  const [isModalOpen, setIsModalOpen] = useState(false)
+  const [editingCustomer, setEditingCustomer] = useState(null)
+  const [formData, setFormData] = useState(emptyForm)
+
+  // Pagination states
+  const [currentPage, setCurrentPage] = useState(1)
+  const [totalPages, setTotalPages] = useState(1)
+  const [totalItems, setTotalItems] = useState(0)
+  const itemsPerPage = 20
+
+  // Load customers when the search or page changes
+  useEffect(() => {
+    loadCustomers()
+  }, [searchTerm, currentPage])
+
+  // Function to load customers from API
+  async function loadCustomers() {
+    try {
+      setIsLoading(true)
+      const params = { page: currentPage, limit: itemsPerPage }
+      if (searchTerm) {
+        params.search = searchTerm
+      }
+      const response = await axios.get(`${API_URL}/customers`, { headers: getHeaders(), params })
+      if (response.data.success) {
+        setCustomers(response.data.data.customers)
+        setTotalPages(response.data.data.pagination.totalPages)
+        setTotalItems(response.data.data.pagination.totalItems)
+      }
+    } catch (error) {
+      console.error('Error loading customers:', error)
+      alert('Failed to load customers')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  function handleAdd() {
+    setEditingCustomer(null)
+    setFormData(emptyForm)
+    setIsModalOpen(true)
+  }
+
+  function handleEdit(customer) {
+    setEditingCustomer(customer)
+    setFormData({
+      name: customer.name,
+      email: customer.email || '',
+      phone: customer.phone || '',
+      address: customer.address || '',
+      notes: customer.notes || '',
+    })
+    setIsModalOpen(true)
+  }
+
+  function closeModal() {
+    setIsModalOpen(false)
+    setEditingCustomer(null)
+    setFormData(emptyForm)
+  }
+
+  // Save customer - create or update
+  async function handleSave() {
+    if (!formData.name.trim()) {
+      alert('Please enter a customer name')
+      return
+    }
+
+    try {
+      const response = editingCustomer
+        ? await axios.put(`${API_URL}/customers/${editingCustomer._id}`, formData, { headers: getHeaders() })
+        : await axios.post(`${API_URL}/customers`, formData, { headers: getHeaders() })
+
+      if (response.data.success) {
+        loadCustomers()
+        closeModal()
+      }
+    } catch (error) {
+      console.error('Error saving customer:', error)
+      const data = error.response?.data
+      alert(data?.errors ? Object.values(data.errors).join('\n') : data?.message || 'Failed to save customer')
+    }
+  }
+
+  // Delete customer - call API
+  async function handleDelete(customer) {
+    if (!window.confirm(`Are you sure you want to delete "${customer.name}"?`)) {
+      return
+    }
+
+    try {
+      const response = await axios.delete(`${API_URL}/customers/${customer._id}`, { headers: getHeaders() })
+      if (response.data.success) {
+        loadCustomers()
+      }
+    } catch (error) {
+      console.error('Error deleting customer:', error)
+      alert(error.response?.data?.message || 'Failed to delete customer')
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row gap-4">
+        <input
+          type="text"
+          value={searchTerm}
+          onChange={(e) => {
+            setSearchTerm(e.target.value)
+            setCurrentPage(1)
+          }}
+          placeholder="Search customers by name or email..."
+          className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        {canManage && (
+          <button
+            onClick={handleAdd}
+            className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors whitespace-nowrap"
+          >
+            + Add Customer
+          </button>
+        )}
+      </div>
+
+      {/* Customers Table */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="overflow-x-auto -mx-4 sm:mx-0">
+          <div className="inline-block min-w-full align-middle">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Name
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Email / Phone
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Address
+                  </th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Orders
+                  </th>
+                  {canManage && (
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Actions
+                    </th>
+                  )}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {isLoading ? (
+                  <tr>
+                    <td colSpan="5" className="px-6 py-4 text-center text-gray-500">
+                      Loading customers...
+                    </td>
+                  </tr>
+                ) : customers.length === 0 ? (
+                  <tr>
+                    <td colSpan="5" className="px-6 py-4 text-center text-gray-500">
+                      No customers found
+                    </td>
+                  </tr>
+                ) : (
+                  customers.map((customer) => (
+                    <tr key={customer._id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{customer.name}</td>
+                      <td className="px-6 py-4 text-sm text-gray-700">
+                        {customer.email && <div>{customer.email}</div>}
+                        {customer.phone && <div className="text-gray-500">{customer.phone}</div>}
+                        {!customer.email && !customer.phone && '—'}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-700 whitespace-pre-line">{customer.address || '—'}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">{customer.orderCount}</td>
+                      {canManage && (
+                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                          <button
+                            onClick={() => handleEdit(customer)}
+                            className="text-blue-600 hover:text-blue-900 mr-4"
+                          >
+                            Edit
+                          </button>
+                          <button
+                            onClick={() => handleDelete(customer)}
+                            className="text-red-600 hover:text-red-900"
+                          >
+                            Delete
+                          </button>
+                        </td>
+                      )}
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      {/* Pagination */}
+      {totalPages > 1 && (
+        <div className="flex flex-col sm:flex-row items-center justify-between gap-4 bg-white px-4 py-3 rounded-lg shadow">
+          <div className="text-xs sm:text-sm text-gray-700 text-center sm:text-left">
+            Showing {((currentPage - 1) * itemsPerPage) + 1} to {Math.min(currentPage * itemsPerPage, totalItems)} of{' '}
+            {totalItems} customers
+          </div>
+          <div className="flex gap-2 flex-wrap justify-center">
+            <button
+              onClick={() => setCurrentPage((prev) => Math.max(prev - 1, 1))}
+              disabled={currentPage === 1}
+              className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Previous
+            </button>
+            <span className="px-4 py-2 text-sm text-gray-700">
+              Page {currentPage} of {totalPages}
+            </span>
+            <button
+              onClick={() => setCurrentPage((prev) => Math.min(prev + 1, totalPages))}
+              disabled={currentPage === totalPages}
+              className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Modal for Add/Edit */}
+      {isModalOpen && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg p-4 sm:p-6 w-full max-w-md max-h-[90vh] overflow-y-auto">
+            <h2 className="text-xl font-bold mb-4">
+              {editingCustomer ? 'Edit Customer' : 'Add New Customer'}
+            </h2>
+            <div className="space-y-4">
+              {[
+                { field: 'name', label: 'Name', type: 'text' },
+                { field: 'email', label: 'Email', type: 'email' },
+                { field: 'phone', label: 'Phone', type: 'tel' },
+              ].map(({ field, label, type }) => (
+                <div key={field}>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+                  <input
+                    type={type}
+                    value={formData[field]}
+                    onChange={(e) => setFormData({ ...formData, [field]: e.target.value })}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+              ))}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Shipping Address</label>
+                <textarea
+                  value={formData.address}
+                  onChange={(e) => setFormData({ ...formData, address: e.target.value })}
+                  rows={2}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                <textarea
+                  value={formData.notes}
+                  onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+                  rows={3}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+            </div>
+            <div className="flex justify-end space-x-3 mt-6">
+              <button onClick={closeModal} className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50">
+                Cancel
+              </button>
+              <button onClick={handleSave} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+                Save
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default CustomerManagement
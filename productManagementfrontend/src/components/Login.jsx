@@ -1,15 +1,39 @@
 import { useState, useContext } from 'react'
 import { AuthContext } from '../context/AuthContext'
-import { useNavigate } from 'react-router-dom'
+import { useNavigate, Link } from 'react-router-dom'
 
 const Login = () => {
   const [username, setUsername] = useState('')
   const [password, setPassword] = useState('')
   const [error, setError] = useState('')
   const [isLoading, setIsLoading] = useState(false)
-  const { login } = useContext(AuthContext)
+  // Set when the password was accepted but a two-factor code is still needed
+  const [challengeToken, setChallengeToken] = useState(null)
+  const [code, setCode] = useState('')
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false)
+  const { login, verifyTwoFactor } = useContext(AuthContext)
   const navigate = useNavigate()
 
+  // Show the result of a login step
+  function handleResult(result) {
+    if (result.success) {
+      navigate('/dashboard')
+    } else if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken)
+    } else if ((result.error === 'ACCOUNT_LOCKED' || result.error === 'RATE_LIMITED') && result.retryAt) {
+      // Tell the user when they can try again
+      const retryTime = new Date(result.retryAt).toLocaleTimeString()
+      setError(`${result.message}. Please try again after ${retryTime}.`)
+      setChallengeToken(null)
+    } else if (result.error === 'INVALID_CHALLENGE') {
+      // The code step took too long - start again with the password
+      setError(result.message)
+      setChallengeToken(null)
+    } else {
+      setError(result.message)
+    }
+  }
+
   async function handleSubmit(e) {
     e.preventDefault()
     setError('')
@@ -18,19 +42,113 @@ const Login = () => {
     try {
       // Call login function from context (it's async)
       const result = await login(username, password)
-      
-      if (result.success) {
-        navigate('/dashboard')
-      } else {
-        setError(result.message)
-      }
-    } catch (error) {
+      handleResult(result)
+    } catch {
       setError('Login failed. Please try again.')
     } finally {
       setIsLoading(false)
     }
   }
 
+  async function handleVerifyCode(e) {
+    e.preventDefault()
+    setError('')
+    setIsLoading(true)
+
+    try {
+      const result = await verifyTwoFactor(
+        challengeToken,
+        useRecoveryCode ? { recoveryCode: code } : { code }
+      )
+      handleResult(result)
+    } catch {
+      setError('Verification failed. Please try again.')
+    } finally {
+      setIsLoading(false)
+      setCode('')
+    }
+  }
+
+  // Go back to the username and password step
+  function handleBackToLogin() {
+    setChallengeToken(null)
+    setCode('')
+    setUseRecoveryCode(false)
+    setError('')
+  }
+
+  // Second step - code from the authenticator app
+  if (challengeToken) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-500 to-purple-600 flex items-center justify-center p-4">
+        <div className="bg-white rounded-lg shadow-2xl w-full max-w-md p-8">
+          <div className="text-center mb-8">
+            <h1 className="text-3xl font-bold text-gray-800 mb-2">Two-Factor Authentication</h1>
+            <p className="text-gray-600">
+              {useRecoveryCode
+                ? 'Enter one of your recovery codes'
+                : 'Enter the 6-digit code from your authenticator app'}
+            </p>
+          </div>
+
+          <form onSubmit={handleVerifyCode} className="space-y-6">
+            {error && (
+              <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+                {error}
+              </div>
+            )}
+
+            <div>
+              <label htmlFor="code" className="block text-sm font-medium text-gray-700 mb-2">
+                {useRecoveryCode ? 'Recovery Code' : 'Verification Code'}
+              </label>
+              <input
+                id="code"
+                type="text"
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg font-mono tracking-widest focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                required
+                autoFocus
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={isLoading}
+              className="w-full bg-blue-600 text-white py-3 rounded-lg font-medium hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isLoading ? 'Verifying...' : 'Verify'}
+            </button>
+          </form>
+
+          <div className="mt-6 flex justify-between text-sm">
+            <button
+              type="button"
+              onClick={() => {
+                setUseRecoveryCode(!useRecoveryCode)
+                setCode('')
+              }}
+              className="text-blue-600 hover:text-blue-800"
+            >
+              {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+            </button>
+            <button
+              type="button"
+              onClick={handleBackToLogin}
+              className="text-gray-600 hover:text-gray-800"
+            >
+              Back to login
+            </button>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-500 to-purple-600 flex items-center justify-center p-4">
       <div className="bg-white rounded-lg shadow-2xl w-full max-w-md p-8">
@@ -77,6 +195,12 @@ const Login = () => {
             />
           </div>
 
+          <div className="text-right -mt-4">
+            <Link to="/forgot-password" className="text-sm text-blue-600 hover:text-blue-800">
+              Forgot password?
+            </Link>
+          </div>
+
           <button
             type="submit"
             disabled={isLoading}
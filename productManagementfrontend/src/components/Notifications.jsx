@@ -0,0 +1,223 @@
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+
+// Backend API URL
+const API_URL = 'http://localhost:8000/api'
+
+// Helper function to get headers with token
+function getHeaders() {
+  const token = localStorage.getItem('token')
+  return {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${token}`,
+  }
+}
+
+// Label and badge colors for each kind of notification
+const typeStyles = {
+  low_stock: { label: 'Low stock', className: 'bg-amber-100 text-amber-800' },
+}
+
+// In-app inbox of the logged in user
+// onUnreadCountChange is called with the number of unread notifications after each change
+const Notifications = ({ onUnreadCountChange }) => {
+  const [notifications, setNotifications] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [unreadOnly, setUnreadOnly] = useState(false)
+  const [unreadCount, setUnreadCount] = useState(0)
+
+  // Pagination states
+  const [currentPage, setCurrentPage] = useState(1)
+  const [totalPages, setTotalPages] = useState(1)
+  const [totalItems, setTotalItems] = useState(0)
+  const itemsPerPage = 20
+
+  // Load notifications when the filter or page changes
+  useEffect(() => {
+    loadNotifications()
+  }, [unreadOnly, currentPage])
+
+  // Function to load notifications from API
+  async function loadNotifications() {
+    try {
+      setIsLoading(true)
+      const params = { page: currentPage, limit: itemsPerPage }
+      if (unreadOnly) {
+        params.unread = 'true'
+      }
+      const response = await axios.get(`${API_URL}/notifications`, { headers: getHeaders(), params })
+      if (response.data.success) {
+        setNotifications(response.data.data.notifications)
+        setTotalPages(response.data.data.pagination.totalPages)
+        setTotalItems(response.data.data.pagination.totalItems)
+        updateUnreadCount(response.data.data.unreadCount)
+      }
+    } catch (error) {
+      console.error('Error loading notifications:', error)
+      alert('Failed to load notifications')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  function updateUnreadCount(count) {
+    setUnreadCount(count)
+    if (onUnreadCountChange) {
+      onUnreadCountChange(count)
+    }
+  }
+
+  // Mark one notification as read - call API
+  async function handleMarkRead(notification) {
+    try {
+      const response = await axios.patch(
+        `${API_URL}/notifications/${notification._id}/read`,
+        {},
+        { headers: getHeaders() }
+      )
+      if (response.data.success) {
+        setNotifications((prev) => prev.map((item) => (item._id === notification._id ? response.data.data : item)))
+        updateUnreadCount(Math.max(unreadCount - 1, 0))
+      }
+    } catch (error) {
+      console.error('Error marking notification as read:', error)
+      alert(error.response?.data?.message || 'Failed to mark notification as read')
+    }
+  }
+
+  // Mark every notification as read - call API
+  async function handleMarkAllRead() {
+    try {
+      const response = await axios.patch(`${API_URL}/notifications/read-all`, {}, { headers: getHeaders() })
+      if (response.data.success) {
+        if (currentPage === 1) {
+          loadNotifications()
+        } else {
+          setCurrentPage(1)
+        }
+      }
+    } catch (error) {
+      console.error('Error marking notifications as read:', error)
+      alert('Failed to mark notifications as read')
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Filters */}
+      <div className="bg-white p-4 rounded-lg shadow flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={unreadOnly}
+            onChange={(e) => {
+              setUnreadOnly(e.target.checked)
+              setCurrentPage(1)
+            }}
+            className="rounded border-gray-300"
+          />
+          Unread only
+        </label>
+        <div className="flex items-center gap-4">
+          <span className="text-sm text-gray-600">{unreadCount} unread</span>
+          <button
+            onClick={handleMarkAllRead}
+            disabled={unreadCount === 0}
+            className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed text-sm"
+          >
+            Mark All as Read
+          </button>
+        </div>
+      </div>
+
+      {/* Notification list */}
+      <div className="bg-white rounded-lg shadow divide-y divide-gray-200">
+        {isLoading ? (
+          <div className="px-6 py-4 text-center text-gray-500">Loading notifications...</div>
+        ) : notifications.length === 0 ? (
+          <div className="px-6 py-4 text-center text-gray-500">No notifications</div>
+        ) : (
+          notifications.map((notification) => {
+            const style = typeStyles[notification.type] || { label: notification.type, className: 'bg-gray-100 text-gray-800' }
+            return (
+              <div key={notification._id} className={`px-6 py-4 ${notification.readAt ? '' : 'bg-blue-50'}`}>
+                <div className="flex flex-col sm:flex-row sm:items-start justify-between gap-2">
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2 mb-1">
+                      <span className={`px-2 py-1 rounded-full text-xs font-medium ${style.className}`}>
+                        {style.label}
+                      </span>
+                      <span className={`text-sm ${notification.readAt ? 'text-gray-700' : 'font-semibold text-gray-900'}`}>
+                        {notification.title}
+                      </span>
+                    </div>
+                    <div className="text-xs text-gray-500">{new Date(notification.createdAt).toLocaleString()}</div>
+                  </div>
+                  {!notification.readAt && (
+                    <button
+                      onClick={() => handleMarkRead(notification)}
+                      className="text-sm text-blue-600 hover:text-blue-900 whitespace-nowrap"
+                    >
+                      Mark as Read
+                    </button>
+                  )}
+                </div>
+                {notification.type === 'low_stock' && notification.data?.products ? (
+                  <ul className="mt-2 text-sm text-gray-700 space-y-1">
+                    {notification.data.products.map((product) => (
+                      <li key={product._id}>
+                        <span className="font-medium">{product.name}</span>
+                        <span className="font-mono text-xs text-gray-500 ml-2">{product.sku}</span>
+                        <span className="ml-2">
+                          {product.available !== undefined
+                            ? `${product.available} available (${product.stock} in stock)`
+                            : `${product.stock} left`}, reorder point {product.reorderPoint}
+                          {product.reorderQuantity ? `, reorder ${product.reorderQuantity}` : ''}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  notification.message && (
+                    <p className="mt-2 text-sm text-gray-700 whitespace-pre-line">{notification.message}</p>
+                  )
+                )}
+              </div>
+            )
+          })
+        )}
+      </div>
+
+      {/* Pagination */}
+      {totalPages > 1 && (
+        <div className="flex flex-col sm:flex-row items-center justify-between gap-4 bg-white px-4 py-3 rounded-lg shadow">
+          <div className="text-xs sm:text-sm text-gray-700 text-center sm:text-left">
+            Showing {((currentPage - 1) * itemsPerPage) + 1} to {Math.min(currentPage * itemsPerPage, totalItems)} of{' '}
+            {totalItems} notifications
+          </div>
+          <div className="flex gap-2 flex-wrap justify-center">
+            <button
+              onClick={() => setCurrentPage((prev) => Math.max(prev - 1, 1))}
+              disabled={currentPage === 1}
+              className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Previous
+            </button>
+            <span className="px-4 py-2 text-sm text-gray-700">
+              Page {currentPage} of {totalPages}
+            </span>
+            <button
+              onClick={() => setCurrentPage((prev) => Math.min(prev + 1, totalPages))}
+              disabled={currentPage === totalPages}
+              className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default Notifications
@@ -0,0 +1,176 @@
+import { useState } from 'react'
+import axios from 'axios'
+
+// Backend API URL
+const API_URL = 'http://localhost:8000/api'
+
+// Helper function to get headers with token
+function getHeaders() {
+  const token = localStorage.getItem('token')
+  return {
+    'Authorization': `Bearer ${token}`,
+  }
+}
+
+// Formats the API can export
+const formats = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'xlsx', label: 'Excel (XLSX)' },
+  { value: 'json', label: 'JSON' },
+]
+
+// Columns the API can export (see utils/exportColumns.js in the backend), with the ones
+// that are ticked at first
+const columnOptions = [
+  { key: 'sku', label: 'SKU', checked: true },
+  { key: 'name', label: 'Name', checked: true },
+  { key: 'kind', label: 'Type', checked: false },
+  { key: 'category', label: 'Category', checked: true },
+  { key: 'price', label: 'Price', checked: true },
+  { key: 'stock', label: 'Stock', checked: true },
+  { key: 'warehouseStock', label: 'Warehouse Stock', checked: true },
+  { key: 'reserved', label: 'Reserved', checked: false },
+  { key: 'available', label: 'Available', checked: false },
+  { key: 'barcode', label: 'Barcode', checked: true },
+  { key: 'reorderPoint', label: 'Reorder Point', checked: false },
+  { key: 'reorderQuantity', label: 'Reorder Quantity', checked: false },
+  { key: 'variants', label: 'Variants', checked: false },
+  { key: 'attributes', label: 'Attributes', checked: false },
+  { key: 'images', label: 'Image URLs', checked: false },
+  { key: 'createdAt', label: 'Created', checked: false },
+  { key: 'updatedAt', label: 'Updated', checked: false },
+]
+
+// Helper function to read the message of an error response that was downloaded as a Blob
+async function getErrorMessage(error, fallback) {
+  try {
+    const data = JSON.parse(await error.response.data.text())
+    return data.message || fallback
+  } catch {
+    return fallback
+  }
+}
+
+// Dialog to download the products the current filters show as a CSV, XLSX or JSON file
+// filterQuery is the query string of the product list (filters and sorting)
+// Warehouse stock is only offered when a warehouse is selected (hasWarehouse)
+const ProductExport = ({ filterQuery, totalItems, hasWarehouse, onClose }) => {
+  const [format, setFormat] = useState('csv')
+  const [selectedColumns, setSelectedColumns] = useState(
+    columnOptions.filter((column) => column.checked).map((column) => column.key)
+  )
+  const [isExporting, setIsExporting] = useState(false)
+
+  const availableColumns = columnOptions.filter((column) => hasWarehouse || column.key !== 'warehouseStock')
+
+  function toggleColumn(key) {
+    setSelectedColumns((prev) => (prev.includes(key) ? prev.filter((item) => item !== key) : [...prev, key]))
+  }
+
+  async function handleExport() {
+    // Columns keep the order of the list above
+    const columns = availableColumns.filter((column) => selectedColumns.includes(column.key)).map((column) => column.key)
+    if (columns.length === 0) {
+      alert('Pick at least one column')
+      return
+    }
+
+    setIsExporting(true)
+    try {
+      const response = await axios.get(
+        `${API_URL}/products/export?${filterQuery}&format=${format}&columns=${columns.join(',')}`,
+        { headers: getHeaders(), responseType: 'blob' }
+      )
+
+      // Save the file under the name the API gives it
+      const disposition = response.headers['content-disposition'] || ''
+      const match = disposition.match(/filename="([^"]+)"/)
+      const link = document.createElement('a')
+      link.href = URL.createObjectURL(response.data)
+      link.download = match ? match[1] : `products.${format}`
+      link.click()
+      URL.revokeObjectURL(link.href)
+      onClose()
+    } catch (error) {
+      console.error('Error exporting products:', error)
+      alert(await getErrorMessage(error, 'Error exporting products'))
+    } finally {
+      setIsExporting(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg p-4 sm:p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto">
+        <h2 className="text-xl font-bold mb-1">Export Products</h2>
+        <p className="text-sm text-gray-500 mb-4">
+          Exports all {totalItems} product{totalItems === 1 ? '' : 's'} that match the current filters, in the current order.
+        </p>
+
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Format</label>
+            <select
+              value={format}
+              onChange={(e) => setFormat(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {formats.map((item) => (
+                <option key={item.value} value={item.value}>{item.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-1">
+              <label className="block text-sm font-medium text-gray-700">Columns</label>
+              <div className="flex gap-3 text-xs">
+                <button
+                  type="button"
+                  onClick={() => setSelectedColumns(availableColumns.map((column) => column.key))}
+                  className="text-blue-600 hover:text-blue-800"
+                >
+                  All
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setSelectedColumns([])}
+                  className="text-blue-600 hover:text-blue-800"
+                >
+                  None
+                </button>
+              </div>
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+              {availableColumns.map((column) => (
+                <label key={column.key} className="flex items-center gap-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={selectedColumns.includes(column.key)}
+                    onChange={() => toggleColumn(column.key)}
+                  />
+                  {column.label}
+                </label>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-2 mt-6">
+          <button onClick={onClose} className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50">
+            Cancel
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={isExporting}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            {isExporting ? 'Exporting...' : 'Export'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ProductExport
@@ -0,0 +1,356 @@
+import { useState } from 'react'
+import axios from 'axios'
+
+// Backend API URL
+const API_URL = 'http://localhost:8000/api'
+
+// Helper function to get headers with token
+// Content-Type is left out - axios sets it for FormData with the boundary
+function getHeaders() {
+  const token = localStorage.getItem('token')
+  return {
+    'Authorization': `Bearer ${token}`,
+  }
+}
+
+// Helper function to turn an error response into a readable message
+function getErrorMessage(error, fallback) {
+  const data = error.response?.data
+  return data?.errors ? Object.values(data.errors).join('\n') : data?.message || fallback
+}
+
+// Label and badge colors for the action of each row
+const actionStyles = {
+  create: { label: 'Create', className: 'bg-green-100 text-green-800' },
+  update: { label: 'Update', className: 'bg-blue-100 text-blue-800' },
+  error: { label: 'Error', className: 'bg-red-100 text-red-800' },
+}
+
+// Value of the mapping select for columns that are imported as a category attribute
+const ATTRIBUTE_FIELD = 'attribute'
+
+// Wizard to import products from a CSV or XLSX file
+// Steps: pick a file, map its columns to product fields, check the rows (dry run), then import them
+// onImported is called after rows were saved
+const ProductImport = ({ warehouses, onClose, onImported }) => {
+  const [step, setStep] = useState('file')
+  const [file, setFile] = useState(null)
+  // Columns of the file with a preview and the fields they can be mapped to
+  const [sheet, setSheet] = useState(null)
+  // { column: field } - field is '' for columns that are not imported
+  const [mapping, setMapping] = useState({})
+  // { column: attribute key } for columns mapped to an attribute
+  const [attributeKeys, setAttributeKeys] = useState({})
+  const [warehouse, setWarehouse] = useState('')
+  // Result of the last dry run or import
+  const [report, setReport] = useState(null)
+  const [showErrorsOnly, setShowErrorsOnly] = useState(false)
+  const [isWorking, setIsWorking] = useState(false)
+
+  // Read the columns of the picked file and suggest a mapping
+  async function handleReadFile() {
+    if (!file) {
+      alert('Pick a CSV or XLSX file first')
+      return
+    }
+    setIsWorking(true)
+    try {
+      const formData = new FormData()
+      formData.append('file', file)
+      const response = await axios.post(`${API_URL}/products/import/columns`, formData, { headers: getHeaders() })
+      if (response.data.success) {
+        const data = response.data.data
+        setSheet(data)
+        setMapping(Object.fromEntries(data.columns.map((column) => [column, data.mapping[column] || ''])))
+        setAttributeKeys({})
+        setStep('mapping')
+      }
+    } catch (error) {
+      console.error('Error reading import file:', error)
+      alert(getErrorMessage(error, 'Error reading file'))
+    } finally {
+      setIsWorking(false)
+    }
+  }
+
+  // Helper function to build the mapping that is sent to the API
+  function buildMapping() {
+    const result = {}
+    Object.entries(mapping).forEach(([column, field]) => {
+      if (field === ATTRIBUTE_FIELD) {
+        if (attributeKeys[column]?.trim()) {
+          result[column] = `attributes.${attributeKeys[column].trim()}`
+        }
+      } else if (field) {
+        result[column] = field
+      }
+    })
+    return result
+  }
+
+  // Send the file to check its rows (dryRun) or to import them
+  async function runImport(dryRun) {
+    setIsWorking(true)
+    try {
+      const formData = new FormData()
+      formData.append('file', file)
+      formData.append('mapping', JSON.stringify(buildMapping()))
+      formData.append('dryRun', dryRun ? 'true' : 'false')
+      formData.append('warehouse', warehouse)
+      const response = await axios.post(`${API_URL}/products/import`, formData, { headers: getHeaders() })
+      if (response.data.success) {
+        setReport(response.data.data)
+        setShowErrorsOnly(false)
+        setStep('report')
+        if (!dryRun) {
+          onImported()
+        }
+      }
+    } catch (error) {
+      console.error('Error importing products:', error)
+      alert(getErrorMessage(error, 'Error importing products'))
+    } finally {
+      setIsWorking(false)
+    }
+  }
+
+  // Helper function to find which column a field is mapped to, so a field is only picked once
+  function mappedColumn(field) {
+    return Object.keys(mapping).find((column) => mapping[column] === field)
+  }
+
+  const reportRows = report
+    ? report.rows.filter((row) => !showErrorsOnly || row.action === 'error' || row.warnings.length > 0)
+    : []
+  // Rows that are saved when the checked file is imported
+  const validRows = report ? report.summary.create + report.summary.update : 0
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg p-4 sm:p-6 w-full max-w-4xl max-h-[90vh] overflow-y-auto">
+        <h2 className="text-xl font-bold mb-1">Import Products</h2>
+        <p className="text-sm text-gray-500 mb-4">
+          Rows are matched to products by SKU: new SKUs create products, known SKUs update them.
+          Empty cells keep the current values.
+        </p>
+
+        {step === 'file' && (
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">File (CSV or XLSX)</label>
+              <input
+                type="file"
+                accept=".csv,.xlsx"
+                onChange={(e) => setFile(e.target.files[0] || null)}
+                className="w-full text-sm"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                The first row must hold the column names. Only the first sheet of an XLSX file is read.
+              </p>
+            </div>
+            <div className="flex justify-end gap-2">
+              <button onClick={onClose} className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50">
+                Cancel
+              </button>
+              <button
+                onClick={handleReadFile}
+                disabled={isWorking || !file}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+              >
+                {isWorking ? 'Reading...' : 'Next'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {step === 'mapping' && sheet && (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-700">
+              {file.name}: {sheet.rowCount} row{sheet.rowCount === 1 ? '' : 's'}. Pick the product field for each column.
+              Categories are matched by name or full path, e.g. "Electronics &gt; Audio".
+            </p>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Column</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Imported As</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">First Values</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {sheet.columns.map((column) => (
+                    <tr key={column}>
+                      <td className="px-3 py-2 font-medium text-gray-900 whitespace-nowrap">{column}</td>
+                      <td className="px-3 py-2">
+                        <div className="flex gap-2">
+                          <select
+                            value={mapping[column]}
+                            onChange={(e) => setMapping({ ...mapping, [column]: e.target.value })}
+                            className="px-2 py-1 border border-gray-300 rounded"
+                          >
+                            <option value="">Don't import</option>
+                            {sheet.fields.map(({ field, label }) => {
+                              const usedBy = mappedColumn(field)
+                              return (
+                                <option key={field} value={field} disabled={usedBy && usedBy !== column}>
+                                  {label}
+                                </option>
+                              )
+                            })}
+                            <option value={ATTRIBUTE_FIELD}>Attribute...</option>
+                          </select>
+                          {mapping[column] === ATTRIBUTE_FIELD && (
+                            <input
+                              type="text"
+                              value={attributeKeys[column] || ''}
+                              onChange={(e) => setAttributeKeys({ ...attributeKeys, [column]: e.target.value })}
+                              placeholder="Attribute key, e.g. color"
+                              className="w-44 px-2 py-1 border border-gray-300 rounded"
+                            />
+                          )}
+                        </div>
+                      </td>
+                      <td className="px-3 py-2 text-gray-500 max-w-xs truncate">
+                        {sheet.sampleRows.map((row) => row[column]).filter(Boolean).slice(0, 3).join(', ')}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Warehouse for stock</label>
+              <select
+                value={warehouse}
+                onChange={(e) => setWarehouse(e.target.value)}
+                className="w-full sm:w-64 px-3 py-2 border border-gray-300 rounded-lg"
+              >
+                <option value="">Default warehouse</option>
+                {warehouses.map((item) => (
+                  <option key={item._id} value={item._id}>{item.name}</option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">
+                Differences between the stock in the file and the current stock are booked here as adjustments.
+              </p>
+            </div>
+            <div className="flex justify-between gap-2">
+              <button onClick={() => setStep('file')} className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50">
+                Back
+              </button>
+              <div className="flex gap-2">
+                <button onClick={onClose} className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50">
+                  Cancel
+                </button>
+                <button
+                  onClick={() => runImport(true)}
+                  disabled={isWorking || !mappedColumn('sku')}
+                  title={mappedColumn('sku') ? undefined : 'Map a column to SKU'}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {isWorking ? 'Checking...' : 'Check Rows'}
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {step === 'report' && report && (
+          <div className="space-y-4">
+            <div className="flex flex-wrap items-center gap-4 text-sm">
+              <span className="font-medium">
+                {report.dryRun ? 'Dry run - nothing was saved yet.' : 'Import finished.'}
+              </span>
+              <span className="text-green-700">
+                {report.summary.create} {report.dryRun ? 'to create' : 'created'}
+              </span>
+              <span className="text-blue-700">
+                {report.summary.update} {report.dryRun ? 'to update' : 'updated'}
+              </span>
+              <span className="text-red-700">
+                {report.summary.error} {report.dryRun ? 'with errors' : 'skipped'}
+              </span>
+              <label className="flex items-center gap-2 ml-auto">
+                <input
+                  type="checkbox"
+                  checked={showErrorsOnly}
+                  onChange={(e) => setShowErrorsOnly(e.target.checked)}
+                />
+                Only rows with problems
+              </label>
+            </div>
+            <div className="overflow-x-auto max-h-96">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Row</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">SKU</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Action</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Problems</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {reportRows.length === 0 ? (
+                    <tr>
+                      <td colSpan="5" className="px-3 py-4 text-center text-gray-500">No rows to show.</td>
+                    </tr>
+                  ) : (
+                    reportRows.map((row) => (
+                      <tr key={row.row}>
+                        <td className="px-3 py-2 text-gray-500">{row.row}</td>
+                        <td className="px-3 py-2 font-mono">{row.sku || '—'}</td>
+                        <td className="px-3 py-2">{row.name || '—'}</td>
+                        <td className="px-3 py-2">
+                          <span className={`px-2 py-1 rounded text-xs font-medium ${actionStyles[row.action].className}`}>
+                            {actionStyles[row.action].label}
+                          </span>
+                        </td>
+                        <td className="px-3 py-2">
+                          {Object.values(row.errors).map((message) => (
+                            <div key={message} className="text-red-600">{message}</div>
+                          ))}
+                          {row.warnings.map((message) => (
+                            <div key={message} className="text-yellow-700">{message}</div>
+                          ))}
+                        </td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+            <div className="flex justify-between gap-2">
+              {report.dryRun ? (
+                <>
+                  <button onClick={() => setStep('mapping')} className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50">
+                    Back
+                  </button>
+                  <div className="flex gap-2">
+                    <button onClick={onClose} className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50">
+                      Cancel
+                    </button>
+                    <button
+                      onClick={() => runImport(false)}
+                      disabled={isWorking || validRows === 0}
+                      className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      {isWorking ? 'Importing...' : `Import ${validRows} Row${validRows === 1 ? '' : 's'}`}
+                    </button>
+                  </div>
+                </>
+              ) : (
+                <button onClick={onClose} className="ml-auto px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50">
+                  Close
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ProductImport
@@ -1,5 +1,15 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useContext } from 'react'
 import axios from 'axios'
+import { AuthContext } from '../context/AuthContext'
+import { can } from '../utils/permissions'
+import AttributeInput from './AttributeInput'
+import VariantEditor from './VariantEditor'
+import BundleEditor from './BundleEditor'
+import StockHistory from './StockHistory'
+import ProductImport from './ProductImport'
+import ProductExport from './ProductExport'
+import BulkActions from './BulkActions'
+import { parseOptions } from '../utils/variants'
 
 // Backend API URL
 const API_URL = 'http://localhost:8000/api'
@@ -13,26 +23,116 @@ function getHeaders() {
   }
 }
 
+const emptyForm = {
+  name: '',
+  sku: '',
+  barcode: '',
+  price: '',
+  category: '',
+  stock: '',
+  warehouse: '',
+  // Empty reorder settings use the defaults of the category
+  reorderPoint: '',
+  reorderQuantity: '',
+  attributes: {},
+  options: [],
+  variants: [],
+  suppliers: [],
+  // Bundles are made of other products (components) and get their stock from them
+  kind: 'standard',
+  components: [],
+}
+
+const emptySupplierRow = { supplier: '', cost: '', leadTimeDays: '', supplierSku: '' }
+
+// Helper function to load the attribute fields of a category
+async function fetchCategoryAttributes(categoryId) {
+  const response = await axios.get(`${API_URL}/categories/${categoryId}/attributes`, {
+    headers: getHeaders(),
+  })
+  return response.data.success ? response.data.data.attributes : []
+}
+
+// Helper function to show the price of a product, a range when its variants differ
+function formatPrice(product) {
+  const prices = (product.variants || []).map((variant) => variant.price ?? product.price)
+  if (prices.length === 0) {
+    return `Rs ${product.price.toFixed(2)}`
+  }
+  const min = Math.min(...prices)
+  const max = Math.max(...prices)
+  return min === max ? `Rs ${min.toFixed(2)}` : `Rs ${min.toFixed(2)} – ${max.toFixed(2)}`
+}
+
+// Products whose available (not reserved) stock is at or below their reorder point
+// (their own, or the default of their category)
+function isLowStock(product) {
+  return product.effectiveReorderPoint != null && product.stock - (product.reserved || 0) <= product.effectiveReorderPoint
+}
+
+// Helper function to describe the stock of a product per warehouse, e.g. "MAIN: 5, NORTH: 3"
+function stockBreakdown(product, warehouses) {
+  const totals = (product.locations || []).reduce((result, location) => {
+    result[location.warehouse] = (result[location.warehouse] || 0) + location.stock
+    return result
+  }, {})
+  return warehouses
+    .filter((warehouse) => totals[warehouse._id])
+    .map((warehouse) => `${warehouse.code}: ${totals[warehouse._id]}`)
+    .join(', ')
+}
+
+// Helper function to turn a validation error response into a readable message
+function getErrorMessage(error, fallback) {
+  const data = error.response?.data
+  if (data?.errors) {
+    return Object.values(data.errors).join('\n')
+  }
+  return data?.message || fallback
+}
+
 const ProductManagement = () => {
+  const { user } = useContext(AuthContext)
+  const canCreate = can(user, 'products:create')
+  const canUpdate = can(user, 'products:update')
+  const canDelete = can(user, 'products:delete')
+  const canReadSuppliers = can(user, 'suppliers:read')
+  const showActions = canUpdate || canDelete
+  // Products can be selected for bulk actions by users who can change or delete them
+  const columnCount = showActions ? 8 : 6
+
   const [categories, setCategories] = useState([])
+  const [warehouses, setWarehouses] = useState([])
+  const [suppliers, setSuppliers] = useState([])
   const [products, setProducts] = useState([])
   const [isLoading, setIsLoading] = useState(true)
   const [isModalOpen, setIsModalOpen] = useState(false)
   const [editingProduct, setEditingProduct] = useState(null)
-  const [formData, setFormData] = useState({
-    name: '',
-    price: '',
-    category: '',
-    stock: '',
-  })
+  const [formData, setFormData] = useState(emptyForm)
+  // Attribute fields of the category selected in the form
+  const [attributeFields, setAttributeFields] = useState([])
   const [selectedImages, setSelectedImages] = useState([])
   const [imagePreviews, setImagePreviews] = useState([])
+  // Product whose stock history is open
+  const [stockProduct, setStockProduct] = useState(null)
+  const [isImportOpen, setIsImportOpen] = useState(false)
+  const [isExportOpen, setIsExportOpen] = useState(false)
+  // Products selected for a bulk action - on any page, or every product matching the filters (allMatching)
+  const [selectedIds, setSelectedIds] = useState([])
+  const [allMatching, setAllMatching] = useState(false)
 
   // Filter and search states
   const [searchTerm, setSearchTerm] = useState('')
   const [selectedCategory, setSelectedCategory] = useState('all')
   const [sortBy, setSortBy] = useState('name')
   const [sortOrder, setSortOrder] = useState('asc')
+  // Warehouse context - stock is shown, filtered and sorted for this warehouse
+  const [selectedWarehouse, setSelectedWarehouse] = useState('all')
+  const [inStockOnly, setInStockOnly] = useState(false)
+  const [lowStockOnly, setLowStockOnly] = useState(false)
+  // Attribute filters for the selected category, e.g. { size: 'M' }
+  const [filterAttributeFields, setFilterAttributeFields] = useState([])
+  const [attributeFilters, setAttributeFilters] = useState({})
 
   // Pagination states
   const [currentPage, setCurrentPage] = useState(1)
@@ -40,15 +140,42 @@ const ProductManagement = () => {
   const [totalItems, setTotalItems] = useState(0)
   const itemsPerPage = 5
 
-  // Load categories from API
+  // Load categories and warehouses from API
   useEffect(() => {
     loadCategories()
-  }, [])
+    loadWarehouses()
+    if (canReadSuppliers) {
+      loadSuppliers()
+    }
+  }, [canReadSuppliers])
 
   // Load products from API when filters change
   useEffect(() => {
     loadProducts()
-  }, [searchTerm, selectedCategory, sortBy, sortOrder, currentPage])
+  }, [searchTerm, selectedCategory, selectedWarehouse, inStockOnly, lowStockOnly, sortBy, sortOrder, currentPage, attributeFilters])
+
+  // Load the attribute fields of the category picked in the form
+  useEffect(() => {
+    if (!isModalOpen || !formData.category) {
+      setAttributeFields([])
+      return
+    }
+    fetchCategoryAttributes(formData.category)
+      .then(setAttributeFields)
+      .catch((error) => console.error('Error loading attributes:', error))
+  }, [isModalOpen, formData.category])
+
+  // Attribute filters are only offered once a category is picked
+  useEffect(() => {
+    setAttributeFilters({})
+    if (selectedCategory === 'all') {
+      setFilterAttributeFields([])
+      return
+    }
+    fetchCategoryAttributes(selectedCategory)
+      .then(setFilterAttributeFields)
+      .catch((error) => console.error('Error loading attributes:', error))
+  }, [selectedCategory])
 
   // Function to load categories from API
   async function loadCategories() {
@@ -65,21 +192,85 @@ const ProductManagement = () => {
     }
   }
 
+  // Function to load warehouses from API
+  async function loadWarehouses() {
+    try {
+      const response = await axios.get(`${API_URL}/warehouses`, {
+        headers: getHeaders(),
+      })
+
+      if (response.data.success) {
+        setWarehouses(response.data.data.warehouses)
+      }
+    } catch (error) {
+      console.error('Error loading warehouses:', error)
+    }
+  }
+
+  // Function to load suppliers from API
+  async function loadSuppliers() {
+    try {
+      const response = await axios.get(`${API_URL}/suppliers`, {
+        headers: getHeaders(),
+      })
+
+      if (response.data.success) {
+        setSuppliers(response.data.data.suppliers)
+      }
+    } catch (error) {
+      console.error('Error loading suppliers:', error)
+    }
+  }
+
+  // Helper function to get the current filters and sorting as query parameters
+  // Used for the product list, exports and bulk actions, so they all cover exactly the listed products
+  function filterParams() {
+    const params = { sortBy, sortOrder }
+
+    if (searchTerm) {
+      params.search = searchTerm
+    }
+
+    if (selectedCategory && selectedCategory !== 'all') {
+      // Products in subcategories are included as well
+      params.category = selectedCategory
+      params.includeDescendants = 'true'
+    }
+
+    // Stock filter and sorting use the stock in the selected warehouse
+    if (selectedWarehouse !== 'all') {
+      params.warehouse = selectedWarehouse
+    }
+    if (inStockOnly) {
+      params.minStock = '1'
+    }
+    if (lowStockOnly) {
+      params.lowStock = 'true'
+    }
+
+    const attr = Object.fromEntries(Object.entries(attributeFilters).filter(([, value]) => value !== ''))
+    if (Object.keys(attr).length > 0) {
+      params.attr = attr
+    }
+    return params
+  }
+
+  // Helper function to turn filterParams into a query string - attribute filters become attr[key]=value
+  function filterQuery() {
+    const { attr = {}, ...params } = filterParams()
+    return [
+      ...Object.entries(params).map(([key, value]) => `${key}=${encodeURIComponent(value)}`),
+      ...Object.entries(attr).map(([key, value]) => `attr[${key}]=${encodeURIComponent(value)}`),
+    ].join('&')
+  }
+
   // Function to load products from API
   async function loadProducts() {
     try {
       setIsLoading(true)
       
       // Build URL with filters
-      let url = `${API_URL}/products?page=${currentPage}&limit=${itemsPerPage}&sortBy=${sortBy}&sortOrder=${sortOrder}`
-      
-      if (searchTerm) {
-        url += `&search=${searchTerm}`
-      }
-      
-      if (selectedCategory && selectedCategory !== 'all') {
-        url += `&category=${selectedCategory}`
-      }
+      const url = `${API_URL}/products?page=${currentPage}&limit=${itemsPerPage}&${filterQuery()}`
       
       const response = await axios.get(url, {
         headers: getHeaders(),
@@ -98,14 +289,17 @@ const ProductManagement = () => {
     }
   }
 
-  // Reset to page 1 when filters change
+  // Reset to page 1 and drop the selection when filters change
   useEffect(() => {
     setCurrentPage(1)
-  }, [searchTerm, selectedCategory, sortBy, sortOrder])
+    setSelectedIds([])
+    setAllMatching(false)
+  }, [searchTerm, selectedCategory, selectedWarehouse, inStockOnly, lowStockOnly, sortBy, sortOrder, attributeFilters])
 
   const handleAdd = () => {
     setEditingProduct(null)
-    setFormData({ name: '', price: '', category: '', stock: '' })
+    // Initial stock goes to the warehouse that is selected above the table
+    setFormData({ ...emptyForm, warehouse: selectedWarehouse === 'all' ? '' : selectedWarehouse })
     setSelectedImages([])
     setImagePreviews([])
     setIsModalOpen(true)
@@ -115,10 +309,39 @@ const ProductManagement = () => {
     setEditingProduct(product)
     setFormData({
       name: product.name,
+      sku: product.sku || '',
+      barcode: product.barcode || '',
       price: product.price.toString(),
-      category: product.category,
+      category: product.category?._id || '',
       stock: product.stock.toString(),
+      reorderPoint: product.reorderPoint == null ? '' : product.reorderPoint.toString(),
+      reorderQuantity: product.reorderQuantity == null ? '' : product.reorderQuantity.toString(),
+      // Form inputs work with strings
+      attributes: Object.fromEntries(
+        Object.entries(product.attributes || {}).map(([key, value]) => [key, String(value)])
+      ),
+      options: (product.options || []).map((option) => ({ name: option.name, valuesText: option.values.join(', ') })),
+      variants: (product.variants || []).map((variant) => ({
+        _id: variant._id,
+        options: variant.options,
+        sku: variant.sku || '',
+        barcode: variant.barcode || '',
+        price: variant.price === null ? '' : variant.price.toString(),
+        stock: variant.stock.toString(),
+        images: variant.images || [],
+      })),
+      suppliers: (product.suppliers || []).map((entry) => ({
+        supplier: entry.supplier,
+        cost: entry.cost.toString(),
+        leadTimeDays: entry.leadTimeDays == null ? '' : entry.leadTimeDays.toString(),
+        supplierSku: entry.supplierSku || '',
+      })),
+      kind: product.kind || 'standard',
+      components: [],
     })
+    if (product.kind === 'bundle') {
+      loadBundleComponents(product._id)
+    }
     // Set existing images as previews (URLs from Cloudinary)
     const productImages = product.images && product.images.length > 0 ? product.images : []
     setSelectedImages([]) // No new files selected
@@ -127,6 +350,33 @@ const ProductManagement = () => {
     setIsModalOpen(true)
   }
 
+  // Load the products in a bundle - the list only has their ids
+  async function loadBundleComponents(productId) {
+    try {
+      const response = await axios.get(`${API_URL}/products/${productId}`, { headers: getHeaders() })
+      if (response.data.success) {
+        const components = response.data.data.components
+          .filter((component) => component.product)
+          .map((component) => ({
+            product: component.product,
+            variant: component.variant || '',
+            quantity: component.quantity.toString(),
+          }))
+        setFormData((prev) => ({ ...prev, components }))
+      }
+    } catch (error) {
+      console.error('Error loading bundle:', error)
+      alert('Failed to load the products in this bundle')
+    }
+  }
+
+  function updateSupplierRow(index, changes) {
+    setFormData((prev) => ({
+      ...prev,
+      suppliers: prev.suppliers.map((row, i) => (i === index ? { ...row, ...changes } : row)),
+    }))
+  }
+
   // Handle image file selection
   function handleImageChange(e) {
     const files = Array.from(e.target.files)
@@ -168,10 +418,18 @@ const ProductManagement = () => {
 
   // Save product - create or update
   async function handleSave() {
-    if (!formData.name.trim() || !formData.price || !formData.category || !formData.stock) {
+    // Stock of products with variants is the total of the variants, and bundles get theirs from their components
+    const isBundle = formData.kind === 'bundle'
+    const hasVariants = formData.variants.length > 0
+    const needsStock = !isBundle && !hasVariants
+    if (!formData.name.trim() || !formData.sku.trim() || !formData.price || !formData.category || (needsStock && !formData.stock)) {
       alert('Please fill in all fields')
       return
     }
+    if (isBundle && formData.components.length === 0) {
+      alert('Please add at least one product to the bundle')
+      return
+    }
 
     // Validate price
     const price = parseFloat(formData.price)
@@ -181,12 +439,21 @@ const ProductManagement = () => {
     }
 
     // Validate stock
-    const stock = parseInt(formData.stock)
+    const stock = needsStock ? parseInt(formData.stock) : 0
     if (isNaN(stock) || stock < 0) {
       alert('Please enter a valid stock quantity (0 or greater)')
       return
     }
 
+    // Check required attributes
+    const missingAttribute = attributeFields.find(
+      (attribute) => attribute.required && !(formData.attributes[attribute.key] || '').trim()
+    )
+    if (missingAttribute) {
+      alert(`Please fill in ${missingAttribute.label}`)
+      return
+    }
+
     // Check if at least one image is selected (for new products)
     if (!editingProduct && selectedImages.length === 0) {
       alert('Please select at least one product image')
@@ -197,9 +464,48 @@ const ProductManagement = () => {
       // Create FormData for file upload
       const formDataToSend = new FormData()
       formDataToSend.append('name', formData.name)
+      formDataToSend.append('sku', formData.sku)
+      formDataToSend.append('barcode', formData.barcode)
       formDataToSend.append('price', price.toString())
       formDataToSend.append('category', formData.category)
-      formDataToSend.append('stock', stock.toString())
+      formDataToSend.append('reorderPoint', formData.reorderPoint)
+      formDataToSend.append('reorderQuantity', formData.reorderQuantity)
+      formDataToSend.append('kind', formData.kind)
+      // Stock of an existing product only changes through stock movements (see Stock History)
+      if (!editingProduct && !isBundle) {
+        formDataToSend.append('stock', stock.toString())
+        if (formData.warehouse) {
+          formDataToSend.append('warehouse', formData.warehouse)
+        }
+      }
+
+      // Only the fields of the selected category are sent
+      const attributes = {}
+      attributeFields.forEach((attribute) => {
+        const value = formData.attributes[attribute.key]
+        if (value !== undefined && value !== '') {
+          attributes[attribute.key] = value
+        }
+      })
+      formDataToSend.append('attributes', JSON.stringify(attributes))
+
+      // Options without a name or values are left out
+      const options = parseOptions(formData.options)
+      formDataToSend.append('options', JSON.stringify(options))
+      // Existing variants keep their stock, new variants start with the stock entered
+      const variants = formData.variants.map((variant) => (variant._id ? { ...variant, stock: undefined } : variant))
+      formDataToSend.append('variants', JSON.stringify(options.length > 0 && !isBundle ? variants : []))
+      // Users who cannot see suppliers leave them as they are
+      if (canReadSuppliers && !isBundle) {
+        formDataToSend.append('suppliers', JSON.stringify(formData.suppliers.filter((row) => row.supplier)))
+      }
+      if (isBundle) {
+        formDataToSend.append('components', JSON.stringify(formData.components.map((component) => ({
+          product: component.product._id,
+          variant: component.variant || null,
+          quantity: parseInt(component.quantity),
+        }))))
+      }
       
       // Append image files
       selectedImages.forEach((file) => {
@@ -237,7 +543,7 @@ const ProductManagement = () => {
           // Reload products from API
           loadProducts()
           setIsModalOpen(false)
-          setFormData({ name: '', price: '', category: '', stock: '' })
+          setFormData(emptyForm)
           setSelectedImages([])
           setImagePreviews([])
           setEditingProduct(null)
@@ -256,7 +562,7 @@ const ProductManagement = () => {
           // Reload products from API
           loadProducts()
           setIsModalOpen(false)
-          setFormData({ name: '', price: '', category: '', stock: '' })
+          setFormData(emptyForm)
           setSelectedImages([])
           setImagePreviews([])
         } else {
@@ -265,14 +571,13 @@ const ProductManagement = () => {
       }
     } catch (error) {
       console.error('Error saving product:', error)
-      const message = error.response?.data?.message || 'Failed to save product'
-      alert(message)
+      alert(getErrorMessage(error, 'Failed to save product'))
     }
   }
 
   // Delete product - call API
   async function handleDelete(id) {
-    if (!window.confirm('Are you sure you want to delete this product?')) {
+    if (!window.confirm('Move this product to the trash?')) {
       return
     }
 
@@ -294,6 +599,35 @@ const ProductManagement = () => {
     }
   }
 
+  // Select or unselect every product on the current page
+  function togglePageSelection() {
+    const pageIds = products.map((product) => product._id)
+    if (allMatching || pageIds.every((id) => selectedIds.includes(id))) {
+      setAllMatching(false)
+      setSelectedIds((prev) => (allMatching ? [] : prev.filter((id) => !pageIds.includes(id))))
+    } else {
+      setSelectedIds((prev) => [...new Set([...prev, ...pageIds])])
+    }
+  }
+
+  function toggleProductSelection(id) {
+    // Unselecting one product of "all matching" keeps the rest of the current page selected
+    if (allMatching) {
+      setAllMatching(false)
+      setSelectedIds(products.map((product) => product._id).filter((productId) => productId !== id))
+      return
+    }
+    setSelectedIds((prev) => (prev.includes(id) ? prev.filter((item) => item !== id) : [...prev, id]))
+  }
+
+  function clearSelection() {
+    setSelectedIds([])
+    setAllMatching(false)
+  }
+
+  const pageSelected = products.length > 0 && (allMatching || products.every((product) => selectedIds.includes(product._id)))
+  const selectedCount = allMatching ? totalItems : selectedIds.length
+
   const handleSort = (field) => {
     if (sortBy === field) {
       setSortOrder(sortOrder === 'asc' ? 'desc' : 'asc')
@@ -316,7 +650,7 @@ const ProductManagement = () => {
           {/* Search */}
           <input
             type="text"
-            placeholder="Search products..."
+            placeholder="Search by name, SKU or barcode..."
             value={searchTerm}
             onChange={(e) => setSearchTerm(e.target.value)}
             className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
@@ -330,12 +664,46 @@ const ProductManagement = () => {
           >
             <option value="all">All Categories</option>
             {categories.map((cat) => (
-              <option key={cat._id} value={cat.name}>
-                {cat.name}
+              <option key={cat._id} value={cat._id}>
+                {cat.path || cat.name}
+              </option>
+            ))}
+          </select>
+
+          {/* Warehouse context */}
+          <select
+            value={selectedWarehouse}
+            onChange={(e) => setSelectedWarehouse(e.target.value)}
+            className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="all">All Warehouses</option>
+            {warehouses.map((warehouse) => (
+              <option key={warehouse._id} value={warehouse._id}>
+                {warehouse.name}
               </option>
             ))}
           </select>
 
+          <label className="flex items-center gap-2 text-sm text-gray-700 whitespace-nowrap">
+            <input
+              type="checkbox"
+              checked={inStockOnly}
+              onChange={(e) => setInStockOnly(e.target.checked)}
+              className="rounded border-gray-300"
+            />
+            In stock only
+          </label>
+
+          <label className="flex items-center gap-2 text-sm text-gray-700 whitespace-nowrap">
+            <input
+              type="checkbox"
+              checked={lowStockOnly}
+              onChange={(e) => setLowStockOnly(e.target.checked)}
+              className="rounded border-gray-300"
+            />
+            Low stock only
+          </label>
+
           {/* Sort Dropdown */}
           <select
             value={`${sortBy}-${sortOrder}`}
@@ -348,6 +716,8 @@ const ProductManagement = () => {
           >
             <option value="name-asc">Sort by Name (A-Z)</option>
             <option value="name-desc">Sort by Name (Z-A)</option>
+            <option value="sku-asc">Sort by SKU (A-Z)</option>
+            <option value="sku-desc">Sort by SKU (Z-A)</option>
             <option value="price-asc">Sort by Price (Low-High)</option>
             <option value="price-desc">Sort by Price (High-Low)</option>
             <option value="stock-asc">Sort by Stock (Low-High)</option>
@@ -355,14 +725,91 @@ const ProductManagement = () => {
           </select>
         </div>
 
+        {canCreate && (
+          <button
+            onClick={handleAdd}
+            className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors whitespace-nowrap"
+          >
+            + Add Product
+          </button>
+        )}
+        {canCreate && canUpdate && (
+          <button
+            onClick={() => setIsImportOpen(true)}
+            className="px-6 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors whitespace-nowrap"
+          >
+            Import
+          </button>
+        )}
         <button
-          onClick={handleAdd}
-          className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors whitespace-nowrap"
+          onClick={() => setIsExportOpen(true)}
+          className="px-6 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors whitespace-nowrap"
         >
-          + Add Product
+          Export
         </button>
       </div>
 
+      {/* Attribute filters for the selected category */}
+      {filterAttributeFields.length > 0 && (
+        <div className="flex flex-wrap items-end gap-4 bg-white p-4 rounded-lg shadow">
+          {filterAttributeFields.map((attribute) => (
+            <div key={attribute.key} className="w-full sm:w-48">
+              <label className="block text-xs font-medium text-gray-500 mb-1">{attribute.label}</label>
+              <AttributeInput
+                attribute={attribute}
+                value={attributeFilters[attribute.key] || ''}
+                emptyLabel="Any"
+                onChange={(value) => setAttributeFilters((prev) => ({ ...prev, [attribute.key]: value }))}
+              />
+            </div>
+          ))}
+          {Object.values(attributeFilters).some((value) => value !== '') && (
+            <button
+              onClick={() => setAttributeFilters({})}
+              className="px-4 py-2 text-sm text-gray-600 hover:text-gray-900"
+            >
+              Clear filters
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Bulk actions for the selected products */}
+      {showActions && (
+        <BulkActions
+          selection={allMatching ? { filter: filterParams() } : { ids: selectedIds }}
+          count={selectedCount}
+          categories={categories}
+          warehouses={warehouses}
+          canUpdate={canUpdate}
+          canDelete={canDelete}
+          onDone={() => {
+            clearSelection()
+            loadProducts()
+          }}
+          onClear={clearSelection}
+        />
+      )}
+      {showActions && pageSelected && totalItems > products.length && (
+        <div className="text-sm text-center text-gray-700">
+          {allMatching ? (
+            <>
+              All {totalItems} products matching the filters are selected.{' '}
+              <button onClick={clearSelection} className="text-blue-600 hover:text-blue-800">
+                Clear selection
+              </button>
+            </>
+          ) : (
+            <>
+              All {products.length} products on this page are selected.{' '}
+              <button onClick={() => setAllMatching(true)} className="text-blue-600 hover:text-blue-800">
+                Select all {totalItems} products matching the filters
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
       {/* Products Table */}
       <div className="bg-white rounded-lg shadow overflow-hidden">
         <div className="overflow-x-auto -mx-4 sm:mx-0">
@@ -370,11 +817,21 @@ const ProductManagement = () => {
             <table className="min-w-full divide-y divide-gray-200">
             <thead className="bg-gray-50">
               <tr>
+                {showActions && (
+                  <th className="pl-6 py-3">
+                    <input
+                      type="checkbox"
+                      checked={pageSelected}
+                      onChange={togglePageSelection}
+                      aria-label="Select all products on this page"
+                    />
+                  </th>
+                )}
                 <th
-                  onClick={() => handleSort('id')}
+                  onClick={() => handleSort('sku')}
                   className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100"
                 >
-                  ID {getSortIcon('id')}
+                  SKU {getSortIcon('sku')}
                 </th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Image
@@ -401,31 +858,47 @@ const ProductManagement = () => {
                   onClick={() => handleSort('stock')}
                   className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100"
                 >
-                  Stock {getSortIcon('stock')}
-                </th>
-                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Actions
+                  {selectedWarehouse === 'all' ? 'Stock' : 'Stock Here'} {getSortIcon('stock')}
                 </th>
+                {showActions && (
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Actions
+                  </th>
+                )}
               </tr>
             </thead>
             <tbody className="bg-white divide-y divide-gray-200">
               {isLoading ? (
                 <tr>
-                  <td colSpan="7" className="px-6 py-4 text-center text-gray-500">
+                  <td colSpan={columnCount} className="px-6 py-4 text-center text-gray-500">
                     Loading products...
                   </td>
                 </tr>
               ) : products.length === 0 ? (
                 <tr>
-                  <td colSpan="7" className="px-6 py-4 text-center text-gray-500">
+                  <td colSpan={columnCount} className="px-6 py-4 text-center text-gray-500">
                     No products found
                   </td>
                 </tr>
               ) : (
                 products.map((product) => (
-                  <tr key={product._id} className="hover:bg-gray-50">
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                      {product._id}
+                  <tr
+                    key={product._id}
+                    className={isLowStock(product) ? 'bg-amber-50 hover:bg-amber-100' : 'hover:bg-gray-50'}
+                  >
+                    {showActions && (
+                      <td className="pl-6 py-4">
+                        <input
+                          type="checkbox"
+                          checked={allMatching || selectedIds.includes(product._id)}
+                          onChange={() => toggleProductSelection(product._id)}
+                          aria-label={`Select ${product.name}`}
+                        />
+                      </td>
+                    )}
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 font-mono">
+                      {product.sku || <span className="text-gray-400">—</span>}
+                      {product.barcode && <div className="text-xs text-gray-500">{product.barcode}</div>}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="flex gap-2">
@@ -455,30 +928,80 @@ const ProductManagement = () => {
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
                       {product.name}
+                      {product.kind === 'bundle' && (
+                        <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-800">
+                          Bundle of {product.components.length}
+                        </span>
+                      )}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                      Rs {product.price.toFixed(2)}
+                      {formatPrice(product)}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                      {product.category}
+                      {product.category?.name || '—'}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                      {product.stock}
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                      <button
-                        onClick={() => handleEdit(product)}
-                        className="text-blue-600 hover:text-blue-900 mr-4"
-                      >
-                        Edit
-                      </button>
-                      <button
-                        onClick={() => handleDelete(product._id)}
-                        className="text-red-600 hover:text-red-900"
-                      >
-                        Delete
-                      </button>
+                      {/* Bundles have no stock history of their own - the products in them do */}
+                      {product.kind === 'bundle' ? (
+                        <span title={stockBreakdown(product, warehouses) || undefined}>
+                          {selectedWarehouse === 'all' ? product.stock : product.warehouseStock}
+                        </span>
+                      ) : (
+                        <button
+                          onClick={() => setStockProduct(product)}
+                          title={stockBreakdown(product, warehouses) || 'Stock history'}
+                          className="text-blue-600 hover:text-blue-900 hover:underline"
+                        >
+                          {selectedWarehouse === 'all' ? product.stock : product.warehouseStock}
+                        </button>
+                      )}
+                      {selectedWarehouse !== 'all' && (
+                        <span className="text-xs text-gray-500"> of {product.stock}</span>
+                      )}
+                      {product.variants?.length > 0 && (
+                        <span className="text-xs text-gray-500">
+                          {' '}({product.variants.length} variant{product.variants.length === 1 ? '' : 's'})
+                        </span>
+                      )}
+                      {product.kind === 'bundle' && (
+                        <div className="text-xs text-gray-500">can be put together</div>
+                      )}
+                      {product.reserved > 0 && (
+                        <div className="text-xs text-gray-500" title="Held for confirmed sales orders">
+                          {product.reserved} reserved
+                        </div>
+                      )}
+                      {isLowStock(product) && (
+                        <div
+                          className="mt-1"
+                          title={product.effectiveReorderQuantity ? `Reorder ${product.effectiveReorderQuantity}` : undefined}
+                        >
+                          <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-800">
+                            Low stock (reorder at {product.effectiveReorderPoint})
+                          </span>
+                        </div>
+                      )}
                     </td>
+                    {showActions && (
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                        {canUpdate && (
+                          <button
+                            onClick={() => handleEdit(product)}
+                            className="text-blue-600 hover:text-blue-900 mr-4"
+                          >
+                            Edit
+                          </button>
+                        )}
+                        {canDelete && (
+                          <button
+                            onClick={() => handleDelete(product._id)}
+                            className="text-red-600 hover:text-red-900"
+                          >
+                            Delete
+                          </button>
+                        )}
+                      </td>
+                    )}
                   </tr>
                 ))
               )}
@@ -541,6 +1064,37 @@ const ProductManagement = () => {
         </div>
       )}
 
+      {/* Stock history of a product */}
+      {stockProduct && (
+        <StockHistory
+          product={stockProduct}
+          warehouses={warehouses}
+          selectedWarehouse={selectedWarehouse === 'all' ? '' : selectedWarehouse}
+          canRecord={canUpdate}
+          onClose={() => setStockProduct(null)}
+          onChange={() => loadProducts()}
+        />
+      )}
+
+      {/* Import products from a file */}
+      {isImportOpen && (
+        <ProductImport
+          warehouses={warehouses}
+          onClose={() => setIsImportOpen(false)}
+          onImported={() => loadProducts()}
+        />
+      )}
+
+      {/* Export the products the current filters show */}
+      {isExportOpen && (
+        <ProductExport
+          filterQuery={filterQuery()}
+          totalItems={totalItems}
+          hasWarehouse={selectedWarehouse !== 'all'}
+          onClose={() => setIsExportOpen(false)}
+        />
+      )}
+
       {/* Modal for Add/Edit */}
       {isModalOpen && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
@@ -561,6 +1115,41 @@ const ProductManagement = () => {
                   className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
                 />
               </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                <select
+                  value={formData.kind}
+                  onChange={(e) => setFormData({ ...formData, kind: e.target.value })}
+                  disabled={Boolean(editingProduct)}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+                >
+                  <option value="standard">Standard product</option>
+                  <option value="bundle">Bundle of other products</option>
+                </select>
+              </div>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">SKU</label>
+                  <input
+                    type="text"
+                    value={formData.sku}
+                    onChange={(e) => setFormData({ ...formData, sku: e.target.value.toUpperCase() })}
+                    placeholder="e.g. TSHIRT-001"
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 font-mono"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Barcode (optional)</label>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    value={formData.barcode}
+                    onChange={(e) => setFormData({ ...formData, barcode: e.target.value })}
+                    placeholder="EAN-13, UPC-A, EAN-8 or GTIN-14"
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 font-mono"
+                  />
+                </div>
+              </div>
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">Price</label>
                 <input
@@ -581,22 +1170,208 @@ const ProductManagement = () => {
                 >
                   <option value="">Select a category</option>
                   {categories.map((cat) => (
-                    <option key={cat.id} value={cat.name}>
-                      {cat.name}
+                    <option key={cat._id} value={cat._id}>
+                      {cat.path || cat.name}
                     </option>
                   ))}
                 </select>
               </div>
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Stock</label>
-                <input
-                  type="number"
-                  value={formData.stock}
-                  onChange={(e) => setFormData({ ...formData, stock: e.target.value })}
-                  placeholder="Enter stock quantity"
-                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
-                />
-              </div>
+              {/* Attribute fields of the selected category */}
+              {attributeFields.length > 0 && (
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  {attributeFields.map((attribute) => (
+                    <div key={attribute.key}>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        {attribute.label}
+                        {attribute.required && <span className="text-red-500"> *</span>}
+                      </label>
+                      <AttributeInput
+                        attribute={attribute}
+                        value={formData.attributes[attribute.key] || ''}
+                        onChange={(value) => setFormData((prev) => ({
+                          ...prev,
+                          attributes: { ...prev.attributes, [attribute.key]: value },
+                        }))}
+                      />
+                    </div>
+                  ))}
+                </div>
+              )}
+              {formData.kind === 'bundle' ? (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Products in this Bundle</label>
+                  <BundleEditor
+                    components={formData.components}
+                    onChange={(components) => setFormData((prev) => ({ ...prev, components }))}
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    The stock of a bundle is how many can be put together from these products, and selling
+                    a bundle takes its products out of stock.
+                  </p>
+                </div>
+              ) : (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Stock</label>
+                    <input
+                      type="number"
+                      value={formData.variants.length > 0
+                        ? formData.variants.reduce((total, variant) => total + (parseInt(variant.stock) || 0), 0)
+                        : formData.stock}
+                      onChange={(e) => setFormData({ ...formData, stock: e.target.value })}
+                      disabled={formData.variants.length > 0 || Boolean(editingProduct)}
+                      placeholder="Enter stock quantity"
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+                    />
+                    {formData.variants.length > 0 && (
+                      <p className="text-xs text-gray-500 mt-1">Total of the variants below</p>
+                    )}
+                    {editingProduct && (
+                      <p className="text-xs text-gray-500 mt-1">
+                        Record receipts, sales and adjustments in the stock history (click the stock in the table)
+                      </p>
+                    )}
+                  </div>
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Reorder Point</label>
+                      <input
+                        type="number"
+                        min="0"
+                        value={formData.reorderPoint}
+                        onChange={(e) => setFormData({ ...formData, reorderPoint: e.target.value })}
+                        placeholder="Category default"
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Reorder Quantity</label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={formData.reorderQuantity}
+                        onChange={(e) => setFormData({ ...formData, reorderQuantity: e.target.value })}
+                        placeholder="Category default"
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                    </div>
+                    <p className="sm:col-span-2 text-xs text-gray-500 -mt-2">
+                      Available stock (not reserved for orders) at or below the reorder point is low stock. Leave empty to use the category defaults.
+                    </p>
+                  </div>
+                  {canReadSuppliers && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Suppliers</label>
+                      {formData.suppliers.length > 0 && (
+                        <table className="min-w-full text-sm mb-2">
+                          <thead>
+                            <tr className="text-left text-xs text-gray-500 uppercase">
+                              <th className="pr-2 py-1 font-medium">Supplier</th>
+                              <th className="pr-2 py-1 font-medium">Cost</th>
+                              <th className="pr-2 py-1 font-medium">Lead Time (days)</th>
+                              <th className="pr-2 py-1 font-medium">Supplier SKU</th>
+                              <th />
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {formData.suppliers.map((row, index) => (
+                              <tr key={index}>
+                                <td className="pr-2 py-1">
+                                  <select
+                                    value={row.supplier}
+                                    onChange={(e) => updateSupplierRow(index, { supplier: e.target.value })}
+                                    className="w-full px-2 py-1 border border-gray-300 rounded"
+                                  >
+                                    <option value="">Select a supplier</option>
+                                    {suppliers.map((supplier) => (
+                                      <option key={supplier._id} value={supplier._id}>
+                                        {supplier.name}
+                                      </option>
+                                    ))}
+                                  </select>
+                                </td>
+                                <td className="pr-2 py-1">
+                                  <input
+                                    type="number"
+                                    min="0"
+                                    step="0.01"
+                                    value={row.cost}
+                                    onChange={(e) => updateSupplierRow(index, { cost: e.target.value })}
+                                    className="w-24 px-2 py-1 border border-gray-300 rounded"
+                                  />
+                                </td>
+                                <td className="pr-2 py-1">
+                                  <input
+                                    type="number"
+                                    min="0"
+                                    value={row.leadTimeDays}
+                                    onChange={(e) => updateSupplierRow(index, { leadTimeDays: e.target.value })}
+                                    className="w-20 px-2 py-1 border border-gray-300 rounded"
+                                  />
+                                </td>
+                                <td className="pr-2 py-1">
+                                  <input
+                                    type="text"
+                                    value={row.supplierSku}
+                                    onChange={(e) => updateSupplierRow(index, { supplierSku: e.target.value })}
+                                    className="w-full px-2 py-1 border border-gray-300 rounded"
+                                  />
+                                </td>
+                                <td className="py-1 text-right">
+                                  <button
+                                    type="button"
+                                    onClick={() => setFormData((prev) => ({
+                                      ...prev,
+                                      suppliers: prev.suppliers.filter((_, i) => i !== index),
+                                    }))}
+                                    className="text-red-600 hover:text-red-900"
+                                  >
+                                    Remove
+                                  </button>
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      )}
+                      <button
+                        type="button"
+                        onClick={() => setFormData((prev) => ({ ...prev, suppliers: [...prev.suppliers, emptySupplierRow] }))}
+                        className="text-sm text-blue-600 hover:text-blue-900"
+                      >
+                        + Add Supplier
+                      </button>
+                    </div>
+                  )}
+                  {!editingProduct && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Initial stock goes to</label>
+                      <select
+                        value={formData.warehouse}
+                        onChange={(e) => setFormData({ ...formData, warehouse: e.target.value })}
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value="">Default warehouse</option>
+                        {warehouses.map((warehouse) => (
+                          <option key={warehouse._id} value={warehouse._id}>
+                            {warehouse.name}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Variants</label>
+                    <VariantEditor
+                      options={formData.options}
+                      variants={formData.variants}
+                      images={imagePreviews.filter((preview) => preview.type === 'url').map((preview) => preview.data)}
+                      basePrice={formData.price}
+                      onChange={(options, variants) => setFormData((prev) => ({ ...prev, options, variants }))}
+                    />
+                  </div>
+                </>
+              )}
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
                   Product Images
@@ -647,7 +1422,7 @@ const ProductManagement = () => {
               <button
                 onClick={() => {
                   setIsModalOpen(false)
-                  setFormData({ name: '', price: '', category: '', stock: '' })
+                  setFormData(emptyForm)
                   setSelectedImages([])
                   setImagePreviews([])
                   setEditingProduct(null)
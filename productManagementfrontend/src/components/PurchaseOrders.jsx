@@ -0,0 +1,768 @@
+import { useState, useEffect, useContext } from 'react'
+import axios from 'axios'
+import { AuthContext } from '../context/AuthContext'
+import { can } from '../utils/permissions'
+import { variantLabel } from '../utils/variants'
+
+// Backend API URL
+const API_URL = 'http://localhost:8000/api'
+
+// Helper function to get headers with token
+function getHeaders() {
+  const token = localStorage.getItem('token')
+  return {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${token}`,
+  }
+}
+
+// Label and badge colors for each status
+const statusStyles = {
+  draft: { label: 'Draft', className: 'bg-gray-100 text-gray-800' },
+  sent: { label: 'Sent', className: 'bg-blue-100 text-blue-800' },
+  partially_received: { label: 'Partially Received', className: 'bg-yellow-100 text-yellow-800' },
+  received: { label: 'Received', className: 'bg-green-100 text-green-800' },
+}
+
+const emptyOrder = { supplier: '', warehouse: '', expectedAt: '', notes: '', lines: [] }
+
+// Helper function to add up the cost of order lines
+function orderTotal(lines) {
+  return lines.reduce((total, line) => total + (Number(line.quantity) || 0) * (Number(line.unitCost) || 0), 0)
+}
+
+// Helper function to get the cost of a product at a supplier, or '' when the supplier does not sell it
+function supplierCost(product, supplierId) {
+  const entry = (product.suppliers || []).find((item) => item.supplier === supplierId)
+  return entry ? entry.cost.toString() : ''
+}
+
+// Helper function to turn an error response into a readable message
+function getErrorMessage(error, fallback) {
+  const data = error.response?.data
+  return data?.errors ? Object.values(data.errors).join('\n') : data?.message || fallback
+}
+
+const PurchaseOrders = () => {
+  const { user } = useContext(AuthContext)
+  const canManage = can(user, 'purchase-orders:manage')
+
+  const [orders, setOrders] = useState([])
+  const [suppliers, setSuppliers] = useState([])
+  const [warehouses, setWarehouses] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [selectedStatus, setSelectedStatus] = useState('all')
+  const [searchTerm, setSearchTerm] = useState('')
+
+  // Pagination states
+  const [currentPage, setCurrentPage] = useState(1)
+  const [totalPages, setTotalPages] = useState(1)
+  const [totalItems, setTotalItems] = useState(0)
+  const itemsPerPage = 20
+
+  // Draft editor - lines keep the product they were added from, to pick a variant
+  const [isEditorOpen, setIsEditorOpen] = useState(false)
+  const [editingOrder, setEditingOrder] = useState(null)
+  const [formData, setFormData] = useState(emptyOrder)
+  const [productSearch, setProductSearch] = useState('')
+  const [productResults, setProductResults] = useState([])
+
+  // Order shown in the details dialog, and the quantities being received per line id
+  const [viewingOrder, setViewingOrder] = useState(null)
+  const [receiving, setReceiving] = useState({})
+  const [isSaving, setIsSaving] = useState(false)
+
+  // Load suppliers and warehouses for the editor
+  useEffect(() => {
+    loadSuppliers()
+    loadWarehouses()
+  }, [])
+
+  // Load orders when the filters or page change
+  useEffect(() => {
+    loadOrders()
+  }, [selectedStatus, searchTerm, currentPage])
+
+  // Look up products to add while typing in the editor
+  useEffect(() => {
+    const term = productSearch.trim()
+    if (term.length < 2) {
+      setProductResults([])
+      return
+    }
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.get(`${API_URL}/products`, {
+          headers: getHeaders(),
+          params: { search: term, limit: 8 },
+        })
+        if (response.data.success) {
+          setProductResults(response.data.data.products)
+        }
+      } catch (error) {
+        console.error('Error searching products:', error)
+      }
+    }, 300)
+    return () => clearTimeout(timer)
+  }, [productSearch])
+
+  // Function to load purchase orders from API
+  async function loadOrders() {
+    try {
+      setIsLoading(true)
+      const params = { page: currentPage, limit: itemsPerPage }
+      if (selectedStatus !== 'all') {
+        params.status = selectedStatus
+      }
+      if (searchTerm) {
+        params.search = searchTerm
+      }
+      const response = await axios.get(`${API_URL}/purchase-orders`, { headers: getHeaders(), params })
+      if (response.data.success) {
+        setOrders(response.data.data.orders)
+        setTotalPages(response.data.data.pagination.totalPages)
+        setTotalItems(response.data.data.pagination.totalItems)
+      }
+    } catch (error) {
+      console.error('Error loading purchase orders:', error)
+      alert('Failed to load purchase orders')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // Function to load suppliers from API
+  async function loadSuppliers() {
+    try {
+      const response = await axios.get(`${API_URL}/suppliers`, { headers: getHeaders() })
+      if (response.data.success) {
+        setSuppliers(response.data.data.suppliers)
+      }
+    } catch (error) {
+      console.error('Error loading suppliers:', error)
+    }
+  }
+
+  // Function to load warehouses from API
+  async function loadWarehouses() {
+    try {
+      const response = await axios.get(`${API_URL}/warehouses`, { headers: getHeaders() })
+      if (response.data.success) {
+        setWarehouses(response.data.data.warehouses)
+      }
+    } catch (error) {
+      console.error('Error loading warehouses:', error)
+    }
+  }
+
+  function handleAdd() {
+    setEditingOrder(null)
+    setFormData(emptyOrder)
+    setProductSearch('')
+    setIsEditorOpen(true)
+  }
+
+  function handleEdit(order) {
+    setEditingOrder(order)
+    setFormData({
+      supplier: order.supplier?._id || '',
+      warehouse: order.warehouse?._id || '',
+      expectedAt: order.expectedAt ? order.expectedAt.slice(0, 10) : '',
+      notes: order.notes || '',
+      lines: order.lines.map((line) => ({
+        key: line._id,
+        product: line.product,
+        variant: line.variant || '',
+        name: line.name,
+        sku: line.sku,
+        quantity: line.quantity.toString(),
+        unitCost: line.unitCost.toString(),
+      })),
+    })
+    setProductSearch('')
+    setIsEditorOpen(true)
+  }
+
+  function closeEditor() {
+    setIsEditorOpen(false)
+    setEditingOrder(null)
+    setFormData(emptyOrder)
+    setProductSearch('')
+  }
+
+  // Add a product found by the search to the order
+  function addLine(product) {
+    setFormData((prev) => ({
+      ...prev,
+      lines: [
+        ...prev.lines,
+        {
+          key: `${product._id}-${Date.now()}`,
+          product: product._id,
+          productData: product,
+          variant: '',
+          name: product.name,
+          sku: product.sku || '',
+          quantity: '1',
+          unitCost: supplierCost(product, prev.supplier),
+        },
+      ],
+    }))
+    setProductSearch('')
+  }
+
+  function updateLine(index, changes) {
+    setFormData((prev) => ({
+      ...prev,
+      lines: prev.lines.map((line, i) => (i === index ? { ...line, ...changes } : line)),
+    }))
+  }
+
+  function removeLine(index) {
+    setFormData((prev) => ({ ...prev, lines: prev.lines.filter((_, i) => i !== index) }))
+  }
+
+  // Save the draft - create or update
+  async function handleSave() {
+    if (!formData.supplier) {
+      alert('Please select a supplier')
+      return
+    }
+    if (formData.lines.length === 0) {
+      alert('Please add at least one product')
+      return
+    }
+
+    const body = {
+      supplier: formData.supplier,
+      warehouse: formData.warehouse || null,
+      expectedAt: formData.expectedAt || null,
+      notes: formData.notes,
+      lines: formData.lines.map((line) => ({
+        product: line.product,
+        variant: line.variant || null,
+        quantity: parseInt(line.quantity),
+        unitCost: line.unitCost,
+      })),
+    }
+
+    try {
+      setIsSaving(true)
+      const response = editingOrder
+        ? await axios.put(`${API_URL}/purchase-orders/${editingOrder._id}`, body, { headers: getHeaders() })
+        : await axios.post(`${API_URL}/purchase-orders`, body, { headers: getHeaders() })
+      if (response.data.success) {
+        loadOrders()
+        closeEditor()
+      }
+    } catch (error) {
+      console.error('Error saving purchase order:', error)
+      alert(getErrorMessage(error, 'Failed to save purchase order'))
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  // Mark a draft as sent to the supplier - call API
+  async function handleSend(order) {
+    if (!window.confirm(`Send ${order.number} to ${order.supplier?.name}? It can no longer be changed afterwards.`)) {
+      return
+    }
+    try {
+      const response = await axios.post(`${API_URL}/purchase-orders/${order._id}/send`, {}, { headers: getHeaders() })
+      if (response.data.success) {
+        loadOrders()
+      }
+    } catch (error) {
+      console.error('Error sending purchase order:', error)
+      alert(getErrorMessage(error, 'Failed to send purchase order'))
+    }
+  }
+
+  // Delete a draft - call API
+  async function handleDelete(order) {
+    if (!window.confirm(`Are you sure you want to delete ${order.number}?`)) {
+      return
+    }
+    try {
+      const response = await axios.delete(`${API_URL}/purchase-orders/${order._id}`, { headers: getHeaders() })
+      if (response.data.success) {
+        loadOrders()
+      }
+    } catch (error) {
+      console.error('Error deleting purchase order:', error)
+      alert(getErrorMessage(error, 'Failed to delete purchase order'))
+    }
+  }
+
+  // Open the details dialog - lines still expected start with the full remaining quantity
+  async function handleView(order) {
+    try {
+      const response = await axios.get(`${API_URL}/purchase-orders/${order._id}`, { headers: getHeaders() })
+      if (response.data.success) {
+        showOrder(response.data.data)
+      }
+    } catch (error) {
+      console.error('Error loading purchase order:', error)
+      alert('Failed to load purchase order')
+    }
+  }
+
+  function showOrder(order) {
+    setViewingOrder(order)
+    setReceiving(Object.fromEntries(
+      order.lines.map((line) => [line._id, String(line.quantity - line.receivedQuantity)])
+    ))
+  }
+
+  // Receive the entered quantities - call API
+  async function handleReceive() {
+    const lines = Object.entries(receiving)
+      .map(([line, quantity]) => ({ line, quantity: parseInt(quantity) }))
+      .filter((line) => line.quantity > 0)
+    if (lines.length === 0) {
+      alert('Please enter the quantities that arrived')
+      return
+    }
+
+    try {
+      setIsSaving(true)
+      const response = await axios.post(
+        `${API_URL}/purchase-orders/${viewingOrder._id}/receive`,
+        { lines },
+        { headers: getHeaders() }
+      )
+      if (response.data.success) {
+        showOrder(response.data.data)
+        loadOrders()
+      }
+    } catch (error) {
+      console.error('Error receiving purchase order:', error)
+      alert(getErrorMessage(error, 'Failed to receive goods'))
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const canReceive = canManage && viewingOrder && ['sent', 'partially_received'].includes(viewingOrder.status)
+
+  return (
+    <div className="space-y-6">
+      {/* Filters */}
+      <div className="flex flex-col sm:flex-row gap-4">
+        <input
+          type="text"
+          value={searchTerm}
+          onChange={(e) => {
+            setSearchTerm(e.target.value)
+            setCurrentPage(1)
+          }}
+          placeholder="Search by order number..."
+          className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <select
+          value={selectedStatus}
+          onChange={(e) => {
+            setSelectedStatus(e.target.value)
+            setCurrentPage(1)
+          }}
+          className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="all">All Statuses</option>
+          {Object.entries(statusStyles).map(([status, style]) => (
+            <option key={status} value={status}>
+              {style.label}
+            </option>
+          ))}
+        </select>
+        {canManage && (
+          <button
+            onClick={handleAdd}
+            className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors whitespace-nowrap"
+          >
+            + New Purchase Order
+          </button>
+        )}
+      </div>
+
+      {/* Purchase Orders Table */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="overflow-x-auto -mx-4 sm:mx-0">
+          <div className="inline-block min-w-full align-middle">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Number</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Supplier</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Deliver To</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Total</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Expected</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {isLoading ? (
+                  <tr>
+                    <td colSpan="7" className="px-6 py-4 text-center text-gray-500">
+                      Loading purchase orders...
+                    </td>
+                  </tr>
+                ) : orders.length === 0 ? (
+                  <tr>
+                    <td colSpan="7" className="px-6 py-4 text-center text-gray-500">
+                      No purchase orders found
+                    </td>
+                  </tr>
+                ) : (
+                  orders.map((order) => {
+                    const style = statusStyles[order.status]
+                    return (
+                      <tr key={order._id} className="hover:bg-gray-50">
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-900">{order.number}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{order.supplier?.name || '—'}</td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className={`px-2 py-1 rounded-full text-xs font-medium ${style.className}`}>
+                            {style.label}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                          {order.warehouse?.name || 'Default warehouse'}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">
+                          ${orderTotal(order.lines).toFixed(2)}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                          {order.expectedAt ? new Date(order.expectedAt).toLocaleDateString() : '—'}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                          <button onClick={() => handleView(order)} className="text-gray-600 hover:text-gray-900 mr-4">
+                            {canManage && ['sent', 'partially_received'].includes(order.status) ? 'Receive' : 'View'}
+                          </button>
+                          {canManage && order.status === 'draft' && (
+                            <>
+                              <button onClick={() => handleEdit(order)} className="text-blue-600 hover:text-blue-900 mr-4">
+                                Edit
+                              </button>
+                              <button onClick={() => handleSend(order)} className="text-green-600 hover:text-green-900 mr-4">
+                                Send
+                              </button>
+                              <button onClick={() => handleDelete(order)} className="text-red-600 hover:text-red-900">
+                                Delete
+                              </button>
+                            </>
+                          )}
+                        </td>
+                      </tr>
+                    )
+                  })
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      {/* Pagination */}
+      {totalPages > 1 && (
+        <div className="flex flex-col sm:flex-row items-center justify-between gap-4 bg-white px-4 py-3 rounded-lg shadow">
+          <div className="text-xs sm:text-sm text-gray-700 text-center sm:text-left">
+            Showing {((currentPage - 1) * itemsPerPage) + 1} to {Math.min(currentPage * itemsPerPage, totalItems)} of{' '}
+            {totalItems} orders
+          </div>
+          <div className="flex gap-2 flex-wrap justify-center">
+            <button
+              onClick={() => setCurrentPage((prev) => Math.max(prev - 1, 1))}
+              disabled={currentPage === 1}
+              className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Previous
+            </button>
+            <span className="px-4 py-2 text-sm text-gray-700">
+              Page {currentPage} of {totalPages}
+            </span>
+            <button
+              onClick={() => setCurrentPage((prev) => Math.min(prev + 1, totalPages))}
+              disabled={currentPage === totalPages}
+              className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Draft editor */}
+      {isEditorOpen && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg p-4 sm:p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+            <h2 className="text-xl font-bold mb-4">
+              {editingOrder ? `Edit ${editingOrder.number}` : 'New Purchase Order'}
+            </h2>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Supplier</label>
+                <select
+                  value={formData.supplier}
+                  onChange={(e) => setFormData({ ...formData, supplier: e.target.value })}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">Select a supplier</option>
+                  {suppliers.map((supplier) => (
+                    <option key={supplier._id} value={supplier._id}>
+                      {supplier.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Deliver To</label>
+                <select
+                  value={formData.warehouse}
+                  onChange={(e) => setFormData({ ...formData, warehouse: e.target.value })}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">Default warehouse</option>
+                  {warehouses.map((warehouse) => (
+                    <option key={warehouse._id} value={warehouse._id}>
+                      {warehouse.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Expected Delivery</label>
+                <input
+                  type="date"
+                  value={formData.expectedAt}
+                  onChange={(e) => setFormData({ ...formData, expectedAt: e.target.value })}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                <input
+                  type="text"
+                  value={formData.notes}
+                  onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+            </div>
+
+            {/* Lines */}
+            <label className="block text-sm font-medium text-gray-700 mb-1">Products</label>
+            <div className="relative mb-2">
+              <input
+                type="text"
+                value={productSearch}
+                onChange={(e) => setProductSearch(e.target.value)}
+                placeholder="Search products by name, SKU or barcode to add them..."
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              {productResults.length > 0 && (
+                <div className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg max-h-60 overflow-y-auto">
+                  {productResults.map((product) => (
+                    <button
+                      key={product._id}
+                      onClick={() => addLine(product)}
+                      className="w-full text-left px-4 py-2 text-sm hover:bg-gray-50"
+                    >
+                      {product.name}
+                      <span className="font-mono text-xs text-gray-500 ml-2">{product.sku}</span>
+                      {supplierCost(product, formData.supplier) && (
+                        <span className="text-xs text-gray-500 ml-2">${supplierCost(product, formData.supplier)}</span>
+                      )}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+            {formData.lines.length === 0 ? (
+              <p className="text-sm text-gray-500 mb-4">No products yet.</p>
+            ) : (
+              <table className="min-w-full divide-y divide-gray-200 text-sm mb-4">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Quantity</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Unit Cost</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+                    <th className="px-3 py-2" />
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {formData.lines.map((line, index) => (
+                    <tr key={line.key}>
+                      <td className="px-3 py-2">
+                        <div>{line.name}</div>
+                        {line.productData?.variants?.length > 0 && (
+                          <select
+                            value={line.variant}
+                            onChange={(e) => updateLine(index, { variant: e.target.value })}
+                            className="mt-1 px-2 py-1 border border-gray-300 rounded text-sm"
+                          >
+                            <option value="">Select a variant</option>
+                            {line.productData.variants.map((variant) => (
+                              <option key={variant._id} value={variant._id}>
+                                {variantLabel(variant, line.productData.options)}
+                              </option>
+                            ))}
+                          </select>
+                        )}
+                      </td>
+                      <td className="px-3 py-2">
+                        <input
+                          type="number"
+                          min="1"
+                          value={line.quantity}
+                          onChange={(e) => updateLine(index, { quantity: e.target.value })}
+                          className="w-24 px-2 py-1 border border-gray-300 rounded"
+                        />
+                      </td>
+                      <td className="px-3 py-2">
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={line.unitCost}
+                          onChange={(e) => updateLine(index, { unitCost: e.target.value })}
+                          placeholder="Supplier cost"
+                          className="w-28 px-2 py-1 border border-gray-300 rounded"
+                        />
+                      </td>
+                      <td className="px-3 py-2 text-right">
+                        ${((Number(line.quantity) || 0) * (Number(line.unitCost) || 0)).toFixed(2)}
+                      </td>
+                      <td className="px-3 py-2 text-right">
+                        <button onClick={() => removeLine(index)} className="text-red-600 hover:text-red-900">
+                          Remove
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+                <tfoot>
+                  <tr>
+                    <td colSpan="3" className="px-3 py-2 text-right font-medium">Order Total</td>
+                    <td className="px-3 py-2 text-right font-medium">${orderTotal(formData.lines).toFixed(2)}</td>
+                    <td />
+                  </tr>
+                </tfoot>
+              </table>
+            )}
+
+            <div className="flex justify-end space-x-3">
+              <button onClick={closeEditor} className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50">
+                Cancel
+              </button>
+              <button
+                onClick={handleSave}
+                disabled={isSaving}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+              >
+                {isSaving ? 'Saving...' : 'Save Draft'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Order details and receiving */}
+      {viewingOrder && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg p-4 sm:p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+            <div className="flex items-start justify-between mb-4">
+              <div>
+                <h2 className="text-xl font-bold">
+                  {viewingOrder.number}
+                  <span className={`ml-3 align-middle px-2 py-1 rounded-full text-xs font-medium ${statusStyles[viewingOrder.status].className}`}>
+                    {statusStyles[viewingOrder.status].label}
+                  </span>
+                </h2>
+                <p className="text-sm text-gray-600">
+                  {viewingOrder.supplier?.name} → {viewingOrder.warehouse?.name || 'Default warehouse'}
+                  {viewingOrder.expectedAt && ` · expected ${new Date(viewingOrder.expectedAt).toLocaleDateString()}`}
+                </p>
+                {viewingOrder.notes && <p className="text-sm text-gray-500 mt-1">{viewingOrder.notes}</p>}
+              </div>
+              <button onClick={() => setViewingOrder(null)} className="text-gray-500 hover:text-gray-700">
+                Close
+              </button>
+            </div>
+
+            <table className="min-w-full divide-y divide-gray-200 text-sm mb-4">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Ordered</th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Received</th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Unit Cost</th>
+                  {canReceive && <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Receive Now</th>}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {viewingOrder.lines.map((line) => {
+                  const remaining = line.quantity - line.receivedQuantity
+                  return (
+                    <tr key={line._id}>
+                      <td className="px-3 py-2">
+                        {line.name}
+                        {line.sku && <span className="font-mono text-xs text-gray-500 ml-2">{line.sku}</span>}
+                      </td>
+                      <td className="px-3 py-2 text-right">{line.quantity}</td>
+                      <td className={`px-3 py-2 text-right ${remaining === 0 ? 'text-green-700' : ''}`}>
+                        {line.receivedQuantity}
+                      </td>
+                      <td className="px-3 py-2 text-right">${line.unitCost.toFixed(2)}</td>
+                      {canReceive && (
+                        <td className="px-3 py-2">
+                          {remaining > 0 ? (
+                            <input
+                              type="number"
+                              min="0"
+                              max={remaining}
+                              value={receiving[line._id] ?? ''}
+                              onChange={(e) => setReceiving({ ...receiving, [line._id]: e.target.value })}
+                              className="w-24 px-2 py-1 border border-gray-300 rounded"
+                            />
+                          ) : (
+                            <span className="text-xs text-gray-500">Complete</span>
+                          )}
+                        </td>
+                      )}
+                    </tr>
+                  )
+                })}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <td colSpan="3" className="px-3 py-2 text-right font-medium">Order Total</td>
+                  <td className="px-3 py-2 text-right font-medium">${orderTotal(viewingOrder.lines).toFixed(2)}</td>
+                  {canReceive && <td />}
+                </tr>
+              </tfoot>
+            </table>
+
+            {canReceive && (
+              <div className="flex items-center justify-between gap-4">
+                <p className="text-xs text-gray-500">
+                  Received goods are added to the stock of the delivery warehouse and show up in the stock history.
+                </p>
+                <button
+                  onClick={handleReceive}
+                  disabled={isSaving}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 whitespace-nowrap"
+                >
+                  {isSaving ? 'Saving...' : 'Receive'}
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PurchaseOrders
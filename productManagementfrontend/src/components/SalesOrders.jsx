@@ -0,0 +1,756 @@
+import { useState, useEffect, useContext } from 'react'
+import axios from 'axios'
+import { AuthContext } from '../context/AuthContext'
+import { can } from '../utils/permissions'
+import { variantLabel } from '../utils/variants'
+
+// Backend API URL
+const API_URL = 'http://localhost:8000/api'
+
+// Helper function to get headers with token
+function getHeaders() {
+  const token = localStorage.getItem('token')
+  return {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${token}`,
+  }
+}
+
+// Label and badge colors for each status
+const statusStyles = {
+  pending: { label: 'Pending', className: 'bg-gray-100 text-gray-800' },
+  confirmed: { label: 'Confirmed', className: 'bg-blue-100 text-blue-800' },
+  shipped: { label: 'Shipped', className: 'bg-green-100 text-green-800' },
+  cancelled: { label: 'Cancelled', className: 'bg-red-100 text-red-800' },
+}
+
+const emptyOrder = { customer: null, warehouse: '', notes: '', lines: [] }
+
+// Helper function to add up the price of order lines
+function orderTotal(lines) {
+  return lines.reduce((total, line) => total + (Number(line.quantity) || 0) * (Number(line.unitPrice) || 0), 0)
+}
+
+// Helper function to get the units of a product (or variant) that are not reserved for other orders
+function availableStock(item) {
+  return item.stock - (item.reserved || 0)
+}
+
+// Helper function to turn an error response into a readable message
+function getErrorMessage(error, fallback) {
+  const data = error.response?.data
+  return data?.errors ? Object.values(data.errors).join('\n') : data?.message || fallback
+}
+
+const SalesOrders = () => {
+  const { user } = useContext(AuthContext)
+  const canManage = can(user, 'sales-orders:manage')
+
+  const [orders, setOrders] = useState([])
+  const [warehouses, setWarehouses] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [selectedStatus, setSelectedStatus] = useState('all')
+  const [searchTerm, setSearchTerm] = useState('')
+
+  // Pagination states
+  const [currentPage, setCurrentPage] = useState(1)
+  const [totalPages, setTotalPages] = useState(1)
+  const [totalItems, setTotalItems] = useState(0)
+  const itemsPerPage = 20
+
+  // Order editor - customer is { _id, name }, and lines keep the product they were added from, to pick a variant
+  const [isEditorOpen, setIsEditorOpen] = useState(false)
+  const [editingOrder, setEditingOrder] = useState(null)
+  const [formData, setFormData] = useState(emptyOrder)
+  const [customerSearch, setCustomerSearch] = useState('')
+  const [customerResults, setCustomerResults] = useState([])
+  const [productSearch, setProductSearch] = useState('')
+  const [productResults, setProductResults] = useState([])
+  const [isSaving, setIsSaving] = useState(false)
+
+  // Order shown in the details dialog
+  const [viewingOrder, setViewingOrder] = useState(null)
+
+  // Load warehouses for the editor
+  useEffect(() => {
+    loadWarehouses()
+  }, [])
+
+  // Load orders when the filters or page change
+  useEffect(() => {
+    loadOrders()
+  }, [selectedStatus, searchTerm, currentPage])
+
+  // Look up customers while typing in the editor
+  useEffect(() => {
+    const term = customerSearch.trim()
+    if (term.length < 2) {
+      setCustomerResults([])
+      return
+    }
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.get(`${API_URL}/customers`, {
+          headers: getHeaders(),
+          params: { search: term, limit: 8 },
+        })
+        if (response.data.success) {
+          setCustomerResults(response.data.data.customers)
+        }
+      } catch (error) {
+        console.error('Error searching customers:', error)
+      }
+    }, 300)
+    return () => clearTimeout(timer)
+  }, [customerSearch])
+
+  // Look up products to add while typing in the editor
+  useEffect(() => {
+    const term = productSearch.trim()
+    if (term.length < 2) {
+      setProductResults([])
+      return
+    }
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.get(`${API_URL}/products`, {
+          headers: getHeaders(),
+          params: { search: term, limit: 8 },
+        })
+        if (response.data.success) {
+          setProductResults(response.data.data.products)
+        }
+      } catch (error) {
+        console.error('Error searching products:', error)
+      }
+    }, 300)
+    return () => clearTimeout(timer)
+  }, [productSearch])
+
+  // Function to load sales orders from API
+  async function loadOrders() {
+    try {
+      setIsLoading(true)
+      const params = { page: currentPage, limit: itemsPerPage }
+      if (selectedStatus !== 'all') {
+        params.status = selectedStatus
+      }
+      if (searchTerm) {
+        params.search = searchTerm
+      }
+      const response = await axios.get(`${API_URL}/sales-orders`, { headers: getHeaders(), params })
+      if (response.data.success) {
+        setOrders(response.data.data.orders)
+        setTotalPages(response.data.data.pagination.totalPages)
+        setTotalItems(response.data.data.pagination.totalItems)
+      }
+    } catch (error) {
+      console.error('Error loading sales orders:', error)
+      alert('Failed to load sales orders')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // Function to load warehouses from API
+  async function loadWarehouses() {
+    try {
+      const response = await axios.get(`${API_URL}/warehouses`, { headers: getHeaders() })
+      if (response.data.success) {
+        setWarehouses(response.data.data.warehouses)
+      }
+    } catch (error) {
+      console.error('Error loading warehouses:', error)
+    }
+  }
+
+  function openEditor(order, data) {
+    setEditingOrder(order)
+    setFormData(data)
+    setCustomerSearch('')
+    setProductSearch('')
+    setIsEditorOpen(true)
+  }
+
+  function handleAdd() {
+    openEditor(null, emptyOrder)
+  }
+
+  function handleEdit(order) {
+    setViewingOrder(null)
+    openEditor(order, {
+      customer: order.customer,
+      warehouse: order.warehouse?._id || '',
+      notes: order.notes || '',
+      lines: order.lines.map((line) => ({
+        key: line._id,
+        product: line.product,
+        variant: line.variant || '',
+        name: line.name,
+        sku: line.sku,
+        quantity: line.quantity.toString(),
+        unitPrice: line.unitPrice.toString(),
+      })),
+    })
+  }
+
+  function closeEditor() {
+    setIsEditorOpen(false)
+    setEditingOrder(null)
+    setFormData(emptyOrder)
+  }
+
+  // Add a product found by the search to the order
+  function addLine(product) {
+    setFormData((prev) => ({
+      ...prev,
+      lines: [
+        ...prev.lines,
+        {
+          key: `${product._id}-${Date.now()}`,
+          product: product._id,
+          productData: product,
+          variant: '',
+          name: product.name,
+          sku: product.sku || '',
+          quantity: '1',
+          unitPrice: product.price.toString(),
+        },
+      ],
+    }))
+    setProductSearch('')
+  }
+
+  function updateLine(index, changes) {
+    setFormData((prev) => ({
+      ...prev,
+      lines: prev.lines.map((line, i) => (i === index ? { ...line, ...changes } : line)),
+    }))
+  }
+
+  // Picking a variant also picks its price, when it has its own
+  function selectVariant(index, line, variantId) {
+    const variant = line.productData.variants.find((item) => item._id === variantId)
+    const price = variant && variant.price !== null ? variant.price : line.productData.price
+    updateLine(index, { variant: variantId, unitPrice: price.toString() })
+  }
+
+  function removeLine(index) {
+    setFormData((prev) => ({ ...prev, lines: prev.lines.filter((_, i) => i !== index) }))
+  }
+
+  // Save the order - create or update
+  async function handleSave() {
+    if (!formData.customer) {
+      alert('Please select a customer')
+      return
+    }
+    if (formData.lines.length === 0) {
+      alert('Please add at least one product')
+      return
+    }
+
+    const body = {
+      customer: formData.customer._id,
+      warehouse: formData.warehouse || null,
+      notes: formData.notes,
+      lines: formData.lines.map((line) => ({
+        product: line.product,
+        variant: line.variant || null,
+        quantity: parseInt(line.quantity),
+        unitPrice: line.unitPrice,
+      })),
+    }
+
+    try {
+      setIsSaving(true)
+      const response = editingOrder
+        ? await axios.put(`${API_URL}/sales-orders/${editingOrder._id}`, body, { headers: getHeaders() })
+        : await axios.post(`${API_URL}/sales-orders`, body, { headers: getHeaders() })
+      if (response.data.success) {
+        loadOrders()
+        closeEditor()
+      }
+    } catch (error) {
+      console.error('Error saving sales order:', error)
+      alert(getErrorMessage(error, 'Failed to save sales order'))
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  // Move an order to its next state - confirm, ship or cancel
+  async function changeStatus(order, action, question) {
+    if (!window.confirm(question)) {
+      return
+    }
+    try {
+      const response = await axios.post(`${API_URL}/sales-orders/${order._id}/${action}`, {}, { headers: getHeaders() })
+      if (response.data.success) {
+        loadOrders()
+        if (viewingOrder) {
+          setViewingOrder(response.data.data)
+        }
+      }
+    } catch (error) {
+      console.error(`Error changing sales order (${action}):`, error)
+      alert(getErrorMessage(error, 'Failed to change sales order'))
+    }
+  }
+
+  function handleConfirm(order) {
+    changeStatus(order, 'confirm', `Confirm ${order.number}? Its products are reserved in stock.`)
+  }
+
+  function handleShip(order) {
+    changeStatus(order, 'ship', `Ship ${order.number}? Its products are taken out of stock.`)
+  }
+
+  function handleCancel(order) {
+    const released = order.status === 'confirmed' ? ' Its reserved stock is released.' : ''
+    changeStatus(order, 'cancel', `Cancel ${order.number}?${released}`)
+  }
+
+  // Show an order with its lines
+  async function handleView(order) {
+    try {
+      const response = await axios.get(`${API_URL}/sales-orders/${order._id}`, { headers: getHeaders() })
+      if (response.data.success) {
+        setViewingOrder(response.data.data)
+      }
+    } catch (error) {
+      console.error('Error loading sales order:', error)
+      alert('Failed to load sales order')
+    }
+  }
+
+  // Buttons for the actions allowed in the order's state
+  function renderActions(order) {
+    if (!canManage) {
+      return null
+    }
+    return (
+      <>
+        {order.status === 'pending' && (
+          <>
+            <button onClick={() => handleEdit(order)} className="text-blue-600 hover:text-blue-900 mr-4">
+              Edit
+            </button>
+            <button onClick={() => handleConfirm(order)} className="text-green-600 hover:text-green-900 mr-4">
+              Confirm
+            </button>
+          </>
+        )}
+        {order.status === 'confirmed' && (
+          <button onClick={() => handleShip(order)} className="text-green-600 hover:text-green-900 mr-4">
+            Ship
+          </button>
+        )}
+        {['pending', 'confirmed'].includes(order.status) && (
+          <button onClick={() => handleCancel(order)} className="text-red-600 hover:text-red-900">
+            Cancel
+          </button>
+        )}
+      </>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Filters */}
+      <div className="flex flex-col sm:flex-row gap-4">
+        <input
+          type="text"
+          value={searchTerm}
+          onChange={(e) => {
+            setSearchTerm(e.target.value)
+            setCurrentPage(1)
+          }}
+          placeholder="Search by order number..."
+          className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <select
+          value={selectedStatus}
+          onChange={(e) => {
+            setSelectedStatus(e.target.value)
+            setCurrentPage(1)
+          }}
+          className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="all">All Statuses</option>
+          {Object.entries(statusStyles).map(([status, style]) => (
+            <option key={status} value={status}>
+              {style.label}
+            </option>
+          ))}
+        </select>
+        {canManage && (
+          <button
+            onClick={handleAdd}
+            className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors whitespace-nowrap"
+          >
+            + New Order
+          </button>
+        )}
+      </div>
+
+      {/* Sales Orders Table */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="overflow-x-auto -mx-4 sm:mx-0">
+          <div className="inline-block min-w-full align-middle">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Number</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Customer</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Ships From</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Total</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Created</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {isLoading ? (
+                  <tr>
+                    <td colSpan="7" className="px-6 py-4 text-center text-gray-500">
+                      Loading orders...
+                    </td>
+                  </tr>
+                ) : orders.length === 0 ? (
+                  <tr>
+                    <td colSpan="7" className="px-6 py-4 text-center text-gray-500">
+                      No orders found
+                    </td>
+                  </tr>
+                ) : (
+                  orders.map((order) => {
+                    const style = statusStyles[order.status]
+                    return (
+                      <tr key={order._id} className="hover:bg-gray-50">
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-900">{order.number}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{order.customer?.name || '—'}</td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className={`px-2 py-1 rounded-full text-xs font-medium ${style.className}`}>
+                            {style.label}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                          {order.warehouse?.name || 'Default warehouse'}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">
+                          ${orderTotal(order.lines).toFixed(2)}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                          {new Date(order.createdAt).toLocaleDateString()}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                          <button onClick={() => handleView(order)} className="text-gray-600 hover:text-gray-900 mr-4">
+                            View
+                          </button>
+                          {renderActions(order)}
+                        </td>
+                      </tr>
+                    )
+                  })
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      {/* Pagination */}
+      {totalPages > 1 && (
+        <div className="flex flex-col sm:flex-row items-center justify-between gap-4 bg-white px-4 py-3 rounded-lg shadow">
+          <div className="text-xs sm:text-sm text-gray-700 text-center sm:text-left">
+            Showing {((currentPage - 1) * itemsPerPage) + 1} to {Math.min(currentPage * itemsPerPage, totalItems)} of{' '}
+            {totalItems} orders
+          </div>
+          <div className="flex gap-2 flex-wrap justify-center">
+            <button
+              onClick={() => setCurrentPage((prev) => Math.max(prev - 1, 1))}
+              disabled={currentPage === 1}
+              className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Previous
+            </button>
+            <span className="px-4 py-2 text-sm text-gray-700">
+              Page {currentPage} of {totalPages}
+            </span>
+            <button
+              onClick={() => setCurrentPage((prev) => Math.min(prev + 1, totalPages))}
+              disabled={currentPage === totalPages}
+              className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Order editor */}
+      {isEditorOpen && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg p-4 sm:p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+            <h2 className="text-xl font-bold mb-4">
+              {editingOrder ? `Edit ${editingOrder.number}` : 'New Order'}
+            </h2>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Customer</label>
+                {formData.customer ? (
+                  <div className="flex items-center justify-between px-4 py-2 border border-gray-300 rounded-lg">
+                    <span>{formData.customer.name}</span>
+                    <button
+                      onClick={() => setFormData({ ...formData, customer: null })}
+                      className="text-sm text-blue-600 hover:text-blue-900"
+                    >
+                      Change
+                    </button>
+                  </div>
+                ) : (
+                  <div className="relative">
+                    <input
+                      type="text"
+                      value={customerSearch}
+                      onChange={(e) => setCustomerSearch(e.target.value)}
+                      placeholder="Search customers..."
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    {customerResults.length > 0 && (
+                      <div className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg max-h-60 overflow-y-auto">
+                        {customerResults.map((customer) => (
+                          <button
+                            key={customer._id}
+                            onClick={() => {
+                              setFormData({ ...formData, customer })
+                              setCustomerSearch('')
+                            }}
+                            className="w-full text-left px-4 py-2 text-sm hover:bg-gray-50"
+                          >
+                            {customer.name}
+                            {customer.email && <span className="text-xs text-gray-500 ml-2">{customer.email}</span>}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Ships From</label>
+                <select
+                  value={formData.warehouse}
+                  onChange={(e) => setFormData({ ...formData, warehouse: e.target.value })}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">Default warehouse</option>
+                  {warehouses.map((warehouse) => (
+                    <option key={warehouse._id} value={warehouse._id}>
+                      {warehouse.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="sm:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                <input
+                  type="text"
+                  value={formData.notes}
+                  onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+            </div>
+
+            {/* Lines */}
+            <label className="block text-sm font-medium text-gray-700 mb-1">Products</label>
+            <div className="relative mb-2">
+              <input
+                type="text"
+                value={productSearch}
+                onChange={(e) => setProductSearch(e.target.value)}
+                placeholder="Search products by name, SKU or barcode to add them..."
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              {productResults.length > 0 && (
+                <div className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg max-h-60 overflow-y-auto">
+                  {productResults.map((product) => (
+                    <button
+                      key={product._id}
+                      onClick={() => addLine(product)}
+                      className="w-full text-left px-4 py-2 text-sm hover:bg-gray-50"
+                    >
+                      {product.name}
+                      <span className="font-mono text-xs text-gray-500 ml-2">{product.sku}</span>
+                      <span className="text-xs text-gray-500 ml-2">
+                        ${product.price.toFixed(2)} · {availableStock(product)} available
+                      </span>
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+            {formData.lines.length === 0 ? (
+              <p className="text-sm text-gray-500 mb-4">No products yet.</p>
+            ) : (
+              <table className="min-w-full divide-y divide-gray-200 text-sm mb-4">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Quantity</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Unit Price</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+                    <th className="px-3 py-2" />
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {formData.lines.map((line, index) => (
+                    <tr key={line.key}>
+                      <td className="px-3 py-2">
+                        <div>{line.name}</div>
+                        {line.productData?.variants?.length > 0 && (
+                          <select
+                            value={line.variant}
+                            onChange={(e) => selectVariant(index, line, e.target.value)}
+                            className="mt-1 px-2 py-1 border border-gray-300 rounded text-sm"
+                          >
+                            <option value="">Select a variant</option>
+                            {line.productData.variants.map((variant) => (
+                              <option key={variant._id} value={variant._id}>
+                                {variantLabel(variant, line.productData.options)} ({availableStock(variant)} available)
+                              </option>
+                            ))}
+                          </select>
+                        )}
+                      </td>
+                      <td className="px-3 py-2">
+                        <input
+                          type="number"
+                          min="1"
+                          value={line.quantity}
+                          onChange={(e) => updateLine(index, { quantity: e.target.value })}
+                          className="w-24 px-2 py-1 border border-gray-300 rounded"
+                        />
+                      </td>
+                      <td className="px-3 py-2">
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={line.unitPrice}
+                          onChange={(e) => updateLine(index, { unitPrice: e.target.value })}
+                          className="w-28 px-2 py-1 border border-gray-300 rounded"
+                        />
+                      </td>
+                      <td className="px-3 py-2 text-right">
+                        ${((Number(line.quantity) || 0) * (Number(line.unitPrice) || 0)).toFixed(2)}
+                      </td>
+                      <td className="px-3 py-2 text-right">
+                        <button onClick={() => removeLine(index)} className="text-red-600 hover:text-red-900">
+                          Remove
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+                <tfoot>
+                  <tr>
+                    <td colSpan="3" className="px-3 py-2 text-right font-medium">Order Total</td>
+                    <td className="px-3 py-2 text-right font-medium">${orderTotal(formData.lines).toFixed(2)}</td>
+                    <td />
+                  </tr>
+                </tfoot>
+              </table>
+            )}
+            <p className="text-xs text-gray-500 mb-4">
+              Stock is reserved when the order is confirmed, and taken out of stock when it is shipped.
+            </p>
+
+            <div className="flex justify-end space-x-3">
+              <button onClick={closeEditor} className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50">
+                Cancel
+              </button>
+              <button
+                onClick={handleSave}
+                disabled={isSaving}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+              >
+                {isSaving ? 'Saving...' : 'Save Order'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Order details */}
+      {viewingOrder && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg p-4 sm:p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+            <div className="flex items-start justify-between mb-4">
+              <div>
+                <h2 className="text-xl font-bold">
+                  {viewingOrder.number}
+                  <span className={`ml-3 align-middle px-2 py-1 rounded-full text-xs font-medium ${statusStyles[viewingOrder.status].className}`}>
+                    {statusStyles[viewingOrder.status].label}
+                  </span>
+                </h2>
+                <p className="text-sm text-gray-600">
+                  {viewingOrder.customer?.name} · ships from {viewingOrder.warehouse?.name || 'default warehouse'}
+                </p>
+                <p className="text-xs text-gray-500 mt-1">
+                  Created {new Date(viewingOrder.createdAt).toLocaleString()}
+                  {viewingOrder.createdByName && ` by ${viewingOrder.createdByName}`}
+                  {viewingOrder.confirmedAt && ` · confirmed ${new Date(viewingOrder.confirmedAt).toLocaleString()}`}
+                  {viewingOrder.shippedAt && ` · shipped ${new Date(viewingOrder.shippedAt).toLocaleString()}`}
+                  {viewingOrder.cancelledAt && ` · cancelled ${new Date(viewingOrder.cancelledAt).toLocaleString()}`}
+                </p>
+                {viewingOrder.notes && <p className="text-sm text-gray-500 mt-1">{viewingOrder.notes}</p>}
+              </div>
+              <button onClick={() => setViewingOrder(null)} className="text-gray-500 hover:text-gray-700">
+                Close
+              </button>
+            </div>
+
+            <table className="min-w-full divide-y divide-gray-200 text-sm mb-4">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Quantity</th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Unit Price</th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {viewingOrder.lines.map((line) => (
+                  <tr key={line._id}>
+                    <td className="px-3 py-2">
+                      {line.name}
+                      {line.sku && <span className="font-mono text-xs text-gray-500 ml-2">{line.sku}</span>}
+                    </td>
+                    <td className="px-3 py-2 text-right">{line.quantity}</td>
+                    <td className="px-3 py-2 text-right">${line.unitPrice.toFixed(2)}</td>
+                    <td className="px-3 py-2 text-right">${(line.quantity * line.unitPrice).toFixed(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <td colSpan="3" className="px-3 py-2 text-right font-medium">Order Total</td>
+                  <td className="px-3 py-2 text-right font-medium">${orderTotal(viewingOrder.lines).toFixed(2)}</td>
+                </tr>
+              </tfoot>
+            </table>
+
+            <div className="flex justify-end text-sm font-medium">
+              {renderActions(viewingOrder)}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SalesOrders
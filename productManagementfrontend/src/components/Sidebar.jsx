@@ -1,8 +1,30 @@
 import { useContext } from 'react'
 import { AuthContext } from '../context/AuthContext'
 import { useNavigate } from 'react-router-dom'
+import { can } from '../utils/permissions'
 
-const Sidebar = ({ activeSection, setActiveSection, setSidebarOpen }) => {
+// Sections shown in the sidebar and the permission needed to see each one
+// Sections without a permission are shown to every user, sections with a list of permissions
+// to users with any of them
+const navItems = [
+  { section: 'products', label: 'Product Management', permission: 'products:read' },
+  { section: 'categories', label: 'Category Management', permission: 'categories:read' },
+  { section: 'warehouses', label: 'Warehouses', permission: 'warehouses:read' },
+  { section: 'suppliers', label: 'Suppliers', permission: 'suppliers:read' },
+  { section: 'purchase-orders', label: 'Purchase Orders', permission: 'purchase-orders:read' },
+  { section: 'orders', label: 'Orders', permission: 'sales-orders:read' },
+  { section: 'customers', label: 'Customers', permission: 'sales-orders:read' },
+  { section: 'stock-takes', label: 'Stock Takes', permission: 'stock-takes:read' },
+  { section: 'users', label: 'User Management', permission: 'users:manage' },
+  { section: 'activity', label: 'Activity', permission: 'audit:read' },
+  { section: 'trash', label: 'Trash', permission: ['products:delete', 'categories:delete'] },
+  { section: 'notifications', label: 'Notifications' },
+  { section: 'account', label: 'My Account' },
+  { section: 'api-keys', label: 'API Keys' },
+]
+
+// badges: numbers shown next to sections, e.g. { notifications: 3 } - 0 shows nothing
+const Sidebar = ({ activeSection, setActiveSection, setSidebarOpen, badges = {} }) => {
   const { user, logout } = useContext(AuthContext)
   const navigate = useNavigate()
 
@@ -50,26 +72,26 @@ const Sidebar = ({ activeSection, setActiveSection, setSidebarOpen }) => {
           )}
         </div>
         <nav className="space-y-2">
-          <button
-            onClick={() => handleNavClick('products')}
-            className={`w-full text-left px-4 py-3 rounded-lg transition-colors ${
-              activeSection === 'products'
-                ? 'bg-blue-600 text-white'
-                : 'text-gray-300 hover:bg-gray-700'
-            }`}
-          >
-            Product Management
-          </button>
-          <button
-            onClick={() => handleNavClick('categories')}
-            className={`w-full text-left px-4 py-3 rounded-lg transition-colors ${
-              activeSection === 'categories'
-                ? 'bg-blue-600 text-white'
-                : 'text-gray-300 hover:bg-gray-700'
-            }`}
-          >
-            Category Management
-          </button>
+          {navItems
+            .filter((item) => !item.permission || [item.permission].flat().some((permission) => can(user, permission)))
+            .map((item) => (
+              <button
+                key={item.section}
+                onClick={() => handleNavClick(item.section)}
+                className={`w-full flex items-center justify-between text-left px-4 py-3 rounded-lg transition-colors ${
+                  activeSection === item.section
+                    ? 'bg-blue-600 text-white'
+                    : 'text-gray-300 hover:bg-gray-700'
+                }`}
+              >
+                {item.label}
+                {badges[item.section] > 0 && (
+                  <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-red-600 text-white">
+                    {badges[item.section]}
+                  </span>
+                )}
+              </button>
+            ))}
         </nav>
       </div>
       
@@ -80,6 +102,9 @@ const Sidebar = ({ activeSection, setActiveSection, setSidebarOpen }) => {
           <p className="text-sm sm:text-base font-medium text-white truncate">
             {user?.name || user?.username}
           </p>
+          {user?.role && (
+            <p className="text-xs text-gray-400 capitalize">{user.role}</p>
+          )}
         </div>
         <button
           onClick={handleLogout}
@@ -0,0 +1,537 @@
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+import { variantLabel } from '../utils/variants'
+
+// Backend API URL
+const API_URL = 'http://localhost:8000/api'
+
+// Helper function to get headers with token
+function getHeaders() {
+  const token = localStorage.getItem('token')
+  return {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${token}`,
+  }
+}
+
+// Label and badge colors for each movement type
+const typeStyles = {
+  receipt: { label: 'Receipt', className: 'bg-green-100 text-green-800' },
+  sale: { label: 'Sale', className: 'bg-blue-100 text-blue-800' },
+  adjustment: { label: 'Adjustment', className: 'bg-gray-100 text-gray-800' },
+  return: { label: 'Return', className: 'bg-purple-100 text-purple-800' },
+  damage: { label: 'Damage', className: 'bg-red-100 text-red-800' },
+  transfer: { label: 'Transfer', className: 'bg-yellow-100 text-yellow-800' },
+}
+
+// Types that can be recorded in the movement form - transfers have their own form
+const recordTypes = ['receipt', 'sale', 'adjustment', 'return', 'damage']
+
+const emptyMovement = { type: 'receipt', variant: '', warehouse: '', quantity: '', reason: '' }
+const emptyTransfer = { variant: '', from: '', to: '', quantity: '', reason: '' }
+
+// Helper function to turn an error response into a readable message
+function getErrorMessage(error, fallback) {
+  const data = error.response?.data
+  return data?.errors ? Object.values(data.errors).join('\n') : data?.message || fallback
+}
+
+// Stock history of one product, with its stock per warehouse, a form to record receipts, sales,
+// adjustments, returns and damages, and a form to transfer stock between warehouses
+// selectedWarehouse is the warehouse picked above the product table ('' for all)
+// onChange is called with the updated product after a movement is recorded
+const StockHistory = ({ product, warehouses, selectedWarehouse, canRecord, onClose, onChange }) => {
+  const [current, setCurrent] = useState(product)
+  const [movements, setMovements] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [selectedType, setSelectedType] = useState('all')
+  const [filterWarehouse, setFilterWarehouse] = useState('all')
+  // Which form is shown: 'movement' or 'transfer'
+  const [mode, setMode] = useState('movement')
+  const [movement, setMovement] = useState({ ...emptyMovement, warehouse: selectedWarehouse })
+  const [transfer, setTransfer] = useState({ ...emptyTransfer, from: selectedWarehouse })
+  const [isSaving, setIsSaving] = useState(false)
+
+  // Pagination states
+  const [currentPage, setCurrentPage] = useState(1)
+  const [totalPages, setTotalPages] = useState(1)
+  const itemsPerPage = 10
+
+  const hasVariants = current.variants?.length > 0
+
+  // Load movements when the filter or page changes
+  useEffect(() => {
+    loadMovements()
+  }, [selectedType, filterWarehouse, currentPage])
+
+  // Function to load the stock history from API
+  async function loadMovements() {
+    try {
+      setIsLoading(true)
+      const params = { page: currentPage, limit: itemsPerPage }
+      if (selectedType !== 'all') {
+        params.type = selectedType
+      }
+      if (filterWarehouse !== 'all') {
+        params.warehouse = filterWarehouse
+      }
+      const response = await axios.get(`${API_URL}/products/${product._id}/stock-movements`, {
+        headers: getHeaders(),
+        params,
+      })
+      if (response.data.success) {
+        setMovements(response.data.data.movements)
+        setTotalPages(response.data.data.pagination.totalPages)
+      }
+    } catch (error) {
+      console.error('Error loading stock history:', error)
+      alert('Failed to load stock history')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // Record a movement - call API
+  async function handleRecord(e) {
+    e.preventDefault()
+    const quantity = parseInt(movement.quantity)
+    if (isNaN(quantity) || quantity === 0) {
+      alert('Please enter a quantity')
+      return
+    }
+    if (hasVariants && !movement.variant) {
+      alert('Please select a variant')
+      return
+    }
+    if (!movement.reason.trim()) {
+      alert('Please enter a reason')
+      return
+    }
+
+    try {
+      setIsSaving(true)
+      const response = await axios.post(
+        `${API_URL}/products/${product._id}/stock-movements`,
+        {
+          type: movement.type,
+          quantity,
+          reason: movement.reason,
+          ...(movement.warehouse && { warehouse: movement.warehouse }),
+          ...(hasVariants && { variant: movement.variant }),
+        },
+        { headers: getHeaders() }
+      )
+      if (response.data.success) {
+        setMovement({ ...emptyMovement, type: movement.type, variant: movement.variant, warehouse: movement.warehouse })
+        handleSaved(response.data.data.product)
+      }
+    } catch (error) {
+      console.error('Error recording stock movement:', error)
+      alert(getErrorMessage(error, 'Failed to record stock movement'))
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  // Transfer stock between warehouses - call API
+  async function handleTransfer(e) {
+    e.preventDefault()
+    const quantity = parseInt(transfer.quantity)
+    if (isNaN(quantity) || quantity <= 0) {
+      alert('Please enter a quantity greater than 0')
+      return
+    }
+    if (!transfer.from || !transfer.to || transfer.from === transfer.to) {
+      alert('Please select two different warehouses')
+      return
+    }
+    if (hasVariants && !transfer.variant) {
+      alert('Please select a variant')
+      return
+    }
+
+    try {
+      setIsSaving(true)
+      const response = await axios.post(
+        `${API_URL}/products/${product._id}/transfers`,
+        {
+          from: transfer.from,
+          to: transfer.to,
+          quantity,
+          reason: transfer.reason,
+          ...(hasVariants && { variant: transfer.variant }),
+        },
+        { headers: getHeaders() }
+      )
+      if (response.data.success) {
+        setTransfer({ ...emptyTransfer, from: transfer.from, to: transfer.to, variant: transfer.variant })
+        handleSaved(response.data.data.product)
+      }
+    } catch (error) {
+      console.error('Error transferring stock:', error)
+      alert(getErrorMessage(error, 'Failed to transfer stock'))
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  // Show the new stock and the new movement at the top of the history
+  function handleSaved(updatedProduct) {
+    setCurrent(updatedProduct)
+    onChange(updatedProduct)
+    if (currentPage === 1) {
+      loadMovements()
+    } else {
+      setCurrentPage(1)
+    }
+  }
+
+  // Stock in one warehouse, for the whole product or one variant
+  function stockIn(warehouseId, variantId = null) {
+    return (current.locations || [])
+      .filter((location) => location.warehouse === warehouseId && (!variantId || location.variant === variantId))
+      .reduce((total, location) => total + location.stock, 0)
+  }
+
+  // Helper function to name the variant of a movement
+  function movementVariant(variantId) {
+    const variant = current.variants?.find((item) => item._id === variantId)
+    return variant ? variantLabel(variant, current.options) : 'Removed variant'
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg p-4 sm:p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-start justify-between mb-4">
+          <div>
+            <h2 className="text-xl font-bold">Stock History</h2>
+            <p className="text-sm text-gray-500">
+              {current.name} {current.sku && <span className="font-mono">({current.sku})</span>}
+            </p>
+          </div>
+          <div className="text-right">
+            <div className="text-xs text-gray-500 uppercase">In stock</div>
+            <div className="text-2xl font-bold">{current.stock}</div>
+          </div>
+        </div>
+
+        {/* Stock per warehouse (and variant) */}
+        <div className="overflow-x-auto mb-4">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 uppercase">
+                <th className="py-1 pr-4">Warehouse</th>
+                <th className="py-1 pr-4 text-right">Stock</th>
+                {hasVariants && <th className="py-1">Per Variant</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {warehouses.map((warehouse) => (
+                <tr key={warehouse._id} className="align-top">
+                  <td className="py-1 pr-4 whitespace-nowrap">
+                    <span className="font-mono text-xs text-gray-500 mr-2">{warehouse.code}</span>
+                    {warehouse.name}
+                  </td>
+                  <td className="py-1 pr-4 text-right font-medium">{stockIn(warehouse._id)}</td>
+                  {hasVariants && (
+                    <td className="py-1">
+                      <div className="flex flex-wrap gap-1">
+                        {current.variants
+                          .filter((variant) => stockIn(warehouse._id, variant._id) > 0)
+                          .map((variant) => (
+                            <span key={variant._id} className="px-2 py-0.5 bg-gray-100 rounded text-xs">
+                              {variantLabel(variant, current.options)}: {stockIn(warehouse._id, variant._id)}
+                            </span>
+                          ))}
+                      </div>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Record a movement or transfer stock */}
+        {canRecord && (
+          <div className="flex gap-4 mb-2 text-sm">
+            <button
+              onClick={() => setMode('movement')}
+              className={mode === 'movement' ? 'font-medium text-blue-600' : 'text-gray-600 hover:text-gray-900'}
+            >
+              Record Movement
+            </button>
+            {warehouses.length > 1 && (
+              <button
+                onClick={() => setMode('transfer')}
+                className={mode === 'transfer' ? 'font-medium text-blue-600' : 'text-gray-600 hover:text-gray-900'}
+              >
+                Transfer
+              </button>
+            )}
+          </div>
+        )}
+        {canRecord && mode === 'movement' && (
+          <form onSubmit={handleRecord} className="grid grid-cols-1 sm:grid-cols-2 gap-3 p-4 bg-gray-50 rounded-lg mb-4">
+            <select
+              value={movement.type}
+              onChange={(e) => setMovement({ ...movement, type: e.target.value })}
+              className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {recordTypes.map((type) => (
+                <option key={type} value={type}>
+                  {typeStyles[type].label}
+                </option>
+              ))}
+            </select>
+            <select
+              value={movement.warehouse}
+              onChange={(e) => setMovement({ ...movement, warehouse: e.target.value })}
+              className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">Default warehouse</option>
+              {warehouses.map((warehouse) => (
+                <option key={warehouse._id} value={warehouse._id}>
+                  {warehouse.name}
+                </option>
+              ))}
+            </select>
+            {hasVariants && (
+              <select
+                value={movement.variant}
+                onChange={(e) => setMovement({ ...movement, variant: e.target.value })}
+                className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">Select a variant</option>
+                {current.variants.map((variant) => (
+                  <option key={variant._id} value={variant._id}>
+                    {variantLabel(variant, current.options)}
+                  </option>
+                ))}
+              </select>
+            )}
+            <input
+              type="number"
+              value={movement.quantity}
+              onChange={(e) => setMovement({ ...movement, quantity: e.target.value })}
+              placeholder={movement.type === 'adjustment' ? 'Change, e.g. -2 or 5' : 'Quantity'}
+              className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <input
+              type="text"
+              value={movement.reason}
+              onChange={(e) => setMovement({ ...movement, reason: e.target.value })}
+              placeholder="Reason, e.g. delivery note 1234"
+              className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <div className="sm:col-span-2 flex justify-end">
+              <button
+                type="submit"
+                disabled={isSaving}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+              >
+                {isSaving ? 'Saving...' : 'Record'}
+              </button>
+            </div>
+          </form>
+        )}
+        {canRecord && mode === 'transfer' && (
+          <form onSubmit={handleTransfer} className="grid grid-cols-1 sm:grid-cols-2 gap-3 p-4 bg-gray-50 rounded-lg mb-4">
+            <select
+              value={transfer.from}
+              onChange={(e) => setTransfer({ ...transfer, from: e.target.value })}
+              className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">From warehouse</option>
+              {warehouses.map((warehouse) => (
+                <option key={warehouse._id} value={warehouse._id}>
+                  {warehouse.name} ({stockIn(warehouse._id, transfer.variant || null)})
+                </option>
+              ))}
+            </select>
+            <select
+              value={transfer.to}
+              onChange={(e) => setTransfer({ ...transfer, to: e.target.value })}
+              className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">To warehouse</option>
+              {warehouses
+                .filter((warehouse) => warehouse._id !== transfer.from)
+                .map((warehouse) => (
+                  <option key={warehouse._id} value={warehouse._id}>
+                    {warehouse.name}
+                  </option>
+                ))}
+            </select>
+            {hasVariants && (
+              <select
+                value={transfer.variant}
+                onChange={(e) => setTransfer({ ...transfer, variant: e.target.value })}
+                className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">Select a variant</option>
+                {current.variants.map((variant) => (
+                  <option key={variant._id} value={variant._id}>
+                    {variantLabel(variant, current.options)}
+                  </option>
+                ))}
+              </select>
+            )}
+            <input
+              type="number"
+              min="1"
+              value={transfer.quantity}
+              onChange={(e) => setTransfer({ ...transfer, quantity: e.target.value })}
+              placeholder="Quantity"
+              className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <input
+              type="text"
+              value={transfer.reason}
+              onChange={(e) => setTransfer({ ...transfer, reason: e.target.value })}
+              placeholder="Reason (optional)"
+              className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <div className="sm:col-span-2 flex justify-end">
+              <button
+                type="submit"
+                disabled={isSaving}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+              >
+                {isSaving ? 'Saving...' : 'Transfer'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {/* Movement filters */}
+        <div className="flex justify-end gap-2 mb-2">
+          <select
+            value={filterWarehouse}
+            onChange={(e) => {
+              setFilterWarehouse(e.target.value)
+              setCurrentPage(1)
+            }}
+            className="px-3 py-1 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="all">All Warehouses</option>
+            {warehouses.map((warehouse) => (
+              <option key={warehouse._id} value={warehouse._id}>
+                {warehouse.name}
+              </option>
+            ))}
+          </select>
+          <select
+            value={selectedType}
+            onChange={(e) => {
+              setSelectedType(e.target.value)
+              setCurrentPage(1)
+            }}
+            className="px-3 py-1 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="all">All Movements</option>
+            {Object.entries(typeStyles).map(([type, style]) => (
+              <option key={type} value={type}>
+                {style.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {/* Movements */}
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">When</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Warehouse</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Change</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Balance</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Reason</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Who</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {isLoading ? (
+                <tr>
+                  <td colSpan="7" className="px-4 py-4 text-center text-gray-500">
+                    Loading stock history...
+                  </td>
+                </tr>
+              ) : movements.length === 0 ? (
+                <tr>
+                  <td colSpan="7" className="px-4 py-4 text-center text-gray-500">
+                    No stock movements yet
+                  </td>
+                </tr>
+              ) : (
+                movements.map((item) => {
+                  const style = typeStyles[item.type]
+                  return (
+                    <tr key={item._id}>
+                      <td className="px-4 py-2 whitespace-nowrap text-gray-500">
+                        {new Date(item.createdAt).toLocaleString()}
+                      </td>
+                      <td className="px-4 py-2 whitespace-nowrap">
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium ${style.className}`}>
+                          {style.label}
+                        </span>
+                        {item.variant && <div className="text-xs text-gray-500 mt-1">{movementVariant(item.variant)}</div>}
+                      </td>
+                      <td className="px-4 py-2 whitespace-nowrap text-gray-700" title={item.warehouse?.name}>
+                        {item.warehouse?.code || '—'}
+                      </td>
+                      <td className={`px-4 py-2 whitespace-nowrap text-right font-medium ${item.quantity > 0 ? 'text-green-700' : 'text-red-600'}`}>
+                        {item.quantity > 0 ? `+${item.quantity}` : item.quantity}
+                      </td>
+                      <td className="px-4 py-2 whitespace-nowrap text-right">{item.balanceAfter}</td>
+                      <td className="px-4 py-2 text-gray-700">
+                        {item.reason || '—'}
+                        {item.reference?.number && (
+                          <span className="font-mono text-xs text-gray-500 ml-2">{item.reference.number}</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-2 whitespace-nowrap text-gray-700">{item.userName || '—'}</td>
+                    </tr>
+                  )
+                })
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="flex items-center justify-between mt-4">
+          <div className="flex gap-2">
+            {totalPages > 1 && (
+              <>
+                <button
+                  onClick={() => setCurrentPage((prev) => Math.max(prev - 1, 1))}
+                  disabled={currentPage === 1}
+                  className="px-3 py-1 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Previous
+                </button>
+                <span className="px-3 py-1 text-sm text-gray-700">
+                  Page {currentPage} of {totalPages}
+                </span>
+                <button
+                  onClick={() => setCurrentPage((prev) => Math.min(prev + 1, totalPages))}
+                  disabled={currentPage === totalPages}
+                  className="px-3 py-1 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Next
+                </button>
+              </>
+            )}
+          </div>
+          <button onClick={onClose} className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50">
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default StockHistory
@@ -0,0 +1,662 @@
+import { useState, useEffect, useContext, useRef } from 'react'
+import axios from 'axios'
+import { AuthContext } from '../context/AuthContext'
+import { can } from '../utils/permissions'
+
+// Backend API URL
+const API_URL = 'http://localhost:8000/api'
+
+// Helper function to get headers with token
+function getHeaders() {
+  const token = localStorage.getItem('token')
+  return {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${token}`,
+  }
+}
+
+// Label and badge colors for each status
+const statusStyles = {
+  counting: { label: 'Counting', className: 'bg-blue-100 text-blue-800' },
+  approved: { label: 'Approved', className: 'bg-green-100 text-green-800' },
+  cancelled: { label: 'Cancelled', className: 'bg-gray-100 text-gray-800' },
+}
+
+const emptyForm = { warehouse: '', category: '', notes: '' }
+
+// Helper function to get the difference found by the count, or null for lines not counted yet
+function lineVariance(line) {
+  return line.counted === null ? null : line.counted - line.expected
+}
+
+// Helper function to read scanner input: "code", or "quantity*code" to count several units at once
+// e.g. "12*4006381333931" counts 12, and "-1*4006381333931" takes one off again
+function parseScan(input) {
+  const match = input.match(/^(-?\d+)\s*\*\s*(.+)$/)
+  return match ? { quantity: parseInt(match[1]), code: match[2].trim() } : { quantity: 1, code: input.trim() }
+}
+
+// Helper function to turn an error response into a readable message
+function getErrorMessage(error, fallback) {
+  const data = error.response?.data
+  return data?.errors ? Object.values(data.errors).join('\n') : data?.message || fallback
+}
+
+const StockTakes = () => {
+  const { user } = useContext(AuthContext)
+  const canCount = can(user, 'stock-takes:count')
+  const canApprove = can(user, 'stock-takes:approve')
+
+  const [stockTakes, setStockTakes] = useState([])
+  const [warehouses, setWarehouses] = useState([])
+  const [categories, setCategories] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [selectedStatus, setSelectedStatus] = useState('all')
+
+  // Pagination states
+  const [currentPage, setCurrentPage] = useState(1)
+  const [totalPages, setTotalPages] = useState(1)
+  const [totalItems, setTotalItems] = useState(0)
+  const itemsPerPage = 20
+
+  const [isModalOpen, setIsModalOpen] = useState(false)
+  const [formData, setFormData] = useState(emptyForm)
+  const [isSaving, setIsSaving] = useState(false)
+
+  // Stock take being counted, with its lines
+  const [current, setCurrent] = useState(null)
+  const [lineFilter, setLineFilter] = useState('all')
+  const [lineSearch, setLineSearch] = useState('')
+  // Counted quantities typed but not saved yet, by line id
+  const [drafts, setDrafts] = useState({})
+  const [scanInput, setScanInput] = useState('')
+  // Result of the last scan: { line, quantity } or { error }
+  const [lastScan, setLastScan] = useState(null)
+  const scanRef = useRef(null)
+  const countRefs = useRef({})
+
+  // Load warehouses and categories for new stock takes
+  useEffect(() => {
+    loadWarehouses()
+    loadCategories()
+  }, [])
+
+  // Load stock takes when the filter or page changes
+  useEffect(() => {
+    loadStockTakes()
+  }, [selectedStatus, currentPage])
+
+  // Function to load stock takes from API
+  async function loadStockTakes() {
+    try {
+      setIsLoading(true)
+      const params = { page: currentPage, limit: itemsPerPage }
+      if (selectedStatus !== 'all') {
+        params.status = selectedStatus
+      }
+      const response = await axios.get(`${API_URL}/stock-takes`, { headers: getHeaders(), params })
+      if (response.data.success) {
+        setStockTakes(response.data.data.stockTakes)
+        setTotalPages(response.data.data.pagination.totalPages)
+        setTotalItems(response.data.data.pagination.totalItems)
+      }
+    } catch (error) {
+      console.error('Error loading stock takes:', error)
+      alert('Failed to load stock takes')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // Function to load warehouses from API
+  async function loadWarehouses() {
+    try {
+      const response = await axios.get(`${API_URL}/warehouses`, { headers: getHeaders() })
+      if (response.data.success) {
+        setWarehouses(response.data.data.warehouses)
+      }
+    } catch (error) {
+      console.error('Error loading warehouses:', error)
+    }
+  }
+
+  // Function to load categories from API
+  async function loadCategories() {
+    try {
+      const response = await axios.get(`${API_URL}/categories?page=1&limit=100`, { headers: getHeaders() })
+      if (response.data.success) {
+        setCategories(response.data.data.categories)
+      }
+    } catch (error) {
+      console.error('Error loading categories:', error)
+    }
+  }
+
+  // Start a stock take - call API
+  async function handleCreate() {
+    try {
+      setIsSaving(true)
+      const response = await axios.post(`${API_URL}/stock-takes`, {
+        warehouse: formData.warehouse || null,
+        category: formData.category || null,
+        notes: formData.notes,
+      }, { headers: getHeaders() })
+      if (response.data.success) {
+        setIsModalOpen(false)
+        setFormData(emptyForm)
+        loadStockTakes()
+        openStockTake(response.data.data)
+      }
+    } catch (error) {
+      console.error('Error starting stock take:', error)
+      alert(getErrorMessage(error, 'Failed to start stock take'))
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  function openStockTake(stockTake) {
+    setCurrent(stockTake)
+    setDrafts({})
+    setLineFilter('all')
+    setLineSearch('')
+    setLastScan(null)
+    setScanInput('')
+  }
+
+  async function handleOpen(stockTake) {
+    try {
+      const response = await axios.get(`${API_URL}/stock-takes/${stockTake._id}`, { headers: getHeaders() })
+      if (response.data.success) {
+        openStockTake(response.data.data)
+      }
+    } catch (error) {
+      console.error('Error loading stock take:', error)
+      alert('Failed to load stock take')
+    }
+  }
+
+  function closeStockTake() {
+    setCurrent(null)
+    loadStockTakes()
+  }
+
+  // Replace one line of the open stock take
+  function updateLine(line) {
+    setCurrent((prev) => ({ ...prev, lines: prev.lines.map((item) => (item._id === line._id ? line : item)) }))
+  }
+
+  // Save the count typed for a line - call API
+  async function saveCount(line) {
+    if (!(line._id in drafts)) {
+      return
+    }
+    const value = drafts[line._id]
+    try {
+      const response = await axios.patch(
+        `${API_URL}/stock-takes/${current._id}/counts`,
+        { counts: [{ line: line._id, counted: value === '' ? null : parseInt(value) }] },
+        { headers: getHeaders() }
+      )
+      if (response.data.success) {
+        setCurrent(response.data.data)
+        setDrafts((prev) => {
+          const next = { ...prev }
+          delete next[line._id]
+          return next
+        })
+      }
+    } catch (error) {
+      console.error('Error saving count:', error)
+      alert(getErrorMessage(error, 'Failed to save count'))
+    }
+  }
+
+  // Enter saves the count and moves on to the next line, Escape drops what was typed
+  function handleCountKeyDown(e, line, index, lines) {
+    if (e.key === 'Enter' || (e.key === 'ArrowDown' && !e.altKey)) {
+      e.preventDefault()
+      saveCount(line)
+      const next = lines[index + 1]
+      if (next) {
+        countRefs.current[next._id]?.focus()
+      } else if (e.key === 'Enter') {
+        scanRef.current?.focus()
+      }
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      const previous = lines[index - 1]
+      if (previous) {
+        countRefs.current[previous._id]?.focus()
+      }
+    } else if (e.key === 'Escape') {
+      setDrafts((prev) => {
+        const next = { ...prev }
+        delete next[line._id]
+        return next
+      })
+    }
+  }
+
+  // Count a scanned or typed code - call API
+  async function handleScan(e) {
+    e.preventDefault()
+    if (!scanInput.trim()) {
+      return
+    }
+    const { quantity, code } = parseScan(scanInput)
+    setScanInput('')
+    try {
+      const response = await axios.post(
+        `${API_URL}/stock-takes/${current._id}/scan`,
+        { code, quantity },
+        { headers: getHeaders() }
+      )
+      if (response.data.success) {
+        updateLine(response.data.data)
+        setLastScan({ line: response.data.data, quantity })
+      }
+    } catch (error) {
+      console.error('Error counting code:', error)
+      setLastScan({ error: getErrorMessage(error, 'Failed to count code') })
+    } finally {
+      scanRef.current?.focus()
+    }
+  }
+
+  // Approve the stock take and post the differences - call API
+  async function handleApprove() {
+    const variances = current.lines.filter((line) => lineVariance(line)).length
+    const uncounted = current.lines.filter((line) => line.counted === null).length
+    const question = `Approve ${current.number}? ${variances} adjustment(s) will be posted.` +
+      (uncounted > 0 ? ` ${uncounted} line(s) were not counted and are left as they are.` : '')
+    if (!window.confirm(question)) {
+      return
+    }
+    try {
+      const response = await axios.post(`${API_URL}/stock-takes/${current._id}/approve`, {}, { headers: getHeaders() })
+      if (response.data.success) {
+        setCurrent(response.data.data)
+        alert(response.data.message)
+      }
+    } catch (error) {
+      console.error('Error approving stock take:', error)
+      alert(getErrorMessage(error, 'Failed to approve stock take'))
+    }
+  }
+
+  // Cancel the stock take - call API
+  async function handleCancel() {
+    if (!window.confirm(`Cancel ${current.number}? No stock is changed.`)) {
+      return
+    }
+    try {
+      const response = await axios.post(`${API_URL}/stock-takes/${current._id}/cancel`, {}, { headers: getHeaders() })
+      if (response.data.success) {
+        setCurrent(response.data.data)
+      }
+    } catch (error) {
+      console.error('Error cancelling stock take:', error)
+      alert(getErrorMessage(error, 'Failed to cancel stock take'))
+    }
+  }
+
+  // Counting view of one stock take
+  if (current) {
+    const isCounting = current.status === 'counting' && canCount
+    const counted = current.lines.filter((line) => line.counted !== null).length
+    const withVariance = current.lines.filter((line) => lineVariance(line)).length
+    const term = lineSearch.trim().toLowerCase()
+    const visibleLines = current.lines.filter((line) => {
+      if (lineFilter === 'uncounted' && line.counted !== null) return false
+      if (lineFilter === 'variances' && !lineVariance(line)) return false
+      return !term || [line.name, line.sku, line.barcode].some((value) => value && value.toLowerCase().includes(term))
+    })
+
+    return (
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="bg-white p-4 rounded-lg shadow flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+          <div>
+            <h2 className="text-xl font-bold">
+              {current.number}
+              <span className={`ml-3 align-middle px-2 py-1 rounded-full text-xs font-medium ${statusStyles[current.status].className}`}>
+                {statusStyles[current.status].label}
+              </span>
+            </h2>
+            <p className="text-sm text-gray-600">
+              {current.warehouse?.name}
+              {current.category ? ` · ${current.category.name}` : ' · all products'}
+              {` · ${counted} of ${current.lines.length} counted · ${withVariance} with a difference`}
+            </p>
+            {current.notes && <p className="text-sm text-gray-500 mt-1">{current.notes}</p>}
+          </div>
+          <div className="flex gap-2">
+            <button onClick={closeStockTake} className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50">
+              Back
+            </button>
+            {isCounting && (
+              <button onClick={handleCancel} className="px-4 py-2 border border-red-300 text-red-700 rounded-lg hover:bg-red-50">
+                Cancel Stock Take
+              </button>
+            )}
+            {current.status === 'counting' && canApprove && (
+              <button onClick={handleApprove} className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700">
+                Approve
+              </button>
+            )}
+          </div>
+        </div>
+
+        {/* Keyboard counting */}
+        {isCounting && (
+          <form onSubmit={handleScan} className="bg-white p-4 rounded-lg shadow">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Scan or type a barcode or SKU</label>
+            <input
+              ref={scanRef}
+              type="text"
+              value={scanInput}
+              onChange={(e) => setScanInput(e.target.value)}
+              onKeyDown={(e) => e.key === 'Escape' && setScanInput('')}
+              autoFocus
+              placeholder="e.g. 4006381333931, or 12*4006381333931 to count 12"
+              className="w-full px-4 py-3 text-lg font-mono border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Enter counts one unit, "quantity*code" counts several and "-1*code" takes one off.
+              In the table, Enter saves a count and jumps to the next line, and the arrow keys move between lines.
+            </p>
+            {lastScan && (
+              lastScan.error ? (
+                <div className="mt-2 px-3 py-2 rounded bg-red-50 text-sm text-red-700">{lastScan.error}</div>
+              ) : (
+                <div className="mt-2 px-3 py-2 rounded bg-green-50 text-sm text-green-800">
+                  {lastScan.quantity > 0 ? '+' : ''}{lastScan.quantity} {lastScan.line.name} — counted {lastScan.line.counted}
+                  {' '}(expected {lastScan.line.expected})
+                </div>
+              )
+            )}
+          </form>
+        )}
+
+        {/* Lines */}
+        <div className="flex flex-col sm:flex-row gap-4">
+          <input
+            type="text"
+            value={lineSearch}
+            onChange={(e) => setLineSearch(e.target.value)}
+            placeholder="Filter lines by name, SKU or barcode..."
+            className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <select
+            value={lineFilter}
+            onChange={(e) => setLineFilter(e.target.value)}
+            className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="all">All Lines</option>
+            <option value="uncounted">Not Counted</option>
+            <option value="variances">Differences</option>
+          </select>
+        </div>
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">SKU / Barcode</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Expected</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Counted</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Difference</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {visibleLines.length === 0 ? (
+                  <tr>
+                    <td colSpan="5" className="px-4 py-4 text-center text-gray-500">No lines</td>
+                  </tr>
+                ) : (
+                  visibleLines.map((line, index) => {
+                    const variance = lineVariance(line)
+                    return (
+                      <tr key={line._id} className={line.counted === null ? '' : 'bg-gray-50'}>
+                        <td className="px-4 py-2">{line.name}</td>
+                        <td className="px-4 py-2 font-mono text-xs text-gray-600">
+                          {line.sku || '—'}
+                          {line.barcode && <div>{line.barcode}</div>}
+                        </td>
+                        <td className="px-4 py-2 text-right">{line.expected}</td>
+                        <td className="px-4 py-2 text-right">
+                          {isCounting ? (
+                            <input
+                              ref={(element) => { countRefs.current[line._id] = element }}
+                              type="number"
+                              min="0"
+                              value={drafts[line._id] ?? (line.counted === null ? '' : line.counted)}
+                              onChange={(e) => setDrafts({ ...drafts, [line._id]: e.target.value })}
+                              onKeyDown={(e) => handleCountKeyDown(e, line, index, visibleLines)}
+                              onBlur={() => saveCount(line)}
+                              className="w-24 px-2 py-1 border border-gray-300 rounded text-right"
+                            />
+                          ) : (
+                            line.counted ?? '—'
+                          )}
+                        </td>
+                        <td className={`px-4 py-2 text-right font-medium ${
+                          variance > 0 ? 'text-green-700' : variance < 0 ? 'text-red-700' : 'text-gray-500'
+                        }`}>
+                          {variance === null ? '—' : variance > 0 ? `+${variance}` : variance}
+                        </td>
+                      </tr>
+                    )
+                  })
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Filters */}
+      <div className="flex flex-col sm:flex-row gap-4 sm:justify-between">
+        <select
+          value={selectedStatus}
+          onChange={(e) => {
+            setSelectedStatus(e.target.value)
+            setCurrentPage(1)
+          }}
+          className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="all">All Statuses</option>
+          {Object.entries(statusStyles).map(([status, style]) => (
+            <option key={status} value={status}>
+              {style.label}
+            </option>
+          ))}
+        </select>
+        {canCount && (
+          <button
+            onClick={() => setIsModalOpen(true)}
+            className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors whitespace-nowrap"
+          >
+            + New Stock Take
+          </button>
+        )}
+      </div>
+
+      {/* Stock Takes Table */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="overflow-x-auto -mx-4 sm:mx-0">
+          <div className="inline-block min-w-full align-middle">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Number</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Warehouse</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Category</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Counted</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Differences</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Started</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {isLoading ? (
+                  <tr>
+                    <td colSpan="8" className="px-6 py-4 text-center text-gray-500">
+                      Loading stock takes...
+                    </td>
+                  </tr>
+                ) : stockTakes.length === 0 ? (
+                  <tr>
+                    <td colSpan="8" className="px-6 py-4 text-center text-gray-500">
+                      No stock takes found
+                    </td>
+                  </tr>
+                ) : (
+                  stockTakes.map((stockTake) => {
+                    const style = statusStyles[stockTake.status]
+                    return (
+                      <tr key={stockTake._id} className="hover:bg-gray-50">
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-900">{stockTake.number}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{stockTake.warehouse?.name || '—'}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">{stockTake.category?.name || 'All products'}</td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className={`px-2 py-1 rounded-full text-xs font-medium ${style.className}`}>
+                            {style.label}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">
+                          {stockTake.countedCount} / {stockTake.lineCount}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">{stockTake.varianceCount}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                          {new Date(stockTake.createdAt).toLocaleString()}
+                          {stockTake.createdByName && <div className="text-xs text-gray-500">{stockTake.createdByName}</div>}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                          <button onClick={() => handleOpen(stockTake)} className="text-blue-600 hover:text-blue-900">
+                            {stockTake.status === 'counting' && canCount ? 'Count' : 'View'}
+                          </button>
+                        </td>
+                      </tr>
+                    )
+                  })
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      {/* Pagination */}
+      {totalPages > 1 && (
+        <div className="flex flex-col sm:flex-row items-center justify-between gap-4 bg-white px-4 py-3 rounded-lg shadow">
+          <div className="text-xs sm:text-sm text-gray-700 text-center sm:text-left">
+            Showing {((currentPage - 1) * itemsPerPage) + 1} to {Math.min(currentPage * itemsPerPage, totalItems)} of{' '}
+            {totalItems} stock takes
+          </div>
+          <div className="flex gap-2 flex-wrap justify-center">
+            <button
+              onClick={() => setCurrentPage((prev) => Math.max(prev - 1, 1))}
+              disabled={currentPage === 1}
+              className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Previous
+            </button>
+            <span className="px-4 py-2 text-sm text-gray-700">
+              Page {currentPage} of {totalPages}
+            </span>
+            <button
+              onClick={() => setCurrentPage((prev) => Math.min(prev + 1, totalPages))}
+              disabled={currentPage === totalPages}
+              className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* New stock take */}
+      {isModalOpen && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg p-4 sm:p-6 w-full max-w-md max-h-[90vh] overflow-y-auto">
+            <h2 className="text-xl font-bold mb-4">New Stock Take</h2>
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Warehouse</label>
+                <select
+                  value={formData.warehouse}
+                  onChange={(e) => setFormData({ ...formData, warehouse: e.target.value })}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">Default warehouse</option>
+                  {warehouses.map((warehouse) => (
+                    <option key={warehouse._id} value={warehouse._id}>
+                      {warehouse.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+                <select
+                  value={formData.category}
+                  onChange={(e) => setFormData({ ...formData, category: e.target.value })}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">All products</option>
+                  {categories.map((category) => (
+                    <option key={category._id} value={category._id}>
+                      {category.name}
+                    </option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-1">Subcategories are counted too.</p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                <textarea
+                  value={formData.notes}
+                  onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+                  rows={2}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <p className="text-xs text-gray-500">
+                The stock in the warehouse right now is kept as the expected quantity. When the stock take is approved,
+                only the differences found by the count are posted, so stock changes made while counting are kept.
+              </p>
+            </div>
+            <div className="flex justify-end space-x-3 mt-6">
+              <button
+                onClick={() => {
+                  setIsModalOpen(false)
+                  setFormData(emptyForm)
+                }}
+                className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleCreate}
+                disabled={isSaving}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+              >
+                {isSaving ? 'Starting...' : 'Start Counting'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default StockTakes
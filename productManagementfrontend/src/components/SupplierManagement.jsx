@@ -0,0 +1,341 @@
+import { useState, useEffect, useContext } from 'react'
+import axios from 'axios'
+import { AuthContext } from '../context/AuthContext'
+import { can } from '../utils/permissions'
+
+// Backend API URL
+const API_URL = 'http://localhost:8000/api'
+
+// Helper function to get headers with token
+function getHeaders() {
+  const token = localStorage.getItem('token')
+  return {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${token}`,
+  }
+}
+
+const emptyForm = { name: '', contactName: '', email: '', phone: '', address: '', notes: '' }
+
+const SupplierManagement = () => {
+  const { user } = useContext(AuthContext)
+  const canManage = can(user, 'suppliers:manage')
+
+  const [suppliers, setSuppliers] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [searchTerm, setSearchTerm] = useState('')
+  const [isModalOpen, setIsModalOpen] = useState(false)
+  const [editingSupplier, setEditingSupplier] = useState(null)
+  const [formData, setFormData] = useState(emptyForm)
+  // Supplier whose products are shown, with { supplier, products } once loaded
+  const [viewing, setViewing] = useState(null)
+
+  // Load suppliers from API
+  useEffect(() => {
+    loadSuppliers()
+  }, [])
+
+  // Function to load suppliers from API
+  async function loadSuppliers() {
+    try {
+      setIsLoading(true)
+      const response = await axios.get(`${API_URL}/suppliers`, { headers: getHeaders() })
+      if (response.data.success) {
+        setSuppliers(response.data.data.suppliers)
+      }
+    } catch (error) {
+      console.error('Error loading suppliers:', error)
+      alert('Failed to load suppliers')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const term = searchTerm.trim().toLowerCase()
+  const visibleSuppliers = term
+    ? suppliers.filter((supplier) => supplier.name.toLowerCase().includes(term))
+    : suppliers
+
+  function handleAdd() {
+    setEditingSupplier(null)
+    setFormData(emptyForm)
+    setIsModalOpen(true)
+  }
+
+  function handleEdit(supplier) {
+    setEditingSupplier(supplier)
+    setFormData({
+      name: supplier.name,
+      contactName: supplier.contactName || '',
+      email: supplier.email || '',
+      phone: supplier.phone || '',
+      address: supplier.address || '',
+      notes: supplier.notes || '',
+    })
+    setIsModalOpen(true)
+  }
+
+  function closeModal() {
+    setIsModalOpen(false)
+    setEditingSupplier(null)
+    setFormData(emptyForm)
+  }
+
+  // Save supplier - create or update
+  async function handleSave() {
+    if (!formData.name.trim()) {
+      alert('Please enter a supplier name')
+      return
+    }
+
+    try {
+      const response = editingSupplier
+        ? await axios.put(`${API_URL}/suppliers/${editingSupplier._id}`, formData, { headers: getHeaders() })
+        : await axios.post(`${API_URL}/suppliers`, formData, { headers: getHeaders() })
+
+      if (response.data.success) {
+        loadSuppliers()
+        closeModal()
+      }
+    } catch (error) {
+      console.error('Error saving supplier:', error)
+      const data = error.response?.data
+      alert(data?.errors ? Object.values(data.errors).join('\n') : data?.message || 'Failed to save supplier')
+    }
+  }
+
+  // Show the products of a supplier with their cost and lead time
+  async function handleView(supplier) {
+    try {
+      const response = await axios.get(`${API_URL}/suppliers/${supplier._id}`, { headers: getHeaders() })
+      if (response.data.success) {
+        setViewing(response.data.data)
+      }
+    } catch (error) {
+      console.error('Error loading supplier:', error)
+      alert('Failed to load supplier')
+    }
+  }
+
+  // Delete supplier - call API
+  async function handleDelete(supplier) {
+    if (!window.confirm(`Are you sure you want to delete "${supplier.name}"?`)) {
+      return
+    }
+
+    try {
+      const response = await axios.delete(`${API_URL}/suppliers/${supplier._id}`, { headers: getHeaders() })
+      if (response.data.success) {
+        loadSuppliers()
+      }
+    } catch (error) {
+      console.error('Error deleting supplier:', error)
+      alert(error.response?.data?.message || 'Failed to delete supplier')
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row gap-4">
+        <input
+          type="text"
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          placeholder="Search suppliers..."
+          className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        {canManage && (
+          <button
+            onClick={handleAdd}
+            className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors whitespace-nowrap"
+          >
+            + Add Supplier
+          </button>
+        )}
+      </div>
+
+      {/* Suppliers Table */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="overflow-x-auto -mx-4 sm:mx-0">
+          <div className="inline-block min-w-full align-middle">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Name
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Contact
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Email / Phone
+                  </th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Products
+                  </th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {isLoading ? (
+                  <tr>
+                    <td colSpan="5" className="px-6 py-4 text-center text-gray-500">
+                      Loading suppliers...
+                    </td>
+                  </tr>
+                ) : visibleSuppliers.length === 0 ? (
+                  <tr>
+                    <td colSpan="5" className="px-6 py-4 text-center text-gray-500">
+                      No suppliers found
+                    </td>
+                  </tr>
+                ) : (
+                  visibleSuppliers.map((supplier) => (
+                    <tr key={supplier._id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{supplier.name}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">{supplier.contactName || '—'}</td>
+                      <td className="px-6 py-4 text-sm text-gray-700">
+                        {supplier.email && <div>{supplier.email}</div>}
+                        {supplier.phone && <div className="text-gray-500">{supplier.phone}</div>}
+                        {!supplier.email && !supplier.phone && '—'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">{supplier.productCount}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                        <button
+                          onClick={() => handleView(supplier)}
+                          className="text-gray-600 hover:text-gray-900 mr-4"
+                        >
+                          Products
+                        </button>
+                        {canManage && (
+                          <>
+                            <button
+                              onClick={() => handleEdit(supplier)}
+                              className="text-blue-600 hover:text-blue-900 mr-4"
+                            >
+                              Edit
+                            </button>
+                            <button
+                              onClick={() => handleDelete(supplier)}
+                              className="text-red-600 hover:text-red-900"
+                            >
+                              Delete
+                            </button>
+                          </>
+                        )}
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      {/* Products of a supplier */}
+      {viewing && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg p-4 sm:p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+            <div className="flex items-start justify-between mb-4">
+              <h2 className="text-xl font-bold">Products from {viewing.supplier.name}</h2>
+              <button onClick={() => setViewing(null)} className="text-gray-500 hover:text-gray-700">
+                Close
+              </button>
+            </div>
+            {viewing.products.length === 0 ? (
+              <p className="text-sm text-gray-500">
+                No products yet. Add this supplier to products in the product form.
+              </p>
+            ) : (
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Supplier SKU</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Cost</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Lead Time</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {viewing.products.map((product) => (
+                    <tr key={product._id}>
+                      <td className="px-4 py-2">
+                        {product.name}
+                        <span className="font-mono text-xs text-gray-500 ml-2">{product.sku}</span>
+                      </td>
+                      <td className="px-4 py-2 font-mono text-xs">{product.supplierSku || '—'}</td>
+                      <td className="px-4 py-2 text-right">${product.cost.toFixed(2)}</td>
+                      <td className="px-4 py-2 text-right">
+                        {product.leadTimeDays === null ? '—' : `${product.leadTimeDays} day${product.leadTimeDays === 1 ? '' : 's'}`}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Modal for Add/Edit */}
+      {isModalOpen && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg p-4 sm:p-6 w-full max-w-md max-h-[90vh] overflow-y-auto">
+            <h2 className="text-xl font-bold mb-4">
+              {editingSupplier ? 'Edit Supplier' : 'Add New Supplier'}
+            </h2>
+            <div className="space-y-4">
+              {[
+                { field: 'name', label: 'Name', type: 'text' },
+                { field: 'contactName', label: 'Contact Person', type: 'text' },
+                { field: 'email', label: 'Email', type: 'email' },
+                { field: 'phone', label: 'Phone', type: 'tel' },
+              ].map(({ field, label, type }) => (
+                <div key={field}>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+                  <input
+                    type={type}
+                    value={formData[field]}
+                    onChange={(e) => setFormData({ ...formData, [field]: e.target.value })}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+              ))}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Address</label>
+                <textarea
+                  value={formData.address}
+                  onChange={(e) => setFormData({ ...formData, address: e.target.value })}
+                  rows={2}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                <textarea
+                  value={formData.notes}
+                  onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+                  rows={3}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+            </div>
+            <div className="flex justify-end space-x-3 mt-6">
+              <button onClick={closeModal} className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50">
+                Cancel
+              </button>
+              <button onClick={handleSave} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+                Save
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SupplierManagement
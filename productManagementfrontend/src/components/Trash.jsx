@@ -0,0 +1,307 @@
+import { useState, useEffect, useContext } from 'react'
+import axios from 'axios'
+import { AuthContext } from '../context/AuthContext'
+import { can } from '../utils/permissions'
+
+// Backend API URL
+const API_URL = 'http://localhost:8000/api'
+
+// Helper function to get headers with token
+function getHeaders() {
+  const token = localStorage.getItem('token')
+  return {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${token}`,
+  }
+}
+
+// Helper function to turn an error response into a readable message
+function getErrorMessage(error, fallback) {
+  const data = error.response?.data
+  return data?.errors ? Object.values(data.errors).join('\n') : data?.message || fallback
+}
+
+// Tabs of the trash and the permission needed to see each one
+const tabs = [
+  { key: 'products', label: 'Products', permission: 'products:delete' },
+  { key: 'categories', label: 'Categories', permission: 'categories:delete' },
+]
+
+// Deleted products and categories - they can be restored until they are purged, by hand
+// or automatically once they have been in the trash for the retention period
+const Trash = () => {
+  const { user } = useContext(AuthContext)
+  const visibleTabs = tabs.filter((tab) => can(user, tab.permission))
+
+  const [activeTab, setActiveTab] = useState(visibleTabs[0]?.key || 'products')
+  const [items, setItems] = useState([])
+  const [retentionDays, setRetentionDays] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+  // Id of the item that is being restored or purged
+  const [busyId, setBusyId] = useState(null)
+
+  // Filter states
+  const [searchTerm, setSearchTerm] = useState('')
+
+  // Pagination states
+  const [currentPage, setCurrentPage] = useState(1)
+  const [totalPages, setTotalPages] = useState(1)
+  const [totalItems, setTotalItems] = useState(0)
+  const itemsPerPage = 10
+
+  // Load items from API when the tab or filters change
+  useEffect(() => {
+    loadItems()
+  }, [activeTab, searchTerm, currentPage])
+
+  // Reset to page 1 when the tab or filters change
+  useEffect(() => {
+    setCurrentPage(1)
+  }, [activeTab, searchTerm])
+
+  // Function to load the items in the trash from API
+  async function loadItems() {
+    try {
+      setIsLoading(true)
+
+      const params = { page: currentPage, limit: itemsPerPage }
+      if (searchTerm) {
+        params.search = searchTerm
+      }
+
+      const response = await axios.get(`${API_URL}/${activeTab}/trash`, { headers: getHeaders(), params })
+
+      if (response.data.success) {
+        setItems(response.data.data[activeTab])
+        setRetentionDays(response.data.data.retentionDays)
+        setTotalPages(response.data.data.pagination.totalPages)
+        setTotalItems(response.data.data.pagination.totalItems)
+      }
+    } catch (error) {
+      console.error('Error loading trash:', error)
+      alert('Failed to load the trash')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  function handleTabChange(tab) {
+    setItems([])
+    setActiveTab(tab)
+  }
+
+  // Function to take an item out of the trash
+  async function handleRestore(item) {
+    try {
+      setBusyId(item._id)
+      const response = await axios.post(`${API_URL}/${activeTab}/${item._id}/restore`, {}, { headers: getHeaders() })
+      if (response.data.success) {
+        loadItems()
+      }
+    } catch (error) {
+      console.error('Error restoring item:', error)
+      alert(getErrorMessage(error, 'Failed to restore'))
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  // Function to delete an item for good
+  async function handlePurge(item) {
+    if (!window.confirm(`Delete "${item.name}" for good? This cannot be undone.`)) {
+      return
+    }
+
+    try {
+      setBusyId(item._id)
+      const response = await axios.delete(`${API_URL}/${activeTab}/${item._id}/purge`, { headers: getHeaders() })
+      if (response.data.success) {
+        loadItems()
+      }
+    } catch (error) {
+      console.error('Error purging item:', error)
+      alert(getErrorMessage(error, 'Failed to delete for good'))
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const columnCount = activeTab === 'products' ? 6 : 5
+
+  return (
+    <div className="space-y-6">
+      {/* Tabs */}
+      {visibleTabs.length > 1 && (
+        <div className="flex gap-2 border-b border-gray-200">
+          {visibleTabs.map((tab) => (
+            <button
+              key={tab.key}
+              onClick={() => handleTabChange(tab.key)}
+              className={`px-4 py-2 -mb-px border-b-2 text-sm font-medium ${
+                activeTab === tab.key
+                  ? 'border-blue-600 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-800'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {retentionDays !== null && (
+        <p className="text-sm text-gray-600">
+          Items are deleted for good after {retentionDays} day{retentionDays === 1 ? '' : 's'} in the trash.
+          {activeTab === 'products'
+            ? ' Restore a category before the products in it.'
+            : ' Restore a parent category before its subcategories.'}
+        </p>
+      )}
+
+      {/* Filters */}
+      <input
+        type="text"
+        placeholder={activeTab === 'products' ? 'Search by name, SKU or barcode...' : 'Search by name...'}
+        value={searchTerm}
+        onChange={(e) => setSearchTerm(e.target.value)}
+        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+
+      {/* Trash Table */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="overflow-x-auto -mx-4 sm:mx-0">
+          <div className="inline-block min-w-full align-middle">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    {activeTab === 'products' ? 'Product' : 'Category'}
+                  </th>
+                  {activeTab === 'products' && (
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Category
+                    </th>
+                  )}
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Deleted
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Deleted By
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Deleted For Good On
+                  </th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {isLoading ? (
+                  <tr>
+                    <td colSpan={columnCount} className="px-6 py-4 text-center text-gray-500">
+                      Loading trash...
+                    </td>
+                  </tr>
+                ) : items.length === 0 ? (
+                  <tr>
+                    <td colSpan={columnCount} className="px-6 py-4 text-center text-gray-500">
+                      The trash is empty
+                    </td>
+                  </tr>
+                ) : (
+                  items.map((item) => (
+                    <tr key={item._id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 text-sm text-gray-900">
+                        {activeTab === 'products' ? (
+                          <div className="flex items-center gap-3">
+                            {item.images?.[0] && (
+                              <img src={item.images[0]} alt={item.name} className="w-10 h-10 object-cover rounded" />
+                            )}
+                            <div>
+                              <div className="font-medium">{item.name}</div>
+                              <div className="text-xs text-gray-500 font-mono">{item.sku}</div>
+                            </div>
+                          </div>
+                        ) : (
+                          <>
+                            <div className="font-medium">{item.name}</div>
+                            {item.path !== item.name && <div className="text-xs text-gray-500">{item.path}</div>}
+                          </>
+                        )}
+                      </td>
+                      {activeTab === 'products' && (
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                          {item.category?.name || '—'}
+                          {item.category?.deletedAt && (
+                            <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-red-100 text-red-800">In trash</span>
+                          )}
+                        </td>
+                      )}
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {new Date(item.deletedAt).toLocaleString()}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {item.deletedBy?.username || <span className="text-gray-400">Unknown</span>}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {new Date(item.purgeAt).toLocaleDateString()}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                        <button
+                          onClick={() => handleRestore(item)}
+                          disabled={busyId === item._id}
+                          className="text-blue-600 hover:text-blue-900 mr-4 disabled:opacity-50"
+                        >
+                          Restore
+                        </button>
+                        <button
+                          onClick={() => handlePurge(item)}
+                          disabled={busyId === item._id}
+                          className="text-red-600 hover:text-red-900 disabled:opacity-50"
+                        >
+                          Delete for good
+                        </button>
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      {/* Pagination */}
+      {totalPages > 1 && (
+        <div className="flex flex-col sm:flex-row items-center justify-between gap-4 bg-white px-4 py-3 rounded-lg shadow">
+          <div className="text-xs sm:text-sm text-gray-700 text-center sm:text-left">
+            Showing {((currentPage - 1) * itemsPerPage) + 1} to {Math.min(currentPage * itemsPerPage, totalItems)} of{' '}
+            {totalItems} items
+          </div>
+          <div className="flex gap-2 flex-wrap justify-center">
+            <button
+              onClick={() => setCurrentPage((prev) => Math.max(prev - 1, 1))}
+              disabled={currentPage === 1}
+              className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Previous
+            </button>
+            <span className="px-4 py-2 text-sm text-gray-700">
+              Page {currentPage} of {totalPages}
+            </span>
+            <button
+              onClick={() => setCurrentPage((prev) => Math.min(prev + 1, totalPages))}
+              disabled={currentPage === totalPages}
+              className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default Trash
@@ -0,0 +1,496 @@
+import { useState, useEffect, useContext } from 'react'
+import axios from 'axios'
+import { AuthContext } from '../context/AuthContext'
+
+// Backend API URL
+const API_URL = 'http://localhost:8000/api'
+
+// Helper function to get headers with token
+function getHeaders() {
+  const token = localStorage.getItem('token')
+  return {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${token}`,
+  }
+}
+
+const ROLES = ['admin', 'editor', 'viewer']
+
+const emptyForm = { username: '', name: '', email: '', role: 'viewer', password: '' }
+
+// Colors for the status badge
+const statusStyles = {
+  active: 'bg-green-100 text-green-800',
+  invited: 'bg-yellow-100 text-yellow-800',
+  deactivated: 'bg-gray-200 text-gray-700',
+}
+
+const UserManagement = () => {
+  const { user: currentUser } = useContext(AuthContext)
+  const [users, setUsers] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [searchTerm, setSearchTerm] = useState('')
+  const [selectedStatus, setSelectedStatus] = useState('all')
+
+  // Modal states - mode is 'create', 'invite' or 'edit'
+  const [modalMode, setModalMode] = useState(null)
+  const [editingUser, setEditingUser] = useState(null)
+  const [formData, setFormData] = useState(emptyForm)
+
+  // Invite link or temporary password to show once after an action
+  const [result, setResult] = useState(null)
+
+  // Load users from API when filters change
+  useEffect(() => {
+    loadUsers()
+  }, [searchTerm, selectedStatus])
+
+  // Function to load users from API
+  async function loadUsers() {
+    try {
+      setIsLoading(true)
+
+      let url = `${API_URL}/users?page=1&limit=100`
+      if (searchTerm) {
+        url += `&search=${encodeURIComponent(searchTerm)}`
+      }
+      if (selectedStatus !== 'all') {
+        url += `&status=${selectedStatus}`
+      }
+
+      const response = await axios.get(url, { headers: getHeaders() })
+
+      if (response.data.success) {
+        setUsers(response.data.data.users)
+      }
+    } catch (error) {
+      console.error('Error loading users:', error)
+      alert('Failed to load users')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  function openModal(mode, user = null) {
+    setModalMode(mode)
+    setEditingUser(user)
+    setFormData(user
+      ? { username: user.username, name: user.name, email: user.email, role: user.role, password: '' }
+      : emptyForm)
+  }
+
+  function closeModal() {
+    setModalMode(null)
+    setEditingUser(null)
+    setFormData(emptyForm)
+  }
+
+  // Helper function to get the error message from a failed request
+  function getErrorMessage(error, fallback) {
+    const data = error.response?.data
+    if (data?.errors) {
+      return Object.values(data.errors).join('\n')
+    }
+    return data?.message || fallback
+  }
+
+  // Save user - create, invite or update
+  async function handleSave() {
+    if (!formData.username.trim() || !formData.name.trim() || !formData.email.trim()) {
+      alert('Please fill in username, name and email')
+      return
+    }
+
+    if (modalMode === 'create' && formData.password.length < 8) {
+      alert('Password must be at least 8 characters')
+      return
+    }
+
+    try {
+      const { password, ...fields } = formData
+
+      if (modalMode === 'edit') {
+        await axios.put(`${API_URL}/users/${editingUser.id}`, fields, { headers: getHeaders() })
+      } else if (modalMode === 'invite') {
+        const response = await axios.post(`${API_URL}/users/invite`, fields, { headers: getHeaders() })
+        setResult({
+          title: `Invite link for ${response.data.data.user.username}`,
+          value: response.data.data.inviteUrl,
+          emailSent: response.data.data.emailSent,
+        })
+      } else {
+        await axios.post(`${API_URL}/users`, { ...fields, password }, { headers: getHeaders() })
+      }
+
+      closeModal()
+      loadUsers()
+    } catch (error) {
+      console.error('Error saving user:', error)
+      alert(getErrorMessage(error, 'Failed to save user'))
+    }
+  }
+
+  // Activate or deactivate a user
+  async function handleToggleActive(user) {
+    const action = user.status === 'deactivated' ? 'activate' : 'deactivate'
+    if (!window.confirm(`Are you sure you want to ${action} ${user.username}?`)) {
+      return
+    }
+
+    try {
+      await axios.post(`${API_URL}/users/${user.id}/${action}`, {}, { headers: getHeaders() })
+      loadUsers()
+    } catch (error) {
+      console.error(`Error trying to ${action} user:`, error)
+      alert(getErrorMessage(error, `Failed to ${action} user`))
+    }
+  }
+
+  // Reset password - the server generates a temporary password
+  async function handleResetPassword(user) {
+    if (!window.confirm(`Reset the password for ${user.username}? They will be logged out everywhere.`)) {
+      return
+    }
+
+    try {
+      const response = await axios.post(
+        `${API_URL}/users/${user.id}/reset-password`,
+        {},
+        { headers: getHeaders() }
+      )
+      setResult({
+        title: `Temporary password for ${user.username}`,
+        value: response.data.data.temporaryPassword,
+      })
+      loadUsers()
+    } catch (error) {
+      console.error('Error resetting password:', error)
+      alert(getErrorMessage(error, 'Failed to reset password'))
+    }
+  }
+
+  // Turn off two-factor for a user who lost their authenticator device
+  async function handleResetTwoFactor(user) {
+    if (!window.confirm(`Turn off two-factor authentication for ${user.username}?`)) {
+      return
+    }
+
+    try {
+      await axios.post(`${API_URL}/users/${user.id}/reset-2fa`, {}, { headers: getHeaders() })
+      loadUsers()
+    } catch (error) {
+      console.error('Error resetting two-factor:', error)
+      alert(getErrorMessage(error, 'Failed to reset two-factor authentication'))
+    }
+  }
+
+  // Create a new invite link for a user who has not accepted yet
+  async function handleResendInvite(user) {
+    try {
+      const response = await axios.post(
+        `${API_URL}/users/${user.id}/resend-invite`,
+        {},
+        { headers: getHeaders() }
+      )
+      setResult({
+        title: `Invite link for ${user.username}`,
+        value: response.data.data.inviteUrl,
+        emailSent: response.data.data.emailSent,
+      })
+      loadUsers()
+    } catch (error) {
+      console.error('Error resending invite:', error)
+      alert(getErrorMessage(error, 'Failed to create invite link'))
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header with Search, Filter and Add Buttons */}
+      <div className="flex flex-col md:flex-row gap-4 items-start md:items-center justify-between">
+        <div className="flex-1 flex flex-col md:flex-row gap-4 w-full">
+          <input
+            type="text"
+            placeholder="Search users..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <select
+            value={selectedStatus}
+            onChange={(e) => setSelectedStatus(e.target.value)}
+            className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="all">All Statuses</option>
+            <option value="active">Active</option>
+            <option value="invited">Invited</option>
+            <option value="deactivated">Deactivated</option>
+          </select>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={() => openModal('invite')}
+            className="px-6 py-2 border border-blue-600 text-blue-600 rounded-lg hover:bg-blue-50 transition-colors whitespace-nowrap"
+          >
+            Invite User
+          </button>
+          <button
+            onClick={() => openModal('create')}
+            className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors whitespace-nowrap"
+          >
+            + Add User
+          </button>
+        </div>
+      </div>
+
+      {/* Users Table */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="overflow-x-auto -mx-4 sm:mx-0">
+          <div className="inline-block min-w-full align-middle">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Username
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Name
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Email
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Role
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Status
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Last Login
+                  </th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {isLoading ? (
+                  <tr>
+                    <td colSpan="7" className="px-6 py-4 text-center text-gray-500">
+                      Loading users...
+                    </td>
+                  </tr>
+                ) : users.length === 0 ? (
+                  <tr>
+                    <td colSpan="7" className="px-6 py-4 text-center text-gray-500">
+                      No users found
+                    </td>
+                  </tr>
+                ) : (
+                  users.map((user) => (
+                    <tr key={user.id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                        {user.username}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {user.name}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {user.email}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 capitalize">
+                        {user.role}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${statusStyles[user.status]}`}>
+                          {user.status}
+                        </span>
+                        {user.lockUntil && (
+                          <span
+                            title={`Locked until ${new Date(user.lockUntil).toLocaleString()}`}
+                            className="ml-2 px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800"
+                          >
+                            Locked
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {user.lastLoginAt ? new Date(user.lastLoginAt).toLocaleString() : 'Never'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                        <button
+                          onClick={() => openModal('edit', user)}
+                          className="text-blue-600 hover:text-blue-900 mr-4"
+                        >
+                          Edit
+                        </button>
+                        {user.status === 'invited' && (
+                          <button
+                            onClick={() => handleResendInvite(user)}
+                            className="text-blue-600 hover:text-blue-900 mr-4"
+                          >
+                            Invite Link
+                          </button>
+                        )}
+                        {user.twoFactorEnabled && (
+                          <button
+                            onClick={() => handleResetTwoFactor(user)}
+                            className="text-blue-600 hover:text-blue-900 mr-4"
+                          >
+                            Reset 2FA
+                          </button>
+                        )}
+                        <button
+                          onClick={() => handleResetPassword(user)}
+                          className="text-blue-600 hover:text-blue-900 mr-4"
+                        >
+                          Reset Password
+                        </button>
+                        {user.id !== currentUser?.id && (
+                          <button
+                            onClick={() => handleToggleActive(user)}
+                            className={user.status === 'deactivated'
+                              ? 'text-green-600 hover:text-green-900'
+                              : 'text-red-600 hover:text-red-900'}
+                          >
+                            {user.status === 'deactivated' ? 'Activate' : 'Deactivate'}
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      {/* Modal for Add/Invite/Edit */}
+      {modalMode && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg p-4 sm:p-6 w-full max-w-md">
+            <h2 className="text-xl font-bold mb-4">
+              {modalMode === 'edit' ? 'Edit User' : modalMode === 'invite' ? 'Invite User' : 'Add New User'}
+            </h2>
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Username</label>
+                <input
+                  type="text"
+                  value={formData.username}
+                  onChange={(e) => setFormData({ ...formData, username: e.target.value })}
+                  placeholder="Enter username"
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  autoFocus
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                <input
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                  placeholder="Enter full name"
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+                <input
+                  type="email"
+                  value={formData.email}
+                  onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+                  placeholder="Enter email"
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Role</label>
+                <select
+                  value={formData.role}
+                  onChange={(e) => setFormData({ ...formData, role: e.target.value })}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 capitalize"
+                >
+                  {ROLES.map((role) => (
+                    <option key={role} value={role}>
+                      {role}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              {modalMode === 'create' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Password</label>
+                  <input
+                    type="password"
+                    value={formData.password}
+                    onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+                    placeholder="At least 8 characters"
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+              )}
+              {modalMode === 'invite' && (
+                <p className="text-sm text-gray-500">
+                  An invite link will be created. The user opens it to choose their own password.
+                </p>
+              )}
+            </div>
+            <div className="flex justify-end space-x-3 mt-6">
+              <button
+                onClick={closeModal}
+                className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSave}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+              >
+                {modalMode === 'invite' ? 'Send Invite' : 'Save'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Invite link or temporary password - only shown once */}
+      {result && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg p-4 sm:p-6 w-full max-w-lg">
+            <h2 className="text-xl font-bold mb-2">{result.title}</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              {result.emailSent
+                ? 'The link was emailed to the user. You can also copy it now - it will not be shown again.'
+                : 'Copy this now and share it with the user. It will not be shown again.'}
+            </p>
+            <input
+              type="text"
+              readOnly
+              value={result.value}
+              onFocus={(e) => e.target.select()}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg font-mono text-sm bg-gray-50"
+            />
+            <div className="flex justify-end space-x-3 mt-6">
+              <button
+                onClick={() => navigator.clipboard?.writeText(result.value)}
+                className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+              >
+                Copy
+              </button>
+              <button
+                onClick={() => setResult(null)}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+              >
+                Done
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default UserManagement
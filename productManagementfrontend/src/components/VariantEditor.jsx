@@ -0,0 +1,192 @@
+import { parseOptions, variantLabel } from '../utils/variants'
+
+// Editor for the option axes (e.g. Size, Color) and variants of a product
+// options are { name, valuesText } rows, valuesText is a comma separated list
+// variants are { _id, options, sku, barcode, price, stock, images } with string inputs
+// images are the saved image URLs of the product a variant can show
+// Stock of saved variants (with an _id) is changed through stock movements, so it is read-only here
+
+const inputClass = 'w-full px-3 py-1 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500'
+
+// Helper function to build every combination of option values
+function combinations(axes) {
+  return axes.reduce(
+    (result, axis) => result.flatMap((combo) => axis.values.map((value) => ({ ...combo, [axis.name]: value }))),
+    [{}]
+  )
+}
+
+const VariantEditor = ({ options, variants, images, basePrice, onChange }) => {
+  const axes = parseOptions(options)
+
+  function updateOption(index, changes) {
+    onChange(options.map((option, i) => (i === index ? { ...option, ...changes } : option)), variants)
+  }
+
+  function updateVariant(index, changes) {
+    onChange(options, variants.map((variant, i) => (i === index ? { ...variant, ...changes } : variant)))
+  }
+
+  function toggleImage(index, url) {
+    const current = variants[index].images
+    updateVariant(index, {
+      images: current.includes(url) ? current.filter((image) => image !== url) : [...current, url],
+    })
+  }
+
+  // Rows that already exist for a combination keep their SKU, price, stock and images
+  function generateVariants() {
+    if (axes.length === 0) {
+      alert('Add at least one option with values first')
+      return
+    }
+    const generated = combinations(axes).map((combo) => {
+      const existing = variants.find((variant) =>
+        axes.every((axis) => variant.options[axis.name] === combo[axis.name])
+      )
+      return existing
+        ? { ...existing, options: combo }
+        : { options: combo, sku: '', barcode: '', price: '', stock: '0', images: [] }
+    })
+    onChange(options, generated)
+  }
+
+  return (
+    <div className="space-y-3">
+      {options.map((option, index) => (
+        <div key={index} className="flex gap-2">
+          <input
+            type="text"
+            value={option.name}
+            onChange={(e) => updateOption(index, { name: e.target.value })}
+            placeholder="Option, e.g. Size"
+            className={`${inputClass} sm:w-40`}
+          />
+          <input
+            type="text"
+            value={option.valuesText}
+            onChange={(e) => updateOption(index, { valuesText: e.target.value })}
+            placeholder="Values, e.g. S, M, L"
+            className={inputClass}
+          />
+          <button
+            type="button"
+            onClick={() => onChange(options.filter((_, i) => i !== index), variants)}
+            className="px-2 text-red-600 hover:text-red-900"
+          >
+            ×
+          </button>
+        </div>
+      ))}
+      <div className="flex gap-4">
+        <button
+          type="button"
+          onClick={() => onChange([...options, { name: '', valuesText: '' }], variants)}
+          className="text-sm text-blue-600 hover:text-blue-900"
+        >
+          + Add option
+        </button>
+        {options.length > 0 && (
+          <button
+            type="button"
+            onClick={generateVariants}
+            className="text-sm text-blue-600 hover:text-blue-900"
+          >
+            Generate variants
+          </button>
+        )}
+      </div>
+
+      {variants.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 uppercase">
+                <th className="py-1 pr-2">Variant</th>
+                <th className="py-1 pr-2">SKU</th>
+                <th className="py-1 pr-2">Barcode</th>
+                <th className="py-1 pr-2">Price</th>
+                <th className="py-1 pr-2">Stock</th>
+                <th className="py-1 pr-2">Images</th>
+                <th className="py-1"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {variants.map((variant, index) => (
+                <tr key={variant._id || variantLabel(variant, axes) || index} className="align-top">
+                  <td className="py-1 pr-2 whitespace-nowrap font-medium text-gray-900">
+                    {variantLabel(variant, axes)}
+                  </td>
+                  <td className="py-1 pr-2">
+                    <input
+                      type="text"
+                      value={variant.sku}
+                      onChange={(e) => updateVariant(index, { sku: e.target.value.toUpperCase() })}
+                      className={`${inputClass} w-28`}
+                    />
+                  </td>
+                  <td className="py-1 pr-2">
+                    <input
+                      type="text"
+                      inputMode="numeric"
+                      value={variant.barcode}
+                      onChange={(e) => updateVariant(index, { barcode: e.target.value })}
+                      className={`${inputClass} w-32`}
+                    />
+                  </td>
+                  <td className="py-1 pr-2">
+                    <input
+                      type="number"
+                      step="0.01"
+                      value={variant.price}
+                      onChange={(e) => updateVariant(index, { price: e.target.value })}
+                      placeholder={basePrice || 'Same'}
+                      className={`${inputClass} w-24`}
+                    />
+                  </td>
+                  <td className="py-1 pr-2">
+                    <input
+                      type="number"
+                      value={variant.stock}
+                      onChange={(e) => updateVariant(index, { stock: e.target.value })}
+                      disabled={Boolean(variant._id)}
+                      className={`${inputClass} w-20 disabled:bg-gray-100`}
+                    />
+                  </td>
+                  <td className="py-1 pr-2">
+                    <div className="flex flex-wrap gap-1">
+                      {images.map((url) => (
+                        <button
+                          key={url}
+                          type="button"
+                          onClick={() => toggleImage(index, url)}
+                          className={`rounded border-2 ${variant.images.includes(url) ? 'border-blue-600' : 'border-transparent opacity-50'}`}
+                        >
+                          <img src={url} alt="" className="w-8 h-8 object-cover rounded" />
+                        </button>
+                      ))}
+                    </div>
+                  </td>
+                  <td className="py-1">
+                    <button
+                      type="button"
+                      onClick={() => onChange(options, variants.filter((_, i) => i !== index))}
+                      className="px-2 text-red-600 hover:text-red-900"
+                    >
+                      ×
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {images.length === 0 && (
+            <p className="text-xs text-gray-500 mt-1">Images can be picked for each variant once the product is saved</p>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default VariantEditor
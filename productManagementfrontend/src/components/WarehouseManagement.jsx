@@ -0,0 +1,281 @@
+import { useState, useEffect, useContext } from 'react'
+import axios from 'axios'
+import { AuthContext } from '../context/AuthContext'
+import { can } from '../utils/permissions'
+
+// Backend API URL
+const API_URL = 'http://localhost:8000/api'
+
+// Helper function to get headers with token
+function getHeaders() {
+  const token = localStorage.getItem('token')
+  return {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${token}`,
+  }
+}
+
+const emptyForm = { name: '', code: '', address: '' }
+
+const WarehouseManagement = () => {
+  const { user } = useContext(AuthContext)
+  const canManage = can(user, 'warehouses:manage')
+
+  const [warehouses, setWarehouses] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [isModalOpen, setIsModalOpen] = useState(false)
+  const [editingWarehouse, setEditingWarehouse] = useState(null)
+  const [formData, setFormData] = useState(emptyForm)
+
+  // Load warehouses from API
+  useEffect(() => {
+    loadWarehouses()
+  }, [])
+
+  // Function to load warehouses from API
+  async function loadWarehouses() {
+    try {
+      setIsLoading(true)
+      const response = await axios.get(`${API_URL}/warehouses`, { headers: getHeaders() })
+      if (response.data.success) {
+        setWarehouses(response.data.data.warehouses)
+      }
+    } catch (error) {
+      console.error('Error loading warehouses:', error)
+      alert('Failed to load warehouses')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  function handleAdd() {
+    setEditingWarehouse(null)
+    setFormData(emptyForm)
+    setIsModalOpen(true)
+  }
+
+  function handleEdit(warehouse) {
+    setEditingWarehouse(warehouse)
+    setFormData({ name: warehouse.name, code: warehouse.code, address: warehouse.address || '' })
+    setIsModalOpen(true)
+  }
+
+  function closeModal() {
+    setIsModalOpen(false)
+    setEditingWarehouse(null)
+    setFormData(emptyForm)
+  }
+
+  // Save warehouse - create or update
+  async function handleSave() {
+    if (!formData.name.trim() || !formData.code.trim()) {
+      alert('Please fill in the name and code')
+      return
+    }
+
+    try {
+      const response = editingWarehouse
+        ? await axios.put(`${API_URL}/warehouses/${editingWarehouse._id}`, formData, { headers: getHeaders() })
+        : await axios.post(`${API_URL}/warehouses`, formData, { headers: getHeaders() })
+
+      if (response.data.success) {
+        loadWarehouses()
+        closeModal()
+      }
+    } catch (error) {
+      console.error('Error saving warehouse:', error)
+      const data = error.response?.data
+      alert(data?.errors ? Object.values(data.errors).join('\n') : data?.message || 'Failed to save warehouse')
+    }
+  }
+
+  // Make a warehouse the default - stock changes without a warehouse go there
+  async function handleMakeDefault(warehouse) {
+    try {
+      const response = await axios.put(
+        `${API_URL}/warehouses/${warehouse._id}`,
+        { isDefault: true },
+        { headers: getHeaders() }
+      )
+      if (response.data.success) {
+        loadWarehouses()
+      }
+    } catch (error) {
+      console.error('Error updating warehouse:', error)
+      alert(error.response?.data?.message || 'Failed to update warehouse')
+    }
+  }
+
+  // Delete warehouse - call API
+  async function handleDelete(warehouse) {
+    if (!window.confirm(`Are you sure you want to delete "${warehouse.name}"?`)) {
+      return
+    }
+
+    try {
+      const response = await axios.delete(`${API_URL}/warehouses/${warehouse._id}`, { headers: getHeaders() })
+      if (response.data.success) {
+        loadWarehouses()
+      }
+    } catch (error) {
+      console.error('Error deleting warehouse:', error)
+      alert(error.response?.data?.message || 'Failed to delete warehouse')
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      {canManage && (
+        <div className="flex justify-end">
+          <button
+            onClick={handleAdd}
+            className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors whitespace-nowrap"
+          >
+            + Add Warehouse
+          </button>
+        </div>
+      )}
+
+      {/* Warehouses Table */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="overflow-x-auto -mx-4 sm:mx-0">
+          <div className="inline-block min-w-full align-middle">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Code
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Name
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Address
+                  </th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Products in Stock
+                  </th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Units
+                  </th>
+                  {canManage && (
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Actions
+                    </th>
+                  )}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {isLoading ? (
+                  <tr>
+                    <td colSpan={canManage ? 6 : 5} className="px-6 py-4 text-center text-gray-500">
+                      Loading warehouses...
+                    </td>
+                  </tr>
+                ) : (
+                  warehouses.map((warehouse) => (
+                    <tr key={warehouse._id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-900">
+                        {warehouse.code}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                        {warehouse.name}
+                        {warehouse.isDefault && (
+                          <span className="ml-2 px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                            Default
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-500">{warehouse.address || '—'}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">{warehouse.products}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">{warehouse.units}</td>
+                      {canManage && (
+                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                          {!warehouse.isDefault && (
+                            <button
+                              onClick={() => handleMakeDefault(warehouse)}
+                              className="text-gray-600 hover:text-gray-900 mr-4"
+                            >
+                              Make Default
+                            </button>
+                          )}
+                          <button
+                            onClick={() => handleEdit(warehouse)}
+                            className="text-blue-600 hover:text-blue-900 mr-4"
+                          >
+                            Edit
+                          </button>
+                          {!warehouse.isDefault && (
+                            <button
+                              onClick={() => handleDelete(warehouse)}
+                              className="text-red-600 hover:text-red-900"
+                            >
+                              Delete
+                            </button>
+                          )}
+                        </td>
+                      )}
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      {/* Modal for Add/Edit */}
+      {isModalOpen && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg p-4 sm:p-6 w-full max-w-md">
+            <h2 className="text-xl font-bold mb-4">
+              {editingWarehouse ? 'Edit Warehouse' : 'Add New Warehouse'}
+            </h2>
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                <input
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                  placeholder="e.g. North warehouse"
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Code</label>
+                <input
+                  type="text"
+                  value={formData.code}
+                  onChange={(e) => setFormData({ ...formData, code: e.target.value.toUpperCase() })}
+                  placeholder="e.g. NORTH"
+                  maxLength={10}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 font-mono"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Address</label>
+                <textarea
+                  value={formData.address}
+                  onChange={(e) => setFormData({ ...formData, address: e.target.value })}
+                  rows={2}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+            </div>
+            <div className="flex justify-end space-x-3 mt-6">
+              <button onClick={closeModal} className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50">
+                Cancel
+              </button>
+              <button onClick={handleSave} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+                Save
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default WarehouseManagement
@@ -1,9 +1,24 @@
-import { createContext, useState, useEffect } from 'react'
+import { createContext, useState, useEffect, useRef } from 'react'
 import axios from 'axios'
 
 // Backend API URL
 const API_URL = 'http://localhost:8000/api'
 
+// Refresh the access token this long before it expires
+const REFRESH_MARGIN_MS = 60 * 1000
+
+// Wait this long before trying again when the server could not be reached
+const REFRESH_RETRY_MS = 30 * 1000
+
+// Only one refresh request at a time - a refresh token can be used only once
+// refreshPromise covers this tab, the Web Lock covers every tab of the app, since they all
+// share the tokens in localStorage
+let refreshPromise = null
+const REFRESH_LOCK = 'auth-token-refresh'
+
+// Auth requests whose 401 means wrong credentials, not an expired access token
+const AUTH_PATHS = ['/auth/login', '/auth/refresh', '/auth/logout']
+
 // Helper function to get headers with token
 function getHeaders() {
   const token = localStorage.getItem('token')
@@ -13,18 +28,183 @@ function getHeaders() {
   }
 }
 
+// Helper function to save tokens returned by login or refresh
+function saveTokens(data) {
+  localStorage.setItem('token', data.token)
+  localStorage.setItem('refreshToken', data.refreshToken)
+  localStorage.setItem('tokenExpiresAt', data.expiresAt)
+}
+
+// Helper function to remove all saved tokens
+function clearTokens() {
+  localStorage.removeItem('token')
+  localStorage.removeItem('refreshToken')
+  localStorage.removeItem('tokenExpiresAt')
+}
+
+// Helper function to run fn while no other tab is refreshing the tokens
+// Browsers without Web Locks run fn straight away
+function withRefreshLock(fn) {
+  if (navigator.locks) {
+    return navigator.locks.request(REFRESH_LOCK, fn)
+  }
+  return fn()
+}
+
+// Helper function to get a new access token using the saved refresh token
+// Returns { user } when the tokens were renewed - user is null when another tab already
+// renewed them - or null if the session cannot be renewed
+// Throws if the server could not be reached, so the caller can try again later
+async function requestTokenRefresh() {
+  const seenToken = localStorage.getItem('refreshToken')
+  if (!seenToken) {
+    return null
+  }
+
+  if (!refreshPromise) {
+    refreshPromise = withRefreshLock(async () => {
+      // Another tab may have renewed the tokens while this one waited for the lock
+      const refreshToken = localStorage.getItem('refreshToken')
+      if (!refreshToken) {
+        return null
+      }
+      const expiresAt = new Date(localStorage.getItem('tokenExpiresAt')).getTime()
+      if (refreshToken !== seenToken || expiresAt - Date.now() > REFRESH_MARGIN_MS) {
+        return { user: null }
+      }
+
+      try {
+        const response = await axios.post(`${API_URL}/auth/refresh`, { refreshToken }, {
+          headers: { 'Content-Type': 'application/json' },
+        })
+        if (response.data.success) {
+          saveTokens(response.data.data)
+          return { user: response.data.data.user }
+        }
+        return null
+      } catch (error) {
+        if (!error.response) {
+          throw error
+        }
+        // Only forget the tokens that were rejected - another tab may have saved new ones
+        if (localStorage.getItem('refreshToken') === refreshToken) {
+          clearTokens()
+          return null
+        }
+        return { user: null }
+      }
+    }).finally(() => {
+      refreshPromise = null
+    })
+  }
+
+  return refreshPromise
+}
+
 export const AuthContext = createContext(null)
 
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null)
   const [isAuthenticated, setIsAuthenticated] = useState(false)
   const [isLoading, setIsLoading] = useState(true)
+  const refreshTimer = useRef(null)
 
   // Check if user is already logged in when app starts
   useEffect(() => {
     checkAuth()
+
+    // An API call rejected because the access token expired (e.g. after the computer slept
+    // past the scheduled refresh) renews the session and is sent again once
+    const interceptor = axios.interceptors.response.use(null, async (error) => {
+      const config = error.config
+      const isAuthRequest = AUTH_PATHS.some((path) => config?.url?.startsWith(`${API_URL}${path}`))
+      if (error.response?.status !== 401 || !config || config.retriedAfterRefresh || isAuthRequest) {
+        throw error
+      }
+
+      const renewed = await refreshSession()
+      if (!renewed) {
+        throw error
+      }
+      config.retriedAfterRefresh = true
+      config.headers.Authorization = `Bearer ${localStorage.getItem('token')}`
+      return axios(config)
+    })
+
+    // Follow what other tabs do with the shared tokens: a refresh there moves the timer here,
+    // a logout there logs out here as well
+    function handleStorage(event) {
+      if (event.key !== 'tokenExpiresAt' && event.key !== null) {
+        return
+      }
+      if (localStorage.getItem('refreshToken')) {
+        scheduleRefresh()
+      } else {
+        clearTimeout(refreshTimer.current)
+        setUser(null)
+        setIsAuthenticated(false)
+      }
+    }
+    window.addEventListener('storage', handleStorage)
+
+    return () => {
+      clearTimeout(refreshTimer.current)
+      axios.interceptors.response.eject(interceptor)
+      window.removeEventListener('storage', handleStorage)
+    }
   }, [])
 
+  // Schedule a silent refresh shortly before the access token expires
+  function scheduleRefresh() {
+    clearTimeout(refreshTimer.current)
+
+    const expiresAt = localStorage.getItem('tokenExpiresAt')
+    if (!expiresAt) {
+      return
+    }
+
+    const delay = Math.max(new Date(expiresAt).getTime() - Date.now() - REFRESH_MARGIN_MS, 0)
+    refreshTimer.current = setTimeout(refreshSession, delay)
+  }
+
+  // Renew the session - log out only if the refresh token is no longer valid
+  async function refreshSession() {
+    let result
+    try {
+      result = await requestTokenRefresh()
+    } catch (error) {
+      // Network problem - keep the session and try again shortly
+      console.error('Token refresh error:', error)
+      clearTimeout(refreshTimer.current)
+      refreshTimer.current = setTimeout(refreshSession, REFRESH_RETRY_MS)
+      return false
+    }
+
+    if (result) {
+      // The user is only sent back when this tab made the request - otherwise load it
+      // (not retried by the interceptor, so a rejected token cannot start another refresh)
+      if (result.user) {
+        setUser(result.user)
+      } else {
+        try {
+          const response = await axios.get(`${API_URL}/auth/me`, { headers: getHeaders(), retriedAfterRefresh: true })
+          setUser(response.data.data)
+        } catch (error) {
+          console.error('Load user error:', error)
+        }
+      }
+      setIsAuthenticated(true)
+      scheduleRefresh()
+      return true
+    }
+
+    // requestTokenRefresh already removed the rejected tokens
+    clearTimeout(refreshTimer.current)
+    setUser(null)
+    setIsAuthenticated(false)
+    return false
+  }
+
   // Check authentication status
   async function checkAuth() {
     try {
@@ -38,24 +218,43 @@ export const AuthProvider = ({ children }) => {
         if (response.data.success) {
           setUser(response.data.data)
           setIsAuthenticated(true)
+          scheduleRefresh()
         } else {
-          // Token is invalid, clear it
-          localStorage.removeItem('token')
-          setUser(null)
-          setIsAuthenticated(false)
+          await refreshSession()
         }
+      } else if (localStorage.getItem('refreshToken')) {
+        await refreshSession()
       }
-    } catch (error) {
-      // Token is invalid or expired
-      localStorage.removeItem('token')
-      setUser(null)
-      setIsAuthenticated(false)
+    } catch {
+      // Access token is invalid or expired - try to renew it before giving up
+      await refreshSession()
     } finally {
       setIsLoading(false)
     }
   }
 
+  // Save the session returned by a successful login
+  function startSession(data) {
+    saveTokens(data)
+    setUser(data.user)
+    setIsAuthenticated(true)
+    scheduleRefresh()
+  }
+
+  // Helper function to build the result of a failed login request
+  function getLoginError(error) {
+    const message = error.response?.data?.message || error.message || 'Login failed'
+    // error is a code like ACCOUNT_LOCKED, retryAt tells when a locked account can try again
+    return {
+      success: false,
+      message: message,
+      error: error.response?.data?.error,
+      retryAt: error.response?.data?.retryAt,
+    }
+  }
+
   // Login function - call API directly
+  // If two-factor is enabled, returns twoFactorRequired and a challengeToken for verifyTwoFactor
   async function login(username, password) {
     try {
       const response = await axios.post(
@@ -64,30 +263,72 @@ export const AuthProvider = ({ children }) => {
         { headers: { 'Content-Type': 'application/json' } }
       )
       
-      if (response.data.success) {
-        // Save token and user data
-        localStorage.setItem('token', response.data.data.token)
-        setUser(response.data.data.user)
-        setIsAuthenticated(true)
+      if (response.data.success && response.data.data.twoFactorRequired) {
+        return {
+          success: false,
+          twoFactorRequired: true,
+          challengeToken: response.data.data.challengeToken,
+          message: response.data.message,
+        }
+      } else if (response.data.success) {
+        // Save tokens and user data
+        startSession(response.data.data)
         return { success: true, message: 'Login successful!' }
       } else {
         return { success: false, message: response.data.message || 'Login failed' }
       }
     } catch (error) {
-      const message = error.response?.data?.message || error.message || 'Login failed'
-      return { success: false, message: message }
+      return getLoginError(error)
+    }
+  }
+
+  // Second login step - send the authenticator code (or a recovery code)
+  async function verifyTwoFactor(challengeToken, { code, recoveryCode }) {
+    try {
+      const response = await axios.post(
+        `${API_URL}/auth/login/2fa`,
+        { challengeToken, code, recoveryCode },
+        { headers: { 'Content-Type': 'application/json' } }
+      )
+
+      if (response.data.success) {
+        startSession(response.data.data)
+        return { success: true, message: 'Login successful!' }
+      } else {
+        return { success: false, message: response.data.message || 'Verification failed' }
+      }
+    } catch (error) {
+      return getLoginError(error)
+    }
+  }
+
+  // Reload the logged in user (for example after changing two-factor settings)
+  async function reloadUser() {
+    try {
+      const response = await axios.get(`${API_URL}/auth/me`, { headers: getHeaders() })
+      if (response.data.success) {
+        setUser(response.data.data)
+      }
+    } catch (error) {
+      console.error('Reload user error:', error)
     }
   }
 
   // Logout function
   async function logout() {
     try {
-      await axios.post(`${API_URL}/auth/logout`, {}, { headers: getHeaders() })
+      // Server revokes both the access token and the refresh token
+      await axios.post(
+        `${API_URL}/auth/logout`,
+        { refreshToken: localStorage.getItem('refreshToken') },
+        { headers: getHeaders() }
+      )
     } catch (error) {
       console.error('Logout error:', error)
     } finally {
       // Clear everything
-      localStorage.removeItem('token')
+      clearTimeout(refreshTimer.current)
+      clearTokens()
       setUser(null)
       setIsAuthenticated(false)
     }
@@ -98,6 +339,8 @@ export const AuthProvider = ({ children }) => {
     isAuthenticated,
     isLoading,
     login,
+    verifyTwoFactor,
+    reloadUser,
     logout,
   }
 
@@ -1,11 +1,72 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
+import axios from 'axios'
 import Sidebar from '../components/Sidebar'
 import CategoryManagement from '../components/CategoryManagement'
 import ProductManagement from '../components/ProductManagement'
+import WarehouseManagement from '../components/WarehouseManagement'
+import SupplierManagement from '../components/SupplierManagement'
+import PurchaseOrders from '../components/PurchaseOrders'
+import SalesOrders from '../components/SalesOrders'
+import CustomerManagement from '../components/CustomerManagement'
+import StockTakes from '../components/StockTakes'
+import UserManagement from '../components/UserManagement'
+import ActivityLog from '../components/ActivityLog'
+import Trash from '../components/Trash'
+import AccountSettings from '../components/AccountSettings'
+import ApiKeyManagement from '../components/ApiKeyManagement'
+import Notifications from '../components/Notifications'
+
+// Backend API URL
+const API_URL = 'http://localhost:8000/api'
+
+// How often the number of unread notifications is refreshed
+const UNREAD_POLL_MS = 60 * 1000
+
+// Title and component for each sidebar section
+const sections = {
+  products: { title: 'Product Management', component: ProductManagement },
+  categories: { title: 'Category Management', component: CategoryManagement },
+  warehouses: { title: 'Warehouses', component: WarehouseManagement },
+  suppliers: { title: 'Suppliers', component: SupplierManagement },
+  'purchase-orders': { title: 'Purchase Orders', component: PurchaseOrders },
+  orders: { title: 'Orders', component: SalesOrders },
+  customers: { title: 'Customers', component: CustomerManagement },
+  'stock-takes': { title: 'Stock Takes', component: StockTakes },
+  users: { title: 'User Management', component: UserManagement },
+  activity: { title: 'Activity', component: ActivityLog },
+  trash: { title: 'Trash', component: Trash },
+  account: { title: 'My Account', component: AccountSettings },
+  'api-keys': { title: 'API Keys', component: ApiKeyManagement },
+  notifications: { title: 'Notifications', component: Notifications },
+}
 
 const Dashboard = () => {
   const [activeSection, setActiveSection] = useState('products')
   const [sidebarOpen, setSidebarOpen] = useState(false)
+  const [unreadCount, setUnreadCount] = useState(0)
+  const currentSection = sections[activeSection] || sections.products
+  const SectionComponent = currentSection.component
+
+  // Keep the unread badge in the sidebar up to date
+  useEffect(() => {
+    async function loadUnreadCount() {
+      try {
+        const response = await axios.get(`${API_URL}/notifications`, {
+          headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` },
+          params: { unread: 'true', limit: 1 },
+        })
+        if (response.data.success) {
+          setUnreadCount(response.data.data.unreadCount)
+        }
+      } catch (error) {
+        console.error('Error loading unread notifications:', error)
+      }
+    }
+
+    loadUnreadCount()
+    const timer = setInterval(loadUnreadCount, UNREAD_POLL_MS)
+    return () => clearInterval(timer)
+  }, [])
 
   return (
     <div className="flex h-screen bg-gray-100 overflow-hidden">
@@ -27,6 +88,7 @@ const Dashboard = () => {
           activeSection={activeSection}
           setActiveSection={setActiveSection}
           setSidebarOpen={setSidebarOpen}
+          badges={{ notifications: unreadCount }}
         />
       </div>
 
@@ -55,16 +117,12 @@ const Dashboard = () => {
               </svg>
             </button>
             <h1 className="text-xl sm:text-2xl font-bold text-gray-800">
-              {activeSection === 'categories' ? 'Category Management' : 'Product Management'}
+              {currentSection.title}
             </h1>
           </div>
         </header>
         <main className="flex-1 overflow-auto p-4 sm:p-6">
-          {activeSection === 'categories' ? (
-            <CategoryManagement />
-          ) : (
-            <ProductManagement />
-          )}
+          <SectionComponent onUnreadCountChange={setUnreadCount} />
         </main>
       </div>
     </div>
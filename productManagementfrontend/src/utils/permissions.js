@@ -0,0 +1,5 @@
+// Helper function to check if the logged in user is allowed to do something
+// Permissions come from the backend (/api/auth/me) based on the user's role
+export function can(user, permission) {
+  return Boolean(user?.permissions?.includes(permission))
+}
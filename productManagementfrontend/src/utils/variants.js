@@ -0,0 +1,14 @@
+// Helper function to turn the option rows into { name, values } axes
+export function parseOptions(options) {
+  return options
+    .map((option) => ({
+      name: option.name.trim(),
+      values: [...new Set(option.valuesText.split(',').map((value) => value.trim()).filter(Boolean))],
+    }))
+    .filter((option) => option.name && option.values.length > 0)
+}
+
+// Helper function to show the option values of a variant, e.g. "M / Red"
+export function variantLabel(variant, axes) {
+  return axes.map((axis) => variant.options[axis.name]).join(' / ')
+}